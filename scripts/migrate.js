@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Script de migraciones de la base de datos.
+ * Uso: node scripts/migrate.js [up|down|status] [--dry-run] [--to=ID] [--steps=N]
+ * @author Marcela
+ */
+
+require('dotenv').config();
+const { MigrationService } = require('../src/services/migrationService');
+
+/**
+ * Lee un argumento `--nombre=valor`
+ * @param {Array<string>} args - Argumentos
+ * @param {string} name - Nombre del argumento
+ * @returns {string|null} Valor o null
+ */
+function getOption(args, name) {
+  const option = args.find(arg => arg.startsWith(`--${name}=`));
+  return option ? option.slice(name.length + 3) : null;
+}
+
+/**
+ * Muestra el resultado de las migraciones ejecutadas
+ * @param {Array<Object>} results - Resultados
+ */
+function printResults(results) {
+  if (results.length === 0) {
+    console.log('✅ No hay migraciones que ejecutar');
+    return;
+  }
+
+  results.forEach(({ id, direction, dryRun, durationMs, changes }) => {
+    console.log(`${dryRun ? '🔎 (simulación)' : '✅'} ${id} ${direction} en ${durationMs} ms — ` +
+      `leídos: ${changes.scanned}, creados: ${changes.inserted}, actualizados: ${changes.updated}, eliminados: ${changes.deleted}`);
+  });
+}
+
+/**
+ * Ejecuta el comando de migraciones
+ * @param {Array<string>} args - Argumentos de la línea de comandos
+ */
+async function migrate(args) {
+  const command = args.find(arg => !arg.startsWith('--')) || 'up';
+  const dryRun = args.includes('--dry-run');
+
+  if (command === 'status') {
+    const status = await MigrationService.getStatus();
+
+    status.forEach(migration => {
+      const state = migration.appliedAt ? `aplicada ${migration.appliedAt}` : 'pendiente';
+      console.log(`${migration.appliedAt ? '✅' : '⏳'} ${migration.id} — ${state}${migration.reversible ? '' : ' (no reversible)'}`);
+    });
+    return;
+  }
+
+  if (command === 'up') {
+    printResults(await MigrationService.migrate({ dryRun, to: getOption(args, 'to') }));
+    return;
+  }
+
+  if (command === 'down') {
+    printResults(await MigrationService.rollback({ dryRun, steps: parseInt(getOption(args, 'steps')) || 1 }));
+    return;
+  }
+
+  throw new Error(`Comando desconocido: ${command}. Usa up, down o status`);
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  migrate(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Error en las migraciones:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Script que programa la rotación del cifrado de campos: recifra con la clave
+ * maestra activa los documentos cifrados con una anterior o que tienen campos sensibles en claro.
+ * Los trabajos se ejecutan con `npm run jobs:run` o con el ejecutor periódico del servidor.
+ * @author Marcela
+ */
+
+require('dotenv').config();
+const { EncryptionService } = require('../src/services/encryptionService');
+
+/**
+ * Programa un trabajo de rotación por colección cifrada
+ */
+async function rotateEncryption() {
+  const jobs = await EncryptionService.startRotation();
+
+  jobs.forEach(job => {
+    console.log(`⏳ ${job.payload.collectionName} — trabajo ${job.id}`);
+  });
+
+  console.log(`✅ Rotación programada en ${jobs.length} colecciones`);
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  rotateEncryption()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Error programando la rotación:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateEncryption };
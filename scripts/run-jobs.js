@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Script que ejecuta los trabajos en segundo plano pendientes.
+ * Pensado para ejecutarse periódicamente (Cloud Scheduler, cron).
+ * @author Marcela
+ */
+
+require('dotenv').config();
+const { JobService } = require('../src/jobs');
+
+/**
+ * Ejecuta los trabajos cuyo momento de ejecución ya llegó
+ * @param {number} limit - Máximo de trabajos a ejecutar
+ */
+async function runJobs(limit) {
+  console.log('Ejecutando trabajos pendientes...');
+
+  const summary = await JobService.runDue(limit);
+
+  console.log(`✅ Completados: ${summary.completed}, fallidos: ${summary.failed}, omitidos: ${summary.skipped}`);
+  return summary;
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  const limit = parseInt(process.argv[2]) || 50;
+
+  runJobs(limit)
+    .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('❌ Error ejecutando trabajos:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runJobs };
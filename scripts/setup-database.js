@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Script de preparación de la base de datos: crea los roles por defecto,
+ * aplica las migraciones pendientes y muestra los índices compuestos que hay que crear
+ * @author Marcela
+ */
+
+require('dotenv').config();
+const { RoleService } = require('../src/services/roleService');
+const { MigrationService } = require('../src/services/migrationService');
+const { COLLECTION_REGISTRY, getStoredName } = require('../src/config/collections');
+
+/**
+ * Muestra el comando de gcloud para cada índice compuesto declarado en el registro
+ */
+function printIndexes() {
+  console.log('\n📇 Índices compuestos (Firestore):');
+
+  Object.entries(COLLECTION_REGISTRY).forEach(([name, definition]) => {
+    definition.indexes.forEach(index => {
+      const fields = Object.entries(index)
+        .map(([field, order]) => `--field-config=field-path=${field},order=${order === 'desc' ? 'DESCENDING' : 'ASCENDING'}`)
+        .join(' ');
+
+      console.log(`gcloud firestore indexes composite create --collection-group=${getStoredName(name)} --query-scope=COLLECTION ${fields}`);
+    });
+  });
+}
+
+/**
+ * Prepara la base de datos
+ */
+async function setupDatabase() {
+  console.log('🚀 Preparando la base de datos...');
+
+  const createdRoles = await RoleService.ensureDefaultRoles();
+  console.log(`✅ Roles creados: ${createdRoles.length > 0 ? createdRoles.join(', ') : 'ninguno (ya existían)'}`);
+
+  const results = await MigrationService.migrate();
+  console.log(`✅ Migraciones aplicadas: ${results.length > 0 ? results.map(result => result.id).join(', ') : 'ninguna pendiente'}`);
+
+  printIndexes();
+}
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  setupDatabase()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Error preparando la base de datos:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { setupDatabase };
@@ -5,6 +5,7 @@
 
 require('dotenv').config();
 const { google } = require('googleapis');
+const { SHEETS_SCHEMA, toColumnLetter } = require('../src/config/sheetsSchema');
 
 // Configurar autenticación
 const auth = new google.auth.GoogleAuth({
@@ -45,7 +46,7 @@ async function createSheet(spreadsheetId, sheetName, headers) {
     // Agregar headers
     await sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: `${sheetName}!A1:${String.fromCharCode(65 + headers.length - 1)}1`,
+      range: `${sheetName}!A1:${toColumnLetter(headers.length)}1`,
       valueInputOption: 'RAW',
       resource: {
         values: [headers]
@@ -109,77 +110,14 @@ async function setupSheets() {
   console.log('🚀 Iniciando configuración de hojas de Google Sheets...');
   console.log(`📊 Spreadsheet ID: ${spreadsheetId}`);
 
-  const sheetsConfig = [
-    {
-      name: 'USUARIOS',
-      headers: ['id', 'name', 'email', 'goal', 'experienceLevel', 'equipment', 'onboardingCompleted', 'createdAt', 'updatedAt']
-    },
-    {
-      name: 'RUTINAS',
-      headers: ['id', 'userId', 'name', 'type', 'duration', 'difficulty', 'exercises', 'createdAt', 'updatedAt']
-    },
-    {
-      name: 'DEPORTES',
-      headers: ['id', 'name', 'category', 'description', 'equipment', 'difficulty', 'videoUrl', 'createdAt']
-    },
-    {
-      name: 'PROGRESO',
-      headers: ['id', 'userId', 'date', 'weight', 'bodyFat', 'measurements', 'notes', 'createdAt']
-    },
-    {
-      name: 'ENTRENAMIENTOS',
-      headers: ['id', 'userId', 'date', 'routineId', 'duration', 'exercises', 'feedback', 'completed', 'createdAt']
-    },
-    {
-      name: 'NUTRICION',
-      headers: ['id', 'userId', 'date', 'calories', 'protein', 'carbs', 'fat', 'water', 'notes', 'createdAt']
-    },
-    {
-      name: 'IA_SUGERENCIAS',
-      headers: ['id', 'userId', 'type', 'prompt', 'response', 'context', 'createdAt']
-    },
-    {
-      name: 'LOGROS',
-      headers: ['id', 'userId', 'type', 'title', 'description', 'achievedAt', 'createdAt']
-    },
-    {
-      name: 'MOTIVACION',
-      headers: ['id', 'userId', 'message', 'type', 'context', 'createdAt']
-    },
-    {
-      name: 'LOGS',
-      headers: ['id', 'level', 'message', 'details', 'userId', 'timestamp']
-    },
-    {
-      name: 'EJERCICIOS',
-      headers: ['id', 'name', 'category', 'muscleGroup', 'equipment', 'difficulty', 'instructions', 'videoUrl', 'createdAt']
-    },
-    {
-      name: 'OBJETIVOS',
-      headers: ['id', 'userId', 'type', 'target', 'current', 'deadline', 'progress', 'status', 'createdAt']
-    },
-    {
-      name: 'RECORDATORIOS',
-      headers: ['id', 'userId', 'type', 'message', 'scheduledFor', 'completed', 'createdAt']
-    },
-    {
-      name: 'COMUNIDAD',
-      headers: ['id', 'userId', 'type', 'content', 'likes', 'comments', 'createdAt']
-    },
-    {
-      name: 'CONFIGURACION',
-      headers: ['id', 'userId', 'setting', 'value', 'createdAt']
-    }
-  ];
-
   try {
-    for (const config of sheetsConfig) {
+    for (const config of SHEETS_SCHEMA) {
       await createSheet(spreadsheetId, config.name, config.headers);
     }
 
     console.log('\n🎉 ¡Configuración completada!');
     console.log('\n📋 Hojas creadas:');
-    sheetsConfig.forEach(config => {
+    SHEETS_SCHEMA.forEach(config => {
       console.log(`   ✅ ${config.name}`);
     });
 
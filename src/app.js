@@ -18,15 +18,44 @@ const workoutRoutes = require('./routes/workouts');
 const progressRoutes = require('./routes/progress');
 const aiRoutes = require('./routes/ai');
 const nutritionRoutes = require('./routes/nutrition');
+const adminRoutes = require('./routes/admin');
+const exportRoutes = require('./routes/exports');
+const coachingRoutes = require('./routes/coaching');
+const revisionRoutes = require('./routes/revisions');
+const syncRoutes = require('./routes/sync');
 
 // Importar middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const AuthMiddleware = require('./middleware/auth');
+const { AuthMiddleware } = require('./middleware/auth');
 const { logger } = require('./services/loggerService');
+const { JobService } = require('./jobs');
+const { RequestContext } = require('./services/requestContext');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+/**
+ * Interpreta TRUST_PROXY con los valores que admite Express para `trust proxy`: número de
+ * saltos, `true`/`false` o subredes separadas por coma (ej. 'loopback, linklocal, uniquelocal')
+ * @param {string} value - Valor de la variable
+ * @returns {boolean|number|string} Valor para `app.set('trust proxy')`
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') {
+    return false;
+  }
+
+  if (value === 'true') {
+    return true;
+  }
+
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+// Detrás de un proxy (App Engine, un balanceador) `req.ip` debe ser la IP del cliente y no la
+// del proxy: la usan el rate limiting, el bloqueo de login por IP y los registros de seguridad
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Configuración de seguridad
 app.use(helmet({
   contentSecurityPolicy: {
@@ -44,13 +73,14 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // máximo 100 requests por ventana
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutos
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // máximo 100 requests por ventana
   message: {
     error: 'Demasiadas peticiones desde esta IP, intenta de nuevo más tarde.'
   },
@@ -73,6 +103,9 @@ app.use(morgan('combined', {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Contexto por petición (disponible para los servicios vía RequestContext)
+app.use(RequestContext.middleware());
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -88,8 +121,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', AuthMiddleware.authenticate, userRoutes);
 app.use('/api/workouts', AuthMiddleware.authenticate, workoutRoutes);
 app.use('/api/progress', AuthMiddleware.authenticate, progressRoutes);
-app.use('/api/ai', AuthMiddleware.authenticate, aiRoutes);
+app.use('/api/ai', AuthMiddleware.authenticate, AuthMiddleware.requireVerifiedEmail, aiRoutes);
 app.use('/api/nutrition', AuthMiddleware.authenticate, nutritionRoutes);
+app.use('/api/admin', AuthMiddleware.authenticate, adminRoutes);
+app.use('/api/coaching', AuthMiddleware.authenticate, coachingRoutes);
+app.use('/api/revisions', AuthMiddleware.authenticate, revisionRoutes);
+app.use('/api/sync', AuthMiddleware.authenticate, syncRoutes);
+app.use('/api/exports', exportRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -135,6 +173,11 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`Ambiente: ${process.env.NODE_ENV || 'development'}`);
     logger.info(`Health check disponible en: http://localhost:${PORT}/health`);
   });
+
+  // Ejecutor de trabajos en segundo plano dentro del servidor (opcional)
+  if (process.env.JOB_RUNNER_INTERVAL_SECONDS) {
+    JobService.startPolling(parseInt(process.env.JOB_RUNNER_INTERVAL_SECONDS));
+  }
 }
 
 module.exports = app; 
\ No newline at end of file
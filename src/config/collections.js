@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Registro de colecciones de la base de datos. Cada colección declara su
+ * nombre almacenado, los alias con los que se la nombra en el código, el campo que
+ * identifica a su dueño y los índices compuestos que necesitan sus consultas.
+ * Las colecciones con `softDelete` se envían a la papelera en lugar de borrarse. Una colección
+ * con documentos dependientes los declara en `softDelete: { children: [{ collection, foreignKey }] }`
+ * y se envían a la papelera y se restauran con ella, como los alimentos de una comida; el resto
+ * guarda sus datos (series, feedback, medidas) dentro del propio documento y usa `softDelete: true`.
+ * Las colecciones con `revisionLimit` guardan una revisión por cada cambio y conservan
+ * como máximo esa cantidad por documento.
+ * Los campos de `encryptedFields` se guardan cifrados (ver services/encryption) y no se
+ * pueden usar en filtros ni en el orden de las consultas.
+ * Las colecciones con `cacheTtlSeconds` guardan en caché las lecturas de `findById` y `find`
+ * (ver services/cache); cada escritura de DatabaseService, también las de `runTransaction`,
+ * invalida lo que deja desactualizado.
+ * Las colecciones con `sync` se sincronizan con los clientes sin conexión (ver SyncService):
+ * DatabaseService guarda en `fieldUpdatedAt` cuándo cambió cada campo de sus documentos.
+ * Los campos de `actorFields` guardan el ID de quien hizo algo sobre un documento de otro usuario
+ * (quién lo creó, quién suplantó...); al eliminar esa cuenta se sustituyen por un seudónimo.
+ * Un nombre que no está en el registro lanza un error en lugar de consultar una colección vacía;
+ * cada módulo declara con `assertCollectionNames` los nombres que usa para que el error salte al arrancar.
+ * @author Marcela
+ */
+
+// Índices de los listados de un usuario ordenados por fecha. Los historiales se paginan y
+// filtran por `timestamp`; los rangos de fechas usan el mismo índice.
+const USER_HISTORY_INDEX = { userId: 'asc', timestamp: 'desc' };
+const USER_CREATED_INDEX = { userId: 'asc', createdAt: 'desc' };
+// Índice de la papelera de un usuario
+const USER_TRASH_INDEX = { userId: 'asc', deletedAt: 'desc' };
+// Índice de los cambios de un usuario desde la última sincronización
+const USER_SYNC_INDEX = { userId: 'asc', updatedAt: 'asc' };
+
+const COLLECTION_REGISTRY = {
+  // Se lee en cada petición autenticada; el TTL corto limita cuánto tarda otra instancia en ver un cambio
+  users: { storedName: 'users', aliases: ['Users'], ownerField: 'id', indexes: [], cacheTtlSeconds: 30, encryptedFields: ['twoFactorSecret', 'twoFactorPendingSecret'] },
+  workouts: { storedName: 'workouts', aliases: ['Workouts'], ownerField: 'userId', indexes: [USER_HISTORY_INDEX, USER_TRASH_INDEX, USER_SYNC_INDEX], softDelete: true, revisionLimit: 50, cacheTtlSeconds: 120, sync: true, actorFields: ['createdBy'] },
+  progress: { storedName: 'progress', aliases: [], ownerField: 'userId', indexes: [USER_HISTORY_INDEX, USER_TRASH_INDEX, USER_SYNC_INDEX], softDelete: true, revisionLimit: 50, cacheTtlSeconds: 120, sync: true, encryptedFields: ['measurements', 'bodyFat', 'notes'] },
+  // Al enviar una comida a la papelera van con ella sus alimentos
+  nutrition: { storedName: 'nutrition', aliases: ['Nutrition'], ownerField: 'userId', indexes: [USER_HISTORY_INDEX, USER_TRASH_INDEX, USER_SYNC_INDEX], softDelete: { children: [{ collection: 'mealItems', foreignKey: 'mealId' }] }, revisionLimit: 50, cacheTtlSeconds: 120, sync: true, encryptedFields: ['notes'] },
+  mealItems: { storedName: 'meal_items', aliases: [], ownerField: 'userId', indexes: [], softDelete: true, cacheTtlSeconds: 120 },
+  // Los prompts incluyen el peso, la edad y la altura del usuario (ver AIService.buildWorkoutPrompt)
+  aiSuggestions: { storedName: 'ai_suggestions', aliases: ['AISuggestions'], ownerField: 'userId', indexes: [USER_CREATED_INDEX], encryptedFields: ['prompt', 'context'] },
+  logs: { storedName: 'logs', aliases: ['DailyLog'], ownerField: 'userId', indexes: [USER_HISTORY_INDEX, USER_TRASH_INDEX, USER_SYNC_INDEX], softDelete: true, revisionLimit: 50, cacheTtlSeconds: 120, sync: true, encryptedFields: ['bodyFat', 'notes'] },
+  routines: { storedName: 'routines', aliases: [], ownerField: 'userId', indexes: [] },
+  sports: { storedName: 'sports', aliases: [], ownerField: null, indexes: [], cacheTtlSeconds: 600 },
+  achievements: { storedName: 'achievements', aliases: [], ownerField: 'userId', indexes: [] },
+  motivation: { storedName: 'motivation', aliases: [], ownerField: 'userId', indexes: [] },
+  exercises: { storedName: 'exercises', aliases: [], ownerField: null, indexes: [], cacheTtlSeconds: 600 },
+  // La papelera de objetivos y ajustes no tiene endpoints: conserva las eliminaciones para la sincronización
+  goals: { storedName: 'goals', aliases: [], ownerField: 'userId', indexes: [USER_TRASH_INDEX, USER_SYNC_INDEX], softDelete: true, sync: true },
+  reminders: { storedName: 'reminders', aliases: [], ownerField: 'userId', indexes: [] },
+  community: { storedName: 'community', aliases: [], ownerField: 'userId', indexes: [] },
+  settings: { storedName: 'settings', aliases: [], ownerField: 'userId', indexes: [USER_TRASH_INDEX, USER_SYNC_INDEX], softDelete: true, sync: true },
+  refreshTokens: { storedName: 'refresh_tokens', aliases: [], ownerField: 'userId', indexes: [] },
+  actionTokens: { storedName: 'action_tokens', aliases: [], ownerField: 'userId', indexes: [] },
+  roles: { storedName: 'roles', aliases: [], ownerField: null, indexes: [] },
+  // Roles de cada usuario (ID = userId). Fuera de `users` para que los endpoints de autoservicio
+  // no puedan escribirlos; se lee en cada petición autenticada, como `users`
+  roleAssignments: { storedName: 'role_assignments', aliases: [], ownerField: 'userId', indexes: [], cacheTtlSeconds: 30 },
+  loginAttempts: { storedName: 'login_attempts', aliases: [], ownerField: null, indexes: [] },
+  sessions: { storedName: 'sessions', aliases: [], ownerField: 'userId', indexes: [] },
+  apiKeys: { storedName: 'api_keys', aliases: [], ownerField: 'userId', indexes: [] },
+  userIdentities: { storedName: 'user_identities', aliases: [], ownerField: 'userId', indexes: [] },
+  jobs: { storedName: 'jobs', aliases: [], ownerField: null, indexes: [] },
+  deletionRecords: { storedName: 'deletion_records', aliases: [], ownerField: null, indexes: [] },
+  dataExports: { storedName: 'data_exports', aliases: [], ownerField: 'userId', indexes: [{ userId: 'asc', requestedAt: 'desc' }] },
+  // El dueño de la relación es el cliente; el entrenador solo tiene acceso delegado
+  coachRelationships: { storedName: 'coach_relationships', aliases: [], ownerField: 'clientId', indexes: [] },
+  impersonations: { storedName: 'impersonations', aliases: [], ownerField: 'userId', indexes: [{ userId: 'asc', startedAt: 'desc' }], actorFields: ['impersonatorId', 'endedBy'] },
+  migrations: { storedName: 'migrations', aliases: [], ownerField: null, indexes: [] },
+  // Las revisiones copian los campos cifrados de los documentos
+  revisions: { storedName: 'revisions', aliases: [], ownerField: 'userId', indexes: [{ collection: 'asc', documentId: 'asc', createdAt: 'desc' }], encryptedFields: ['diff', 'snapshot'], actorFields: ['actorId', 'impersonatorId'] }
+};
+
+/**
+ * Construye el mapa de nombres y alias a nombre canónico, comprobando que no se repitan
+ * @param {Object} registry - Registro de colecciones
+ * @returns {Map<string, string>} Nombre o alias → nombre canónico
+ * @throws {Error} Si un nombre o alias está repetido
+ */
+const buildNameIndex = (registry) => {
+  const names = new Map();
+
+  Object.entries(registry).forEach(([name, definition]) => {
+    [name, ...definition.aliases].forEach(alias => {
+      if (names.has(alias)) {
+        throw new Error(`Nombre de colección duplicado en el registro: ${alias}`);
+      }
+      names.set(alias, name);
+    });
+  });
+
+  return names;
+};
+
+const COLLECTION_NAMES = buildNameIndex(COLLECTION_REGISTRY);
+
+/**
+ * Comprueba que los hijos declarados en `softDelete` sean colecciones registradas con papelera,
+ * para que sus lecturas omitan los documentos que se envían a la papelera con el padre
+ * @param {Object} registry - Registro de colecciones
+ * @throws {Error} Si algún hijo no está registrado o no tiene papelera
+ */
+const assertSoftDeleteChildren = (registry) => {
+  Object.entries(registry).forEach(([name, { softDelete }]) => {
+    ((softDelete && softDelete.children) || []).forEach(({ collection, foreignKey }) => {
+      if (!registry[collection] || !registry[collection].softDelete || !foreignKey) {
+        throw new Error(`Hijo de papelera inválido en ${name}: ${collection}.${foreignKey}`);
+      }
+    });
+  });
+};
+
+assertSoftDeleteChildren(COLLECTION_REGISTRY);
+
+/**
+ * Resuelve un nombre o alias a su nombre canónico
+ * @param {string} collectionName - Nombre o alias
+ * @returns {string} Nombre canónico
+ * @throws {Error} Si la colección no está registrada
+ */
+const resolveCollection = (collectionName) => {
+  if (!COLLECTION_NAMES.has(collectionName)) {
+    throw new Error(`Colección desconocida: ${collectionName}`);
+  }
+
+  return COLLECTION_NAMES.get(collectionName);
+};
+
+/**
+ * Obtiene la definición de una colección
+ * @param {string} collectionName - Nombre o alias
+ * @returns {Object} Definición registrada
+ */
+const getCollection = (collectionName) => COLLECTION_REGISTRY[resolveCollection(collectionName)];
+
+/**
+ * Obtiene el nombre almacenado de una colección, con el prefijo de entorno
+ * (FIRESTORE_COLLECTION_PREFIX) para separar entornos en un mismo proyecto
+ * @param {string} collectionName - Nombre o alias
+ * @returns {string} Nombre almacenado
+ */
+const getStoredName = (collectionName) => {
+  return `${process.env.FIRESTORE_COLLECTION_PREFIX || ''}${getCollection(collectionName).storedName}`;
+};
+
+/**
+ * Comprueba al cargar un módulo que todas las colecciones que declara existen
+ * @param {Array<string>} collectionNames - Nombres canónicos
+ * @param {string} context - Quién las declara, para el mensaje de error
+ * @throws {Error} Si alguna no está registrada o es un alias
+ */
+const assertCollections = (collectionNames, context) => {
+  const invalid = collectionNames.filter(name => !Object.prototype.hasOwnProperty.call(COLLECTION_REGISTRY, name));
+
+  if (invalid.length > 0) {
+    throw new Error(`${context} usa colecciones no registradas: ${invalid.join(', ')}`);
+  }
+};
+
+/**
+ * Comprueba al cargar un módulo que los nombres de colección con los que consulta la base
+ * de datos (canónicos o alias) están registrados, para que un error falle al arrancar
+ * @param {Array<string>} collectionNames - Nombres o alias
+ * @param {string} context - Quién los usa, para el mensaje de error
+ * @throws {Error} Si alguno no está registrado
+ */
+const assertCollectionNames = (collectionNames, context) => {
+  const unknown = collectionNames.filter(name => !COLLECTION_NAMES.has(name));
+
+  if (unknown.length > 0) {
+    throw new Error(`${context} usa colecciones no registradas: ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Lista las colecciones cuyo dueño se identifica con un campo dado
+ * @param {string} ownerField - Campo del dueño
+ * @returns {Array<string>} Nombres canónicos
+ */
+const getCollectionsOwnedBy = (ownerField) => {
+  return Object.keys(COLLECTION_REGISTRY).filter(name => COLLECTION_REGISTRY[name].ownerField === ownerField);
+};
+
+/**
+ * Lista las colecciones con datos de un usuario (con `ownerField`)
+ * @returns {Array<string>} Nombres canónicos
+ */
+const getOwnedCollections = () => {
+  return Object.keys(COLLECTION_REGISTRY).filter(name => COLLECTION_REGISTRY[name].ownerField);
+};
+
+/**
+ * Obtiene los campos de una colección que guardan el ID de quien actuó sobre el documento
+ * @param {string} collectionName - Nombre o alias
+ * @returns {Array<string>} Campos (vacío si no tiene ninguno)
+ */
+const getActorFields = (collectionName) => getCollection(collectionName).actorFields || [];
+
+/**
+ * Lista las colecciones con campos de autoría (`actorFields`)
+ * @returns {Array<string>} Nombres canónicos
+ */
+const getCollectionsWithActorFields = () => {
+  return Object.keys(COLLECTION_REGISTRY).filter(name => getActorFields(name).length > 0);
+};
+
+/**
+ * Obtiene la configuración de papelera de una colección
+ * @param {string} collectionName - Nombre o alias
+ * @returns {Object|null} `{ children }` o null si la colección se borra directamente
+ */
+const getSoftDelete = (collectionName) => {
+  const { softDelete } = getCollection(collectionName);
+
+  if (!softDelete) {
+    return null;
+  }
+
+  return { children: softDelete.children || [] };
+};
+
+/**
+ * Obtiene cuántas revisiones se conservan por documento de una colección
+ * @param {string} collectionName - Nombre o alias
+ * @returns {number} Límite o 0 si la colección no guarda revisiones
+ */
+const getRevisionLimit = (collectionName) => getCollection(collectionName).revisionLimit || 0;
+
+/**
+ * Obtiene los campos que se guardan cifrados en una colección
+ * @param {string} collectionName - Nombre o alias
+ * @returns {Array<string>} Campos de primer nivel (vacío si no cifra ninguno)
+ */
+const getEncryptedFields = (collectionName) => getCollection(collectionName).encryptedFields || [];
+
+/**
+ * Obtiene cuánto tiempo se guardan en caché las lecturas de una colección
+ * @param {string} collectionName - Nombre o alias
+ * @returns {number} Segundos o 0 si la colección no usa caché
+ */
+const getCacheTtl = (collectionName) => getCollection(collectionName).cacheTtlSeconds || 0;
+
+/**
+ * Indica si una colección se sincroniza con los clientes sin conexión
+ * @param {string} collectionName - Nombre o alias
+ * @returns {boolean} True si se sincroniza
+ */
+const isSynced = (collectionName) => Boolean(getCollection(collectionName).sync);
+
+module.exports = {
+  COLLECTION_REGISTRY,
+  resolveCollection,
+  getCollection,
+  getStoredName,
+  assertCollections,
+  assertCollectionNames,
+  getCollectionsOwnedBy,
+  getOwnedCollections,
+  getActorFields,
+  getCollectionsWithActorFields,
+  getSoftDelete,
+  getRevisionLimit,
+  getEncryptedFields,
+  getCacheTtl,
+  isSynced
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Esquema de las hojas de Google Sheets: nombre de cada hoja, colección que
+ * guarda, columnas iniciales y tipo de las columnas que no son texto. Lo usan
+ * `scripts/setup-sheets.js` para crear las hojas y el adaptador de Sheets para leerlas.
+ * @author Marcela
+ */
+
+const { assertCollections, resolveCollection } = require('./collections');
+
+const SHEETS_SCHEMA = [
+  {
+    name: 'USUARIOS',
+    collection: 'users',
+    headers: ['id', 'name', 'email', 'goal', 'experienceLevel', 'equipment', 'onboardingCompleted', 'createdAt', 'updatedAt'],
+    types: { equipment: 'json', onboardingCompleted: 'boolean' }
+  },
+  {
+    name: 'RUTINAS',
+    collection: 'routines',
+    headers: ['id', 'userId', 'name', 'type', 'duration', 'difficulty', 'exercises', 'createdAt', 'updatedAt'],
+    types: { duration: 'number', exercises: 'json' }
+  },
+  {
+    name: 'DEPORTES',
+    collection: 'sports',
+    headers: ['id', 'name', 'category', 'description', 'equipment', 'difficulty', 'videoUrl', 'createdAt'],
+    types: { equipment: 'json' }
+  },
+  {
+    name: 'PROGRESO',
+    collection: 'progress',
+    headers: ['id', 'userId', 'date', 'weight', 'bodyFat', 'measurements', 'notes', 'createdAt'],
+    types: { weight: 'number', bodyFat: 'number', measurements: 'json' }
+  },
+  {
+    name: 'ENTRENAMIENTOS',
+    collection: 'workouts',
+    headers: ['id', 'userId', 'date', 'routineId', 'duration', 'exercises', 'feedback', 'completed', 'createdAt'],
+    types: { duration: 'number', exercises: 'json', completed: 'boolean' }
+  },
+  {
+    name: 'NUTRICION',
+    collection: 'nutrition',
+    headers: ['id', 'userId', 'date', 'calories', 'protein', 'carbs', 'fat', 'water', 'notes', 'createdAt'],
+    types: { calories: 'number', protein: 'number', carbs: 'number', fat: 'number', water: 'number' }
+  },
+  {
+    name: 'IA_SUGERENCIAS',
+    collection: 'aiSuggestions',
+    headers: ['id', 'userId', 'type', 'prompt', 'response', 'context', 'createdAt'],
+    types: { context: 'json' }
+  },
+  {
+    name: 'LOGROS',
+    collection: 'achievements',
+    headers: ['id', 'userId', 'type', 'title', 'description', 'achievedAt', 'createdAt'],
+    types: {}
+  },
+  {
+    name: 'MOTIVACION',
+    collection: 'motivation',
+    headers: ['id', 'userId', 'message', 'type', 'context', 'createdAt'],
+    types: { context: 'json' }
+  },
+  {
+    name: 'LOGS',
+    collection: 'logs',
+    headers: ['id', 'level', 'message', 'details', 'userId', 'timestamp'],
+    types: { details: 'json' }
+  },
+  {
+    name: 'EJERCICIOS',
+    collection: 'exercises',
+    headers: ['id', 'name', 'category', 'muscleGroup', 'equipment', 'difficulty', 'instructions', 'videoUrl', 'createdAt'],
+    types: { equipment: 'json' }
+  },
+  {
+    name: 'OBJETIVOS',
+    collection: 'goals',
+    headers: ['id', 'userId', 'type', 'target', 'current', 'deadline', 'progress', 'status', 'createdAt'],
+    types: { target: 'number', current: 'number', progress: 'number' }
+  },
+  {
+    name: 'RECORDATORIOS',
+    collection: 'reminders',
+    headers: ['id', 'userId', 'type', 'message', 'scheduledFor', 'completed', 'createdAt'],
+    types: { completed: 'boolean' }
+  },
+  {
+    name: 'COMUNIDAD',
+    collection: 'community',
+    headers: ['id', 'userId', 'type', 'content', 'likes', 'comments', 'createdAt'],
+    types: { likes: 'number', comments: 'json' }
+  },
+  {
+    name: 'CONFIGURACION',
+    collection: 'settings',
+    headers: ['id', 'userId', 'setting', 'value', 'createdAt'],
+    types: { value: 'json' }
+  }
+];
+
+assertCollections(SHEETS_SCHEMA.map(sheet => sheet.collection), 'El esquema de Google Sheets');
+
+/**
+ * Obtiene la definición de la hoja de una colección
+ * @param {string} collectionName - Nombre o alias de la colección
+ * @returns {Object|null} Definición de la hoja o null si la colección no tiene hoja fija
+ */
+const getSheetForCollection = (collectionName) => {
+  const canonicalName = resolveCollection(collectionName);
+  return SHEETS_SCHEMA.find(sheet => sheet.collection === canonicalName) || null;
+};
+
+/**
+ * Convierte un número de columna (1 = A) en su letra (A, B, ..., Z, AA, AB...)
+ * @param {number} columnNumber - Número de columna
+ * @returns {string} Letra de la columna
+ */
+const toColumnLetter = (columnNumber) => {
+  let letter = '';
+  let remaining = columnNumber;
+
+  while (remaining > 0) {
+    const index = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + index) + letter;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+
+  return letter;
+};
+
+module.exports = {
+  SHEETS_SCHEMA,
+  getSheetForCollection,
+  toColumnLetter
+};
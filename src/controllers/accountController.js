@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Controlador de verificación de email y recuperación de cuenta
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('../services/databaseService');
+const { AuthMiddleware } = require('../middleware/auth');
+const { ValidationMiddleware } = require('../middleware/validation');
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { TokenService } = require('../services/tokenService');
+const { MailService } = require('../services/mailService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['users'], 'AccountController');
+
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+const PASSWORD_RESET_PURPOSE = 'password_reset';
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = 24 * 60;
+const PASSWORD_RESET_EXPIRES_MINUTES = 30;
+
+class AccountController {
+  /**
+   * Genera un token de verificación y envía el correo al usuario
+   * @param {Object} user - Usuario a verificar
+   * @returns {Promise<void>}
+   */
+  static async sendVerificationEmail(user) {
+    const token = await TokenService.issueActionToken(
+      user.id,
+      EMAIL_VERIFICATION_PURPOSE,
+      EMAIL_VERIFICATION_EXPIRES_MINUTES
+    );
+
+    await MailService.sendEmailVerification(user, token);
+  }
+
+  /**
+   * Genera un token de restablecimiento y envía el correo al usuario
+   * @param {Object} user - Usuario que pidió restablecer la contraseña
+   * @returns {Promise<void>}
+   */
+  static async sendPasswordResetEmail(user) {
+    const token = await TokenService.issueActionToken(
+      user.id,
+      PASSWORD_RESET_PURPOSE,
+      PASSWORD_RESET_EXPIRES_MINUTES
+    );
+
+    await MailService.sendPasswordReset(user, token, PASSWORD_RESET_EXPIRES_MINUTES);
+  }
+
+  /**
+   * Confirma el email del usuario a partir del token recibido por correo
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación de la verificación
+   */
+  static async verifyEmail(req) {
+    try {
+      const { token } = req.body;
+
+      const userId = await TokenService.consumeActionToken(token, EMAIL_VERIFICATION_PURPOSE);
+
+      await DatabaseService.update('users', userId, {
+        emailVerified: true,
+        emailVerifiedAt: new Date().toISOString()
+      });
+
+      LoggerService.audit('email_verified', {}, userId);
+
+      return {
+        message: 'Email verificado correctamente',
+        emailVerified: true
+      };
+    } catch (error) {
+      LoggerService.error('Error verifying email', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reenvía el correo de verificación al usuario autenticado
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación del envío
+   */
+  static async resendVerificationEmail(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      if (user.emailVerified) {
+        throw ErrorHandler.conflictError('El email ya está verificado');
+      }
+
+      await AccountController.sendVerificationEmail(user);
+
+      LoggerService.info('Verification email resent', { userId: user.id });
+
+      return {
+        message: 'Te enviamos un nuevo enlace de verificación'
+      };
+    } catch (error) {
+      LoggerService.error('Error resending verification email', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inicia la recuperación de contraseña.
+   * La respuesta es la misma exista o no el email para no revelar cuentas registradas.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación genérica
+   */
+  static async forgotPassword(req) {
+    try {
+      const { email } = req.body;
+
+      if (!email || typeof email !== 'string' || !ValidationMiddleware.isValidEmail(email)) {
+        throw ErrorHandler.validationError('El email debe ser válido');
+      }
+
+      const users = await DatabaseService.find('users', { email: email.toLowerCase().trim() });
+      const user = users[0];
+
+      if (user) {
+        // Un fallo del correo solo se registra: un error en la respuesta revelaría que el email existe
+        await AccountController.sendPasswordResetEmail(user).catch(error => {
+          LoggerService.error('Error sending password reset email', error);
+        });
+        LoggerService.security('password_reset_requested', { ip: req.ip }, user.id);
+      }
+
+      return {
+        message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+      };
+    } catch (error) {
+      LoggerService.error('Error requesting password reset', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restablece la contraseña con el token recibido por correo
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación del cambio
+   */
+  static async resetPassword(req) {
+    try {
+      const { token, password } = req.body;
+
+      const passwordErrors = ValidationMiddleware.validatePasswordStrength(password);
+      if (passwordErrors.length > 0) {
+        throw ErrorHandler.validationError(passwordErrors.join(', '));
+      }
+
+      const userId = await TokenService.consumeActionToken(token, PASSWORD_RESET_PURPOSE);
+      const passwordHash = await AuthMiddleware.hashPassword(password);
+      const now = new Date().toISOString();
+
+      // Recibir el enlace en el buzón también demuestra que el email es del usuario
+      await DatabaseService.update('users', userId, {
+        passwordHash,
+        passwordChangedAt: now,
+        emailVerified: true
+      });
+
+      // Cualquier sesión abierta con la contraseña anterior deja de ser válida
+      await TokenService.revokeAllForUser(userId, 'password_reset');
+
+      LoggerService.security('password_reset', { ip: req.ip }, userId);
+
+      return {
+        message: 'Contraseña restablecida correctamente. Inicia sesión con tu nueva contraseña'
+      };
+    } catch (error) {
+      LoggerService.error('Error resetting password', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambia la contraseña del usuario autenticado
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación del cambio
+   */
+  static async changePassword(req) {
+    try {
+      const user = req.user;
+      const { currentPassword, newPassword } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      if (!currentPassword || typeof currentPassword !== 'string') {
+        throw ErrorHandler.validationError('La contraseña actual es requerida');
+      }
+
+      const passwordErrors = ValidationMiddleware.validatePasswordStrength(newPassword);
+      if (passwordErrors.length > 0) {
+        throw ErrorHandler.validationError(passwordErrors.join(', '));
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (!userData || !userData.passwordHash ||
+        !(await AuthMiddleware.verifyPassword(currentPassword, userData.passwordHash))) {
+        throw ErrorHandler.validationError('La contraseña actual no es correcta');
+      }
+
+      await DatabaseService.update('users', user.id, {
+        passwordHash: await AuthMiddleware.hashPassword(newPassword),
+        passwordChangedAt: new Date().toISOString()
+      });
+
+      // Se mantiene la sesión actual y se cierran las demás
+      await TokenService.revokeOtherSessions(user.id, user.sessionId, 'password_changed');
+
+      LoggerService.security('password_changed', { ip: req.ip }, user.id);
+
+      return {
+        message: 'Contraseña actualizada correctamente'
+      };
+    } catch (error) {
+      LoggerService.error('Error changing password', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AccountController;
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Controlador de administración: roles y permisos, bloqueos, suplantación de usuarios
+ * y métricas de la caché
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('../services/databaseService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { RoleService } = require('../services/roleService');
+const { LoginThrottleService } = require('../services/loginThrottleService');
+const { ImpersonationService } = require('../services/impersonationService');
+const { AuthMiddleware } = require('../middleware/auth');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['users'], 'AdminController');
+
+class AdminController {
+  /**
+   * Lista los roles con sus permisos
+   * @returns {Object} Roles disponibles
+   */
+  static async getRoles() {
+    try {
+      const roles = await RoleService.getRoles();
+
+      return {
+        roles: Object.values(roles)
+      };
+    } catch (error) {
+      LoggerService.error('Error getting roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Métricas de la caché de lectura de esta instancia
+   * @returns {Object} Backend y aciertos/fallos por colección
+   */
+  static async getCacheStats() {
+    try {
+      return DatabaseService.getCacheStats();
+    } catch (error) {
+      LoggerService.error('Error getting cache stats', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza el conjunto de permisos de un rol
+   * @param {Object} req - Objeto request
+   * @returns {Object} Rol actualizado
+   */
+  static async updateRolePermissions(req) {
+    try {
+      const { role } = req.params;
+      const { permissions } = req.body;
+
+      if (!RoleService.isKnownRole(role)) {
+        throw ErrorHandler.notFoundError('Rol no encontrado');
+      }
+
+      if (!Array.isArray(permissions) ||
+        !permissions.every(permission => typeof permission === 'string' && /^[a-z]+:[a-z]+$/.test(permission))) {
+        throw ErrorHandler.validationError('Los permisos deben ser una lista con el formato recurso:acción');
+      }
+
+      // Evita que el rol admin pierda la capacidad de administrar roles
+      if (role === 'admin' && !permissions.includes('roles:manage')) {
+        throw ErrorHandler.validationError('El rol admin debe conservar el permiso roles:manage');
+      }
+
+      const updatedRole = await RoleService.setRolePermissions(role, permissions);
+
+      LoggerService.audit('role_permissions_updated', {
+        role,
+        permissions: updatedRole.permissions
+      }, req.user.id);
+
+      return updatedRole;
+    } catch (error) {
+      LoggerService.error('Error updating role permissions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los roles y permisos efectivos de un usuario
+   * @param {Object} req - Objeto request
+   * @returns {Object} Roles del usuario
+   */
+  static async getUserRoles(req) {
+    try {
+      const { id } = req.params;
+
+      const user = await DatabaseService.findById('users', id);
+      if (!user) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      const roles = await RoleService.getUserRoles(user.id);
+
+      return {
+        userId: user.id,
+        roles,
+        permissions: await RoleService.resolvePermissions(roles)
+      };
+    } catch (error) {
+      LoggerService.error('Error getting user roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Otorga un rol a un usuario
+   * @param {Object} req - Objeto request
+   * @returns {Object} Roles actualizados del usuario
+   */
+  static async grantRole(req) {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (!RoleService.isKnownRole(role)) {
+        throw ErrorHandler.validationError(`El rol debe ser uno de: ${RoleService.getRoleNames().join(', ')}`);
+      }
+
+      const user = await DatabaseService.findById('users', id);
+      if (!user) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      const currentRoles = await RoleService.getUserRoles(user.id);
+      if (currentRoles.includes(role)) {
+        throw ErrorHandler.conflictError('El usuario ya tiene ese rol');
+      }
+
+      const roles = await RoleService.setUserRoles(id, [...currentRoles, role]);
+
+      LoggerService.audit('role_granted', { targetUserId: id, role }, req.user.id);
+
+      return {
+        userId: id,
+        roles
+      };
+    } catch (error) {
+      LoggerService.error('Error granting role', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca un rol de un usuario
+   * @param {Object} req - Objeto request
+   * @returns {Object} Roles actualizados del usuario
+   */
+  static async revokeRole(req) {
+    try {
+      const { id, role } = req.params;
+
+      if (!RoleService.isKnownRole(role)) {
+        throw ErrorHandler.notFoundError('Rol no encontrado');
+      }
+
+      if (role === 'user') {
+        throw ErrorHandler.validationError('El rol user no se puede revocar');
+      }
+
+      // Un administrador no puede quitarse a sí mismo el acceso de administración
+      if (id === req.user.id && role === 'admin') {
+        throw ErrorHandler.validationError('No puedes revocar tu propio rol de administrador');
+      }
+
+      const user = await DatabaseService.findById('users', id);
+      if (!user) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      const currentRoles = await RoleService.getUserRoles(user.id);
+      if (!currentRoles.includes(role)) {
+        throw ErrorHandler.notFoundError('El usuario no tiene ese rol');
+      }
+
+      const roles = await RoleService.setUserRoles(id, currentRoles.filter(currentRole => currentRole !== role));
+
+      LoggerService.audit('role_revoked', { targetUserId: id, role }, req.user.id);
+
+      return {
+        userId: id,
+        roles
+      };
+    } catch (error) {
+      LoggerService.error('Error revoking role', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Desbloquea una cuenta bloqueada por intentos fallidos de login
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación
+   */
+  static async unlockUser(req) {
+    try {
+      const { id } = req.params;
+
+      const user = await DatabaseService.findById('users', id);
+      if (!user) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      await LoginThrottleService.unlockAccount(user.email);
+
+      LoggerService.audit('account_unlocked', { targetUserId: id }, req.user.id);
+
+      return {
+        userId: id,
+        unlocked: true
+      };
+    } catch (error) {
+      LoggerService.error('Error unlocking user', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Emite un token de suplantación de corta duración para reproducir problemas de un usuario.
+   * El token no se puede renovar y queda marcado con el ID de quien suplanta.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Token de suplantación
+   */
+  static async impersonateUser(req) {
+    try {
+      const { id } = req.params;
+      const { reason, durationMinutes } = req.body;
+
+      const target = await DatabaseService.findById('users', id);
+      if (!target) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      const impersonation = await ImpersonationService.startImpersonation(req.user, target, {
+        reason,
+        durationMinutes,
+        ip: req.ip
+      });
+
+      const expiresIn = Math.round((new Date(impersonation.expiresAt) - new Date(impersonation.startedAt)) / 1000);
+      const token = AuthMiddleware.generateToken(
+        target.id,
+        { imp: impersonation.id, act: { sub: req.user.id } },
+        { expiresIn }
+      );
+
+      LoggerService.audit('impersonation_started', {
+        targetUserId: target.id,
+        impersonationId: impersonation.id,
+        reason: impersonation.reason,
+        expiresAt: impersonation.expiresAt
+      }, req.user.id);
+
+      return {
+        token,
+        tokenType: 'Bearer',
+        impersonation: true,
+        impersonationId: impersonation.id,
+        expiresIn,
+        expiresAt: impersonation.expiresAt,
+        user: {
+          id: target.id,
+          name: target.name,
+          email: target.email
+        }
+      };
+    } catch (error) {
+      LoggerService.error('Error impersonating user', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Termina una suplantación antes de que expire su token
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación
+   */
+  static async endImpersonation(req) {
+    try {
+      const { id } = req.params;
+
+      const impersonation = await ImpersonationService.endImpersonation(id, req.user.id);
+
+      LoggerService.audit('impersonation_ended', {
+        targetUserId: impersonation.userId,
+        impersonationId: id
+      }, req.user.id);
+
+      return {
+        impersonationId: id,
+        ended: true
+      };
+    } catch (error) {
+      LoggerService.error('Error ending impersonation', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -7,6 +7,9 @@ const { AIService } = require('../services/aiService');
 const { DatabaseService } = require('../services/databaseService');
 const { ErrorHandler } = require('../core/errorHandler');
 const { LoggerService } = require('../services/loggerService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['AISuggestions', 'DailyLog', 'Nutrition', 'Users', 'Workouts'], 'AIController');
 
 class AIController {
   /**
@@ -25,7 +28,7 @@ class AIController {
       }
 
       // Obtener datos actualizados del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('Users', user.id);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
@@ -37,7 +40,7 @@ class AIController {
           recommendation = await AIService.generateWorkoutRecommendation(userData, context);
           break;
         case 'nutrition':
-          const nutritionData = await this.getUserNutritionData(user.id);
+          const nutritionData = await AIController.getUserNutritionData(user.id);
           recommendation = await AIService.generateNutritionAdvice(userData, nutritionData);
           break;
         case 'motivation':
@@ -79,13 +82,13 @@ class AIController {
       }
 
       // Obtener datos actualizados del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('Users', user.id);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
 
       // Obtener historial de entrenamientos
-      const workoutHistory = await this.getUserWorkoutHistory(user.id);
+      const workoutHistory = await AIController.getUserWorkoutHistory(user.id);
 
       const context = {
         duration: duration || '4_weeks',
@@ -140,13 +143,13 @@ class AIController {
       }
 
       // Obtener datos actualizados del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('Users', user.id);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
 
       // Obtener historial nutricional
-      const nutritionHistory = await this.getUserNutritionHistory(user.id);
+      const nutritionHistory = await AIController.getUserNutritionHistory(user.id);
 
       const nutritionData = {
         currentWeight: currentWeight || userData.weight,
@@ -193,13 +196,13 @@ class AIController {
       }
 
       // Obtener datos actualizados del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('Users', user.id);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
 
       // Obtener datos de progreso
-      const progressData = await this.getUserProgressData(user.id, timeRange);
+      const progressData = await AIController.getUserProgressData(user.id, timeRange);
 
       const analysis = await AIService.analyzeProgress(userData, progressData);
 
@@ -231,7 +234,7 @@ class AIController {
    */
   static async getUserWorkoutHistory(userId) {
     try {
-      const workouts = DatabaseService.find('Workouts', { userId: userId });
+      const workouts = await DatabaseService.find('Workouts', { userId: userId });
       
       // Ordenar por fecha (más reciente primero)
       return workouts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -248,7 +251,7 @@ class AIController {
    */
   static async getUserNutritionData(userId) {
     try {
-      const nutritionLogs = DatabaseService.find('Nutrition', { userId: userId });
+      const nutritionLogs = await DatabaseService.find('Nutrition', { userId: userId });
       
       if (nutritionLogs.length === 0) {
         return {
@@ -295,7 +298,7 @@ class AIController {
    */
   static async getUserNutritionHistory(userId) {
     try {
-      const nutritionLogs = DatabaseService.find('Nutrition', { userId: userId });
+      const nutritionLogs = await DatabaseService.find('Nutrition', { userId: userId });
       
       // Ordenar por fecha (más reciente primero)
       return nutritionLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -332,19 +335,19 @@ class AIController {
       }
 
       // Obtener datos de peso
-      const weightLogs = DatabaseService.find('DailyLog', { userId: userId });
+      const weightLogs = await DatabaseService.find('DailyLog', { userId: userId });
       const weightHistory = weightLogs
         .filter(log => new Date(log.timestamp) >= startDate)
         .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
       // Obtener entrenamientos
-      const workoutLogs = DatabaseService.find('Workouts', { userId: userId });
+      const workoutLogs = await DatabaseService.find('Workouts', { userId: userId });
       const workoutHistory = workoutLogs
         .filter(log => new Date(log.timestamp) >= startDate)
         .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
       // Obtener datos nutricionales
-      const nutritionLogs = DatabaseService.find('Nutrition', { userId: userId });
+      const nutritionLogs = await DatabaseService.find('Nutrition', { userId: userId });
       const nutritionHistory = nutritionLogs
         .filter(log => new Date(log.timestamp) >= startDate)
         .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
@@ -382,7 +385,7 @@ class AIController {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
-      const aiSuggestions = DatabaseService.find('AISuggestions', { userId: user.id });
+      const aiSuggestions = await DatabaseService.find('AISuggestions', { userId: user.id });
       
       const stats = {
         totalSuggestions: aiSuggestions.length,
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Controlador de API keys personales
+ * @author Marcela
+ */
+
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { ApiKeyService, API_KEY_SCOPES } = require('../services/apiKeyService');
+
+class ApiKeyController {
+  /**
+   * Lista las API keys activas del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Claves activas y scopes disponibles
+   */
+  static async listKeys(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const keys = await ApiKeyService.listActiveKeys(user.id);
+
+      return {
+        apiKeys: keys.map(key => ApiKeyService.serializeKey(key)),
+        availableScopes: API_KEY_SCOPES
+      };
+    } catch (error) {
+      LoggerService.error('Error listing API keys', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una API key. La clave en claro solo se muestra en esta respuesta.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Clave creada
+   */
+  static async createKey(req) {
+    try {
+      const user = req.user;
+      const { name, scopes, expiresInDays } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const { stored, apiKey } = await ApiKeyService.createKey(user.id, { name, scopes, expiresInDays });
+
+      LoggerService.security('api_key_created', {
+        apiKeyId: stored.id,
+        scopes: stored.scopes,
+        ip: req.ip
+      }, user.id);
+
+      return {
+        ...ApiKeyService.serializeKey(stored),
+        apiKey
+      };
+    } catch (error) {
+      LoggerService.error('Error creating API key', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca una API key del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación
+   */
+  static async revokeKey(req) {
+    try {
+      const user = req.user;
+      const { id } = req.params;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      await ApiKeyService.revokeKey(user.id, id);
+
+      LoggerService.security('api_key_revoked', { apiKeyId: id, ip: req.ip }, user.id);
+
+      return {
+        apiKeyId: id,
+        revoked: true
+      };
+    } catch (error) {
+      LoggerService.error('Error revoking API key', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKeyController;
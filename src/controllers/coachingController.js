@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Controlador de relaciones entrenador–cliente
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('../services/databaseService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { MailService } = require('../services/mailService');
+const { CoachingService, COACH_SCOPES } = require('../services/coachingService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['users'], 'CoachingController');
+
+class CoachingController {
+  /**
+   * Lista los clientes y entrenadores del usuario actual, incluidas las invitaciones pendientes
+   * @param {Object} req - Objeto request
+   * @returns {Object} Relaciones y scopes disponibles
+   */
+  static async listRelationships(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const { clients, coaches } = await CoachingService.listRelationships(user.id);
+      const counterpartIds = [
+        ...clients.map(relationship => relationship.clientId),
+        ...coaches.map(relationship => relationship.coachId)
+      ];
+      const counterparts = await DatabaseService.findByIds('users', [...new Set(counterpartIds)]);
+      const usersById = new Map(counterparts.map(counterpart => [counterpart.id, counterpart]));
+
+      return {
+        clients: clients.map(relationship =>
+          CoachingService.serializeRelationship(relationship, usersById.get(relationship.clientId))),
+        coaches: coaches.map(relationship =>
+          CoachingService.serializeRelationship(relationship, usersById.get(relationship.coachId))),
+        availableScopes: COACH_SCOPES
+      };
+    } catch (error) {
+      LoggerService.error('Error listing coaching relationships', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invita a un cliente por email (solo entrenadores)
+   * @param {Object} req - Objeto request
+   * @returns {Object} Invitación creada
+   */
+  static async invite(req) {
+    try {
+      const user = req.user;
+      const { email, scopes } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      if (!email || typeof email !== 'string') {
+        throw ErrorHandler.validationError('Email del cliente requerido');
+      }
+
+      const [client] = await DatabaseService.find('users', { email: email.toLowerCase().trim() });
+      if (!client || client.status === 'pending_deletion') {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      const relationship = await CoachingService.invite(user, client, scopes);
+
+      await MailService.sendCoachInvitation(client, user, relationship.requestedScopes);
+
+      LoggerService.audit('coach_invited', {
+        relationshipId: relationship.id,
+        clientId: client.id,
+        scopes: relationship.requestedScopes
+      }, user.id);
+
+      return CoachingService.serializeRelationship(relationship, client);
+    } catch (error) {
+      LoggerService.error('Error inviting client', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acepta una invitación, opcionalmente concediendo solo parte de los scopes solicitados
+   * @param {Object} req - Objeto request
+   * @returns {Object} Relación activa
+   */
+  static async acceptInvitation(req) {
+    try {
+      const user = req.user;
+      const { scopes } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const relationship = await CoachingService.accept(user.id, req.params.id, scopes);
+
+      LoggerService.audit('coach_invitation_accepted', {
+        relationshipId: relationship.id,
+        coachId: relationship.coachId,
+        scopes: relationship.scopes
+      }, user.id);
+
+      return CoachingService.serializeRelationship(relationship);
+    } catch (error) {
+      LoggerService.error('Error accepting coach invitation', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechaza una invitación
+   * @param {Object} req - Objeto request
+   * @returns {Object} Relación rechazada
+   */
+  static async declineInvitation(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const relationship = await CoachingService.decline(user.id, req.params.id);
+
+      LoggerService.audit('coach_invitation_declined', {
+        relationshipId: relationship.id,
+        coachId: relationship.coachId
+      }, user.id);
+
+      return CoachingService.serializeRelationship(relationship);
+    } catch (error) {
+      LoggerService.error('Error declining coach invitation', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambia los scopes concedidos a un entrenador (solo el cliente)
+   * @param {Object} req - Objeto request
+   * @returns {Object} Relación actualizada
+   */
+  static async updateScopes(req) {
+    try {
+      const user = req.user;
+      const { scopes } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const relationship = await CoachingService.updateScopes(user.id, req.params.id, scopes);
+
+      LoggerService.audit('coach_scopes_updated', {
+        relationshipId: relationship.id,
+        coachId: relationship.coachId,
+        scopes: relationship.scopes
+      }, user.id);
+
+      return CoachingService.serializeRelationship(relationship);
+    } catch (error) {
+      LoggerService.error('Error updating coach scopes', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca una relación o invitación (entrenador o cliente)
+   * @param {Object} req - Objeto request
+   * @returns {Object} Relación revocada
+   */
+  static async revokeRelationship(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const relationship = await CoachingService.revoke(user.id, req.params.id);
+
+      LoggerService.audit('coach_relationship_revoked', {
+        relationshipId: relationship.id,
+        coachId: relationship.coachId,
+        clientId: relationship.clientId
+      }, user.id);
+
+      return CoachingService.serializeRelationship(relationship);
+    } catch (error) {
+      LoggerService.error('Error revoking coaching relationship', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el perfil de entrenamiento de un cliente: objetivo, nivel, equipamiento y medidas.
+   * El acceso lo comprueba la ruta (AuthMiddleware.requireOwnership con el scope `progress:read`).
+   * @param {Object} req - Objeto request
+   * @returns {Object} Perfil del cliente
+   */
+  static async getClient(req) {
+    try {
+      const client = await DatabaseService.findById('users', req.params.userId);
+
+      if (!client) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      return {
+        id: client.id,
+        name: client.name,
+        goal: client.goal,
+        experienceLevel: client.experienceLevel,
+        equipment: client.equipment,
+        age: client.age,
+        weight: client.weight,
+        height: client.height,
+        measurements: client.measurements
+      };
+    } catch (error) {
+      LoggerService.error('Error getting coaching client', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CoachingController;
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Controlador de exportación de datos personales
+ * @author Marcela
+ */
+
+const { ErrorHandler } = require('../core/errorHandler');
+const { ValidationMiddleware } = require('../middleware/validation');
+const { LoggerService } = require('../services/loggerService');
+const { DataExportService } = require('../services/dataExportService');
+const { AuthMiddleware } = require('../middleware/auth');
+
+const DOWNLOAD_TOKEN_PURPOSE = 'data_export_download';
+const DOWNLOAD_TOKEN_EXPIRES_IN = '15m';
+
+class DataExportController {
+  /**
+   * Solicita una exportación de los datos del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Estado de la exportación (y enlace de descarga si ya está lista)
+   */
+  static async requestExport(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const dataExport = await DataExportService.requestExport(user.id);
+
+      LoggerService.security('data_export_requested', { exportId: dataExport.id, ip: req.ip }, user.id);
+
+      return DataExportController.buildExportResponse(dataExport);
+    } catch (error) {
+      LoggerService.error('Error requesting data export', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista las exportaciones del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Exportaciones
+   */
+  static async listExports(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const { limit, after } = ValidationMiddleware.validateQueryParams(req.query);
+      const { documents, pagination } = await DataExportService.listExports(user.id, { limit, after });
+
+      return {
+        exports: documents.map(dataExport => DataExportService.serializeExport(dataExport)),
+        pagination
+      };
+    } catch (error) {
+      LoggerService.error('Error listing data exports', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el estado de una exportación. Si está lista incluye un enlace de descarga nuevo.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Estado de la exportación
+   */
+  static async getExport(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const dataExport = await DataExportService.getExport(user.id, req.params.id);
+
+      return DataExportController.buildExportResponse(dataExport);
+    } catch (error) {
+      LoggerService.error('Error getting data export', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Descarga el ZIP de una exportación con el token del enlace (sin cabecera de autorización)
+   * @param {Object} req - Objeto request
+   * @param {Object} res - Objeto response
+   * @param {Function} next - Función next
+   */
+  static async download(req, res, next) {
+    try {
+      const { token } = req.query;
+
+      if (!token || typeof token !== 'string') {
+        throw ErrorHandler.authenticationError('Token de descarga requerido');
+      }
+
+      const { userId, exportId } = AuthMiddleware.verifyPurposeToken(token, DOWNLOAD_TOKEN_PURPOSE);
+      const content = await DataExportService.readExportFile(userId, exportId);
+
+      LoggerService.security('data_export_downloaded', { exportId, ip: req.ip }, userId);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="somos-export-${exportId}.zip"`,
+        'Content-Length': content.length,
+        'Cache-Control': 'no-store'
+      });
+      res.send(content);
+    } catch (error) {
+      LoggerService.error('Error downloading data export', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Construye la respuesta de una exportación con su enlace de descarga cuando está lista
+   * @param {Object} dataExport - Exportación
+   * @returns {Object} Exportación serializada
+   */
+  static buildExportResponse(dataExport) {
+    const response = { export: DataExportService.serializeExport(dataExport) };
+
+    if (DataExportService.isDownloadable(dataExport)) {
+      const token = AuthMiddleware.generateToken(
+        dataExport.userId,
+        { purpose: DOWNLOAD_TOKEN_PURPOSE, exportId: dataExport.id },
+        { expiresIn: DOWNLOAD_TOKEN_EXPIRES_IN }
+      );
+
+      response.downloadUrl = `/api/exports/download?token=${encodeURIComponent(token)}`;
+      response.downloadUrlExpiresIn = DOWNLOAD_TOKEN_EXPIRES_IN;
+    }
+
+    return response;
+  }
+}
+
+module.exports = DataExportController;
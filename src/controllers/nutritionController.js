@@ -7,10 +7,16 @@ const { DatabaseService } = require('../services/databaseService');
 const { ValidationMiddleware } = require('../middleware/validation');
 const { ErrorHandler } = require('../core/errorHandler');
 const { LoggerService } = require('../services/loggerService');
+const { AccessService } = require('../services/accessService');
+const { TrashService } = require('../services/trashService');
+const { BatchWriteService } = require('../services/batchWriteService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['Nutrition', 'Users', 'mealItems', 'nutrition'], 'NutritionController');
 
 class NutritionController {
   /**
-   * Obtiene los objetivos nutricionales del usuario
+   * Obtiene los objetivos nutricionales del usuario, o de un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Object} Objetivos nutricionales
@@ -23,16 +29,18 @@ class NutritionController {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
+      const ownerId = await AccessService.resolveOwnerId(req, 'nutrition:read');
+
       // Obtener datos del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('Users', ownerId);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
 
       // Calcular objetivos nutricionales basados en el objetivo del usuario
-      const goals = this.calculateNutritionGoals(userData);
+      const goals = NutritionController.calculateNutritionGoals(userData);
 
-      LoggerService.info('Nutrition goals retrieved', { userId: user.id });
+      LoggerService.info('Nutrition goals retrieved', { userId: ownerId });
 
       return {
         user: {
@@ -51,10 +59,10 @@ class NutritionController {
   }
 
   /**
-   * Registra datos nutricionales
+   * Registra datos nutricionales, con los alimentos de la comida en `items` si se envían
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
-   * @returns {Object} Registro nutricional creado
+   * @returns {Object} Registro nutricional creado con sus alimentos
    */
   static async logNutrition(req, res) {
     try {
@@ -67,19 +75,26 @@ class NutritionController {
 
       // Validar datos nutricionales
       const validatedData = ValidationMiddleware.validateNutritionLog(nutritionData);
+      const items = nutritionData.items === undefined ? [] : ValidationMiddleware.validateMealItems(nutritionData.items);
 
       // Crear registro nutricional
-      const newNutritionLog = DatabaseService.insert('Nutrition', {
+      const newNutritionLog = await DatabaseService.insert('Nutrition', {
         ...validatedData,
-        userId: user.id
+        userId: user.id,
+        timestamp: new Date().toISOString()
       });
 
+      const mealItems = items.length > 0
+        ? await DatabaseService.insertMany('mealItems', items.map(item => ({ ...item, mealId: newNutritionLog.id, userId: user.id })))
+        : [];
+
       LoggerService.info('Nutrition logged', { 
         userId: user.id,
-        calories: validatedData.calories 
+        calories: validatedData.calories,
+        items: mealItems.length
       });
 
-      return newNutritionLog;
+      return { ...newNutritionLog, items: mealItems };
     } catch (error) {
       LoggerService.error('Error logging nutrition', error);
       throw error;
@@ -87,7 +102,37 @@ class NutritionController {
   }
 
   /**
-   * Obtiene el historial nutricional
+   * Registra varias comidas en una sola petición (`{ items: [...] }`). Los registros
+   * inválidos se informan sin impedir que se guarden los demás.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Resultado por registro y resumen
+   */
+  static async logNutritionBatch(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const items = BatchWriteService.getItems(req.body);
+
+      const result = await BatchWriteService.insertItems('Nutrition', items, {
+        validate: ValidationMiddleware.validateNutritionLog,
+        build: validatedData => ({ ...validatedData, userId: user.id })
+      });
+
+      LoggerService.info('Nutrition batch logged', { userId: user.id, ...result.summary });
+
+      return result;
+    } catch (error) {
+      LoggerService.error('Error logging nutrition batch', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el historial nutricional del usuario, o de un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Object} Historial nutricional
@@ -95,49 +140,45 @@ class NutritionController {
   static async getNutritionHistory(req, res) {
     try {
       const user = req.user;
-      const { limit, offset, startDate, endDate } = req.params;
+      const { limit = 50, after, startDate, endDate } = ValidationMiddleware.validateQueryParams(req.query);
 
       if (!user) {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
-      let nutritionLogs = DatabaseService.find('Nutrition', { userId: user.id });
+      const ownerId = await AccessService.resolveOwnerId(req, 'nutrition:read');
 
-      // Filtrar por fechas si se especifican
-      if (startDate || endDate) {
-        nutritionLogs = nutritionLogs.filter(log => {
-          const logDate = new Date(log.timestamp);
-          const start = startDate ? new Date(startDate) : new Date(0);
-          const end = endDate ? new Date(endDate) : new Date();
-          return logDate >= start && logDate <= end;
-        });
+      // Filtrar por fechas en la consulta (índice userId + timestamp)
+      const conditions = [];
+      if (startDate) {
+        conditions.push({ field: 'timestamp', operator: '>=', value: startDate });
+      }
+      if (endDate) {
+        conditions.push({ field: 'timestamp', operator: '<=', value: endDate });
       }
 
-      // Ordenar por fecha (más reciente primero)
-      nutritionLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-      // Aplicar paginación
-      const start = offset ? parseInt(offset) : 0;
-      const limitNum = limit ? parseInt(limit) : 50;
-      const paginatedLogs = nutritionLogs.slice(start, start + limitNum);
+      const { documents: nutritionLogs, pagination } = await DatabaseService.findPage('nutrition', {
+        filters: { userId: ownerId },
+        conditions,
+        orderBy: 'timestamp',
+        orderDirection: 'desc',
+        limit,
+        after
+      });
 
-      // Calcular estadísticas
-      const stats = this.calculateNutritionStats(nutritionLogs);
+      // Estadísticas de los registros de esta página
+      const stats = NutritionController.calculateNutritionStats(nutritionLogs);
+      const logsWithItems = await NutritionController.withItems(nutritionLogs);
 
-      LoggerService.info('Nutrition history retrieved', { 
-        userId: user.id, 
-        count: paginatedLogs.length 
+      LoggerService.info('Nutrition history retrieved', {
+        userId: ownerId,
+        count: nutritionLogs.length
       });
 
       return {
-        logs: paginatedLogs,
+        logs: logsWithItems,
         stats: stats,
-        pagination: {
-          total: nutritionLogs.length,
-          limit: limitNum,
-          offset: start,
-          hasMore: start + limitNum < nutritionLogs.length
-        }
+        pagination
       };
     } catch (error) {
       LoggerService.error('Error getting nutrition history', error);
@@ -145,6 +186,123 @@ class NutritionController {
     }
   }
 
+  /**
+   * Envía un registro nutricional a la papelera
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación de eliminación con la fecha de borrado definitivo
+   */
+  static async deleteNutritionLog(req) {
+    try {
+      const user = req.user;
+      const { id } = req.params;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const existingLog = await DatabaseService.findById('nutrition', id);
+      if (!existingLog) {
+        throw ErrorHandler.notFoundError('Registro nutricional no encontrado');
+      }
+
+      await AccessService.assertCanAccess(
+        user,
+        existingLog.userId,
+        'nutrition:write',
+        { action: 'delete', resource: 'nutrition', resourceId: id },
+        'No tienes permisos para eliminar este registro'
+      );
+
+      const { purgeAt } = await TrashService.moveToTrash('nutrition', id);
+
+      LoggerService.info('Nutrition log deleted', { userId: user.id, logId: id });
+
+      return {
+        message: 'Registro nutricional eliminado correctamente',
+        logId: id,
+        purgeAt
+      };
+    } catch (error) {
+      LoggerService.error('Error deleting nutrition log', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista los registros nutricionales en la papelera del usuario, o de un cliente con `?clientId=`
+   * @param {Object} req - Objeto request
+   * @returns {Object} Registros eliminados y paginación
+   */
+  static async getTrash(req) {
+    try {
+      const user = req.user;
+      const { limit, after } = ValidationMiddleware.validateQueryParams(req.query);
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const ownerId = await AccessService.resolveOwnerId(req, 'nutrition:read');
+      const { documents, pagination } = await TrashService.listTrash('nutrition', ownerId, { limit, after });
+
+      return {
+        logs: documents,
+        pagination
+      };
+    } catch (error) {
+      LoggerService.error('Error getting nutrition trash', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaura un registro nutricional de la papelera
+   * @param {Object} req - Objeto request
+   * @returns {Object} Registro restaurado
+   */
+  static async restoreNutritionLog(req) {
+    try {
+      const user = req.user;
+      const { id } = req.params;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const trashedLog = await TrashService.getTrashed('nutrition', id, 'Registro nutricional no encontrado en la papelera');
+
+      await AccessService.assertCanAccess(
+        user,
+        trashedLog.userId,
+        'nutrition:write',
+        { action: 'restore', resource: 'nutrition', resourceId: id },
+        'No tienes permisos para restaurar este registro'
+      );
+
+      const restoredLog = await TrashService.restore('nutrition', id);
+
+      LoggerService.info('Nutrition log restored', { userId: user.id, logId: id });
+
+      const [logWithItems] = await NutritionController.withItems([restoredLog]);
+      return logWithItems;
+    } catch (error) {
+      LoggerService.error('Error restoring nutrition log', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Agrega a cada registro nutricional los alimentos de la comida que no están en la papelera
+   * @param {Array<Object>} logs - Registros nutricionales
+   * @returns {Promise<Array<Object>>} Registros con `items`
+   */
+  static async withItems(logs) {
+    return Promise.all(logs.map(async log => ({
+      ...log,
+      items: await DatabaseService.find('mealItems', { mealId: log.id })
+    })));
+  }
+
   /**
    * Calcula objetivos nutricionales basados en el usuario
    * @param {Object} userData - Datos del usuario
@@ -222,7 +380,7 @@ class NutritionController {
 
     // Ajustar según peso y altura si están disponibles
     if (userData.weight && userData.height) {
-      const bmr = this.calculateBMR(userData.weight, userData.height, userData.age);
+      const bmr = NutritionController.calculateBMR(userData.weight, userData.height, userData.age);
       const tdee = bmr * 1.55; // Factor de actividad moderada
       
       // Ajustar calorías según el objetivo
@@ -353,19 +511,19 @@ class NutritionController {
       }
 
       // Obtener datos del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('Users', user.id);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
 
       // Obtener historial nutricional reciente
-      const nutritionLogs = DatabaseService.find('Nutrition', { userId: user.id });
+      const nutritionLogs = await DatabaseService.find('Nutrition', { userId: user.id });
       const recentLogs = nutritionLogs
         .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
         .slice(0, 7); // Últimos 7 días
 
       // Calcular recomendaciones
-      const recommendations = this.generateNutritionRecommendations(userData, recentLogs, currentWeight, targetWeight);
+      const recommendations = NutritionController.generateNutritionRecommendations(userData, recentLogs, currentWeight, targetWeight);
 
       LoggerService.info('Nutrition recommendations generated', { userId: user.id });
 
@@ -377,7 +535,7 @@ class NutritionController {
           targetWeight: targetWeight
         },
         recommendations: recommendations,
-        recentStats: this.calculateNutritionStats(recentLogs)
+        recentStats: NutritionController.calculateNutritionStats(recentLogs)
       };
     } catch (error) {
       LoggerService.error('Error getting nutrition recommendations', error);
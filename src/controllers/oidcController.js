@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Controlador de inicio de sesión con OpenID Connect (Google u otro proveedor)
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('../services/databaseService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { OidcService } = require('../services/oidcService');
+const UserController = require('./userController');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['userIdentities', 'users'], 'OidcController');
+
+class OidcController {
+  /**
+   * Inicia sesión con un ID token del proveedor OIDC.
+   * Vincula la identidad a la cuenta con el mismo email verificado o crea una cuenta nueva.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Tokens y usuario, o el reto de 2FA
+   */
+  static async login(req) {
+    try {
+      const { idToken, nonce } = req.body;
+
+      if (!OidcService.isEnabled()) {
+        throw ErrorHandler.notFoundError('Inicio de sesión con OIDC no configurado');
+      }
+
+      const claims = await OidcService.verifyIdToken(idToken, nonce);
+      const provider = OidcService.getProvider();
+
+      const identities = await DatabaseService.find('userIdentities', { provider, subject: claims.sub });
+      let user = identities[0] ? await DatabaseService.findById('users', identities[0].userId) : null;
+      let isNewUser = false;
+
+      if (!user) {
+        // Solo se vincula por email si el proveedor afirma haberlo verificado
+        if (!claims.email || claims.email_verified !== true) {
+          throw ErrorHandler.validationError('El proveedor no entregó un email verificado');
+        }
+
+        const email = claims.email.toLowerCase().trim();
+        const users = await DatabaseService.find('users', { email });
+        user = users[0];
+
+        if (!user) {
+          user = await DatabaseService.insert('users', {
+            name: OidcController.buildDisplayName(claims, email),
+            email,
+            goal: null,
+            experienceLevel: null,
+            equipment: [],
+            onboardingCompleted: false,
+            emailVerified: true,
+            createdAt: new Date().toISOString()
+          });
+          isNewUser = true;
+
+          LoggerService.info('User registered with OIDC', { userId: user.id, provider });
+        } else if (!user.emailVerified) {
+          user = await DatabaseService.update('users', user.id, { emailVerified: true });
+        }
+
+        await DatabaseService.insert('userIdentities', {
+          userId: user.id,
+          provider,
+          subject: claims.sub,
+          email,
+          createdAt: new Date().toISOString()
+        });
+
+        LoggerService.security('oidc_identity_linked', { provider, ip: req.ip }, user.id);
+      }
+
+      const result = await UserController.completeLogin(user, req, 'oidc');
+
+      return {
+        ...result,
+        isNewUser
+      };
+    } catch (error) {
+      LoggerService.error('Error logging in with OIDC', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el nombre visible de una cuenta nueva a partir de los claims
+   * @param {Object} claims - Claims del ID token
+   * @param {string} email - Email de la cuenta
+   * @returns {string} Nombre
+   */
+  static buildDisplayName(claims, email) {
+    const name = typeof claims.name === 'string' ? claims.name.trim() : '';
+    return name.length >= 2 ? name.substring(0, 100) : email.split('@')[0];
+  }
+}
+
+module.exports = OidcController;
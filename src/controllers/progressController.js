@@ -7,10 +7,15 @@ const { DatabaseService } = require('../services/databaseService');
 const { ValidationMiddleware } = require('../middleware/validation');
 const { ErrorHandler } = require('../core/errorHandler');
 const { LoggerService } = require('../services/loggerService');
+const { AccessService } = require('../services/accessService');
+const { BatchWriteService } = require('../services/batchWriteService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['DailyLog', 'progress'], 'ProgressController');
 
 class ProgressController {
   /**
-   * Obtiene el progreso del usuario
+   * Obtiene el progreso del usuario, o de un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Object} Progreso del usuario
@@ -24,59 +29,40 @@ class ProgressController {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
+      const ownerId = await AccessService.resolveOwnerId(req, 'progress:read');
+
       // Obtener datos de progreso
-      const weightLogs = DatabaseService.find('DailyLog', { userId: user.id });
-      const workoutLogs = DatabaseService.find('Workouts', { userId: user.id });
-      const nutritionLogs = DatabaseService.find('Nutrition', { userId: user.id });
-
-      // Filtrar por rango de tiempo si se especifica
-      let filteredWeightLogs = weightLogs;
-      let filteredWorkoutLogs = workoutLogs;
-      let filteredNutritionLogs = nutritionLogs;
-
-      if (timeRange) {
-        const now = new Date();
-        let startDate;
-
-        switch (timeRange) {
-          case '7_days':
-            startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-            break;
-          case '30_days':
-            startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-            break;
-          case '90_days':
-            startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-            break;
-          default:
-            startDate = new Date(0);
-        }
+      const { weightLogs, measurementLogs, workoutLogs, nutritionLogs } = await ProgressController.loadProgressData(req, ownerId, timeRange);
 
-        filteredWeightLogs = weightLogs.filter(log => new Date(log.timestamp) >= startDate);
-        filteredWorkoutLogs = workoutLogs.filter(log => new Date(log.timestamp) >= startDate);
-        filteredNutritionLogs = nutritionLogs.filter(log => new Date(log.timestamp) >= startDate);
-      }
+      // Calcular estadísticas
+      const stats = ProgressController.calculateProgressStats(weightLogs, workoutLogs || [], nutritionLogs || []);
 
-      // Ordenar por fecha
-      filteredWeightLogs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      filteredWorkoutLogs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      filteredNutritionLogs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      const progress = {
+        weightHistory: weightLogs,
+        measurementsHistory: measurementLogs,
+        stats: stats,
+        timeRange: timeRange || 'all'
+      };
 
-      // Calcular estadísticas
-      const stats = this.calculateProgressStats(filteredWeightLogs, filteredWorkoutLogs, filteredNutritionLogs);
+      // Las secciones de entrenamientos y nutrición solo se incluyen con sus scopes de lectura
+      if (workoutLogs) {
+        progress.workoutHistory = workoutLogs;
+      } else {
+        delete stats.workouts;
+      }
+
+      if (nutritionLogs) {
+        progress.nutritionHistory = nutritionLogs;
+      } else {
+        delete stats.nutrition;
+      }
 
       LoggerService.info('Progress retrieved', { 
-        userId: user.id,
+        userId: ownerId,
         timeRange: timeRange 
       });
 
-      return {
-        weightHistory: filteredWeightLogs,
-        workoutHistory: filteredWorkoutLogs,
-        nutritionHistory: filteredNutritionLogs,
-        stats: stats,
-        timeRange: timeRange || 'all'
-      };
+      return progress;
     } catch (error) {
       LoggerService.error('Error getting progress', error);
       throw error;
@@ -102,9 +88,10 @@ class ProgressController {
       const validatedData = ValidationMiddleware.validateWeightLog(weightData);
 
       // Crear registro de peso
-      const newWeightLog = DatabaseService.insert('DailyLog', {
+      const newWeightLog = await DatabaseService.insert('DailyLog', {
         ...validatedData,
-        userId: user.id
+        userId: user.id,
+        timestamp: new Date().toISOString()
       });
 
       LoggerService.info('Weight logged', { 
@@ -119,6 +106,36 @@ class ProgressController {
     }
   }
 
+  /**
+   * Registra varios pesos en una sola petición (`{ items: [...] }`). Los registros
+   * inválidos se informan sin impedir que se guarden los demás.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Resultado por registro y resumen
+   */
+  static async logWeightBatch(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const items = BatchWriteService.getItems(req.body);
+
+      const result = await BatchWriteService.insertItems('DailyLog', items, {
+        validate: ValidationMiddleware.validateWeightLog,
+        build: validatedData => ({ ...validatedData, userId: user.id })
+      });
+
+      LoggerService.info('Weight batch logged', { userId: user.id, ...result.summary });
+
+      return result;
+    } catch (error) {
+      LoggerService.error('Error logging weight batch', error);
+      throw error;
+    }
+  }
+
   /**
    * Registra medidas corporales
    * @param {Object} req - Objeto request
@@ -137,11 +154,12 @@ class ProgressController {
       // Validar medidas corporales
       const validatedData = ValidationMiddleware.validateOnboardingData(measurementsData);
 
-      // Crear registro de medidas
-      const newMeasurementsLog = DatabaseService.insert('DailyLog', {
+      // Crear registro de medidas (las medidas se guardan en progreso, no en el registro diario)
+      const newMeasurementsLog = await DatabaseService.insert('progress', {
         measurements: validatedData.measurements,
         userId: user.id,
-        notes: measurementsData.notes || ''
+        notes: measurementsData.notes || '',
+        timestamp: new Date().toISOString()
       });
 
       LoggerService.info('Measurements logged', { 
@@ -156,7 +174,7 @@ class ProgressController {
   }
 
   /**
-   * Obtiene análisis de progreso
+   * Obtiene análisis de progreso del usuario, o de un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Object} Análisis de progreso
@@ -170,55 +188,39 @@ class ProgressController {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
+      const ownerId = await AccessService.resolveOwnerId(req, 'progress:read');
+
       // Obtener datos de progreso
-      const weightLogs = DatabaseService.find('DailyLog', { userId: user.id });
-      const workoutLogs = DatabaseService.find('Workouts', { userId: user.id });
-      const nutritionLogs = DatabaseService.find('Nutrition', { userId: user.id });
-
-      // Filtrar por rango de tiempo
-      let filteredWeightLogs = weightLogs;
-      let filteredWorkoutLogs = workoutLogs;
-      let filteredNutritionLogs = nutritionLogs;
-
-      if (timeRange) {
-        const now = new Date();
-        let startDate;
-
-        switch (timeRange) {
-          case '7_days':
-            startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-            break;
-          case '30_days':
-            startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-            break;
-          case '90_days':
-            startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-            break;
-          default:
-            startDate = new Date(0);
-        }
+      const { weightLogs, measurementLogs, workoutLogs, nutritionLogs } = await ProgressController.loadProgressData(req, ownerId, timeRange);
+
+      // Calcular análisis detallado
+      const analytics = ProgressController.calculateDetailedAnalytics(weightLogs, workoutLogs || [], nutritionLogs || []);
+      analytics.trends.measurements = ProgressController.calculateMeasurementsTrend(measurementLogs);
 
-        filteredWeightLogs = weightLogs.filter(log => new Date(log.timestamp) >= startDate);
-        filteredWorkoutLogs = workoutLogs.filter(log => new Date(log.timestamp) >= startDate);
-        filteredNutritionLogs = nutritionLogs.filter(log => new Date(log.timestamp) >= startDate);
+      const dataPoints = { weight: weightLogs.length, measurements: measurementLogs.length };
+
+      // Las secciones de entrenamientos y nutrición solo se incluyen con sus scopes de lectura
+      if (workoutLogs) {
+        dataPoints.workouts = workoutLogs.length;
+      } else {
+        delete analytics.trends.workouts;
       }
 
-      // Calcular análisis detallado
-      const analytics = this.calculateDetailedAnalytics(filteredWeightLogs, filteredWorkoutLogs, filteredNutritionLogs);
+      if (nutritionLogs) {
+        dataPoints.nutrition = nutritionLogs.length;
+      } else {
+        delete analytics.trends.nutrition;
+      }
 
       LoggerService.info('Analytics retrieved', { 
-        userId: user.id,
+        userId: ownerId,
         timeRange: timeRange 
       });
 
       return {
         analytics: analytics,
         timeRange: timeRange || 'all',
-        dataPoints: {
-          weight: filteredWeightLogs.length,
-          workouts: filteredWorkoutLogs.length,
-          nutrition: filteredNutritionLogs.length
-        }
+        dataPoints: dataPoints
       };
     } catch (error) {
       LoggerService.error('Error getting analytics', error);
@@ -226,6 +228,58 @@ class ProgressController {
     }
   }
 
+  /**
+   * Carga los registros de progreso del dueño, ordenados por fecha y filtrados por rango.
+   * El peso está en el registro diario y las medidas corporales en `progress`. Los entrenamientos y la nutrición son null si la petición no tiene sus scopes de lectura.
+   * @param {Object} req - Objeto request
+   * @param {string} ownerId - ID del dueño de los datos
+   * @param {string} timeRange - Rango de tiempo ('7_days', '30_days', '90_days')
+   * @returns {Promise<Object>} Registros de peso, medidas, entrenamientos y nutrición
+   */
+  static async loadProgressData(req, ownerId, timeRange) {
+    const includeWorkouts = await AccessService.canAccessScope(req, ownerId, 'workouts:read');
+    const includeNutrition = await AccessService.canAccessScope(req, ownerId, 'nutrition:read');
+    const startDate = ProgressController.getRangeStartDate(timeRange);
+
+    const loadLogs = async (collectionName) => {
+      const logs = await DatabaseService.find(collectionName, { userId: ownerId });
+      const filteredLogs = startDate ? logs.filter(log => new Date(log.timestamp) >= startDate) : logs;
+
+      return filteredLogs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    };
+
+    return {
+      weightLogs: await loadLogs('DailyLog'),
+      measurementLogs: await loadLogs('progress'),
+      workoutLogs: includeWorkouts ? await loadLogs('Workouts') : null,
+      nutritionLogs: includeNutrition ? await loadLogs('Nutrition') : null
+    };
+  }
+
+  /**
+   * Calcula la fecha de inicio de un rango de tiempo
+   * @param {string} timeRange - Rango de tiempo
+   * @returns {Date|null} Fecha de inicio, o null si no hay rango
+   */
+  static getRangeStartDate(timeRange) {
+    if (!timeRange) {
+      return null;
+    }
+
+    const now = new Date();
+
+    switch (timeRange) {
+    case '7_days':
+      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    case '30_days':
+      return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    case '90_days':
+      return new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+    default:
+      return new Date(0);
+    }
+  }
+
   /**
    * Calcula estadísticas de progreso
    * @param {Array} weightLogs - Registros de peso
@@ -328,9 +382,9 @@ class ProgressController {
   static calculateDetailedAnalytics(weightLogs, workoutLogs, nutritionLogs) {
     const analytics = {
       trends: {
-        weight: this.calculateWeightTrend(weightLogs),
-        workouts: this.calculateWorkoutTrend(workoutLogs),
-        nutrition: this.calculateNutritionTrend(nutritionLogs)
+        weight: ProgressController.calculateWeightTrend(weightLogs),
+        workouts: ProgressController.calculateWorkoutTrend(workoutLogs),
+        nutrition: ProgressController.calculateNutritionTrend(nutritionLogs)
       },
       insights: [],
       recommendations: []
@@ -430,6 +484,32 @@ class ProgressController {
     };
   }
 
+  /**
+   * Calcula la variación de cada medida corporal entre el primer y el último registro
+   * @param {Array} measurementLogs - Registros de medidas ordenados por fecha
+   * @returns {Object} Variación por medida
+   */
+  static calculateMeasurementsTrend(measurementLogs) {
+    if (measurementLogs.length < 2) {
+      return { trend: 'insufficient_data', changes: {} };
+    }
+
+    const first = measurementLogs[0].measurements || {};
+    const last = measurementLogs[measurementLogs.length - 1].measurements || {};
+    const changes = {};
+
+    Object.keys(last).forEach(name => {
+      if (typeof first[name] === 'number' && typeof last[name] === 'number') {
+        changes[name] = last[name] - first[name];
+      }
+    });
+
+    return {
+      trend: Object.keys(changes).length > 0 ? 'tracked' : 'insufficient_data',
+      changes
+    };
+  }
+
   /**
    * Calcula tendencia de entrenamientos
    * @param {Array} workoutLogs - Registros de entrenamientos
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Controlador del historial de cambios de entrenamientos, nutrición y progreso
+ * @author Marcela
+ */
+
+const { ErrorHandler } = require('../core/errorHandler');
+const { ValidationMiddleware } = require('../middleware/validation');
+const { LoggerService } = require('../services/loggerService');
+const { DatabaseService } = require('../services/databaseService');
+const { AccessService } = require('../services/accessService');
+const { RevisionService } = require('../services/revisionService');
+
+class RevisionController {
+  /**
+   * Lista las revisiones de un registro
+   * @param {Object} req - Objeto request
+   * @returns {Object} Revisiones
+   */
+  static async listRevisions(req) {
+    try {
+      const { resource, id } = req.params;
+      const { collection, document } = await RevisionController.loadDocument(req, resource, id, 'read');
+      const { limit, after } = ValidationMiddleware.validateQueryParams(req.query);
+      const { documents, pagination } = await RevisionService.listRevisions(collection, document.id, { limit, after });
+
+      return {
+        revisions: documents.map(revision => RevisionService.serializeRevision(revision)),
+        pagination
+      };
+    } catch (error) {
+      LoggerService.error('Error listing revisions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Vuelve un registro al estado anterior al cambio de una revisión
+   * @param {Object} req - Objeto request
+   * @returns {Object} Registro revertido
+   */
+  static async revertRevision(req) {
+    try {
+      const { resource, id, revisionId } = req.params;
+      const { collection, document } = await RevisionController.loadDocument(req, resource, id, 'write');
+
+      const reverted = await RevisionService.revert(collection, document, revisionId);
+
+      LoggerService.audit('revision_reverted', { resource, resourceId: id, revisionId }, req.user.id);
+
+      return reverted;
+    } catch (error) {
+      LoggerService.error('Error reverting revision', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el registro de un recurso con historial, comprobando los permisos del usuario
+   * y su acceso al dueño (propio o como entrenador)
+   * @param {Object} req - Objeto request
+   * @param {string} resource - Nombre del recurso en la URL
+   * @param {string} id - ID del registro
+   * @param {string} access - 'read' o 'write'
+   * @returns {Promise<Object>} `collection` y `document`
+   */
+  static async loadDocument(req, resource, id, access) {
+    const user = req.user;
+
+    if (!user) {
+      throw ErrorHandler.authenticationError('Usuario no autenticado');
+    }
+
+    const { collection, scope } = RevisionService.getResource(resource);
+    const permission = `${scope}:${access}`;
+
+    if (!(user.permissions || []).includes(permission)) {
+      throw ErrorHandler.authorizationError('Permisos insuficientes');
+    }
+
+    const document = await DatabaseService.findById(collection, id);
+
+    if (!document) {
+      throw ErrorHandler.notFoundError('Registro no encontrado');
+    }
+
+    await AccessService.assertCanAccess(
+      user,
+      document.userId,
+      permission,
+      { action: `revisions_${access}`, resource: collection, resourceId: id },
+      'No tienes permisos para ver o cambiar el historial de este registro'
+    );
+
+    return { collection, document };
+  }
+}
+
+module.exports = RevisionController;
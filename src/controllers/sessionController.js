@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Controlador de sesiones y dispositivos del usuario
+ * @author Marcela
+ */
+
+const { ErrorHandler } = require('../core/errorHandler');
+const { ValidationMiddleware } = require('../middleware/validation');
+const { LoggerService } = require('../services/loggerService');
+const { SessionService } = require('../services/sessionService');
+const { TokenService } = require('../services/tokenService');
+const { ImpersonationService } = require('../services/impersonationService');
+
+class SessionController {
+  /**
+   * Lista las sesiones activas del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Sesiones activas
+   */
+  static async listSessions(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const sessions = await SessionService.listActiveSessions(user.id);
+
+      return {
+        sessions: sessions.map(session => SessionService.serializeSession(session, user.sessionId))
+      };
+    } catch (error) {
+      LoggerService.error('Error listing sessions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca una sesión del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación
+   */
+  static async revokeSession(req) {
+    try {
+      const user = req.user;
+      const { id } = req.params;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      // Una sesión de otro usuario se trata igual que una inexistente
+      const session = await SessionService.getActiveSession(id);
+      if (!session || session.userId !== user.id) {
+        throw ErrorHandler.notFoundError('Sesión no encontrada');
+      }
+
+      await TokenService.revokeFamily(session.id, 'session_revoked');
+
+      LoggerService.security('session_revoked', {
+        sessionId: session.id,
+        currentSession: session.id === user.sessionId
+      }, user.id);
+
+      return {
+        sessionId: session.id,
+        revoked: true
+      };
+    } catch (error) {
+      LoggerService.error('Error revoking session', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca todas las sesiones del usuario excepto la actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Cantidad de sesiones revocadas
+   */
+  static async revokeOtherSessions(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const otherSessions = (await SessionService.listActiveSessions(user.id))
+        .filter(session => session.id !== user.sessionId);
+
+      await TokenService.revokeOtherSessions(user.id, user.sessionId, 'other_sessions_revoked');
+
+      LoggerService.security('other_sessions_revoked', {
+        sessionId: user.sessionId,
+        revokedSessions: otherSessions.length
+      }, user.id);
+
+      return {
+        revokedSessions: otherSessions.length
+      };
+    } catch (error) {
+      LoggerService.error('Error revoking other sessions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista los accesos del equipo de soporte a la cuenta del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Registro de accesos
+   */
+  static async listSupportAccess(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const { limit, after } = ValidationMiddleware.validateQueryParams(req.query);
+      const { documents, pagination } = await ImpersonationService.listForUser(user.id, { limit, after });
+
+      return {
+        accessLog: documents.map(impersonation => ImpersonationService.serializeForUser(impersonation)),
+        pagination
+      };
+    } catch (error) {
+      LoggerService.error('Error listing support access', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Controlador de sincronización de los clientes sin conexión
+ * @author Marcela
+ */
+
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { SyncService } = require('../services/syncService');
+
+class SyncController {
+  /**
+   * Aplica los cambios del cliente y devuelve lo que cambió desde su última sincronización
+   * @param {Object} req - Objeto request
+   * @returns {Object} Resultado de cada cambio, cambios del servidor y token siguiente
+   */
+  static async sync(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      return await SyncService.sync(user, req.body || {});
+    } catch (error) {
+      LoggerService.error('Error syncing', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncController;
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Controlador de autenticación en dos pasos (TOTP)
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('../services/databaseService');
+const { AuthMiddleware } = require('../middleware/auth');
+const { ErrorHandler } = require('../core/errorHandler');
+const { LoggerService } = require('../services/loggerService');
+const { TotpService } = require('../services/totpService');
+const { LoginThrottleService } = require('../services/loginThrottleService');
+const UserController = require('./userController');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['users'], 'TwoFactorController');
+
+class TwoFactorController {
+  /**
+   * Inicia la activación de 2FA generando un secreto pendiente de confirmar
+   * @param {Object} req - Objeto request
+   * @returns {Object} Secreto y URI otpauth para la app de autenticación
+   */
+  static async setup(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (userData.twoFactorEnabled) {
+        throw ErrorHandler.conflictError('La autenticación en dos pasos ya está activada');
+      }
+
+      const secret = TotpService.generateSecret();
+
+      await DatabaseService.update('users', user.id, {
+        twoFactorPendingSecret: secret
+      });
+
+      LoggerService.info('Two-factor setup started', { userId: user.id });
+
+      return {
+        secret,
+        otpauthUri: TotpService.buildOtpauthUri(secret, userData.email)
+      };
+    } catch (error) {
+      LoggerService.error('Error starting two-factor setup', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma la activación de 2FA con un código de la app y entrega los códigos de recuperación
+   * @param {Object} req - Objeto request
+   * @returns {Object} Códigos de recuperación (solo se muestran esta vez)
+   */
+  static async enable(req) {
+    try {
+      const user = req.user;
+      const { code } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (userData.twoFactorEnabled) {
+        throw ErrorHandler.conflictError('La autenticación en dos pasos ya está activada');
+      }
+
+      if (!userData.twoFactorPendingSecret) {
+        throw ErrorHandler.validationError('Primero debes iniciar la configuración de 2FA');
+      }
+
+      const counter = TotpService.verifyCode(code, userData.twoFactorPendingSecret);
+      if (counter === null) {
+        throw ErrorHandler.validationError('Código de verificación inválido');
+      }
+
+      const recoveryCodes = TotpService.generateRecoveryCodes();
+
+      await DatabaseService.update('users', user.id, {
+        twoFactorEnabled: true,
+        twoFactorSecret: userData.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorLastCounter: counter,
+        twoFactorRecoveryCodes: recoveryCodes.map(recoveryCode => TotpService.hashRecoveryCode(recoveryCode)),
+        twoFactorEnabledAt: new Date().toISOString()
+      });
+
+      LoggerService.security('two_factor_enabled', { ip: req.ip }, user.id);
+
+      return {
+        twoFactorEnabled: true,
+        recoveryCodes
+      };
+    } catch (error) {
+      LoggerService.error('Error enabling two-factor', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resuelve el reto de 2FA emitido en el login y entrega los tokens de sesión
+   * @param {Object} req - Objeto request
+   * @returns {Object} Tokens y usuario
+   */
+  static async verifyChallenge(req) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const challenge = UserController.verifyChallengeToken(challengeToken);
+
+      const userData = await DatabaseService.findById('users', challenge.userId);
+      if (!userData || !userData.twoFactorEnabled) {
+        throw ErrorHandler.authenticationError('Token inválido o expirado');
+      }
+
+      // Los fallos del segundo factor cuentan para el mismo bloqueo que los de contraseña
+      await LoginThrottleService.assertNotLocked(userData.email, req.ip);
+
+      const verified = await TwoFactorController.verifySecondFactor(userData, { code, recoveryCode });
+      if (!verified) {
+        LoggerService.security('two_factor_failed', { ip: req.ip }, userData.id);
+        await LoginThrottleService.recordFailure(userData.email, req.ip, userData.id);
+        throw ErrorHandler.authenticationError('Código de verificación inválido');
+      }
+
+      return await UserController.issueSession(userData, req, `${challenge.method || 'password'}+totp`);
+    } catch (error) {
+      LoggerService.error('Error verifying two-factor challenge', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Desactiva 2FA. Requiere la contraseña y un código (o un código de recuperación); sin
+   * contraseña, como en las cuentas que solo entran con OIDC, basta un código vigente de la app
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación
+   */
+  static async disable(req) {
+    try {
+      const user = req.user;
+      const { password, code, recoveryCode } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (!userData.twoFactorEnabled) {
+        throw ErrorHandler.conflictError('La autenticación en dos pasos no está activada');
+      }
+
+      if (password !== undefined || !code) {
+        await TwoFactorController.assertPassword(userData, password);
+      }
+
+      const verified = await TwoFactorController.verifySecondFactor(userData, { code, recoveryCode });
+      if (!verified) {
+        throw ErrorHandler.validationError('Código de verificación inválido');
+      }
+
+      await DatabaseService.update('users', user.id, {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastCounter: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorEnabledAt: null
+      });
+
+      LoggerService.security('two_factor_disabled', { ip: req.ip }, user.id);
+
+      return {
+        twoFactorEnabled: false
+      };
+    } catch (error) {
+      LoggerService.error('Error disabling two-factor', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Regenera los códigos de recuperación, invalidando los anteriores
+   * @param {Object} req - Objeto request
+   * @returns {Object} Nuevos códigos de recuperación
+   */
+  static async regenerateRecoveryCodes(req) {
+    try {
+      const user = req.user;
+      const { code } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (!userData.twoFactorEnabled) {
+        throw ErrorHandler.conflictError('La autenticación en dos pasos no está activada');
+      }
+
+      const verified = await TwoFactorController.verifySecondFactor(userData, { code });
+      if (!verified) {
+        throw ErrorHandler.validationError('Código de verificación inválido');
+      }
+
+      const recoveryCodes = TotpService.generateRecoveryCodes();
+
+      await DatabaseService.update('users', user.id, {
+        twoFactorRecoveryCodes: recoveryCodes.map(recoveryCode => TotpService.hashRecoveryCode(recoveryCode))
+      });
+
+      LoggerService.security('two_factor_recovery_codes_regenerated', { ip: req.ip }, user.id);
+
+      return {
+        recoveryCodes
+      };
+    } catch (error) {
+      LoggerService.error('Error regenerating recovery codes', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica un código TOTP o consume un código de recuperación. El último paso usado y los
+   * códigos restantes se comprueban y se guardan en una transacción, así que dos peticiones
+   * simultáneas con el mismo código no se aceptan ambas.
+   * @param {Object} userData - Documento del usuario
+   * @param {Object} factors - Código TOTP o código de recuperación
+   * @returns {Promise<boolean>} True si el segundo factor es válido
+   */
+  static async verifySecondFactor(userData, { code, recoveryCode }) {
+    if (code) {
+      const counter = TotpService.verifyCode(String(code), userData.twoFactorSecret);
+
+      if (counter === null) {
+        return false;
+      }
+
+      return DatabaseService.runTransaction(async (transaction) => {
+        const current = await transaction.get('users', userData.id);
+        const lastCounter = current ? current.twoFactorLastCounter : null;
+
+        // Un código ya usado no se acepta de nuevo dentro de su ventana de validez
+        if (!current || (lastCounter !== null && lastCounter !== undefined && counter <= lastCounter)) {
+          return false;
+        }
+
+        transaction.update('users', userData.id, {
+          twoFactorLastCounter: counter,
+          updatedAt: new Date().toISOString(),
+          version: (current.version || 0) + 1
+        });
+        return true;
+      });
+    }
+
+    if (recoveryCode) {
+      const hash = TotpService.hashRecoveryCode(recoveryCode);
+
+      const remaining = await DatabaseService.runTransaction(async (transaction) => {
+        const current = await transaction.get('users', userData.id);
+        const storedCodes = (current && current.twoFactorRecoveryCodes) || [];
+
+        if (!storedCodes.includes(hash)) {
+          return null;
+        }
+
+        transaction.update('users', userData.id, {
+          twoFactorRecoveryCodes: storedCodes.filter(storedCode => storedCode !== hash),
+          updatedAt: new Date().toISOString(),
+          version: (current.version || 0) + 1
+        });
+        return storedCodes.length - 1;
+      });
+
+      if (remaining === null) {
+        return false;
+      }
+
+      LoggerService.security('two_factor_recovery_code_used', { remaining }, userData.id);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Verifica la contraseña del usuario para acciones sensibles
+   * @param {Object} userData - Documento del usuario
+   * @param {string} password - Contraseña ingresada
+   * @throws {Error} Error de validación si la contraseña no es correcta
+   */
+  static async assertPassword(userData, password) {
+    if (!password || typeof password !== 'string' || !userData.passwordHash ||
+      !(await AuthMiddleware.verifyPassword(password, userData.passwordHash))) {
+      throw ErrorHandler.validationError('La contraseña no es correcta');
+    }
+  }
+}
+
+module.exports = TwoFactorController;
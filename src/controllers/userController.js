@@ -8,6 +8,20 @@ const { AuthMiddleware } = require('../middleware/auth');
 const { ValidationMiddleware } = require('../middleware/validation');
 const { ErrorHandler } = require('../core/errorHandler');
 const { LoggerService } = require('../services/loggerService');
+const { TokenService } = require('../services/tokenService');
+const { LoginThrottleService } = require('../services/loginThrottleService');
+const { AccountDeletionService } = require('../services/accountDeletionService');
+const { MailService } = require('../services/mailService');
+const AccountController = require('./accountController');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['Users', 'users'], 'UserController');
+
+// Hash bcrypt de una contraseña aleatoria, usado para igualar tiempos en el login
+const DUMMY_PASSWORD_HASH = '$2a$10$QDzF0dmoaXcHT6afjADm0u/VENToq.Bpwuf.smQDJ1tSewIGRKR.C';
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'two_factor_challenge';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
 
 class UserController {
   /**
@@ -18,35 +32,37 @@ class UserController {
    */
   static async register(req, res) {
     try {
-      const userData = ValidationMiddleware.validateUserRegistration(req.body);
+      const { password, ...userData } = ValidationMiddleware.validateUserRegistration(req.body);
       
       // Verificar si el email ya existe
-      const existingUser = DatabaseService.find('Users', { email: userData.email });
-      if (existingUser.length > 0) {
+      const existingUsers = await DatabaseService.find('users', { email: userData.email });
+      if (existingUsers.length > 0) {
         throw ErrorHandler.conflictError('El email ya está registrado');
       }
 
-      // Crear usuario
-      const newUser = DatabaseService.insert('Users', {
+      // Crear usuario con la contraseña hasheada
+      const passwordHash = await AuthMiddleware.hashPassword(password);
+      const newUser = await DatabaseService.insert('users', {
         ...userData,
+        passwordHash: passwordHash,
         createdAt: new Date().toISOString()
       });
 
-      // Generar token
-      const token = AuthMiddleware.generateToken(newUser.id);
+      // Un fallo del correo no debe impedir el registro: el usuario puede pedir el reenvío
+      try {
+        await AccountController.sendVerificationEmail(newUser);
+      } catch (mailError) {
+        LoggerService.error('Error sending verification email', mailError, newUser.id);
+      }
+
+      // Generar tokens
+      const tokens = await TokenService.issueTokens(newUser.id, TokenService.buildClientContext(req));
 
       LoggerService.info('User registered successfully', { userId: newUser.id });
 
       return {
-        user: {
-          id: newUser.id,
-          name: newUser.name,
-          email: newUser.email,
-          goal: newUser.goal,
-          experienceLevel: newUser.experienceLevel,
-          onboardingCompleted: newUser.onboardingCompleted
-        },
-        token: token
+        user: UserController.serializeUser(newUser),
+        ...tokens
       };
     } catch (error) {
       LoggerService.error('Error registering user', error);
@@ -64,43 +80,167 @@ class UserController {
     try {
       const { email, password } = req.body;
 
-      if (!email || !password) {
+      if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
         throw ErrorHandler.validationError('Email y contraseña son requeridos');
       }
 
+      await LoginThrottleService.assertNotLocked(email, req.ip);
+
       // Buscar usuario por email
-      const users = DatabaseService.find('Users', { email: email.toLowerCase() });
-      if (users.length === 0) {
+      const users = await DatabaseService.find('users', { email: email.toLowerCase().trim() });
+      const user = users[0];
+
+      // Si el usuario no existe se compara contra un hash ficticio para que el
+      // tiempo de respuesta no revele qué emails están registrados
+      const passwordMatches = await AuthMiddleware.verifyPassword(
+        password,
+        (user && user.passwordHash) || DUMMY_PASSWORD_HASH
+      );
+
+      if (!user || !user.passwordHash || !passwordMatches) {
+        LoggerService.security('login_failed', { ip: req.ip }, user ? user.id : null);
+        await LoginThrottleService.recordFailure(email, req.ip, user ? user.id : null);
         throw ErrorHandler.authenticationError('Credenciales inválidas');
       }
 
-      const user = users[0];
+      return await UserController.completeLogin(user, req, 'password');
+    } catch (error) {
+      LoggerService.error('Error logging in user', error);
+      throw error;
+    }
+  }
 
-      // En un entorno real, aquí verificarías la contraseña
-      // Para esta implementación, asumimos que la autenticación es exitosa
-      
-      // Generar token
-      const token = AuthMiddleware.generateToken(user.id);
+  /**
+   * Completa un login con credenciales válidas: emite los tokens o, si el usuario
+   * tiene 2FA activado, un reto que debe resolverse en /api/auth/2fa/verify
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} req - Objeto request
+   * @param {string} method - Método de autenticación usado
+   * @returns {Promise<Object>} Tokens y usuario, o el reto de 2FA
+   */
+  static async completeLogin(user, req, method) {
+    if (user.twoFactorEnabled) {
+      LoggerService.info('Two-factor challenge issued', { userId: user.id, method });
+
+      return {
+        twoFactorRequired: true,
+        challengeToken: AuthMiddleware.generateToken(
+          user.id,
+          { purpose: TWO_FACTOR_CHALLENGE_PURPOSE, method },
+          { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+        ),
+        challengeExpiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+      };
+    }
+
+    return UserController.issueSession(user, req, method);
+  }
+
+  /**
+   * Verifica un token de reto de 2FA emitido por completeLogin
+   * @param {string} challengeToken - Token del reto
+   * @returns {Object} Claims del reto (userId y método de login)
+   */
+  static verifyChallengeToken(challengeToken) {
+    if (!challengeToken || typeof challengeToken !== 'string') {
+      throw ErrorHandler.validationError('Token de reto requerido');
+    }
+
+    return AuthMiddleware.verifyPurposeToken(challengeToken, TWO_FACTOR_CHALLENGE_PURPOSE);
+  }
+
+  /**
+   * Emite los tokens de una nueva sesión
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} req - Objeto request
+   * @param {string} method - Método de autenticación usado
+   * @returns {Promise<Object>} Tokens y usuario
+   */
+  static async issueSession(user, req, method) {
+    const tokens = await TokenService.issueTokens(user.id, TokenService.buildClientContext(req));
+
+    // El contador de fallos se reinicia solo al completar todos los factores
+    await LoginThrottleService.recordSuccess(user.email);
+
+    LoggerService.login(user.id, { ip: req.ip, method, sessionId: tokens.sessionId });
+
+    return {
+      user: UserController.serializeUser(user),
+      ...tokens
+    };
+  }
+
+  /**
+   * Rota el refresh token y emite un nuevo token de acceso
+   * @param {Object} req - Objeto request
+   * @returns {Object} Nuevos tokens
+   */
+  static async refreshToken(req) {
+    try {
+      const { refreshToken } = req.body;
+
+      return await TokenService.rotateRefreshToken(refreshToken, TokenService.buildClientContext(req));
+    } catch (error) {
+      LoggerService.error('Error refreshing token', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cierra la sesión actual o todas las sesiones del usuario
+   * @param {Object} req - Objeto request
+   * @returns {Object} Confirmación del cierre de sesión
+   */
+  static async logout(req) {
+    try {
+      const user = req.user;
+      const { refreshToken, allDevices } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      let revokedSessions = 0;
+
+      if (allDevices === true) {
+        revokedSessions = await TokenService.revokeAllForUser(user.id, 'logout_all');
+      } else if (refreshToken) {
+        revokedSessions = await TokenService.revokeRefreshToken(refreshToken, user.id) ? 1 : 0;
+      } else if (user.sessionId) {
+        revokedSessions = await TokenService.revokeFamily(user.sessionId, 'logout') > 0 ? 1 : 0;
+      }
 
-      LoggerService.info('User logged in successfully', { userId: user.id });
+      LoggerService.logout(user.id, { sessionId: user.sessionId, allDevices: allDevices === true });
 
       return {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          goal: user.goal,
-          experienceLevel: user.experienceLevel,
-          onboardingCompleted: user.onboardingCompleted
-        },
-        token: token
+        message: 'Sesión cerrada correctamente',
+        allDevices: allDevices === true,
+        revokedSessions
       };
     } catch (error) {
-      LoggerService.error('Error logging in user', error);
+      LoggerService.error('Error logging out user', error);
       throw error;
     }
   }
 
+  /**
+   * Construye la representación pública de un usuario
+   * @param {Object} user - Documento del usuario
+   * @returns {Object} Datos públicos del usuario
+   */
+  static serializeUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      goal: user.goal,
+      experienceLevel: user.experienceLevel,
+      onboardingCompleted: user.onboardingCompleted,
+      emailVerified: user.emailVerified === true,
+      twoFactorEnabled: user.twoFactorEnabled === true
+    };
+  }
+
   /**
    * Obtiene el perfil del usuario actual
    * @param {Object} req - Objeto request
@@ -116,7 +256,7 @@ class UserController {
       }
 
       // Obtener datos actualizados del usuario
-      const userData = DatabaseService.findById('Users', user.id);
+      const userData = await DatabaseService.findById('users', user.id);
       if (!userData) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
@@ -131,7 +271,10 @@ class UserController {
         experienceLevel: userData.experienceLevel,
         equipment: userData.equipment,
         onboardingCompleted: userData.onboardingCompleted,
-        createdAt: userData.createdAt
+        emailVerified: userData.emailVerified === true,
+        twoFactorEnabled: userData.twoFactorEnabled === true,
+        createdAt: userData.createdAt,
+        version: userData.version
       };
     } catch (error) {
       LoggerService.error('Error getting user profile', error);
@@ -139,6 +282,184 @@ class UserController {
     }
   }
 
+  /**
+   * Actualiza el perfil del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Perfil actualizado
+   */
+  static async updateProfile(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      return await UserController.applyUserUpdate(user.id, req.body);
+    } catch (error) {
+      LoggerService.error('Error updating user profile', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Solicita la eliminación de la cuenta del usuario actual.
+   * La cuenta se elimina al terminar el periodo de gracia; hasta entonces se puede cancelar.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Estado de la eliminación
+   */
+  static async deleteProfile(req) {
+    try {
+      const user = req.user;
+      const { password, email } = req.body;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (userData.status === 'pending_deletion') {
+        throw ErrorHandler.conflictError('La eliminación de la cuenta ya está programada');
+      }
+
+      // Las cuentas con contraseña confirman con ella; las creadas con OIDC, escribiendo su email
+      if (userData.passwordHash) {
+        if (!password || typeof password !== 'string' ||
+          !(await AuthMiddleware.verifyPassword(password, userData.passwordHash))) {
+          throw ErrorHandler.validationError('La contraseña no es correcta');
+        }
+      } else if (typeof email !== 'string' || email.toLowerCase().trim() !== userData.email) {
+        throw ErrorHandler.validationError('Escribe tu email para confirmar la eliminación');
+      }
+
+      const status = await AccountDeletionService.scheduleDeletion(userData);
+
+      // Solo se mantiene la sesión actual, desde la que se puede cancelar
+      await TokenService.revokeOtherSessions(user.id, user.sessionId, 'account_deletion_requested');
+
+      try {
+        await MailService.sendAccountDeletionScheduled(userData, status.deletionScheduledFor);
+      } catch (mailError) {
+        LoggerService.error('Error sending account deletion notice', mailError, user.id);
+      }
+
+      LoggerService.security('account_deletion_requested', {
+        ip: req.ip,
+        scheduledFor: status.deletionScheduledFor
+      }, user.id);
+
+      return status;
+    } catch (error) {
+      LoggerService.error('Error deleting user profile', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el estado de la eliminación de la cuenta del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Estado de la eliminación
+   */
+  static async getDeletionStatus(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+
+      return AccountDeletionService.buildStatus(userData);
+    } catch (error) {
+      LoggerService.error('Error getting account deletion status', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela la eliminación programada de la cuenta del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Estado de la eliminación
+   */
+  static async cancelDeletion(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (userData.status !== 'pending_deletion') {
+        throw ErrorHandler.conflictError('La cuenta no tiene una eliminación programada');
+      }
+
+      const status = await AccountDeletionService.cancelDeletion(userData);
+
+      LoggerService.security('account_deletion_cancelled', { ip: req.ip }, user.id);
+
+      return status;
+    } catch (error) {
+      LoggerService.error('Error cancelling account deletion', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los datos de onboarding del usuario actual
+   * @param {Object} req - Objeto request
+   * @returns {Object} Datos de onboarding
+   */
+  static async getOnboardingData(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const userData = await DatabaseService.findById('users', user.id);
+      if (!userData) {
+        throw ErrorHandler.notFoundError('Usuario no encontrado');
+      }
+
+      return {
+        onboardingCompleted: userData.onboardingCompleted === true,
+        goal: userData.goal,
+        experienceLevel: userData.experienceLevel,
+        equipment: userData.equipment,
+        age: userData.age,
+        weight: userData.weight,
+        height: userData.height,
+        measurements: userData.measurements
+      };
+    } catch (error) {
+      LoggerService.error('Error getting onboarding data', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda los datos de onboarding del usuario actual y lo marca como completado
+   * @param {Object} req - Objeto request
+   * @returns {Object} Usuario con onboarding completado
+   */
+  static async setOnboardingData(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      return await UserController.applyOnboarding(user.id, req.body);
+    } catch (error) {
+      LoggerService.error('Error setting onboarding data', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene un usuario por ID
    * @param {Object} req - Objeto request
@@ -153,7 +474,7 @@ class UserController {
         throw ErrorHandler.validationError('ID de usuario requerido');
       }
 
-      const user = DatabaseService.findById('Users', id);
+      const user = await DatabaseService.findById('users', id);
       if (!user) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
@@ -168,7 +489,8 @@ class UserController {
         experienceLevel: user.experienceLevel,
         equipment: user.equipment,
         onboardingCompleted: user.onboardingCompleted,
-        createdAt: user.createdAt
+        createdAt: user.createdAt,
+        version: user.version
       };
     } catch (error) {
       LoggerService.error('Error getting user by ID', error);
@@ -185,72 +507,102 @@ class UserController {
   static async updateUser(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
 
       if (!id) {
         throw ErrorHandler.validationError('ID de usuario requerido');
       }
 
-      // Verificar que el usuario existe
-      const existingUser = DatabaseService.findById('Users', id);
-      if (!existingUser) {
-        throw ErrorHandler.notFoundError('Usuario no encontrado');
-      }
+      return await UserController.applyUserUpdate(id, req.body);
+    } catch (error) {
+      LoggerService.error('Error updating user', error);
+      throw error;
+    }
+  }
 
-      // Validar datos de actualización
-      const validatedData = {};
-      
-      if (updateData.name) {
-        if (updateData.name.trim().length < 2) {
-          throw ErrorHandler.validationError('El nombre debe tener al menos 2 caracteres');
-        }
-        validatedData.name = updateData.name.trim();
+  /**
+   * Valida y aplica una actualización de datos de usuario
+   * @param {string} id - ID del usuario
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async applyUserUpdate(id, updateData) {
+    // Verificar que el usuario existe
+    const existingUser = await DatabaseService.findById('users', id);
+    if (!existingUser) {
+      throw ErrorHandler.notFoundError('Usuario no encontrado');
+    }
+
+    // Validar datos de actualización
+    const validatedData = {};
+    
+    if (updateData.name) {
+      if (updateData.name.trim().length < 2) {
+        throw ErrorHandler.validationError('El nombre debe tener al menos 2 caracteres');
       }
+      validatedData.name = updateData.name.trim();
+    }
 
-      if (updateData.email) {
-        if (!ValidationMiddleware.isValidEmail(updateData.email)) {
-          throw ErrorHandler.validationError('El email debe ser válido');
-        }
-        validatedData.email = updateData.email.toLowerCase().trim();
+    if (updateData.email) {
+      if (!ValidationMiddleware.isValidEmail(updateData.email)) {
+        throw ErrorHandler.validationError('El email debe ser válido');
       }
+      validatedData.email = updateData.email.toLowerCase().trim();
 
-      if (updateData.goal) {
-        if (!ValidationMiddleware.isValidGoal(updateData.goal)) {
-          throw ErrorHandler.validationError('El objetivo debe ser válido');
+      // Un email nuevo debe estar libre y vuelve a requerir verificación
+      if (validatedData.email !== existingUser.email) {
+        const usersWithEmail = await DatabaseService.find('users', { email: validatedData.email });
+        if (usersWithEmail.length > 0) {
+          throw ErrorHandler.conflictError('El email ya está registrado');
         }
-        validatedData.goal = updateData.goal;
+        validatedData.emailVerified = false;
       }
+    }
 
-      if (updateData.experienceLevel) {
-        if (!ValidationMiddleware.isValidExperienceLevel(updateData.experienceLevel)) {
-          throw ErrorHandler.validationError('El nivel de experiencia debe ser válido');
-        }
-        validatedData.experienceLevel = updateData.experienceLevel;
+    if (updateData.goal) {
+      if (!ValidationMiddleware.isValidGoal(updateData.goal)) {
+        throw ErrorHandler.validationError('El objetivo debe ser válido');
       }
+      validatedData.goal = updateData.goal;
+    }
 
-      if (updateData.equipment) {
-        validatedData.equipment = Array.isArray(updateData.equipment) ? updateData.equipment : [];
+    if (updateData.experienceLevel) {
+      if (!ValidationMiddleware.isValidExperienceLevel(updateData.experienceLevel)) {
+        throw ErrorHandler.validationError('El nivel de experiencia debe ser válido');
       }
+      validatedData.experienceLevel = updateData.experienceLevel;
+    }
 
-      // Actualizar usuario
-      const updatedUser = DatabaseService.update('Users', id, validatedData);
+    if (updateData.equipment) {
+      validatedData.equipment = Array.isArray(updateData.equipment) ? updateData.equipment : [];
+    }
 
-      LoggerService.info('User updated successfully', { userId: id });
+    // Actualizar usuario
+    const updatedUser = await DatabaseService.update('users', id, validatedData);
 
-      return {
-        id: updatedUser.id,
-        name: updatedUser.name,
-        email: updatedUser.email,
-        goal: updatedUser.goal,
-        experienceLevel: updatedUser.experienceLevel,
-        equipment: updatedUser.equipment,
-        onboardingCompleted: updatedUser.onboardingCompleted,
-        createdAt: updatedUser.createdAt
-      };
-    } catch (error) {
-      LoggerService.error('Error updating user', error);
-      throw error;
+    // El enlace de verificación va a la dirección nueva; como en el registro, un fallo del
+    // correo no revierte el cambio y el usuario puede pedir el reenvío
+    if (validatedData.emailVerified === false) {
+      try {
+        await AccountController.sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        LoggerService.error('Error sending verification email', mailError, id);
+      }
     }
+
+    LoggerService.info('User updated successfully', { userId: id });
+
+    return {
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      goal: updatedUser.goal,
+      experienceLevel: updatedUser.experienceLevel,
+      equipment: updatedUser.equipment,
+      onboardingCompleted: updatedUser.onboardingCompleted,
+      emailVerified: updatedUser.emailVerified === true,
+      createdAt: updatedUser.createdAt,
+      version: updatedUser.version
+    };
   }
 
   /**
@@ -262,49 +614,59 @@ class UserController {
   static async completeOnboarding(req, res) {
     try {
       const { id } = req.params;
-      const onboardingData = req.body;
 
       if (!id) {
         throw ErrorHandler.validationError('ID de usuario requerido');
       }
 
-      // Verificar que el usuario existe
-      const existingUser = DatabaseService.findById('Users', id);
-      if (!existingUser) {
-        throw ErrorHandler.notFoundError('Usuario no encontrado');
-      }
-
-      // Validar datos del onboarding
-      const validatedData = ValidationMiddleware.validateOnboardingData(onboardingData);
-
-      // Actualizar usuario con datos del onboarding
-      const updatedUser = DatabaseService.update('Users', id, {
-        ...validatedData,
-        onboardingCompleted: true
-      });
-
-      LoggerService.info('User onboarding completed', { userId: id });
-
-      return {
-        id: updatedUser.id,
-        name: updatedUser.name,
-        email: updatedUser.email,
-        goal: updatedUser.goal,
-        experienceLevel: updatedUser.experienceLevel,
-        equipment: updatedUser.equipment,
-        onboardingCompleted: updatedUser.onboardingCompleted,
-        age: updatedUser.age,
-        weight: updatedUser.weight,
-        height: updatedUser.height,
-        measurements: updatedUser.measurements,
-        createdAt: updatedUser.createdAt
-      };
+      return await UserController.applyOnboarding(id, req.body);
     } catch (error) {
       LoggerService.error('Error completing user onboarding', error);
       throw error;
     }
   }
 
+  /**
+   * Valida y guarda los datos de onboarding de un usuario
+   * @param {string} id - ID del usuario
+   * @param {Object} onboardingData - Datos del onboarding
+   * @returns {Promise<Object>} Usuario con onboarding completado
+   */
+  static async applyOnboarding(id, onboardingData) {
+    // Verificar que el usuario existe
+    const existingUser = await DatabaseService.findById('users', id);
+    if (!existingUser) {
+      throw ErrorHandler.notFoundError('Usuario no encontrado');
+    }
+
+    // Validar datos del onboarding
+    const validatedData = ValidationMiddleware.validateOnboardingData(onboardingData);
+
+    // Actualizar usuario con datos del onboarding
+    const updatedUser = await DatabaseService.update('users', id, {
+      ...validatedData,
+      onboardingCompleted: true
+    });
+
+    LoggerService.info('User onboarding completed', { userId: id });
+
+    return {
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      goal: updatedUser.goal,
+      experienceLevel: updatedUser.experienceLevel,
+      equipment: updatedUser.equipment,
+      onboardingCompleted: updatedUser.onboardingCompleted,
+      age: updatedUser.age,
+      weight: updatedUser.weight,
+      height: updatedUser.height,
+      measurements: updatedUser.measurements,
+      createdAt: updatedUser.createdAt,
+      version: updatedUser.version
+    };
+  }
+
   /**
    * Elimina un usuario
    * @param {Object} req - Objeto request
@@ -320,19 +682,20 @@ class UserController {
       }
 
       // Verificar que el usuario existe
-      const existingUser = DatabaseService.findById('Users', id);
+      const existingUser = await DatabaseService.findById('users', id);
       if (!existingUser) {
         throw ErrorHandler.notFoundError('Usuario no encontrado');
       }
 
-      // Eliminar usuario
-      DatabaseService.delete('Users', id);
+      // Eliminar usuario y sus datos sin periodo de gracia
+      const result = await AccountDeletionService.deleteNow(existingUser);
 
       LoggerService.info('User deleted successfully', { userId: id });
 
       return {
         message: 'Usuario eliminado correctamente',
-        userId: id
+        userId: id,
+        deletionRecordId: result.deletionRecordId
       };
     } catch (error) {
       LoggerService.error('Error deleting user', error);
@@ -348,7 +711,7 @@ class UserController {
    */
   static async getUserStats(req, res) {
     try {
-      const allUsers = DatabaseService.getAll('Users');
+      const allUsers = await DatabaseService.getAll('Users');
       
       const stats = {
         total: allUsers.length,
@@ -7,10 +7,16 @@ const { DatabaseService } = require('../services/databaseService');
 const { ValidationMiddleware } = require('../middleware/validation');
 const { ErrorHandler } = require('../core/errorHandler');
 const { LoggerService } = require('../services/loggerService');
+const { AccessService } = require('../services/accessService');
+const { TrashService } = require('../services/trashService');
+const { BatchWriteService } = require('../services/batchWriteService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['Workouts', 'workouts'], 'WorkoutController');
 
 class WorkoutController {
   /**
-   * Obtiene los entrenamientos del usuario
+   * Obtiene los entrenamientos del usuario, o de un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Array} Lista de entrenamientos
@@ -18,45 +24,40 @@ class WorkoutController {
   static async getWorkouts(req, res) {
     try {
       const user = req.user;
-      const { limit, offset, startDate, endDate } = req.params;
+      const { limit = 50, after, startDate, endDate } = ValidationMiddleware.validateQueryParams(req.query);
 
       if (!user) {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
-      let workouts = DatabaseService.find('Workouts', { userId: user.id });
+      const ownerId = await AccessService.resolveOwnerId(req, 'workouts:read');
 
-      // Filtrar por fechas si se especifican
-      if (startDate || endDate) {
-        workouts = workouts.filter(workout => {
-          const workoutDate = new Date(workout.timestamp);
-          const start = startDate ? new Date(startDate) : new Date(0);
-          const end = endDate ? new Date(endDate) : new Date();
-          return workoutDate >= start && workoutDate <= end;
-        });
+      // Filtrar por fechas en la consulta (índice userId + timestamp)
+      const conditions = [];
+      if (startDate) {
+        conditions.push({ field: 'timestamp', operator: '>=', value: startDate });
+      }
+      if (endDate) {
+        conditions.push({ field: 'timestamp', operator: '<=', value: endDate });
       }
 
-      // Ordenar por fecha (más reciente primero)
-      workouts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-      // Aplicar paginación
-      const start = offset ? parseInt(offset) : 0;
-      const limitNum = limit ? parseInt(limit) : 50;
-      const paginatedWorkouts = workouts.slice(start, start + limitNum);
+      const { documents: workouts, pagination } = await DatabaseService.findPage('workouts', {
+        filters: { userId: ownerId },
+        conditions,
+        orderBy: 'timestamp',
+        orderDirection: 'desc',
+        limit,
+        after
+      });
 
-      LoggerService.info('Workouts retrieved', { 
-        userId: user.id, 
-        count: paginatedWorkouts.length 
+      LoggerService.info('Workouts retrieved', {
+        userId: ownerId,
+        count: workouts.length
       });
 
       return {
-        workouts: paginatedWorkouts,
-        pagination: {
-          total: workouts.length,
-          limit: limitNum,
-          offset: start,
-          hasMore: start + limitNum < workouts.length
-        }
+        workouts,
+        pagination
       };
     } catch (error) {
       LoggerService.error('Error getting workouts', error);
@@ -83,15 +84,19 @@ class WorkoutController {
         throw ErrorHandler.validationError('ID de entrenamiento requerido');
       }
 
-      const workout = DatabaseService.findById('Workouts', id);
+      const workout = await DatabaseService.findById('Workouts', id);
       if (!workout) {
         throw ErrorHandler.notFoundError('Entrenamiento no encontrado');
       }
 
-      // Verificar que el entrenamiento pertenece al usuario
-      if (workout.userId !== user.id) {
-        throw ErrorHandler.authorizationError('No tienes permisos para ver este entrenamiento');
-      }
+      // Verificar que el entrenamiento pertenece al usuario o a un cliente suyo
+      await AccessService.assertCanAccess(
+        user,
+        workout.userId,
+        'workouts:read',
+        { action: 'read', resource: 'workouts', resourceId: id },
+        'No tienes permisos para ver este entrenamiento'
+      );
 
       LoggerService.info('Workout retrieved', { 
         userId: user.id, 
@@ -106,7 +111,7 @@ class WorkoutController {
   }
 
   /**
-   * Crea un nuevo entrenamiento
+   * Crea un nuevo entrenamiento para el usuario, o para un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Object} Entrenamiento creado
@@ -123,14 +128,18 @@ class WorkoutController {
       // Validar datos del entrenamiento
       const validatedData = ValidationMiddleware.validateWorkoutLog(workoutData);
 
+      const ownerId = await AccessService.resolveOwnerId(req, 'workouts:write');
+
       // Crear entrenamiento
-      const newWorkout = DatabaseService.insert('Workouts', {
+      const newWorkout = await DatabaseService.insert('Workouts', {
         ...validatedData,
-        userId: user.id
+        userId: ownerId,
+        createdBy: user.id,
+        timestamp: new Date().toISOString()
       });
 
       LoggerService.info('Workout created', { 
-        userId: user.id, 
+        userId: ownerId, 
         workoutId: newWorkout.id 
       });
 
@@ -141,6 +150,37 @@ class WorkoutController {
     }
   }
 
+  /**
+   * Crea varios entrenamientos en una sola petición (`{ items: [...] }`). Los registros
+   * inválidos se informan sin impedir que se guarden los demás.
+   * @param {Object} req - Objeto request
+   * @returns {Object} Resultado por registro y resumen
+   */
+  static async createWorkoutsBatch(req) {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const items = BatchWriteService.getItems(req.body);
+      const ownerId = await AccessService.resolveOwnerId(req, 'workouts:write');
+
+      const result = await BatchWriteService.insertItems('Workouts', items, {
+        validate: ValidationMiddleware.validateWorkoutLog,
+        build: validatedData => ({ ...validatedData, userId: ownerId, createdBy: user.id })
+      });
+
+      LoggerService.info('Workouts batch created', { userId: ownerId, ...result.summary });
+
+      return result;
+    } catch (error) {
+      LoggerService.error('Error creating workouts batch', error);
+      throw error;
+    }
+  }
+
   /**
    * Actualiza un entrenamiento
    * @param {Object} req - Objeto request
@@ -162,21 +202,25 @@ class WorkoutController {
       }
 
       // Verificar que el entrenamiento existe
-      const existingWorkout = DatabaseService.findById('Workouts', id);
+      const existingWorkout = await DatabaseService.findById('Workouts', id);
       if (!existingWorkout) {
         throw ErrorHandler.notFoundError('Entrenamiento no encontrado');
       }
 
-      // Verificar que el entrenamiento pertenece al usuario
-      if (existingWorkout.userId !== user.id) {
-        throw ErrorHandler.authorizationError('No tienes permisos para actualizar este entrenamiento');
-      }
+      // Verificar que el entrenamiento pertenece al usuario o a un cliente suyo
+      await AccessService.assertCanAccess(
+        user,
+        existingWorkout.userId,
+        'workouts:write',
+        { action: 'update', resource: 'workouts', resourceId: id },
+        'No tienes permisos para actualizar este entrenamiento'
+      );
 
       // Validar datos de actualización
       const validatedData = ValidationMiddleware.validateWorkoutLog(updateData);
 
       // Actualizar entrenamiento
-      const updatedWorkout = DatabaseService.update('Workouts', id, validatedData);
+      const updatedWorkout = await DatabaseService.update('Workouts', id, validatedData);
 
       LoggerService.info('Workout updated', { 
         userId: user.id, 
@@ -191,10 +235,10 @@ class WorkoutController {
   }
 
   /**
-   * Elimina un entrenamiento
+   * Envía un entrenamiento a la papelera
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
-   * @returns {Object} Confirmación de eliminación
+   * @returns {Object} Confirmación de eliminación con la fecha de borrado definitivo
    */
   static async deleteWorkout(req, res) {
     try {
@@ -210,18 +254,22 @@ class WorkoutController {
       }
 
       // Verificar que el entrenamiento existe
-      const existingWorkout = DatabaseService.findById('Workouts', id);
+      const existingWorkout = await DatabaseService.findById('Workouts', id);
       if (!existingWorkout) {
         throw ErrorHandler.notFoundError('Entrenamiento no encontrado');
       }
 
-      // Verificar que el entrenamiento pertenece al usuario
-      if (existingWorkout.userId !== user.id) {
-        throw ErrorHandler.authorizationError('No tienes permisos para eliminar este entrenamiento');
-      }
+      // Verificar que el entrenamiento pertenece al usuario o a un cliente suyo
+      await AccessService.assertCanAccess(
+        user,
+        existingWorkout.userId,
+        'workouts:write',
+        { action: 'delete', resource: 'workouts', resourceId: id },
+        'No tienes permisos para eliminar este entrenamiento'
+      );
 
-      // Eliminar entrenamiento
-      DatabaseService.delete('Workouts', id);
+      // Enviar a la papelera; se puede restaurar hasta `purgeAt`
+      const { purgeAt } = await TrashService.moveToTrash('workouts', id);
 
       LoggerService.info('Workout deleted', { 
         userId: user.id, 
@@ -230,7 +278,8 @@ class WorkoutController {
 
       return {
         message: 'Entrenamiento eliminado correctamente',
-        workoutId: id
+        workoutId: id,
+        purgeAt
       };
     } catch (error) {
       LoggerService.error('Error deleting workout', error);
@@ -238,6 +287,71 @@ class WorkoutController {
     }
   }
 
+  /**
+   * Lista los entrenamientos en la papelera del usuario, o de un cliente con `?clientId=`
+   * @param {Object} req - Objeto request
+   * @returns {Object} Entrenamientos eliminados y paginación
+   */
+  static async getTrash(req) {
+    try {
+      const user = req.user;
+      const { limit, after } = ValidationMiddleware.validateQueryParams(req.query);
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const ownerId = await AccessService.resolveOwnerId(req, 'workouts:read');
+      const { documents, pagination } = await TrashService.listTrash('workouts', ownerId, { limit, after });
+
+      return {
+        workouts: documents,
+        pagination
+      };
+    } catch (error) {
+      LoggerService.error('Error getting workout trash', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaura un entrenamiento de la papelera
+   * @param {Object} req - Objeto request
+   * @returns {Object} Entrenamiento restaurado
+   */
+  static async restoreWorkout(req) {
+    try {
+      const user = req.user;
+      const { id } = req.params;
+
+      if (!user) {
+        throw ErrorHandler.authenticationError('Usuario no autenticado');
+      }
+
+      const trashedWorkout = await TrashService.getTrashed('workouts', id, 'Entrenamiento no encontrado en la papelera');
+
+      await AccessService.assertCanAccess(
+        user,
+        trashedWorkout.userId,
+        'workouts:write',
+        { action: 'restore', resource: 'workouts', resourceId: id },
+        'No tienes permisos para restaurar este entrenamiento'
+      );
+
+      const restoredWorkout = await TrashService.restore('workouts', id);
+
+      LoggerService.info('Workout restored', {
+        userId: user.id,
+        workoutId: id
+      });
+
+      return restoredWorkout;
+    } catch (error) {
+      LoggerService.error('Error restoring workout', error);
+      throw error;
+    }
+  }
+
   /**
    * Agrega feedback a un entrenamiento
    * @param {Object} req - Objeto request
@@ -259,15 +373,19 @@ class WorkoutController {
       }
 
       // Verificar que el entrenamiento existe
-      const existingWorkout = DatabaseService.findById('Workouts', id);
+      const existingWorkout = await DatabaseService.findById('Workouts', id);
       if (!existingWorkout) {
         throw ErrorHandler.notFoundError('Entrenamiento no encontrado');
       }
 
-      // Verificar que el entrenamiento pertenece al usuario
-      if (existingWorkout.userId !== user.id) {
-        throw ErrorHandler.authorizationError('No tienes permisos para agregar feedback a este entrenamiento');
-      }
+      // Verificar que el entrenamiento pertenece al usuario o a un cliente suyo
+      await AccessService.assertCanAccess(
+        user,
+        existingWorkout.userId,
+        'workouts:write',
+        { action: 'feedback', resource: 'workouts', resourceId: id },
+        'No tienes permisos para agregar feedback a este entrenamiento'
+      );
 
       // Validar feedback
       const feedbackData = {};
@@ -291,7 +409,7 @@ class WorkoutController {
       }
 
       // Actualizar entrenamiento con feedback
-      const updatedWorkout = DatabaseService.update('Workouts', id, feedbackData);
+      const updatedWorkout = await DatabaseService.update('Workouts', id, feedbackData);
 
       LoggerService.info('Workout feedback added', { 
         userId: user.id, 
@@ -306,7 +424,7 @@ class WorkoutController {
   }
 
   /**
-   * Obtiene estadísticas de entrenamientos
+   * Obtiene estadísticas de entrenamientos del usuario, o de un cliente con `?clientId=`
    * @param {Object} req - Objeto request
    * @param {Object} res - Objeto response
    * @returns {Object} Estadísticas de entrenamientos
@@ -320,7 +438,8 @@ class WorkoutController {
         throw ErrorHandler.authenticationError('Usuario no autenticado');
       }
 
-      let workouts = DatabaseService.find('Workouts', { userId: user.id });
+      const ownerId = await AccessService.resolveOwnerId(req, 'workouts:read');
+      let workouts = await DatabaseService.find('Workouts', { userId: ownerId });
 
       // Filtrar por rango de tiempo si se especifica
       if (timeRange) {
@@ -371,7 +490,7 @@ class WorkoutController {
         stats.averageEnjoyment = Math.round(totalEnjoyment / workoutsWithFeedback.length);
       }
 
-      LoggerService.info('Workout stats retrieved', { userId: user.id });
+      LoggerService.info('Workout stats retrieved', { userId: ownerId });
 
       return stats;
     } catch (error) {
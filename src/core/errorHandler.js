@@ -33,6 +33,12 @@ class ErrorHandler {
     } else if (error.name === 'ConflictError') {
       statusCode = 409;
       message = error.message;
+    } else if (error.name === 'PreconditionFailedError') {
+      statusCode = 412;
+      message = error.message;
+    } else if (error.name === 'TooManyRequestsError') {
+      statusCode = 429;
+      message = error.message;
     } else if (error.message.includes('Ruta no encontrada')) {
       statusCode = 404;
       message = 'Endpoint no encontrado';
@@ -115,6 +121,30 @@ class ErrorHandler {
     return error;
   }
 
+  /**
+   * Crea un error de precondición fallida (el documento cambió desde que el cliente lo leyó)
+   * @param {string} message - Mensaje de error
+   * @returns {Error} Error de precondición
+   */
+  static preconditionFailedError(message = 'El recurso fue modificado por otra petición') {
+    const error = new Error(message);
+    error.name = 'PreconditionFailedError';
+    return error;
+  }
+
+  /**
+   * Crea un error de demasiadas peticiones
+   * @param {string} message - Mensaje de error
+   * @param {number} retryAfter - Segundos que el cliente debe esperar antes de reintentar
+   * @returns {Error} Error de demasiadas peticiones
+   */
+  static tooManyRequestsError(message = 'Demasiadas peticiones', retryAfter = null) {
+    const error = new Error(message);
+    error.name = 'TooManyRequestsError';
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
   /**
    * Valida que un objeto exista
    * @param {Object} obj - Objeto a validar
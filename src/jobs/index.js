@@ -0,0 +1,14 @@
+/**
+ * @fileoverview Registro de los trabajos en segundo plano.
+ * Cada servicio registra sus manejadores en JobService al cargarse.
+ * @author Marcela
+ */
+
+const { JobService } = require('../services/jobService');
+
+require('../services/accountDeletionService');
+require('../services/dataExportService');
+require('../services/trashService');
+require('../services/encryptionService');
+
+module.exports = { JobService };
@@ -6,7 +6,17 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { DatabaseService } = require('../services/databaseService');
-const { logger } = require('../services/loggerService');
+const { logger, LoggerService } = require('../services/loggerService');
+const { RoleService } = require('../services/roleService');
+const { SessionService } = require('../services/sessionService');
+const { ApiKeyService } = require('../services/apiKeyService');
+const { AccessService } = require('../services/accessService');
+const { ImpersonationService } = require('../services/impersonationService');
+const { RequestContext } = require('../services/requestContext');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['users'], 'AuthMiddleware');
 
 class AuthMiddleware {
   /**
@@ -30,6 +40,12 @@ class AuthMiddleware {
 
       // Obtener token del header Authorization
       const authHeader = req.headers.authorization;
+
+      // Integraciones de terceros: autenticación con API key personal
+      if (!authHeader && req.headers['x-api-key']) {
+        return AuthMiddleware.authenticateApiKey(req, res, next);
+      }
+
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({
           success: false,
@@ -44,10 +60,29 @@ class AuthMiddleware {
 
       // Verificar token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Los tokens con propósito (reto de 2FA, etc.) no sirven como tokens de acceso
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Token inválido',
+            code: 401
+          }
+        });
+      }
       
-      // Verificar que el usuario existe en la base de datos
-      DatabaseService.findById('users', decoded.userId)
-        .then(user => {
+      // Los tokens de suplantación dependen del registro de suplantación en lugar de una sesión
+      const credentialLookup = decoded.imp
+        ? ImpersonationService.getActiveImpersonation(decoded.imp)
+        : (decoded.sid ? SessionService.getActiveSession(decoded.sid) : null);
+
+      // Verificar que el usuario existe en la base de datos y que la sesión sigue activa
+      Promise.all([
+        DatabaseService.findById('users', decoded.userId),
+        credentialLookup
+      ])
+        .then(async ([user, session]) => {
           if (!user) {
             return res.status(401).json({
               success: false,
@@ -58,16 +93,44 @@ class AuthMiddleware {
             });
           }
 
-          // Agregar usuario al request
-          req.user = {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            goal: user.goal,
-            experienceLevel: user.experienceLevel,
-            equipment: user.equipment,
-            onboardingCompleted: user.onboardingCompleted
-          };
+          if (!session || session.userId !== user.id) {
+            return res.status(401).json({
+              success: false,
+              error: {
+                message: 'Sesión revocada o expirada',
+                code: 401
+              }
+            });
+          }
+
+          const roles = await RoleService.getUserRoles(user.id);
+          const permissions = await RoleService.resolvePermissions(roles);
+
+          // Autor de los cambios que registra el historial de revisiones
+          RequestContext.set('actorId', user.id);
+
+          if (decoded.imp) {
+            // Los logs de auditoría de esta petición identifican a la persona de soporte
+            RequestContext.set('impersonatorId', session.impersonatorId);
+            RequestContext.set('impersonationId', session.id);
+
+            req.user = AuthMiddleware.buildRequestUser(user, roles, permissions, {
+              impersonationId: session.id,
+              impersonatorId: session.impersonatorId
+            });
+
+            LoggerService.audit('impersonated_request', { method: req.method, path: req.originalUrl }, user.id);
+          } else {
+            // La última actividad no es crítica: un fallo al guardarla no bloquea la petición
+            SessionService.touch(session, req.ip).catch(error => {
+              logger.error('Error updating session activity', error);
+            });
+
+            // Agregar usuario al request
+            req.user = AuthMiddleware.buildRequestUser(user, roles, permissions, {
+              sessionId: decoded.sid || null
+            });
+          }
 
           logger.info('User authenticated', { 
             userId: user.id, 
@@ -120,6 +183,150 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Autentica una petición con el header X-API-Key.
+   * Los permisos efectivos son los scopes de la clave que el usuario todavía tiene por sus roles.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next function
+   */
+  static authenticateApiKey(req, res, next) {
+    ApiKeyService.findActiveKey(req.headers['x-api-key'])
+      .then(async apiKey => {
+        const user = apiKey ? await DatabaseService.findById('users', apiKey.userId) : null;
+
+        if (!user) {
+          return res.status(401).json({
+            success: false,
+            error: {
+              message: 'API key inválida o revocada',
+              code: 401
+            }
+          });
+        }
+
+        const roles = await RoleService.getUserRoles(user.id);
+        const rolePermissions = await RoleService.resolvePermissions(roles);
+        const permissions = apiKey.scopes.filter(scope => rolePermissions.includes(scope));
+
+        RequestContext.set('actorId', user.id);
+
+        req.user = AuthMiddleware.buildRequestUser(user, roles, permissions, {
+          sessionId: null,
+          apiKeyId: apiKey.id
+        });
+
+        // El registro de uso no es crítico: un fallo al guardarlo no bloquea la petición
+        ApiKeyService.touch(apiKey, req.ip).catch(error => {
+          logger.error('Error updating API key usage', error);
+        });
+
+        logger.info('User authenticated with API key', {
+          userId: user.id,
+          apiKeyId: apiKey.id,
+          path: req.path
+        });
+
+        next();
+      })
+      .catch(error => {
+        logger.error('Error verifying API key', error);
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'API key inválida o revocada',
+            code: 401
+          }
+        });
+      });
+  }
+
+  /**
+   * Construye el usuario autenticado que se adjunta al request
+   * @param {Object} user - Documento del usuario
+   * @param {Array<string>} roles - Roles del usuario
+   * @param {Array<string>} permissions - Permisos efectivos
+   * @param {Object} credentials - Datos de la credencial usada (sessionId, apiKeyId, impersonationId e impersonatorId)
+   * @returns {Object} Usuario del request
+   */
+  static buildRequestUser(user, roles, permissions, credentials = {}) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      goal: user.goal,
+      experienceLevel: user.experienceLevel,
+      equipment: user.equipment,
+      onboardingCompleted: user.onboardingCompleted,
+      emailVerified: user.emailVerified === true,
+      status: user.status,
+      role: RoleService.getPrimaryRole(roles),
+      roles,
+      permissions,
+      sessionId: credentials.sessionId || null,
+      apiKeyId: credentials.apiKeyId || null,
+      impersonationId: credentials.impersonationId || null,
+      impersonatorId: credentials.impersonatorId || null
+    };
+  }
+
+  /**
+   * Middleware que exige una sesión iniciada con usuario y contraseña.
+   * Rechaza las peticiones autenticadas con API key (gestión de cuenta, sesiones, administración).
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next function
+   */
+  static requireSession(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Usuario no autenticado',
+          code: 401
+        }
+      });
+    }
+
+    if (req.user.apiKeyId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Esta operación no está disponible con una API key',
+          code: 403
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware que bloquea operaciones destructivas o sensibles durante una suplantación
+   * (eliminar la cuenta, cambiar la contraseña o el 2FA, cerrar sesiones, crear API keys...)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next function
+   */
+  static denyImpersonation(req, res, next) {
+    if (req.user && req.user.impersonatorId) {
+      LoggerService.security('impersonation_action_blocked', {
+        method: req.method,
+        path: req.originalUrl
+      }, req.user.id);
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Esta operación no está permitida durante una suplantación',
+          code: 403
+        }
+      });
+    }
+
+    next();
+  }
+
   /**
    * Middleware para verificar que el usuario ha completado el onboarding
    * @param {Object} req - Request object
@@ -150,6 +357,36 @@ class AuthMiddleware {
     next();
   }
 
+  /**
+   * Middleware para verificar que el usuario confirmó su email
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Next function
+   */
+  static requireVerifiedEmail(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Usuario no autenticado',
+          code: 401
+        }
+      });
+    }
+
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Debes verificar tu email antes de continuar',
+          code: 403
+        }
+      });
+    }
+
+    next();
+  }
+
   /**
    * Middleware para verificar permisos de administrador
    * @param {Object} req - Request object
@@ -167,7 +404,7 @@ class AuthMiddleware {
       });
     }
 
-    if (req.user.role !== 'admin') {
+    if (req.user.role !== 'admin' || req.user.apiKeyId || req.user.impersonatorId) {
       return res.status(403).json({
         success: false,
         error: {
@@ -181,11 +418,13 @@ class AuthMiddleware {
   }
 
   /**
-   * Middleware para verificar que el usuario puede acceder a un recurso específico
+   * Middleware para verificar que el usuario puede acceder a un recurso específico.
+   * Con `scope`, un entrenador con una relación activa que conceda ese scope también accede.
    * @param {string} resourceUserIdField - Campo que contiene el userId del recurso
+   * @param {string} scope - Scope que permite el acceso delegado (opcional)
    * @returns {Function} Middleware function
    */
-  static requireOwnership(resourceUserIdField = 'userId') {
+  static requireOwnership(resourceUserIdField = 'userId', scope = null) {
     return (req, res, next) => {
       if (!req.user) {
         return res.status(401).json({
@@ -209,33 +448,71 @@ class AuthMiddleware {
         });
       }
 
-      if (req.user.id !== resourceUserId) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            message: 'No tienes permisos para acceder a este recurso',
-            code: 403
-          }
-        });
+      const forbidden = () => res.status(403).json({
+        success: false,
+        error: {
+          message: 'No tienes permisos para acceder a este recurso',
+          code: 403
+        }
+      });
+
+      if (req.user.id === resourceUserId) {
+        return next();
       }
 
-      next();
+      if (!scope) {
+        return forbidden();
+      }
+
+      AccessService.canAccess(req.user, resourceUserId, scope, { method: req.method, path: req.originalUrl })
+        .then(allowed => (allowed ? next() : forbidden()))
+        .catch(next);
     };
   }
 
   /**
-   * Genera un token JWT
+   * Genera un token JWT de acceso
    * @param {string} userId - ID del usuario
+   * @param {Object} claims - Claims adicionales (por ejemplo `sid`, el ID de sesión)
+   * @param {Object} options - Opciones de firma
+   * @param {string} options.expiresIn - Duración del token (por defecto la de los tokens de acceso)
    * @returns {string} Token JWT
    */
-  static generateToken(userId) {
+  static generateToken(userId, claims = {}, options = {}) {
     return jwt.sign(
-      { userId },
+      { ...claims, userId },
       process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+      { expiresIn: options.expiresIn || AuthMiddleware.getAccessTokenExpiresIn() }
     );
   }
 
+  /**
+   * Verifica un token emitido para un propósito distinto al acceso (por ejemplo el reto de 2FA)
+   * @param {string} token - Token JWT
+   * @param {string} purpose - Propósito esperado
+   * @returns {Object} Claims del token
+   * @throws {Error} Error de autenticación si el token no es válido para ese propósito
+   */
+  static verifyPurposeToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose !== purpose) {
+        throw new Error('Propósito de token inválido');
+      }
+      return decoded;
+    } catch (error) {
+      throw ErrorHandler.authenticationError('Token inválido o expirado');
+    }
+  }
+
+  /**
+   * Obtiene la duración de los tokens de acceso
+   * @returns {string} Duración en formato de jsonwebtoken (ej. '15m')
+   */
+  static getAccessTokenExpiresIn() {
+    return process.env.JWT_EXPIRES_IN || '15m';
+  }
+
   /**
    * Verifica si un usuario existe
    * @param {string} userId - ID del usuario
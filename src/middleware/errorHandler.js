@@ -4,6 +4,8 @@
  */
 
 const { logger } = require('../services/loggerService');
+const { RequestContext } = require('../services/requestContext');
+const { toETag, parseIfMatch, toVersionKey } = require('../utils/etag');
 
 /**
  * Middleware de manejo de errores centralizado
@@ -40,6 +42,16 @@ const errorHandler = (error, req, res, next) => {
   } else if (error.name === 'ConflictError') {
     statusCode = 409;
     message = error.message;
+  } else if (error.name === 'PreconditionFailedError') {
+    statusCode = 412;
+    message = error.message;
+  } else if (error.name === 'TooManyRequestsError') {
+    statusCode = 429;
+    message = error.message;
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
   } else if (error.name === 'JsonWebTokenError') {
     statusCode = 401;
     message = 'Token inválido';
@@ -99,6 +111,78 @@ const asyncHandler = (fn) => {
   };
 };
 
+/**
+ * Declara el documento que modifica la ruta, contra el que se comprueba el `If-Match`
+ * @param {string|Function} collection - Colección o función que la obtiene de la petición
+ * @param {Function} getId - Función que obtiene el ID de la petición (por defecto `req.params.id`)
+ * @returns {Function} Middleware de Express
+ */
+const ifMatchTarget = (collection, getId = req => req.params.id) => {
+  return (req, res, next) => {
+    req.ifMatchTarget = {
+      collection: typeof collection === 'function' ? collection(req) : collection,
+      id: getId(req)
+    };
+    next();
+  };
+};
+
+/**
+ * Envuelve un método de controlador que retorna datos y los envía con el formato estándar.
+ * Un `If-Match` solo se admite en las rutas que declaran su documento con `ifMatchTarget` y
+ * debe nombrarlo; su versión queda en el contexto, por colección e ID, para que
+ * DatabaseService la compare al actualizar ese documento. Si el dato devuelto es un documento
+ * versionado se responde con su `ETag` (y Express responde 304 a un GET cuyo `If-None-Match` coincide).
+ * @param {Function} fn - Método del controlador
+ * @param {number} statusCode - Código HTTP de la respuesta exitosa
+ * @returns {Function} Middleware de Express
+ */
+const controllerHandler = (fn, statusCode = 200) => {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => {
+        const ifMatch = req.get('If-Match');
+        const expectedVersions = new Map();
+
+        if (ifMatch && ifMatch.trim() !== '*') {
+          const tags = parseIfMatch(ifMatch);
+          const target = req.ifMatchTarget;
+
+          if (tags.size === 0) {
+            throw createPreconditionFailedError('If-Match no contiene un ETag válido');
+          }
+
+          if (!target || !tags.has(target.id)) {
+            throw createPreconditionFailedError('If-Match no corresponde a este recurso');
+          }
+
+          expectedVersions.set(toVersionKey(target.collection, target.id), tags.get(target.id));
+        }
+
+        RequestContext.set('expectedVersions', expectedVersions);
+
+        return fn(req, res, next);
+      })
+      .then(data => {
+        if (res.headersSent) {
+          return;
+        }
+
+        const etag = toETag(data);
+        if (etag) {
+          res.set('ETag', etag);
+        }
+
+        res.status(statusCode).json({
+          success: true,
+          data: data,
+          timestamp: new Date().toISOString()
+        });
+      })
+      .catch(next);
+  };
+};
+
 /**
  * Crea un error de validación
  * @param {string} message - Mensaje de error
@@ -154,6 +238,30 @@ const createConflictError = (message) => {
   return error;
 };
 
+/**
+ * Crea un error de precondición fallida
+ * @param {string} message - Mensaje de error
+ * @returns {Error} Error de precondición
+ */
+const createPreconditionFailedError = (message = 'El recurso fue modificado por otra petición') => {
+  const error = new Error(message);
+  error.name = 'PreconditionFailedError';
+  return error;
+};
+
+/**
+ * Crea un error de demasiadas peticiones
+ * @param {string} message - Mensaje de error
+ * @param {number} retryAfter - Segundos que el cliente debe esperar antes de reintentar
+ * @returns {Error} Error de demasiadas peticiones
+ */
+const createTooManyRequestsError = (message = 'Demasiadas peticiones', retryAfter = null) => {
+  const error = new Error(message);
+  error.name = 'TooManyRequestsError';
+  error.retryAfter = retryAfter;
+  return error;
+};
+
 /**
  * Valida que un objeto exista
  * @param {Object} obj - Objeto a validar
@@ -235,11 +343,15 @@ module.exports = {
   errorHandler,
   validationErrorHandler,
   asyncHandler,
+  controllerHandler,
+  ifMatchTarget,
   createValidationError,
   createAuthenticationError,
   createAuthorizationError,
   createNotFoundError,
   createConflictError,
+  createPreconditionFailedError,
+  createTooManyRequestsError,
   requireExists,
   requireField,
   requireRange,
@@ -58,6 +58,8 @@ class ValidationMiddleware {
       errors.push('El nivel de experiencia debe ser válido');
     }
 
+    errors.push(...this.validatePasswordStrength(data.password));
+
     if (errors.length > 0) {
       throw ErrorHandler.validationError(errors.join(', '));
     }
@@ -65,21 +67,69 @@ class ValidationMiddleware {
     return {
       name: data.name.trim(),
       email: data.email.toLowerCase().trim(),
+      password: data.password,
       goal: data.goal,
       experienceLevel: data.experienceLevel,
       equipment: data.equipment || [],
-      onboardingCompleted: false
+      onboardingCompleted: false,
+      emailVerified: false
     };
   }
 
   /**
-   * Valida los datos del onboarding
+   * Valida la política de contraseñas
+   * @param {string} password - Contraseña a validar
+   * @returns {Array<string>} Errores encontrados (vacío si la contraseña es válida)
+   */
+  static validatePasswordStrength(password) {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length === 0) {
+      errors.push('La contraseña es requerida');
+      return errors;
+    }
+
+    if (password.length < 8) {
+      errors.push('La contraseña debe tener al menos 8 caracteres');
+    }
+
+    // bcrypt solo considera los primeros 72 bytes
+    if (Buffer.byteLength(password, 'utf8') > 72) {
+      errors.push('La contraseña no puede tener más de 72 bytes');
+    }
+
+    if (!/[a-z]/.test(password)) {
+      errors.push('La contraseña debe incluir al menos una letra minúscula');
+    }
+
+    if (!/[A-Z]/.test(password)) {
+      errors.push('La contraseña debe incluir al menos una letra mayúscula');
+    }
+
+    if (!/[0-9]/.test(password)) {
+      errors.push('La contraseña debe incluir al menos un número');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Valida los datos del onboarding. Solo devuelve los campos del onboarding: el resto del
+   * documento del usuario (roles, verificación, contraseña, 2FA) no se escribe desde aquí.
    * @param {Object} data - Datos del onboarding
    * @returns {Object} Datos validados
    */
   static validateOnboardingData(data) {
     const errors = [];
 
+    if (data.goal !== undefined && !this.isValidGoal(data.goal)) {
+      errors.push('El objetivo debe ser válido');
+    }
+
+    if (data.experienceLevel !== undefined && !this.isValidExperienceLevel(data.experienceLevel)) {
+      errors.push('El nivel de experiencia debe ser válido');
+    }
+
     // Validar datos antropométricos
     if (data.age && (data.age < 13 || data.age > 100)) {
       errors.push('La edad debe estar entre 13 y 100 años');
@@ -109,7 +159,17 @@ class ValidationMiddleware {
       throw ErrorHandler.validationError(errors.join(', '));
     }
 
-    return data;
+    const validated = {};
+
+    ['age', 'weight', 'height', 'measurements', 'goal', 'experienceLevel']
+      .filter(field => data[field] !== undefined)
+      .forEach(field => { validated[field] = data[field]; });
+
+    if (data.equipment !== undefined) {
+      validated.equipment = Array.isArray(data.equipment) ? data.equipment : [];
+    }
+
+    return validated;
   }
 
   /**
@@ -224,9 +284,104 @@ class ValidationMiddleware {
   }
 
   /**
-   * Valida los parámetros de consulta
+   * Valida los alimentos de una comida
+   * @param {Array<Object>} items - Alimentos (`name`, `quantity` y sus macronutrientes)
+   * @returns {Array<Object>} Alimentos validados
+   */
+  static validateMealItems(items) {
+    if (!Array.isArray(items) || items.length > 50) {
+      throw ErrorHandler.validationError('items debe ser una lista de hasta 50 alimentos');
+    }
+
+    return items.map((item, index) => {
+      if (!item || typeof item.name !== 'string' || item.name.trim().length === 0 || item.name.length > 100) {
+        throw ErrorHandler.validationError(`El alimento ${index + 1} necesita un nombre de hasta 100 caracteres`);
+      }
+
+      const { calories, protein, carbs, fat } = ValidationMiddleware.validateNutritionLog(item);
+
+      return {
+        name: item.name.trim(),
+        quantity: typeof item.quantity === 'string' ? item.quantity.trim().slice(0, 50) : null,
+        calories,
+        protein,
+        carbs,
+        fat
+      };
+    });
+  }
+
+  /**
+   * Valida un objetivo
+   * @param {Object} data - Datos del objetivo
+   * @returns {Object} Datos validados
+   */
+  static validateGoal(data) {
+    const errors = [];
+
+    if (typeof data.type !== 'string' || data.type.trim().length < 2) {
+      errors.push('El tipo de objetivo debe tener al menos 2 caracteres');
+    }
+
+    if (data.target === undefined || data.target === null || isNaN(parseFloat(data.target))) {
+      errors.push('La meta del objetivo debe ser un número');
+    }
+
+    ['start', 'current'].forEach(field => {
+      if (data[field] !== undefined && data[field] !== null && isNaN(parseFloat(data[field]))) {
+        errors.push(`El valor ${field} del objetivo debe ser un número`);
+      }
+    });
+
+    if (data.deadline && isNaN(new Date(data.deadline).getTime())) {
+      errors.push('La fecha límite del objetivo no es válida');
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.validationError(errors.join(', '));
+    }
+
+    return {
+      type: data.type.trim(),
+      target: parseFloat(data.target),
+      start: data.start !== undefined && data.start !== null ? parseFloat(data.start) : null,
+      current: data.current !== undefined && data.current !== null ? parseFloat(data.current) : null,
+      deadline: data.deadline ? new Date(data.deadline).toISOString() : null
+    };
+  }
+
+  /**
+   * Valida un ajuste de la aplicación
+   * @param {Object} data - Nombre (`setting`) y valor del ajuste
+   * @returns {Object} Datos validados
+   */
+  static validateSetting(data) {
+    const errors = [];
+
+    if (typeof data.setting !== 'string' || !/^[\w.-]{1,50}$/.test(data.setting)) {
+      errors.push('El nombre del ajuste debe tener hasta 50 letras, números, puntos o guiones');
+    }
+
+    if (data.value === undefined) {
+      errors.push('El ajuste debe tener un valor');
+    } else if (JSON.stringify(data.value).length > 2000) {
+      errors.push('El valor del ajuste no puede superar los 2000 caracteres');
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.validationError(errors.join(', '));
+    }
+
+    return {
+      setting: data.setting,
+      value: data.value
+    };
+  }
+
+  /**
+   * Valida los parámetros de consulta de los listados
    * @param {Object} params - Parámetros de consulta
-   * @returns {Object} Parámetros validados
+   * @returns {Object} Parámetros validados, con las fechas en ISO para compararlas en la consulta
    */
   static validateQueryParams(params) {
     const validated = {};
@@ -240,13 +395,12 @@ class ValidationMiddleware {
       validated.limit = limit;
     }
 
-    // Validar offset
-    if (params.offset) {
-      const offset = parseInt(params.offset);
-      if (isNaN(offset) || offset < 0) {
-        throw ErrorHandler.validationError('El offset debe ser mayor o igual a 0');
+    // Validar cursor (su firma se comprueba al consultar)
+    if (params.after) {
+      if (typeof params.after !== 'string' || params.after.length > 1000) {
+        throw ErrorHandler.validationError('Cursor de paginación inválido');
       }
-      validated.offset = offset;
+      validated.after = params.after;
     }
 
     // Validar fechas
@@ -254,14 +408,14 @@ class ValidationMiddleware {
       if (!this.isValidDate(params.startDate)) {
         throw ErrorHandler.validationError('La fecha de inicio debe ser válida');
       }
-      validated.startDate = params.startDate;
+      validated.startDate = new Date(params.startDate).toISOString();
     }
 
     if (params.endDate) {
       if (!this.isValidDate(params.endDate)) {
         throw ErrorHandler.validationError('La fecha de fin debe ser válida');
       }
-      validated.endDate = params.endDate;
+      validated.endDate = new Date(params.endDate).toISOString();
     }
 
     return validated;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Normaliza `timestamp` y `createdAt` en los historiales del usuario.
+ * Los controladores ordenan y filtran por `timestamp`, pero muchos documentos solo tienen
+ * `createdAt`, y otros guardan fechas como número, texto no ISO o Timestamp de Firestore.
+ * No es reversible: el formato original de las fechas no se conserva.
+ * @author Marcela
+ */
+
+const HISTORY_COLLECTIONS = ['workouts', 'nutrition', 'logs', 'progress'];
+
+/**
+ * Convierte una fecha en cualquiera de los formatos guardados a texto ISO
+ * @param {*} value - Fecha (ISO, texto, milisegundos, segundos o Timestamp de Firestore)
+ * @returns {string|null} Fecha ISO o null si no es una fecha válida
+ */
+const toIsoString = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let date;
+
+  if (typeof value.toDate === 'function') {
+    date = value.toDate();
+  } else if (typeof value === 'object' && (value.seconds !== undefined || value._seconds !== undefined)) {
+    date = new Date((value.seconds !== undefined ? value.seconds : value._seconds) * 1000);
+  } else if (typeof value === 'number') {
+    // Los valores pequeños son segundos desde 1970 y no milisegundos
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+module.exports = {
+  id: '001_normalize_timestamps',
+  description: 'Normaliza timestamp y createdAt a texto ISO en entrenamientos, nutrición, registro diario y progreso',
+
+  async up(context) {
+    for (const collectionName of HISTORY_COLLECTIONS) {
+      await context.rewrite(collectionName, (document) => {
+        const createdAt = toIsoString(document.createdAt);
+        const timestamp = toIsoString(document.timestamp) || createdAt;
+        const updates = {};
+
+        if (timestamp && document.timestamp !== timestamp) {
+          updates.timestamp = timestamp;
+        }
+
+        if ((createdAt || timestamp) && document.createdAt !== (createdAt || timestamp)) {
+          updates.createdAt = createdAt || timestamp;
+        }
+
+        return updates;
+      });
+    }
+  }
+};
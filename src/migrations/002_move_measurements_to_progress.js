@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Mueve las medidas corporales del registro diario (`logs`) a `progress`.
+ * Los registros que solo tenían medidas se eliminan; los que también tenían peso conservan
+ * el peso. El documento de progreso usa el mismo ID que el registro original para poder revertir.
+ * @author Marcela
+ */
+
+/**
+ * Indica si un registro tiene medidas corporales
+ * @param {Object} document - Registro diario
+ * @returns {boolean} True si tiene al menos una medida
+ */
+const hasMeasurements = (document) => {
+  return document.measurements !== null && typeof document.measurements === 'object' &&
+    Object.keys(document.measurements).length > 0;
+};
+
+module.exports = {
+  id: '002_move_measurements_to_progress',
+  description: 'Mueve las medidas corporales de logs (DailyLog) a progress',
+
+  async up(context) {
+    await context.forEachDocument('logs', async (log) => {
+      if (!hasMeasurements(log)) {
+        return;
+      }
+
+      const hasWeight = log.weight !== undefined && log.weight !== null;
+
+      await context.insert('progress', {
+        id: log.id,
+        userId: log.userId,
+        measurements: log.measurements,
+        notes: hasWeight ? '' : (log.notes || ''),
+        timestamp: log.timestamp || log.createdAt || null,
+        createdAt: log.createdAt || null,
+        deletedAt: log.deletedAt || null,
+        migratedFrom: 'logs'
+      });
+
+      if (hasWeight) {
+        await context.update('logs', log.id, { measurements: null });
+      } else {
+        await context.delete('logs', log.id);
+      }
+    });
+  },
+
+  async down(context) {
+    await context.forEachDocument('progress', async (entry) => {
+      if (entry.migratedFrom !== 'logs') {
+        return;
+      }
+
+      const existing = await context.findById('logs', entry.id);
+
+      if (existing) {
+        await context.update('logs', entry.id, { measurements: entry.measurements });
+      } else {
+        await context.insert('logs', {
+          id: entry.id,
+          userId: entry.userId,
+          measurements: entry.measurements,
+          notes: entry.notes || '',
+          timestamp: entry.timestamp || null,
+          createdAt: entry.createdAt || null,
+          deletedAt: entry.deletedAt || null
+        });
+      }
+
+      await context.delete('progress', entry.id);
+    });
+  }
+};
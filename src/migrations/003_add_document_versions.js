@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Asigna `version: 1` a los documentos editables que se guardaron antes del
+ * versionado, para que sus lecturas devuelvan ETag y se puedan actualizar con If-Match.
+ * Al revertir las versiones se conservan: no afectan a los documentos sin If-Match.
+ * @author Marcela
+ */
+
+const VERSIONED_COLLECTIONS = ['users', 'workouts', 'nutrition', 'logs', 'progress', 'goals', 'routines', 'settings'];
+
+module.exports = {
+  id: '003_add_document_versions',
+  description: 'Asigna la versión inicial a los documentos editables sin versión',
+
+  async up(context) {
+    for (const collectionName of VERSIONED_COLLECTIONS) {
+      // DatabaseService.update incrementa la versión: 0 → 1
+      await context.rewrite(collectionName, document => (document.version ? null : { version: 1 }));
+    }
+  },
+
+  async down() {
+    // Nada que revertir
+  }
+};
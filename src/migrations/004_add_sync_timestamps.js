@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Asigna `updatedAt` a los documentos sincronizados que no lo tienen. La
+ * sincronización busca los cambios por `updatedAt` y Firestore no devuelve los documentos
+ * sin el campo por el que se ordena. No hay nada que revertir.
+ * @author Marcela
+ */
+
+const SYNCED_COLLECTIONS = ['workouts', 'nutrition', 'logs', 'progress', 'goals', 'settings'];
+
+module.exports = {
+  id: '004_add_sync_timestamps',
+  description: 'Asigna updatedAt a los documentos sincronizados que no lo tienen',
+
+  async up(context) {
+    for (const collectionName of SYNCED_COLLECTIONS) {
+      // DatabaseService.update asigna la fecha actual: los documentos llegan en la próxima sincronización
+      await context.rewrite(collectionName, document => (document.updatedAt ? null : { updatedAt: new Date().toISOString() }));
+    }
+  },
+
+  async down() {
+    // Nada que revertir
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Mueve los roles del documento del usuario (`users.roles`) a `roleAssignments`.
+ * El documento del usuario se escribe desde los endpoints de autoservicio, así que los roles
+ * que quedaran en él no deben seguir existiendo; los usuarios con solo `user` no necesitan asignación.
+ * @author Marcela
+ */
+
+module.exports = {
+  id: '005_move_roles_to_role_assignments',
+  description: 'Mueve los roles de users a roleAssignments',
+
+  async up(context) {
+    await context.forEachDocument('users', async (user) => {
+      if (user.roles === undefined || user.roles === null) {
+        return;
+      }
+
+      const roles = Array.isArray(user.roles) ? user.roles.filter(role => role !== 'user') : [];
+      const existing = await context.findById('roleAssignments', user.id);
+
+      if (roles.length > 0 && !existing) {
+        await context.insert('roleAssignments', { id: user.id, userId: user.id, roles: ['user', ...roles] });
+      }
+
+      await context.update('users', user.id, { roles: null });
+    });
+  },
+
+  async down(context) {
+    await context.forEachDocument('roleAssignments', async (assignment) => {
+      if (await context.findById('users', assignment.userId)) {
+        await context.update('users', assignment.userId, { roles: assignment.roles });
+      }
+
+      await context.delete('roleAssignments', assignment.id);
+    });
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * @fileoverview Lista de migraciones en orden de aplicación. Cada migración exporta
+ * `id`, `description`, `up(context)` y, si es reversible, `down(context)`.
+ * Las migraciones nuevas se agregan al final con un ID mayor que el anterior.
+ * @author Marcela
+ */
+
+module.exports = [
+  require('./001_normalize_timestamps'),
+  require('./002_move_measurements_to_progress'),
+  require('./003_add_document_versions'),
+  require('./004_add_sync_timestamps'),
+  require('./005_move_roles_to_role_assignments')
+];
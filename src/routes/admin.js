@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const AdminController = require('../controllers/adminController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler } = require('../middleware/errorHandler');
+
+// Rutas de administración
+router.use(AuthMiddleware.requireAdmin);
+
+// Roles y permisos
+router.get('/roles', controllerHandler(AdminController.getRoles));
+router.put('/roles/:role', AuthMiddleware.requirePermissions(['roles:manage']), controllerHandler(AdminController.updateRolePermissions));
+router.get('/users/:id/roles', AuthMiddleware.requirePermissions(['users:read']), controllerHandler(AdminController.getUserRoles));
+router.post('/users/:id/roles', AuthMiddleware.requirePermissions(['roles:manage']), controllerHandler(AdminController.grantRole));
+router.delete('/users/:id/roles/:role', AuthMiddleware.requirePermissions(['roles:manage']), controllerHandler(AdminController.revokeRole));
+
+// Bloqueos de login
+router.post('/users/:id/unlock', AuthMiddleware.requirePermissions(['users:manage']), controllerHandler(AdminController.unlockUser));
+
+// Métricas de la caché de lectura
+router.get('/cache', controllerHandler(AdminController.getCacheStats));
+
+// Suplantación para soporte
+router.post('/users/:id/impersonate', AuthMiddleware.requirePermissions(['support:access']), controllerHandler(AdminController.impersonateUser, 201));
+router.delete('/impersonations/:id', AuthMiddleware.requirePermissions(['support:access']), controllerHandler(AdminController.endImpersonation));
+
+module.exports = router;
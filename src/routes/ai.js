@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const AIController = require('../controllers/aiController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler } = require('../middleware/errorHandler');
 
 // Rutas de IA
-router.post('/chat', AIController.chat);
-router.post('/workout-plan', AIController.generateWorkoutPlan);
-router.post('/nutrition-plan', AIController.generateNutritionPlan);
-router.post('/motivation', AIController.getMotivation);
-router.post('/analysis', AIController.analyzeProgress);
+router.use(AuthMiddleware.requirePermissions(['ai:use']));
 
-module.exports = router; 
\ No newline at end of file
+router.post('/recommendations', controllerHandler(AIController.getRecommendations));
+router.post('/workout-plan', controllerHandler(AIController.generateWorkoutPlan));
+router.post('/nutrition-advice', controllerHandler(AIController.getNutritionAdvice));
+router.post('/analyze-progress', controllerHandler(AIController.analyzeProgress));
+
+module.exports = router;
@@ -1,11 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/userController');
+const AccountController = require('../controllers/accountController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const OidcController = require('../controllers/oidcController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler } = require('../middleware/errorHandler');
+
+// Las operaciones de cuenta requieren una sesión; una API key no sirve para ellas
+const requireSessionAuth = [AuthMiddleware.authenticate, AuthMiddleware.requireSession];
+
+// Cambios de credenciales: bloqueados también durante una suplantación de soporte
+const requireAccountOwner = [...requireSessionAuth, AuthMiddleware.denyImpersonation];
 
 // Rutas de autenticación
-router.post('/register', UserController.register);
-router.post('/login', UserController.login);
-router.post('/logout', UserController.logout);
-router.post('/refresh-token', UserController.refreshToken);
+router.post('/register', controllerHandler(UserController.register, 201));
+router.post('/login', controllerHandler(UserController.login));
+router.post('/logout', requireAccountOwner, controllerHandler(UserController.logout));
+router.post('/refresh-token', controllerHandler(UserController.refreshToken));
+router.post('/oidc', controllerHandler(OidcController.login));
+
+// Verificación de email y recuperación de cuenta
+router.post('/verify-email', controllerHandler(AccountController.verifyEmail));
+router.post('/verify-email/resend', requireSessionAuth, controllerHandler(AccountController.resendVerificationEmail));
+router.post('/forgot-password', controllerHandler(AccountController.forgotPassword));
+router.post('/reset-password', controllerHandler(AccountController.resetPassword));
+router.post('/change-password', requireAccountOwner, controllerHandler(AccountController.changePassword));
+
+// Autenticación en dos pasos
+router.post('/2fa/verify', controllerHandler(TwoFactorController.verifyChallenge));
+router.post('/2fa/setup', requireAccountOwner, controllerHandler(TwoFactorController.setup));
+router.post('/2fa/enable', requireAccountOwner, controllerHandler(TwoFactorController.enable));
+router.post('/2fa/disable', requireAccountOwner, controllerHandler(TwoFactorController.disable));
+router.post('/2fa/recovery-codes', requireAccountOwner, controllerHandler(TwoFactorController.regenerateRecoveryCodes));
 
 module.exports = router; 
\ No newline at end of file
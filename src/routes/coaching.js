@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const CoachingController = require('../controllers/coachingController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler } = require('../middleware/errorHandler');
+
+// Las relaciones con entrenadores se gestionan solo con una sesión, no con API keys
+router.use(AuthMiddleware.requireSession);
+
+// Rutas de entrenadores y clientes
+router.get('/', controllerHandler(CoachingController.listRelationships));
+router.post('/invitations', AuthMiddleware.denyImpersonation, AuthMiddleware.requirePermissions(['clients:manage']), controllerHandler(CoachingController.invite, 201));
+router.post('/invitations/:id/accept', AuthMiddleware.denyImpersonation, controllerHandler(CoachingController.acceptInvitation));
+router.post('/invitations/:id/decline', AuthMiddleware.denyImpersonation, controllerHandler(CoachingController.declineInvitation));
+router.put('/relationships/:id/scopes', AuthMiddleware.denyImpersonation, controllerHandler(CoachingController.updateScopes));
+router.delete('/relationships/:id', AuthMiddleware.denyImpersonation, controllerHandler(CoachingController.revokeRelationship));
+
+// Perfil de un cliente, para el propio usuario o un entrenador con `progress:read`
+router.get('/clients/:userId', AuthMiddleware.requireOwnership('userId', 'progress:read'), controllerHandler(CoachingController.getClient));
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const DataExportController = require('../controllers/dataExportController');
+
+// Descarga de exportaciones: el enlace lleva su propio token firmado, no requiere cabecera de autorización
+router.get('/download', DataExportController.download);
+
+module.exports = router;
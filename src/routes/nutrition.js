@@ -1,15 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const NutritionController = require('../controllers/nutritionController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler, ifMatchTarget } = require('../middleware/errorHandler');
+
+const canRead = AuthMiddleware.requirePermissions(['nutrition:read']);
+const canWrite = AuthMiddleware.requirePermissions(['nutrition:write']);
+const nutritionLog = ifMatchTarget('nutrition');
 
 // Rutas de nutrición
-router.get('/meals', NutritionController.getMeals);
-router.post('/meals', NutritionController.createMeal);
-router.get('/meals/:id', NutritionController.getMealById);
-router.put('/meals/:id', NutritionController.updateMeal);
-router.delete('/meals/:id', NutritionController.deleteMeal);
-router.get('/recommendations', NutritionController.getRecommendations);
-router.get('/tracking', NutritionController.getTracking);
-router.post('/tracking', NutritionController.trackNutrition);
+router.get('/goals', canRead, controllerHandler(NutritionController.getNutritionGoals));
+router.post('/log', canWrite, controllerHandler(NutritionController.logNutrition, 201));
+router.post('/log/batch', canWrite, controllerHandler(NutritionController.logNutritionBatch));
+router.get('/history', canRead, controllerHandler(NutritionController.getNutritionHistory));
+router.delete('/log/:id', canWrite, nutritionLog, controllerHandler(NutritionController.deleteNutritionLog));
+router.get('/trash', canRead, controllerHandler(NutritionController.getTrash));
+router.post('/log/:id/restore', canWrite, nutritionLog, controllerHandler(NutritionController.restoreNutritionLog));
+router.post('/recommendations', canRead, controllerHandler(NutritionController.getNutritionRecommendations));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const ProgressController = require('../controllers/progressController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler } = require('../middleware/errorHandler');
+
+const canRead = AuthMiddleware.requirePermissions(['progress:read']);
+const canWrite = AuthMiddleware.requirePermissions(['progress:write']);
 
 // Rutas de progreso
-router.get('/', ProgressController.getProgress);
-router.post('/', ProgressController.createProgress);
-router.get('/:id', ProgressController.getProgressById);
-router.put('/:id', ProgressController.updateProgress);
-router.delete('/:id', ProgressController.deleteProgress);
-router.get('/analytics', ProgressController.getAnalytics);
-router.get('/goals', ProgressController.getGoals);
-router.post('/goals', ProgressController.createGoal);
+router.get('/', canRead, controllerHandler(ProgressController.getProgress));
+router.post('/weight', canWrite, controllerHandler(ProgressController.logWeight, 201));
+router.post('/weight/batch', canWrite, controllerHandler(ProgressController.logWeightBatch));
+router.post('/measurements', canWrite, controllerHandler(ProgressController.logMeasurements, 201));
+router.get('/analytics', canRead, controllerHandler(ProgressController.getAnalytics));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const RevisionController = require('../controllers/revisionController');
+const { RevisionService } = require('../services/revisionService');
+const { controllerHandler, ifMatchTarget } = require('../middleware/errorHandler');
+
+// Rutas del historial de cambios. Los permisos dependen del recurso y los comprueba el controlador.
+router.get('/:resource/:id', controllerHandler(RevisionController.listRevisions));
+router.post('/:resource/:id/:revisionId/revert', ifMatchTarget(req => RevisionService.getResource(req.params.resource).collection), controllerHandler(RevisionController.revertRevision));
+
+module.exports = router;
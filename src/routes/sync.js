@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const SyncController = require('../controllers/syncController');
+const { controllerHandler } = require('../middleware/errorHandler');
+
+// Ruta de sincronización. Cada recurso se sincroniza solo con sus permisos de lectura y escritura.
+router.post('/', controllerHandler(SyncController.sync));
+
+module.exports = router;
@@ -1,12 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/userController');
+const SessionController = require('../controllers/sessionController');
+const ApiKeyController = require('../controllers/apiKeyController');
+const DataExportController = require('../controllers/dataExportController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler, ifMatchTarget } = require('../middleware/errorHandler');
+
+// Operaciones que solo puede hacer el propio usuario: ni con API key ni durante una suplantación
+const requireAccountOwner = [AuthMiddleware.requireSession, AuthMiddleware.denyImpersonation];
 
 // Rutas de usuarios
-router.get('/profile', UserController.getProfile);
-router.put('/profile', UserController.updateProfile);
-router.delete('/profile', UserController.deleteProfile);
-router.get('/onboarding', UserController.getOnboardingData);
-router.post('/onboarding', UserController.setOnboardingData);
+router.get('/profile', AuthMiddleware.requirePermissions(['profile:read']), controllerHandler(UserController.getProfile));
+router.put('/profile', AuthMiddleware.requirePermissions(['profile:write']), ifMatchTarget('users', req => req.user.id), controllerHandler(UserController.updateProfile));
+router.delete('/profile', requireAccountOwner, controllerHandler(UserController.deleteProfile, 202));
+router.get('/profile/deletion', AuthMiddleware.requireSession, controllerHandler(UserController.getDeletionStatus));
+router.post('/profile/deletion/cancel', requireAccountOwner, controllerHandler(UserController.cancelDeletion));
+router.get('/onboarding', AuthMiddleware.requirePermissions(['profile:read']), controllerHandler(UserController.getOnboardingData));
+router.post('/onboarding', AuthMiddleware.requirePermissions(['profile:write']), controllerHandler(UserController.setOnboardingData));
+
+// Sesiones y dispositivos
+router.get('/profile/sessions', AuthMiddleware.requireSession, controllerHandler(SessionController.listSessions));
+router.delete('/profile/sessions/others', requireAccountOwner, controllerHandler(SessionController.revokeOtherSessions));
+router.delete('/profile/sessions/:id', requireAccountOwner, controllerHandler(SessionController.revokeSession));
+
+// API keys personales
+router.get('/profile/api-keys', AuthMiddleware.requireSession, controllerHandler(ApiKeyController.listKeys));
+router.post('/profile/api-keys', requireAccountOwner, controllerHandler(ApiKeyController.createKey, 201));
+router.delete('/profile/api-keys/:id', requireAccountOwner, controllerHandler(ApiKeyController.revokeKey));
+
+// Accesos del equipo de soporte a la cuenta
+router.get('/profile/access-log', AuthMiddleware.requireSession, controllerHandler(SessionController.listSupportAccess));
+
+// Exportación de datos personales
+router.post('/profile/exports', requireAccountOwner, controllerHandler(DataExportController.requestExport, 202));
+router.get('/profile/exports', AuthMiddleware.requireSession, controllerHandler(DataExportController.listExports));
+router.get('/profile/exports/:id', AuthMiddleware.requireSession, controllerHandler(DataExportController.getExport));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,14 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const WorkoutController = require('../controllers/workoutController');
+const { AuthMiddleware } = require('../middleware/auth');
+const { controllerHandler, ifMatchTarget } = require('../middleware/errorHandler');
+
+const canRead = AuthMiddleware.requirePermissions(['workouts:read']);
+const canWrite = AuthMiddleware.requirePermissions(['workouts:write']);
+const workout = ifMatchTarget('workouts');
 
 // Rutas de entrenamientos
-router.get('/', WorkoutController.getWorkouts);
-router.post('/', WorkoutController.createWorkout);
-router.get('/:id', WorkoutController.getWorkoutById);
-router.put('/:id', WorkoutController.updateWorkout);
-router.delete('/:id', WorkoutController.deleteWorkout);
-router.post('/:id/complete', WorkoutController.completeWorkout);
-router.get('/recommendations', WorkoutController.getRecommendations);
+router.get('/', canRead, controllerHandler(WorkoutController.getWorkouts));
+router.post('/', canWrite, controllerHandler(WorkoutController.createWorkout, 201));
+router.post('/batch', canWrite, controllerHandler(WorkoutController.createWorkoutsBatch));
+router.get('/stats', canRead, controllerHandler(WorkoutController.getWorkoutStats));
+router.get('/trash', canRead, controllerHandler(WorkoutController.getTrash));
+router.get('/:id', canRead, controllerHandler(WorkoutController.getWorkout));
+router.put('/:id', canWrite, workout, controllerHandler(WorkoutController.updateWorkout));
+router.delete('/:id', canWrite, workout, controllerHandler(WorkoutController.deleteWorkout));
+router.post('/:id/restore', canWrite, workout, controllerHandler(WorkoutController.restoreWorkout));
+router.post('/:id/feedback', canWrite, controllerHandler(WorkoutController.addFeedback));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Servicio de control de acceso a recursos de otros usuarios.
+ * Un recurso es accesible para su dueño y para un entrenador con una relación activa
+ * que conceda el scope requerido; cada acceso delegado queda auditado.
+ * @author Marcela
+ */
+
+const { CoachingService } = require('./coachingService');
+const { LoggerService } = require('./loggerService');
+const { ErrorHandler } = require('../core/errorHandler');
+
+class AccessService {
+  /**
+   * Indica si un usuario puede actuar sobre los recursos de otro con un scope
+   * @param {Object} user - Usuario autenticado (req.user)
+   * @param {string} ownerId - ID del dueño del recurso
+   * @param {string} scope - Scope requerido (ej. 'workouts:read')
+   * @param {Object} details - Detalles para la auditoría (acción, recurso, ID)
+   * @returns {Promise<boolean>} True si tiene acceso
+   */
+  async canAccess(user, ownerId, scope, details = {}) {
+    if (!user || !ownerId) {
+      return false;
+    }
+
+    if (user.id === ownerId) {
+      return true;
+    }
+
+    // El acceso delegado requiere una sesión de un usuario con permisos de entrenador
+    const coachPermission = scope.endsWith(':read') ? 'clients:read' : 'clients:manage';
+    if (user.apiKeyId || !(user.permissions || []).includes(coachPermission)) {
+      return false;
+    }
+
+    const relationship = await CoachingService.getActiveRelationship(user.id, ownerId);
+    if (!relationship || !CoachingService.hasScope(relationship, scope)) {
+      LoggerService.security('coach_access_denied', { clientId: ownerId, scope, ...details }, user.id);
+      return false;
+    }
+
+    LoggerService.audit('coach_access', {
+      clientId: ownerId,
+      relationshipId: relationship.id,
+      scope,
+      ...details
+    }, user.id);
+
+    return true;
+  }
+
+  /**
+   * Verifica el acceso y lanza un error de autorización si no se concede
+   * @param {Object} user - Usuario autenticado (req.user)
+   * @param {string} ownerId - ID del dueño del recurso
+   * @param {string} scope - Scope requerido
+   * @param {Object} details - Detalles para la auditoría
+   * @param {string} message - Mensaje del error
+   * @returns {Promise<void>}
+   */
+  async assertCanAccess(user, ownerId, scope, details = {}, message = 'No tienes permisos para acceder a este recurso') {
+    const allowed = await this.canAccess(user, ownerId, scope, details);
+
+    if (!allowed) {
+      throw ErrorHandler.authorizationError(message);
+    }
+  }
+
+  /**
+   * Indica si una petición puede leer además los datos de otro scope del mismo dueño
+   * (ej. los entrenamientos que acompañan al progreso). Exige también el permiso propio,
+   * así que una API key sin ese scope no los obtiene.
+   * @param {Object} req - Objeto request
+   * @param {string} ownerId - ID del dueño de los datos
+   * @param {string} scope - Scope requerido
+   * @returns {Promise<boolean>} True si tiene acceso
+   */
+  async canAccessScope(req, ownerId, scope) {
+    if (!(req.user.permissions || []).includes(scope)) {
+      return false;
+    }
+
+    return this.canAccess(req.user, ownerId, scope, { method: req.method, path: req.originalUrl });
+  }
+
+  /**
+   * Obtiene el usuario cuyos datos se consultan: el cliente indicado en `?clientId=`
+   * si el entrenador tiene acceso, o el propio usuario
+   * @param {Object} req - Objeto request
+   * @param {string} scope - Scope requerido
+   * @returns {Promise<string>} ID del dueño de los datos
+   */
+  async resolveOwnerId(req, scope) {
+    const clientId = req.query && req.query.clientId;
+
+    if (clientId !== undefined && typeof clientId !== 'string') {
+      throw ErrorHandler.validationError('clientId inválido');
+    }
+
+    if (!clientId || clientId === req.user.id) {
+      return req.user.id;
+    }
+
+    await this.assertCanAccess(
+      req.user,
+      clientId,
+      scope,
+      { method: req.method, path: req.originalUrl },
+      'No tienes permisos para acceder a los datos de este cliente'
+    );
+
+    return clientId;
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { AccessService: new AccessService() };
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Servicio de eliminación de cuentas: programación con periodo de gracia,
+ * borrado o anonimización en cascada de los datos del usuario y registro de cumplimiento
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { JobService } = require('./jobService');
+const { TokenService } = require('./tokenService');
+const { LoginThrottleService } = require('./loginThrottleService');
+const { DataExportService } = require('./dataExportService');
+const {
+  assertCollections,
+  getCollectionsOwnedBy,
+  getActorFields,
+  getCollectionsWithActorFields,
+  getRevisionLimit,
+  resolveCollection,
+  assertCollectionNames
+} = require('../config/collections');
+
+assertCollectionNames(['coachRelationships', 'deletionRecords', 'revisions', 'users'], 'AccountDeletionService');
+
+const ACCOUNT_DELETION_JOB = 'account_deletion';
+
+// Qué se hace con cada colección que guarda datos por `userId`. Los datos de salud deben
+// conservarse por obligación legal, así que se anonimizan en lugar de borrarse.
+const USER_DATA_POLICY = {
+  workouts: 'anonymize',
+  progress: 'anonymize',
+  nutrition: 'anonymize',
+  mealItems: 'anonymize',
+  logs: 'anonymize',
+  aiSuggestions: 'erase',
+  routines: 'erase',
+  achievements: 'erase',
+  motivation: 'erase',
+  goals: 'erase',
+  reminders: 'erase',
+  community: 'erase',
+  settings: 'erase',
+  refreshTokens: 'erase',
+  actionTokens: 'erase',
+  sessions: 'erase',
+  apiKeys: 'erase',
+  userIdentities: 'erase',
+  roleAssignments: 'erase',
+  dataExports: 'erase',
+  impersonations: 'erase',
+  // Al final: anonimizar los historiales genera revisiones con los datos originales
+  revisions: 'erase'
+};
+
+assertCollections(Object.keys(USER_DATA_POLICY), 'La eliminación de cuentas');
+
+// Una colección nueva con datos por `userId` no puede quedar fuera de la eliminación
+const collectionsWithoutPolicy = getCollectionsOwnedBy('userId').filter(name => !USER_DATA_POLICY[name]);
+if (collectionsWithoutPolicy.length > 0) {
+  throw new Error(`Colecciones con userId sin política de eliminación: ${collectionsWithoutPolicy.join(', ')}`);
+}
+
+// Campos de texto libre que pueden identificar a la persona y se vacían al anonimizar
+const FREE_TEXT_FIELDS = ['notes', 'feedback', 'comments', 'description', 'photos', 'location'];
+
+// Las revisiones copian el documento: el ID puede aparecer en cualquier campo de la copia
+const REVISION_COPY_FIELDS = ['snapshot', 'diff'];
+
+/**
+ * Sustituye un ID en un valor, también dentro de objetos y listas
+ * @param {*} value - Valor
+ * @param {string} userId - ID a sustituir
+ * @param {string} pseudonym - Seudónimo
+ * @returns {*} Valor con el ID sustituido
+ */
+const replaceId = (value, userId, pseudonym) => {
+  if (value === userId) {
+    return pseudonym;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => replaceId(item, userId, pseudonym));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceId(item, userId, pseudonym)]));
+  }
+
+  return value;
+};
+
+class AccountDeletionService {
+  constructor() {
+    this.graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+  }
+
+  /**
+   * Programa la eliminación de una cuenta al final del periodo de gracia
+   * @param {Object} user - Documento del usuario
+   * @returns {Promise<Object>} Estado de la eliminación
+   */
+  async scheduleDeletion(user) {
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + this.graceDays * 24 * 60 * 60 * 1000);
+
+    const job = await JobService.enqueue(ACCOUNT_DELETION_JOB, { userId: user.id }, { runAt: scheduledFor });
+
+    await DatabaseService.update('users', user.id, {
+      status: 'pending_deletion',
+      // Se restaura al cancelar para no reactivar una cuenta desactivada por un administrador
+      statusBeforeDeletion: user.status || 'active',
+      deletionRequestedAt: requestedAt.toISOString(),
+      deletionScheduledFor: scheduledFor.toISOString(),
+      deletionJobId: job.id
+    });
+
+    return this.buildStatus({
+      status: 'pending_deletion',
+      deletionRequestedAt: requestedAt.toISOString(),
+      deletionScheduledFor: scheduledFor.toISOString()
+    });
+  }
+
+  /**
+   * Elimina una cuenta sin periodo de gracia (uso administrativo)
+   * @param {Object} user - Documento del usuario
+   * @returns {Promise<Object>} Resumen de la eliminación
+   */
+  async deleteNow(user) {
+    if (user.deletionJobId) {
+      await JobService.cancel(user.deletionJobId);
+    }
+
+    const now = new Date().toISOString();
+    await DatabaseService.update('users', user.id, {
+      status: 'pending_deletion',
+      deletionRequestedAt: user.deletionRequestedAt || now,
+      deletionScheduledFor: now,
+      deletionJobId: null
+    });
+
+    return this.executeDeletion({ userId: user.id });
+  }
+
+  /**
+   * Cancela una eliminación programada
+   * @param {Object} user - Documento del usuario
+   * @returns {Promise<Object>} Estado de la eliminación
+   */
+  async cancelDeletion(user) {
+    if (user.deletionJobId) {
+      await JobService.cancel(user.deletionJobId);
+    }
+
+    const status = user.statusBeforeDeletion || 'active';
+
+    await DatabaseService.update('users', user.id, {
+      status,
+      statusBeforeDeletion: null,
+      deletionRequestedAt: null,
+      deletionScheduledFor: null,
+      deletionJobId: null
+    });
+
+    return this.buildStatus({ status });
+  }
+
+  /**
+   * Construye el estado público de la eliminación de una cuenta
+   * @param {Object} user - Documento del usuario
+   * @returns {Object} Estado
+   */
+  buildStatus(user) {
+    const pending = user.status === 'pending_deletion';
+
+    return {
+      deletionPending: pending,
+      deletionRequestedAt: pending ? user.deletionRequestedAt : null,
+      deletionScheduledFor: pending ? user.deletionScheduledFor : null
+    };
+  }
+
+  /**
+   * Ejecuta la eliminación de una cuenta (manejador del trabajo `account_deletion`)
+   * @param {Object} payload - Datos del trabajo
+   * @param {string} payload.userId - ID del usuario
+   * @returns {Promise<Object>} Resumen de la eliminación
+   */
+  async executeDeletion({ userId }) {
+    const user = await DatabaseService.findById('users', userId);
+
+    // La eliminación pudo cancelarse después de que el trabajo se reclamara
+    if (!user || user.status !== 'pending_deletion') {
+      LoggerService.info('Account deletion skipped', { userId, reason: user ? 'cancelled' : 'not_found' });
+      return { skipped: true };
+    }
+
+    await TokenService.revokeAllForUser(userId, 'account_deleted');
+    await DataExportService.deleteUserFiles(userId);
+
+    // Un seudónimo aleatorio agrupa los registros anonimizados sin poder volver al usuario
+    const pseudonym = `deleted_${DatabaseService.generateId()}`;
+    const collections = {};
+
+    for (const [collectionName, action] of Object.entries(USER_DATA_POLICY)) {
+      // Incluye lo que está en la papelera: se borra definitivamente, no se envía a ella
+      const documents = await DatabaseService.find(collectionName, { userId }, { includeDeleted: true });
+
+      for (const document of documents) {
+        if (action === 'anonymize') {
+          await DatabaseService.update(collectionName, document.id, this.buildAnonymizedFields(collectionName, document, pseudonym));
+        } else {
+          await DatabaseService.purge(collectionName, document.id);
+        }
+      }
+
+      collections[collectionName] = { action, count: documents.length };
+    }
+
+    // Las relaciones entrenador–cliente no usan `userId`: se borran las de ambos lados
+    const [asCoach, asClient] = await Promise.all([
+      DatabaseService.find('coachRelationships', { coachId: userId }),
+      DatabaseService.find('coachRelationships', { clientId: userId })
+    ]);
+
+    for (const relationship of [...asCoach, ...asClient]) {
+      await DatabaseService.delete('coachRelationships', relationship.id);
+    }
+
+    collections.coachRelationships = { action: 'erase', count: asCoach.length + asClient.length };
+
+    const actorDocuments = await this.pseudonymizeActorFields(userId, pseudonym);
+    await JobService.discard(ACCOUNT_DELETION_JOB, payload => payload.userId === userId);
+
+    await LoginThrottleService.unlockAccount(user.email);
+    await DatabaseService.delete('users', userId);
+
+    // Registro de cumplimiento: guarda el hash del ID, que permite comprobar si se eliminó
+    // una cuenta sin conservar el ID
+    const record = await DatabaseService.insert('deletionRecords', {
+      userIdHash: this.hashUserId(userId),
+      requestedAt: user.deletionRequestedAt,
+      scheduledFor: user.deletionScheduledFor,
+      completedAt: new Date().toISOString(),
+      collections,
+      actorDocuments
+    });
+
+    LoggerService.audit('account_deleted', { deletionRecordId: record.id, collections, actorDocuments }, userId);
+
+    return { deletionRecordId: record.id };
+  }
+
+  /**
+   * Sustituye por el seudónimo el ID del usuario en los campos de autoría (`actorFields`) de
+   * documentos de otros usuarios: registros que creó como entrenador, suplantaciones que hizo
+   * como soporte, revisiones de sus cambios...
+   * @param {string} userId - ID del usuario eliminado
+   * @param {string} pseudonym - Seudónimo
+   * @returns {Promise<Object>} Documentos modificados por colección
+   */
+  async pseudonymizeActorFields(userId, pseudonym) {
+    const counts = {};
+
+    for (const collectionName of getCollectionsWithActorFields()) {
+      const fields = getActorFields(collectionName);
+      const matches = await Promise.all(fields.map(field =>
+        DatabaseService.find(collectionName, { [field]: userId }, { includeDeleted: true })
+      ));
+      const documents = [...new Map(matches.flat().map(document => [document.id, document])).values()];
+
+      for (const document of documents) {
+        if (collectionName === 'revisions') {
+          await this.pseudonymizeRevision(document, userId, pseudonym);
+          continue;
+        }
+
+        const changes = {};
+        fields
+          .filter(field => document[field] === userId)
+          .forEach(field => {
+            changes[field] = pseudonym;
+          });
+
+        await DatabaseService.update(collectionName, document.id, changes);
+
+        // Las revisiones anteriores (y la que acaba de generar este cambio) guardan el valor original
+        if (getRevisionLimit(collectionName) > 0) {
+          const revisions = await DatabaseService.find('revisions', {
+            collection: resolveCollection(collectionName),
+            documentId: document.id
+          });
+
+          for (const revision of revisions) {
+            await this.pseudonymizeRevision(revision, userId, pseudonym);
+          }
+        }
+      }
+
+      counts[collectionName] = documents.length;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Sustituye el ID del usuario en una revisión: autoría y copia del documento
+   * @param {Object} revision - Revisión
+   * @param {string} userId - ID del usuario eliminado
+   * @param {string} pseudonym - Seudónimo
+   * @returns {Promise<void>}
+   */
+  async pseudonymizeRevision(revision, userId, pseudonym) {
+    const changes = {};
+
+    [...getActorFields('revisions'), ...REVISION_COPY_FIELDS].forEach(field => {
+      const value = replaceId(revision[field], userId, pseudonym);
+
+      if (JSON.stringify(value) !== JSON.stringify(revision[field])) {
+        changes[field] = value;
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await DatabaseService.update('revisions', revision.id, changes);
+    }
+  }
+
+  /**
+   * Calcula el hash con el que el registro de cumplimiento identifica la cuenta eliminada
+   * @param {string} userId - ID del usuario
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  hashUserId(userId) {
+    return crypto.createHash('sha256').update(userId).digest('hex');
+  }
+
+  /**
+   * Construye los cambios que anonimizan un documento del usuario
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} document - Documento original
+   * @param {string} pseudonym - Seudónimo que reemplaza al userId
+   * @returns {Object} Campos a actualizar
+   */
+  buildAnonymizedFields(collectionName, document, pseudonym) {
+    const fields = {
+      userId: pseudonym,
+      anonymizedAt: new Date().toISOString()
+    };
+
+    // Lo que registró el propio usuario (por ejemplo `createdBy`) también lleva su ID
+    getActorFields(collectionName)
+      .filter(field => document[field] === document.userId)
+      .forEach(field => {
+        fields[field] = pseudonym;
+      });
+
+    FREE_TEXT_FIELDS
+      .filter(field => document[field] !== undefined && document[field] !== null)
+      .forEach(field => {
+        fields[field] = null;
+      });
+
+    return fields;
+  }
+}
+
+const accountDeletionService = new AccountDeletionService();
+
+JobService.register(ACCOUNT_DELETION_JOB, payload => accountDeletionService.executeDeletion(payload));
+
+// Exportar instancia singleton
+module.exports = { AccountDeletionService: accountDeletionService, USER_DATA_POLICY };
@@ -6,6 +6,9 @@
 const { logger } = require('./loggerService');
 const { DatabaseService } = require('./databaseService');
 const { validateAIEnvironment } = require('../config/vercel');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['aiSuggestions'], 'AIService');
 
 class AIService {
   constructor() {
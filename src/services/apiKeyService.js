@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Servicio de API keys personales para integraciones de terceros
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { DatabaseService } = require('./databaseService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['apiKeys'], 'ApiKeyService');
+
+// Permisos que se pueden delegar a una API key. Las operaciones de cuenta
+// (perfil, contraseña, sesiones, administración) quedan fuera a propósito.
+const API_KEY_SCOPES = [
+  'profile:read',
+  'workouts:read',
+  'workouts:write',
+  'nutrition:read',
+  'nutrition:write',
+  'progress:read',
+  'progress:write',
+  'ai:use'
+];
+
+const API_KEY_PREFIX = 'sfk_';
+
+class ApiKeyService {
+  constructor() {
+    this.maxKeysPerUser = parseInt(process.env.API_KEYS_MAX_PER_USER) || 10;
+    // Intervalo mínimo entre actualizaciones de lastUsedAt para no escribir en cada petición
+    this.touchIntervalMs = (parseInt(process.env.API_KEY_TOUCH_INTERVAL_SECONDS) || 60) * 1000;
+  }
+
+  /**
+   * Crea una API key. La clave en claro solo se devuelve en esta llamada.
+   * @param {string} userId - ID del usuario propietario
+   * @param {Object} data - Nombre, scopes y días de validez opcionales
+   * @returns {Promise<Object>} Documento de la clave y la clave en claro
+   */
+  async createKey(userId, { name, scopes, expiresInDays }) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 64) {
+      throw ErrorHandler.validationError('El nombre de la API key es requerido (máximo 64 caracteres)');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      throw ErrorHandler.validationError(`Los scopes deben ser una lista con valores de: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+      throw ErrorHandler.validationError('expiresInDays debe ser un entero entre 1 y 365');
+    }
+
+    const activeKeys = await this.listActiveKeys(userId);
+    if (activeKeys.length >= this.maxKeysPerUser) {
+      throw ErrorHandler.conflictError(`No puedes tener más de ${this.maxKeysPerUser} API keys activas`);
+    }
+
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+
+    const stored = await DatabaseService.insert('apiKeys', {
+      userId,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      keyHash: this.hashKey(apiKey),
+      keyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 6),
+      expiresAt: expiresInDays
+        ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      createdAt: now.toISOString()
+    });
+
+    return { stored, apiKey };
+  }
+
+  /**
+   * Busca la API key activa que corresponde a una clave en claro
+   * @param {string} apiKey - Clave presentada en el header X-API-Key
+   * @returns {Promise<Object|null>} Documento de la clave o null
+   */
+  async findActiveKey(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const keys = await DatabaseService.find('apiKeys', { keyHash: this.hashKey(apiKey) });
+    const stored = keys[0];
+
+    return stored && this.isActive(stored) ? stored : null;
+  }
+
+  /**
+   * Lista las API keys activas de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} Claves activas
+   */
+  async listActiveKeys(userId) {
+    const keys = await DatabaseService.find('apiKeys', { userId });
+
+    return keys
+      .filter(key => this.isActive(key))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Revoca una API key del usuario
+   * @param {string} userId - ID del usuario propietario
+   * @param {string} keyId - ID de la clave
+   * @returns {Promise<Object>} Clave revocada
+   */
+  async revokeKey(userId, keyId) {
+    const stored = await DatabaseService.findById('apiKeys', keyId);
+
+    // Una clave de otro usuario se trata igual que una inexistente
+    if (!stored || stored.userId !== userId || stored.revokedAt) {
+      throw ErrorHandler.notFoundError('API key no encontrada');
+    }
+
+    return DatabaseService.update('apiKeys', keyId, {
+      revokedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Registra el uso de una clave si pasó el intervalo mínimo
+   * @param {Object} stored - Documento de la clave
+   * @param {string} ip - IP de la petición
+   * @returns {Promise<void>}
+   */
+  async touch(stored, ip) {
+    if (stored.lastUsedAt && Date.now() - new Date(stored.lastUsedAt).getTime() < this.touchIntervalMs) {
+      return;
+    }
+
+    await DatabaseService.update('apiKeys', stored.id, {
+      lastUsedAt: new Date().toISOString(),
+      lastUsedIp: ip || null
+    });
+  }
+
+  /**
+   * Indica si una clave sigue activa
+   * @param {Object} stored - Documento de la clave
+   * @returns {boolean} True si no está revocada ni expirada
+   */
+  isActive(stored) {
+    return !stored.revokedAt && (!stored.expiresAt || new Date(stored.expiresAt) > new Date());
+  }
+
+  /**
+   * Construye la representación pública de una clave (nunca incluye el hash)
+   * @param {Object} stored - Documento de la clave
+   * @returns {Object} Datos públicos de la clave
+   */
+  serializeKey(stored) {
+    return {
+      id: stored.id,
+      name: stored.name,
+      scopes: stored.scopes,
+      keyPrefix: stored.keyPrefix,
+      expiresAt: stored.expiresAt,
+      lastUsedAt: stored.lastUsedAt,
+      createdAt: stored.createdAt
+    };
+  }
+
+  /**
+   * Calcula el hash con el que se almacena una clave
+   * @param {string} apiKey - Clave en claro
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { ApiKeyService: new ApiKeyService(), API_KEY_SCOPES };
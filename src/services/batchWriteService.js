@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Servicio de importación por lotes de registros (entrenamientos, nutrición y peso).
+ * Valida cada registro por separado y guarda los válidos con escrituras por lotes, así que un
+ * registro inválido no impide guardar los demás. Devuelve el resultado de cada registro.
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { ErrorHandler } = require('../core/errorHandler');
+
+// Margen para relojes de clientes algo adelantados
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+class BatchWriteService {
+  constructor() {
+    // Con 500 como máximo (el límite de Firestore) cada petición se guarda en un solo lote
+    this.maxItems = Math.min(parseInt(process.env.BATCH_MAX_ITEMS) || 100, 500);
+  }
+
+  /**
+   * Obtiene la lista de registros del cuerpo de la petición
+   * @param {Object} body - Cuerpo con `items`
+   * @returns {Array<Object>} Registros
+   * @throws {Error} Si no hay registros o superan el máximo
+   */
+  getItems(body) {
+    const items = body && body.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw ErrorHandler.validationError('items debe ser una lista con al menos un registro');
+    }
+
+    if (items.length > this.maxItems) {
+      throw ErrorHandler.validationError(`Se aceptan como máximo ${this.maxItems} registros por petición`);
+    }
+
+    return items;
+  }
+
+  /**
+   * Resuelve la fecha de un registro. Los clientes que importan registros tomados sin
+   * conexión pueden enviar `timestamp` para conservar la fecha original.
+   * @param {*} timestamp - Fecha enviada por el cliente
+   * @param {Date} now - Fecha de la petición
+   * @returns {string} Fecha en formato ISO
+   * @throws {Error} Si la fecha no es válida o es futura
+   */
+  resolveTimestamp(timestamp, now) {
+    if (timestamp === undefined || timestamp === null) {
+      return now.toISOString();
+    }
+
+    const date = new Date(timestamp);
+
+    if (typeof timestamp !== 'string' || isNaN(date.getTime())) {
+      throw ErrorHandler.validationError('La fecha del registro no es válida');
+    }
+
+    if (date.getTime() > now.getTime() + FUTURE_TOLERANCE_MS) {
+      throw ErrorHandler.validationError('La fecha del registro no puede ser futura');
+    }
+
+    return date.toISOString();
+  }
+
+  /**
+   * Valida y guarda un lote de registros
+   * @param {string} collectionName - Colección destino
+   * @param {Array<Object>} items - Registros enviados por el cliente
+   * @param {Object} options - Opciones
+   * @param {Function} options.validate - Validación de un registro (ValidationMiddleware.validate*Log)
+   * @param {Function} options.build - Construye el documento a partir de los datos validados
+   * @returns {Promise<Object>} Resultado por registro (en el orden recibido) y resumen
+   */
+  async insertItems(collectionName, items, { validate, build }) {
+    const now = new Date();
+    const results = new Array(items.length);
+    const documents = [];
+    const positions = [];
+
+    items.forEach((item, index) => {
+      try {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          throw ErrorHandler.validationError('El registro debe ser un objeto');
+        }
+
+        const validatedData = validate(item);
+        documents.push({ ...build(validatedData), timestamp: this.resolveTimestamp(item.timestamp, now) });
+        positions.push(index);
+      } catch (error) {
+        // Los validadores asumen tipos correctos: un campo con otro tipo también es un registro inválido
+        const message = error.name === 'ValidationError' ? error.message : 'El registro no es válido';
+        results[index] = { index, status: 'failed', error: { message, code: 400 } };
+      }
+    });
+
+    if (documents.length > 0) {
+      try {
+        const inserted = await DatabaseService.insertMany(collectionName, documents);
+
+        inserted.forEach((document, position) => {
+          const index = positions[position];
+          results[index] = { index, status: 'created', id: document.id, data: document };
+        });
+      } catch (error) {
+        LoggerService.error(`Error writing batch in ${collectionName}`, error);
+
+        // El lote se guarda completo o no se guarda: ninguno de los registros válidos quedó escrito
+        positions.forEach(index => {
+          results[index] = { index, status: 'failed', error: { message: 'No se pudo guardar el registro', code: 500 } };
+        });
+      }
+    }
+
+    const created = results.filter(result => result.status === 'created').length;
+
+    return {
+      results,
+      summary: {
+        total: items.length,
+        created,
+        failed: items.length - created
+      }
+    };
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { BatchWriteService: new BatchWriteService() };
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Selección del backend de la caché de lectura de DatabaseService.
+ * Todos los backends implementan la misma interfaz: get, set (con TTL en milisegundos) y delete.
+ * @author Marcela
+ */
+
+const { ReadThroughCache } = require('./readThroughCache');
+
+const CACHE_BACKENDS = {
+  memory: () => new (require('./memoryCacheBackend').MemoryCacheBackend)(),
+  redis: () => new (require('./redisCacheBackend').RedisCacheBackend)(),
+  none: () => null
+};
+
+/**
+ * Crea el backend configurado en CACHE_BACKEND. Por defecto la memoria del proceso;
+ * con varias instancias conviene uno compartido para que vean las invalidaciones de las demás.
+ * @param {string} name - Nombre del backend ('memory', 'redis' o 'none')
+ * @returns {Object|null} Backend o null si la caché está desactivada
+ * @throws {Error} Si el backend no existe
+ */
+const createCacheBackend = (name = process.env.CACHE_BACKEND || 'memory') => {
+  if (!Object.prototype.hasOwnProperty.call(CACHE_BACKENDS, name)) {
+    throw new Error(`Backend de caché desconocido: ${name}. Usa ${Object.keys(CACHE_BACKENDS).join(', ')}`);
+  }
+
+  return CACHE_BACKENDS[name]();
+};
+
+module.exports = {
+  CACHE_BACKENDS,
+  createCacheBackend,
+  ReadThroughCache
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Caché en memoria del proceso con expiración y descarte LRU. Cada instancia
+ * tiene la suya: las invalidaciones no llegan a las demás, que ven el cambio al expirar el TTL.
+ * Los valores se guardan serializados para que quien los lee no modifique la copia en caché.
+ * @author Marcela
+ */
+
+class MemoryCacheBackend {
+  constructor({ maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 5000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Obtiene un valor
+   * @param {string} key - Clave
+   * @returns {Promise<*>} Valor o undefined si no está o expiró
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    // Volver a insertarla la marca como la usada más recientemente
+    this.entries.set(key, entry);
+
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Guarda un valor, descartando el usado hace más tiempo si se supera el máximo
+   * @param {string} key - Clave
+   * @param {*} value - Valor serializable en JSON
+   * @param {number} ttlMs - Tiempo de vida en milisegundos
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Elimina un valor
+   * @param {string} key - Clave
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Cantidad de entradas guardadas (incluye las expiradas que todavía no se leyeron)
+   * @returns {number} Entradas
+   */
+  size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { MemoryCacheBackend };
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Caché de lectura de DatabaseService. Guarda los documentos tal como están
+ * almacenados (con los campos sensibles cifrados) durante el `cacheTtlSeconds` de su colección.
+ * Las búsquedas por ID se invalidan borrando su clave. Las búsquedas por criterio incluyen en
+ * la clave una generación que cambia con cada escritura: la del dueño si el criterio filtra
+ * por él y la de la colección si no, así que una escritura no invalida las de otros usuarios.
+Lo leído solo se guarda si la generación no cambió durante la lectura, para que una escritura
+concurrente no deje en caché el valor anterior.
+ * Un fallo del backend nunca falla la lectura: se lee de la base de datos.
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../loggerService');
+const { getCacheTtl, getCollection, getStoredName, resolveCollection } = require('../../config/collections');
+
+// Las generaciones viven más que cualquier entrada; si una se pierde se crea otra y las
+// entradas que dependían de ella dejan de encontrarse
+const GENERATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Serializa un criterio con las claves ordenadas para que el orden no cambie la clave
+ * @param {Object} criteria - Criterio de búsqueda
+ * @returns {string} Huella del criterio (los criterios pueden llevar emails)
+ */
+const hashCriteria = (criteria) => {
+  const sorted = Object.keys(criteria).sort().map(field => [field, criteria[field]]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('base64url').slice(0, 22);
+};
+
+/**
+ * Crea una generación nueva
+ * @returns {string} Generación
+ */
+const newGeneration = () => `${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+
+class ReadThroughCache {
+  /**
+   * @param {Object|null} backend - Backend con get/set/delete o null para no usar caché
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.metrics = new Map();
+  }
+
+  /**
+   * Indica si las lecturas de una colección pasan por la caché
+   * @param {string} collectionName - Nombre de la colección
+   * @returns {boolean} True si usa caché
+   */
+  isEnabled(collectionName) {
+    return Boolean(this.backend) && getCacheTtl(collectionName) > 0;
+  }
+
+  /**
+   * Suma a un contador de las métricas de una colección
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} counter - 'hits', 'misses', 'errors' o 'invalidations'
+   */
+  record(collectionName, counter) {
+    const name = resolveCollection(collectionName);
+
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { hits: 0, misses: 0, errors: 0, invalidations: 0 });
+    }
+
+    this.metrics.get(name)[counter]++;
+  }
+
+  /**
+   * Clave de la generación de una colección o de los documentos de un dueño
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} ownerId - ID del dueño o null para la colección
+   * @returns {string} Clave
+   */
+  generationKey(collectionName, ownerId = null) {
+    return `db:${getStoredName(collectionName)}:gen${ownerId ? `:${ownerId}` : ''}`;
+  }
+
+  /**
+   * Obtiene la generación actual, creándola si no existe
+   * @param {string} key - Clave de la generación
+   * @returns {Promise<string>} Generación
+   */
+  async getGeneration(key) {
+    const generation = await this.backend.get(key);
+
+    if (generation) {
+      return generation;
+    }
+
+    const created = newGeneration();
+    await this.backend.set(key, created, GENERATION_TTL_MS);
+    return created;
+  }
+
+  /**
+   * Lee un valor de la caché o lo carga y lo guarda. La generación se toma antes de cargar:
+   * si cambió al terminar, una escritura se cruzó con la lectura y el valor no se guarda.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Function} getEntry - Función async que devuelve la clave y la generación de la que depende ({ key, generationKey, generation })
+   * @param {Function} loader - Función async que lee de la base de datos
+   * @returns {Promise<*>} Valor
+   */
+  async read(collectionName, getEntry, loader) {
+    let entry = null;
+
+    try {
+      entry = await getEntry();
+      const cached = await this.backend.get(entry.key);
+
+      if (cached !== undefined) {
+        this.record(collectionName, 'hits');
+        return cached.value;
+      }
+    } catch (error) {
+      this.record(collectionName, 'errors');
+      logger.error(`Error reading cache for ${collectionName}`, error);
+    }
+
+    this.record(collectionName, 'misses');
+    const value = await loader();
+
+    if (entry) {
+      try {
+        if (await this.backend.get(entry.generationKey) === entry.generation) {
+          // Se guarda envuelto para cachear también los documentos que no existen (null)
+          await this.backend.set(entry.key, { value }, getCacheTtl(collectionName) * 1000);
+        }
+      } catch (error) {
+        this.record(collectionName, 'errors');
+        logger.error(`Error writing cache for ${collectionName}`, error);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Busca un documento por ID a través de la caché
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} id - ID del documento
+   * @param {Function} loader - Lectura en la base de datos
+   * @returns {Promise<Object|null>} Documento guardado
+   */
+  async findById(collectionName, id, loader) {
+    if (!this.isEnabled(collectionName)) {
+      return loader();
+    }
+
+    // Toda escritura en la colección cambia su generación, también la de este documento
+    return this.read(collectionName, async () => {
+      const generationKey = this.generationKey(collectionName);
+      const generation = await this.getGeneration(generationKey);
+      return { key: `db:${getStoredName(collectionName)}:id:${id}`, generationKey, generation };
+    }, loader);
+  }
+
+  /**
+   * Busca documentos por criterio a través de la caché
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} criteria - Criterio de búsqueda
+   * @param {Function} loader - Lectura en la base de datos
+   * @returns {Promise<Array<Object>>} Documentos guardados
+   */
+  async find(collectionName, criteria, loader) {
+    if (!this.isEnabled(collectionName)) {
+      return loader();
+    }
+
+    const { ownerField } = getCollection(collectionName);
+    const ownerId = ownerField && typeof criteria[ownerField] === 'string' ? criteria[ownerField] : null;
+
+    return this.read(collectionName, async () => {
+      const generationKey = this.generationKey(collectionName, ownerId);
+      const generation = await this.getGeneration(generationKey);
+      return { key: `db:${getStoredName(collectionName)}:find:${generation}:${hashCriteria(criteria)}`, generationKey, generation };
+    }, loader);
+  }
+
+  /**
+   * Invalida lo que una escritura deja desactualizado: el documento, las búsquedas de
+   * la colección y las de sus dueños (el anterior y el nuevo si cambió)
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} id - ID del documento escrito
+   * @param {Array<string>} ownerIds - Dueños del documento
+   * @returns {Promise<void>}
+   */
+  async invalidate(collectionName, id, ownerIds = []) {
+    if (!this.isEnabled(collectionName)) {
+      return;
+    }
+
+    const owners = [...new Set(ownerIds.filter(ownerId => typeof ownerId === 'string'))];
+
+    try {
+      await Promise.all([
+        this.backend.delete(`db:${getStoredName(collectionName)}:id:${id}`),
+        this.backend.set(this.generationKey(collectionName), newGeneration(), GENERATION_TTL_MS),
+        ...owners.map(ownerId => this.backend.set(this.generationKey(collectionName, ownerId), newGeneration(), GENERATION_TTL_MS))
+      ]);
+      this.record(collectionName, 'invalidations');
+    } catch (error) {
+      this.record(collectionName, 'errors');
+      logger.error(`Error invalidating cache for ${collectionName}`, error);
+    }
+  }
+
+  /**
+   * Métricas de aciertos y fallos por colección desde que arrancó el proceso
+   * @returns {Object} Backend y contadores por colección con su tasa de aciertos
+   */
+  getStats() {
+    const collections = {};
+
+    this.metrics.forEach((counters, name) => {
+      const reads = counters.hits + counters.misses;
+      collections[name] = {
+        ...counters,
+        hitRate: reads > 0 ? Math.round((counters.hits / reads) * 1000) / 1000 : null,
+        ttlSeconds: getCacheTtl(name)
+      };
+    });
+
+    return {
+      backend: this.backend ? this.backend.name : 'none',
+      entries: this.backend && typeof this.backend.size === 'function' ? this.backend.size() : null,
+      collections
+    };
+  }
+}
+
+module.exports = { ReadThroughCache };
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Caché compartida entre instancias sobre Redis (o Memorystore). Las
+ * invalidaciones de una instancia las ven todas. Usa el cliente `redis` (v4); se carga solo al
+ * elegir este backend.
+ * @author Marcela
+ */
+
+const { logger } = require('../loggerService');
+
+class RedisCacheBackend {
+  constructor({ url = process.env.REDIS_URL, client } = {}) {
+    if (!client && !url) {
+      throw new Error('REDIS_URL es requerido para la caché de Redis');
+    }
+
+    this.name = 'redis';
+
+    if (client) {
+      this.client = client;
+      this.ready = Promise.resolve();
+      return;
+    }
+
+    // Sin conexión las operaciones fallan y la caché lee de la base de datos; el cliente reconecta solo
+    this.client = require('redis').createClient({ url });
+    this.client.on('error', error => logger.error('Redis cache error', error));
+    this.ready = this.client.connect().catch(error => logger.error('Error connecting to Redis cache', error));
+  }
+
+  /**
+   * Obtiene un valor
+   * @param {string} key - Clave
+   * @returns {Promise<*>} Valor o undefined si no está o expiró
+   */
+  async get(key) {
+    await this.ready;
+    const value = await this.client.get(key);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  /**
+   * Guarda un valor con expiración
+   * @param {string} key - Clave
+   * @param {*} value - Valor serializable en JSON
+   * @param {number} ttlMs - Tiempo de vida en milisegundos
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    await this.ready;
+    await this.client.set(key, JSON.stringify(value), { PX: ttlMs });
+  }
+
+  /**
+   * Elimina un valor
+   * @param {string} key - Clave
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.ready;
+    await this.client.del(key);
+  }
+}
+
+module.exports = { RedisCacheBackend };
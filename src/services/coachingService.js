@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Servicio de relaciones entrenador–cliente: invitaciones, aceptación,
+ * permisos delegados por scope y revocación
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['coachRelationships'], 'CoachingService');
+
+// Permisos que un cliente puede conceder a su entrenador
+const COACH_SCOPES = [
+  'workouts:read',
+  'workouts:write',
+  'progress:read',
+  'nutrition:read'
+];
+
+const OPEN_STATUSES = ['pending', 'active'];
+
+class CoachingService {
+  /**
+   * Crea una invitación de un entrenador a un cliente
+   * @param {Object} coach - Usuario entrenador
+   * @param {Object} client - Usuario cliente
+   * @param {Array<string>} scopes - Permisos solicitados
+   * @returns {Promise<Object>} Relación pendiente
+   */
+  async invite(coach, client, scopes) {
+    this.validateScopes(scopes);
+
+    if (coach.id === client.id) {
+      throw ErrorHandler.validationError('No puedes invitarte a ti mismo');
+    }
+
+    const existing = await this.findOpenRelationship(coach.id, client.id);
+    if (existing) {
+      throw ErrorHandler.conflictError('Ya existe una invitación o relación con este usuario');
+    }
+
+    return DatabaseService.insert('coachRelationships', {
+      coachId: coach.id,
+      clientId: client.id,
+      status: 'pending',
+      requestedScopes: [...new Set(scopes)],
+      scopes: [],
+      invitedAt: new Date().toISOString(),
+      respondedAt: null,
+      revokedAt: null,
+      revokedBy: null
+    });
+  }
+
+  /**
+   * Acepta una invitación. El cliente puede conceder solo parte de los permisos solicitados.
+   * @param {string} clientId - ID del cliente
+   * @param {string} relationshipId - ID de la relación
+   * @param {Array<string>} scopes - Permisos concedidos (por defecto los solicitados)
+   * @returns {Promise<Object>} Relación activa
+   */
+  async accept(clientId, relationshipId, scopes) {
+    const relationship = await this.getPendingInvitation(clientId, relationshipId);
+    const granted = scopes === undefined ? relationship.requestedScopes : scopes;
+
+    this.validateScopes(granted);
+
+    return DatabaseService.update('coachRelationships', relationshipId, {
+      status: 'active',
+      scopes: [...new Set(granted)],
+      respondedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Rechaza una invitación
+   * @param {string} clientId - ID del cliente
+   * @param {string} relationshipId - ID de la relación
+   * @returns {Promise<Object>} Relación rechazada
+   */
+  async decline(clientId, relationshipId) {
+    await this.getPendingInvitation(clientId, relationshipId);
+
+    return DatabaseService.update('coachRelationships', relationshipId, {
+      status: 'declined',
+      respondedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Cambia los permisos concedidos a un entrenador
+   * @param {string} clientId - ID del cliente
+   * @param {string} relationshipId - ID de la relación
+   * @param {Array<string>} scopes - Nuevos permisos
+   * @returns {Promise<Object>} Relación actualizada
+   */
+  async updateScopes(clientId, relationshipId, scopes) {
+    this.validateScopes(scopes);
+
+    const relationship = await this.getRelationshipFor(clientId, relationshipId);
+    if (relationship.clientId !== clientId || relationship.status !== 'active') {
+      throw ErrorHandler.notFoundError('Relación no encontrada');
+    }
+
+    return DatabaseService.update('coachRelationships', relationshipId, {
+      scopes: [...new Set(scopes)]
+    });
+  }
+
+  /**
+   * Revoca una relación o invitación. Puede hacerlo cualquiera de las dos partes.
+   * @param {string} userId - ID del usuario que revoca
+   * @param {string} relationshipId - ID de la relación
+   * @returns {Promise<Object>} Relación revocada
+   */
+  async revoke(userId, relationshipId) {
+    const relationship = await this.getRelationshipFor(userId, relationshipId);
+
+    if (!OPEN_STATUSES.includes(relationship.status)) {
+      throw ErrorHandler.notFoundError('Relación no encontrada');
+    }
+
+    return DatabaseService.update('coachRelationships', relationshipId, {
+      status: 'revoked',
+      scopes: [],
+      revokedAt: new Date().toISOString(),
+      revokedBy: userId
+    });
+  }
+
+  /**
+   * Lista las relaciones abiertas de un usuario, como entrenador y como cliente
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object>} Relaciones con clientes y con entrenadores
+   */
+  async listRelationships(userId) {
+    const [asCoach, asClient] = await Promise.all([
+      DatabaseService.find('coachRelationships', { coachId: userId }),
+      DatabaseService.find('coachRelationships', { clientId: userId })
+    ]);
+
+    const open = relationship => OPEN_STATUSES.includes(relationship.status);
+
+    return {
+      clients: asCoach.filter(open),
+      coaches: asClient.filter(open)
+    };
+  }
+
+  /**
+   * Obtiene la relación activa entre un entrenador y un cliente
+   * @param {string} coachId - ID del entrenador
+   * @param {string} clientId - ID del cliente
+   * @returns {Promise<Object|null>} Relación activa o null
+   */
+  async getActiveRelationship(coachId, clientId) {
+    const relationships = await DatabaseService.find('coachRelationships', { coachId, clientId });
+    return relationships.find(relationship => relationship.status === 'active') || null;
+  }
+
+  /**
+   * Indica si una relación concede un permiso. Escribir implica poder leer.
+   * @param {Object} relationship - Relación activa
+   * @param {string} scope - Permiso requerido
+   * @returns {boolean} True si está concedido
+   */
+  hasScope(relationship, scope) {
+    const scopes = relationship.scopes || [];
+
+    if (scopes.includes(scope)) {
+      return true;
+    }
+
+    return scope.endsWith(':read') && scopes.includes(scope.replace(/:read$/, ':write'));
+  }
+
+  /**
+   * Construye la representación pública de una relación
+   * @param {Object} relationship - Relación
+   * @param {Object} counterpart - Usuario de la otra parte (opcional)
+   * @returns {Object} Relación serializada
+   */
+  serializeRelationship(relationship, counterpart = null) {
+    return {
+      id: relationship.id,
+      coachId: relationship.coachId,
+      clientId: relationship.clientId,
+      status: relationship.status,
+      requestedScopes: relationship.requestedScopes,
+      scopes: relationship.scopes,
+      invitedAt: relationship.invitedAt,
+      respondedAt: relationship.respondedAt,
+      user: counterpart ? { id: counterpart.id, name: counterpart.name, email: counterpart.email } : null
+    };
+  }
+
+  /**
+   * Busca una invitación pendiente o relación activa entre dos usuarios
+   * @param {string} coachId - ID del entrenador
+   * @param {string} clientId - ID del cliente
+   * @returns {Promise<Object|null>} Relación abierta o null
+   */
+  async findOpenRelationship(coachId, clientId) {
+    const relationships = await DatabaseService.find('coachRelationships', { coachId, clientId });
+    return relationships.find(relationship => OPEN_STATUSES.includes(relationship.status)) || null;
+  }
+
+  /**
+   * Obtiene una invitación pendiente dirigida al cliente
+   * @param {string} clientId - ID del cliente
+   * @param {string} relationshipId - ID de la relación
+   * @returns {Promise<Object>} Invitación
+   */
+  async getPendingInvitation(clientId, relationshipId) {
+    const relationship = await this.getRelationshipFor(clientId, relationshipId);
+
+    if (relationship.clientId !== clientId || relationship.status !== 'pending') {
+      throw ErrorHandler.notFoundError('Invitación no encontrada');
+    }
+
+    return relationship;
+  }
+
+  /**
+   * Obtiene una relación en la que participa el usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} relationshipId - ID de la relación
+   * @returns {Promise<Object>} Relación
+   * @throws {Error} NotFoundError si no existe o el usuario no participa en ella
+   */
+  async getRelationshipFor(userId, relationshipId) {
+    const relationship = await DatabaseService.findById('coachRelationships', relationshipId);
+
+    if (!relationship || (relationship.coachId !== userId && relationship.clientId !== userId)) {
+      throw ErrorHandler.notFoundError('Relación no encontrada');
+    }
+
+    return relationship;
+  }
+
+  /**
+   * Valida una lista de permisos delegables
+   * @param {Array<string>} scopes - Permisos
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => COACH_SCOPES.includes(scope))) {
+      throw ErrorHandler.validationError(`Los scopes deben ser una lista con valores de: ${COACH_SCOPES.join(', ')}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { CoachingService: new CoachingService(), COACH_SCOPES };
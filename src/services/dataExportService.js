@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Servicio de exportación de datos personales: reúne todo lo que guardamos de un
+ * usuario en un ZIP de archivos JSON y CSV descargable mediante un enlace con expiración
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { JobService } = require('./jobService');
+const { FileStorageService } = require('./fileStorageService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { createZip } = require('../utils/zip');
+const { toCsv } = require('../utils/csv');
+const { assertCollections, getCollection, getOwnedCollections, assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['dataExports', 'users'], 'DataExportService');
+
+const DATA_EXPORT_JOB = 'data_export';
+const DATA_EXPORT_EXPIRE_JOB = 'data_export_expire';
+
+// Colecciones incluidas en la exportación: nombre del archivo dentro del ZIP, campos que
+// identifican al usuario (por defecto el `ownerField` del registro) y campos que no se entregan:
+// hashes de tokens y claves, rutas internas y la identidad del personal de soporte
+const EXPORT_COLLECTIONS = {
+  workouts: { file: 'workouts' },
+  logs: { file: 'daily_log' },
+  progress: { file: 'progress' },
+  nutrition: { file: 'nutrition' },
+  mealItems: { file: 'meal_items' },
+  goals: { file: 'goals' },
+  aiSuggestions: { file: 'ai_suggestions' },
+  settings: { file: 'settings' },
+  routines: { file: 'routines' },
+  achievements: { file: 'achievements' },
+  motivation: { file: 'motivation' },
+  reminders: { file: 'reminders' },
+  community: { file: 'community' },
+  revisions: { file: 'revisions', redact: ['impersonatorId'] },
+  sessions: { file: 'sessions' },
+  // El ID de estos documentos es el hash del token
+  refreshTokens: { file: 'refresh_tokens', redact: ['id', 'replacedBy'] },
+  actionTokens: { file: 'action_tokens', redact: ['id'] },
+  apiKeys: { file: 'api_keys', redact: ['keyHash'] },
+  userIdentities: { file: 'identities' },
+  roleAssignments: { file: 'roles' },
+  // Incluye las relaciones en las que el usuario es el entrenador
+  coachRelationships: { file: 'coach_relationships', ownerFields: ['clientId', 'coachId'] },
+  impersonations: { file: 'support_access', redact: ['impersonatorId', 'endedBy'] },
+  dataExports: { file: 'data_exports', redact: ['fileKey'] }
+};
+
+assertCollections(Object.keys(EXPORT_COLLECTIONS), 'La exportación de datos');
+
+// Una colección nueva con datos de un usuario no puede quedar fuera de la exportación
+// (el documento de `users` se exporta aparte como perfil)
+const collectionsNotExported = getOwnedCollections().filter(name => name !== 'users' && !EXPORT_COLLECTIONS[name]);
+if (collectionsNotExported.length > 0) {
+  throw new Error(`Colecciones con dueño que no se exportan: ${collectionsNotExported.join(', ')}`);
+}
+
+// Campos del perfil que son secretos o de uso interno y no se entregan
+const PROFILE_EXCLUDED_FIELDS = [
+  'passwordHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastCounter',
+  'deletionJobId',
+  'statusBeforeDeletion'
+];
+
+const IN_PROGRESS_STATUSES = ['pending', 'processing'];
+
+class DataExportService {
+  constructor() {
+    this.linkTtlHours = parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 24;
+    // Por encima de este número de registros la exportación se genera en segundo plano
+    this.syncMaxRecords = parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 1000;
+  }
+
+  /**
+   * Solicita una exportación. Las pequeñas se generan en la misma petición y las grandes
+   * se encolan como trabajo en segundo plano.
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object>} Documento de la exportación
+   */
+  async requestExport(userId) {
+    const previous = await DatabaseService.find('dataExports', { userId });
+
+    if (previous.some(dataExport => IN_PROGRESS_STATUSES.includes(dataExport.status))) {
+      throw ErrorHandler.conflictError('Ya hay una exportación en curso');
+    }
+
+    const dataExport = await DatabaseService.insert('dataExports', {
+      userId,
+      status: 'pending',
+      fileKey: null,
+      size: null,
+      expiresAt: null,
+      jobId: null,
+      error: null,
+      requestedAt: new Date().toISOString(),
+      completedAt: null
+    });
+
+    const recordCount = await this.countRecords(userId);
+
+    if (recordCount <= this.syncMaxRecords) {
+      return this.generateExport({ exportId: dataExport.id });
+    }
+
+    const job = await JobService.enqueue(DATA_EXPORT_JOB, { exportId: dataExport.id });
+    return DatabaseService.update('dataExports', dataExport.id, { jobId: job.id });
+  }
+
+  /**
+   * Lista las exportaciones de un usuario, más recientes primero
+   * @param {string} userId - ID del usuario
+   * @param {Object} options - `limit` y cursor `after`
+   * @returns {Promise<Object>} Exportaciones (`documents`) y `pagination`
+   */
+  async listExports(userId, { limit = 20, after = null } = {}) {
+    return DatabaseService.findPage('dataExports', {
+      filters: { userId },
+      orderBy: 'requestedAt',
+      orderDirection: 'desc',
+      limit,
+      after
+    });
+  }
+
+  /**
+   * Obtiene una exportación del usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} exportId - ID de la exportación
+   * @returns {Promise<Object>} Exportación
+   * @throws {Error} NotFoundError si no existe o pertenece a otro usuario
+   */
+  async getExport(userId, exportId) {
+    const dataExport = await DatabaseService.findById('dataExports', exportId);
+
+    if (!dataExport || dataExport.userId !== userId) {
+      throw ErrorHandler.notFoundError('Exportación no encontrada');
+    }
+
+    return dataExport;
+  }
+
+  /**
+   * Indica si una exportación puede descargarse
+   * @param {Object} dataExport - Exportación
+   * @returns {boolean} True si está lista y no ha expirado
+   */
+  isDownloadable(dataExport) {
+    return dataExport.status === 'ready' && new Date(dataExport.expiresAt) > new Date();
+  }
+
+  /**
+   * Lee el archivo de una exportación descargable
+   * @param {string} userId - ID del usuario
+   * @param {string} exportId - ID de la exportación
+   * @returns {Promise<Buffer>} Contenido del ZIP
+   * @throws {Error} NotFoundError si la exportación no existe, no está lista o expiró
+   */
+  async readExportFile(userId, exportId) {
+    const dataExport = await this.getExport(userId, exportId);
+
+    if (!this.isDownloadable(dataExport)) {
+      throw ErrorHandler.notFoundError('La exportación no está disponible');
+    }
+
+    const content = await FileStorageService.read(dataExport.fileKey);
+    if (!content) {
+      throw ErrorHandler.notFoundError('La exportación no está disponible');
+    }
+
+    return content;
+  }
+
+  /**
+   * Genera el ZIP de una exportación (manejador del trabajo `data_export`)
+   * @param {Object} payload - Datos del trabajo
+   * @param {string} payload.exportId - ID de la exportación
+   * @param {Object} job - Trabajo en ejecución (no se recibe cuando se genera en la petición)
+   * @returns {Promise<Object>} Exportación actualizada
+   */
+  async generateExport({ exportId }, job = null) {
+    const dataExport = await DatabaseService.findById('dataExports', exportId);
+
+    if (!dataExport || !IN_PROGRESS_STATUSES.includes(dataExport.status)) {
+      return dataExport;
+    }
+
+    await DatabaseService.update('dataExports', exportId, { status: 'processing' });
+
+    try {
+      const files = await this.buildFiles(dataExport.userId);
+      const content = createZip(files);
+      const fileKey = `exports/${dataExport.userId}/${exportId}.zip`;
+      const expiresAt = new Date(Date.now() + this.linkTtlHours * 60 * 60 * 1000);
+
+      await FileStorageService.save(fileKey, content, 'application/zip');
+      await JobService.enqueue(DATA_EXPORT_EXPIRE_JOB, { exportId, fileKey }, { runAt: expiresAt });
+
+      const updated = await DatabaseService.update('dataExports', exportId, {
+        status: 'ready',
+        fileKey,
+        size: content.length,
+        expiresAt: expiresAt.toISOString(),
+        error: null,
+        completedAt: new Date().toISOString()
+      });
+
+      LoggerService.audit('data_export_generated', { exportId, size: content.length }, dataExport.userId);
+
+      return updated;
+    } catch (error) {
+      // Si el trabajo se va a reintentar la exportación sigue pendiente
+      const willRetry = job && job.attempts < JobService.maxAttempts;
+
+      await DatabaseService.update('dataExports', exportId, {
+        status: willRetry ? 'pending' : 'failed',
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina el archivo de una exportación caducada (manejador del trabajo `data_export_expire`)
+   * @param {Object} payload - Datos del trabajo
+   * @param {string} payload.exportId - ID de la exportación
+   * @param {string} payload.fileKey - Archivo a eliminar
+   * @returns {Promise<void>}
+   */
+  async expireExport({ exportId, fileKey }) {
+    await FileStorageService.delete(fileKey);
+
+    const dataExport = await DatabaseService.findById('dataExports', exportId);
+    if (dataExport) {
+      await DatabaseService.update('dataExports', exportId, { status: 'expired', fileKey: null });
+    }
+  }
+
+  /**
+   * Elimina los archivos de las exportaciones de un usuario y descarta sus trabajos pendientes
+   * (al eliminar la cuenta; los documentos de las exportaciones se borran aparte)
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<number>} Archivos eliminados
+   */
+  async deleteUserFiles(userId) {
+    const exports = await DatabaseService.find('dataExports', { userId });
+    const exportIds = exports.map(dataExport => dataExport.id);
+    const files = exports.filter(dataExport => dataExport.fileKey);
+
+    await Promise.all(files.map(dataExport => FileStorageService.delete(dataExport.fileKey)));
+
+    // El payload de los trabajos incluye la ruta del archivo, que contiene el ID del usuario
+    for (const type of [DATA_EXPORT_JOB, DATA_EXPORT_EXPIRE_JOB]) {
+      await JobService.discard(type, payload => exportIds.includes(payload.exportId));
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Cuenta los registros que contendrá la exportación de un usuario
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<number>} Número de registros
+   */
+  async countRecords(userId) {
+    const counts = await Promise.all(
+      Object.keys(EXPORT_COLLECTIONS).map(collectionName => this.findUserDocuments(collectionName, userId))
+    );
+
+    return counts.reduce((total, documents) => total + documents.length, 0);
+  }
+
+  /**
+   * Obtiene los documentos de un usuario en una colección exportada, sin los campos secretos.
+   * Lo que está en la papelera sigue guardado y también se exporta, con su `deletedAt`.
+   * @param {string} collectionName - Nombre de la colección (clave de EXPORT_COLLECTIONS)
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array<Object>>} Documentos
+   */
+  async findUserDocuments(collectionName, userId) {
+    const { ownerFields = [getCollection(collectionName).ownerField], redact = [] } = EXPORT_COLLECTIONS[collectionName];
+
+    const matches = await Promise.all(ownerFields.map(field =>
+      DatabaseService.find(collectionName, { [field]: userId }, { includeDeleted: true })
+    ));
+
+    return matches.flat().map(document => {
+      const exported = { ...document };
+      redact.forEach(field => delete exported[field]);
+      return exported;
+    });
+  }
+
+  /**
+   * Construye los archivos de la exportación: un JSON y un CSV por colección, el perfil y un manifiesto
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array<Object>>} Archivos con `name` y `content`
+   */
+  async buildFiles(userId) {
+    const user = await DatabaseService.findById('users', userId);
+
+    if (!user) {
+      throw new Error(`Usuario ${userId} no encontrado`);
+    }
+
+    const profile = { ...user };
+    PROFILE_EXCLUDED_FIELDS.forEach(field => delete profile[field]);
+
+    const files = [{ name: 'profile.json', content: JSON.stringify(profile, null, 2) }];
+    const manifest = {
+      userId,
+      generatedAt: new Date().toISOString(),
+      files: { profile: { records: 1 } }
+    };
+
+    for (const [collectionName, { file: fileName }] of Object.entries(EXPORT_COLLECTIONS)) {
+      const documents = await this.findUserDocuments(collectionName, userId);
+
+      files.push({ name: `${fileName}.json`, content: JSON.stringify(documents, null, 2) });
+      files.push({ name: `${fileName}.csv`, content: toCsv(documents) });
+      manifest.files[fileName] = { records: documents.length };
+    }
+
+    files.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+    return files;
+  }
+
+  /**
+   * Construye la representación pública de una exportación
+   * @param {Object} dataExport - Exportación
+   * @returns {Object} Exportación sin datos internos
+   */
+  serializeExport(dataExport) {
+    return {
+      id: dataExport.id,
+      status: dataExport.status === 'ready' && !this.isDownloadable(dataExport) ? 'expired' : dataExport.status,
+      size: dataExport.size,
+      requestedAt: dataExport.requestedAt,
+      completedAt: dataExport.completedAt,
+      expiresAt: dataExport.expiresAt
+    };
+  }
+}
+
+const dataExportService = new DataExportService();
+
+JobService.register(DATA_EXPORT_JOB, (payload, job) => dataExportService.generateExport(payload, job));
+JobService.register(DATA_EXPORT_EXPIRE_JOB, payload => dataExportService.expireExport(payload));
+
+// Exportar instancia singleton
+module.exports = { DataExportService: dataExportService, EXPORT_COLLECTIONS };
@@ -1,48 +1,213 @@
 /**
- * @fileoverview Servicio de base de datos usando Google Cloud Firestore
+ * @fileoverview Servicio de base de datos. Delega en el adaptador de almacenamiento
+ * configurado (Firestore, memoria o archivo JSON; ver services/storage).
  * @author Marcela
  */
 
-const { Firestore } = require('@google-cloud/firestore');
 const { logger } = require('./loggerService');
-const { initializeFirestore, validateEnvironment } = require('../config/vercel');
+const { createStorageAdapter } = require('./storage');
+const { createKeyProvider, FieldEncryption } = require('./encryption');
+const { createCacheBackend, ReadThroughCache } = require('./cache');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { getSoftDelete, getRevisionLimit, getEncryptedFields, getCollection, resolveCollection, isSynced, assertCollectionNames } = require('../config/collections');
+const { getFieldValue, isEqual } = require('./storage/queryEngine');
+const { ErrorHandler } = require('../core/errorHandler');
+const { RequestContext } = require('./requestContext');
+const { toVersionKey } = require('../utils/etag');
+
+assertCollectionNames(['revisions'], 'DatabaseService');
+
+/**
+ * Quita los documentos que están en la papelera
+ * @param {string} collectionName - Nombre de la colección
+ * @param {Array<Object>} documents - Documentos
+ * @param {boolean} includeDeleted - Si es true, se devuelven todos
+ * @returns {Array<Object>} Documentos visibles
+ */
+const withoutDeleted = (collectionName, documents, includeDeleted = false) => {
+  if (includeDeleted || !getSoftDelete(collectionName)) {
+    return documents;
+  }
+
+  return documents.filter(document => !document.deletedAt);
+};
+
+/**
+ * Obtiene los dueños de unos documentos para invalidar sus búsquedas en caché
+ * @param {string} collectionName - Nombre de la colección
+ * @param {...Object} documents - Documentos o datos escritos (pueden ser null)
+ * @returns {Array<string>} IDs de los dueños
+ */
+const getOwnerIds = (collectionName, ...documents) => {
+  const { ownerField } = getCollection(collectionName);
+  return ownerField ? documents.filter(Boolean).map(document => document[ownerField]).filter(Boolean) : [];
+};
+
+/**
+ * Envuelve una transacción del adaptador para anotar los documentos que escribe, con sus
+ * dueños antes y después de escribirlos, y poder invalidarlos en la caché al confirmarla
+ * @param {Object} transaction - Transacción del adaptador
+ * @param {Array<Object>} written - Lista donde se anotan las escrituras
+ * @returns {Object} Transacción con la misma interfaz
+ */
+const trackWrites = (transaction, written) => {
+  const read = new Map();
+  const key = (collectionName, id) => `${resolveCollection(collectionName)}/${id}`;
+  const record = (collectionName, id, data) => {
+    written.push({ collectionName, id, ownerIds: getOwnerIds(collectionName, read.get(key(collectionName, id)), data) });
+  };
+
+  return {
+    get: async (collectionName, id) => {
+      const document = await transaction.get(collectionName, id);
+      read.set(key(collectionName, id), document);
+      return document;
+    },
+    set: (collectionName, id, data) => {
+      record(collectionName, id, data);
+      return transaction.set(collectionName, id, data);
+    },
+    update: (collectionName, id, data) => {
+      record(collectionName, id, data);
+      return transaction.update(collectionName, id, data);
+    },
+    delete: (collectionName, id) => {
+      record(collectionName, id);
+      return transaction.delete(collectionName, id);
+    }
+  };
+};
+
+// Límite de escrituras de un lote de Firestore
+const MAX_BATCH_WRITES = 500;
+
+// Campos que cambian en cada escritura y no aportan a la diferencia de una revisión
+const REVISION_IGNORED_FIELDS = ['updatedAt', 'version'];
+
+// Campos de control que no tienen fecha de cambio propia
+const FIELD_TIME_IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'version', 'encryption', 'fieldUpdatedAt'];
+
+/**
+ * Quita de un documento la fecha de cambio por campo, que solo usa la sincronización
+ * @param {Object} document - Documento
+ * @returns {Object} Documento sin `fieldUpdatedAt`
+ */
+const withoutFieldTimes = (document) => {
+  if (!document || document.fieldUpdatedAt === undefined) {
+    return document;
+  }
+
+  const result = { ...document };
+  delete result.fieldUpdatedAt;
+  return result;
+};
+
+/**
+ * Calcula cuándo cambió cada campo de un documento sincronizado después de una escritura.
+ * Los documentos escritos antes de la sincronización toman su `updatedAt` para todos sus campos.
+ * Un campo que se escribe con el mismo valor conserva su fecha: una edición completa desde la
+ * app no debe ganar a las ediciones sin conexión de los campos que no tocó.
+ * @param {Object} current - Documento guardado
+ * @param {Object} before - Documento guardado, descifrado
+ * @param {Object} changes - Campos que se van a escribir (con su `updatedAt`)
+ * @param {Object} fieldTimes - Fecha de cambio por campo cuando no es la de la escritura
+ * @returns {Object} Fecha de cambio (ISO) por campo
+ */
+const stampFieldTimes = (current, before, changes, fieldTimes = {}) => {
+  const stamped = { ...current.fieldUpdatedAt };
+
+  if (!current.fieldUpdatedAt) {
+    Object.keys(current)
+      .filter(field => !FIELD_TIME_IGNORED_FIELDS.includes(field))
+      .forEach(field => { stamped[field] = current.updatedAt || current.createdAt; });
+  }
+
+  Object.keys(changes)
+    .filter(field => !FIELD_TIME_IGNORED_FIELDS.includes(field))
+    .filter(field => stamped[field] === undefined || !isEqual(getFieldValue(before, field), changes[field]))
+    .forEach(field => { stamped[field] = fieldTimes[field] || changes.updatedAt; });
+
+  return stamped;
+};
+
+/**
+ * Construye la revisión que guarda el estado de un documento antes de un cambio
+ * @param {string} collectionName - Nombre de la colección
+ * @param {Object} before - Documento antes del cambio
+ * @param {Object} changes - Campos que se van a escribir
+ * @param {string} action - 'update', 'delete', 'restore', 'revert' o 'migration'
+ * @param {string} id - ID de la revisión
+ * @returns {Object} Revisión
+ */
+const buildRevision = (collectionName, before, changes, action, id) => {
+  const diff = {};
+
+  Object.keys(changes)
+    .filter(field => !REVISION_IGNORED_FIELDS.includes(field))
+    .forEach(field => {
+      const from = getFieldValue(before, field);
+
+      if (!isEqual(from, changes[field])) {
+        diff[field] = {
+          from: from === undefined ? null : from,
+          to: changes[field] === undefined ? null : changes[field]
+        };
+      }
+    });
+
+  const now = new Date().toISOString();
+
+  return {
+    id,
+    collection: resolveCollection(collectionName),
+    documentId: before.id,
+    userId: before[getCollection(collectionName).ownerField] || null,
+    action,
+    version: before.version || 0,
+    diff,
+    snapshot: before,
+    // Quién hizo el cambio: el usuario autenticado y, si es una suplantación, la persona de soporte
+    actorId: RequestContext.get('actorId') || null,
+    impersonatorId: RequestContext.get('impersonatorId') || null,
+    createdAt: now,
+    updatedAt: now
+  };
+};
 
 class DatabaseService {
   constructor() {
-    // En producción (Vercel), usar credenciales de variables de entorno
-    if (process.env.NODE_ENV === 'production') {
-      try {
-        validateEnvironment();
-        this.db = initializeFirestore();
-      } catch (error) {
-        logger.error('Error initializing Firestore for production', error);
-        throw error;
-      }
-    } else {
-      // En desarrollo, usar archivo de credenciales
-      this.db = new Firestore({
-        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
-      });
+    try {
+      this.adapter = createStorageAdapter();
+      this.encryption = new FieldEncryption(createKeyProvider());
+      this.cache = new ReadThroughCache(createCacheBackend());
+    } catch (error) {
+      logger.error('Error initializing storage adapter', error);
+      throw error;
     }
-    
-    this.collections = {
-      users: this.db.collection('users'),
-      workouts: this.db.collection('workouts'),
-      progress: this.db.collection('progress'),
-      nutrition: this.db.collection('nutrition'),
-      aiSuggestions: this.db.collection('ai_suggestions'),
-      logs: this.db.collection('logs'),
-      routines: this.db.collection('routines'),
-      sports: this.db.collection('sports'),
-      achievements: this.db.collection('achievements'),
-      motivation: this.db.collection('motivation'),
-      exercises: this.db.collection('exercises'),
-      goals: this.db.collection('goals'),
-      reminders: this.db.collection('reminders'),
-      community: this.db.collection('community'),
-      settings: this.db.collection('settings')
-    };
+  }
+
+  /**
+   * Reemplaza el adaptador de almacenamiento (útil en pruebas)
+   * @param {Object} adapter - Adaptador con la interfaz de storage
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Reemplaza el proveedor de claves del cifrado de campos (útil en pruebas)
+   * @param {Object} keyProvider - Proveedor con la interfaz de services/encryption
+   */
+  setKeyProvider(keyProvider) {
+    this.encryption = new FieldEncryption(keyProvider);
+  }
+
+  /**
+   * Reemplaza el backend de la caché de lectura (útil en pruebas o para un backend propio)
+   * @param {Object|null} backend - Backend con get/set/delete o null para desactivarla
+   */
+  setCacheBackend(backend) {
+    this.cache = new ReadThroughCache(backend);
   }
 
   /**
@@ -50,21 +215,43 @@ class DatabaseService {
    * @returns {string} ID único
    */
   generateId() {
-    return this.db.collection('_').doc().id;
+    return this.adapter.generateId();
   }
 
   /**
-   * Obtiene todos los documentos de una colección
+   * Prepara un documento guardado para devolverlo: descifra sus campos y quita `fieldUpdatedAt`
    * @param {string} collectionName - Nombre de la colección
+   * @param {Object} document - Documento guardado
+   * @param {boolean} includeFieldTimes - Si es true, conserva `fieldUpdatedAt`
+   * @returns {Promise<Object>} Documento
+   */
+  async toResult(collectionName, document, includeFieldTimes = false) {
+    const decrypted = await this.encryption.decryptDocument(collectionName, document);
+    return includeFieldTimes ? decrypted : withoutFieldTimes(decrypted);
+  }
+
+  /**
+   * Prepara varios documentos guardados para devolverlos (ver `toResult`)
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Array<Object>} documents - Documentos guardados
+   * @returns {Promise<Array<Object>>} Documentos
+   */
+  async toResults(collectionName, documents) {
+    const decrypted = await this.encryption.decryptDocuments(collectionName, documents);
+    return decrypted.map(withoutFieldTimes);
+  }
+
+  /**
+   * Obtiene todos los documentos de una colección, sin los que están en la papelera
+   * (`softDelete` en el registro) y con los campos de `encryptedFields` descifrados
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} options - `includeDeleted` para incluir los que están en la papelera
    * @returns {Promise<Array>} Array de documentos
    */
-  async getAll(collectionName) {
+  async getAll(collectionName, { includeDeleted = false } = {}) {
     try {
-      const snapshot = await this.collections[collectionName].get();
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const documents = withoutDeleted(collectionName, await this.adapter.getAll(collectionName), includeDeleted);
+      return await this.toResults(collectionName, documents);
     } catch (error) {
       logger.error(`Error getting all from ${collectionName}`, error);
       throw error;
@@ -72,25 +259,18 @@ class DatabaseService {
   }
 
   /**
-   * Busca documentos por criterio
+   * Busca documentos por criterio. En las colecciones con `cacheTtlSeconds` lee a través de la
+   * caché (ver services/cache), que guarda los documentos cifrados: se descifran al devolverlos.
    * @param {string} collectionName - Nombre de la colección
    * @param {Object} criteria - Criterios de búsqueda
+   * @param {Object} options - `includeDeleted` para incluir los que están en la papelera
    * @returns {Promise<Array>} Array de documentos que coinciden
    */
-  async find(collectionName, criteria) {
+  async find(collectionName, criteria, { includeDeleted = false } = {}) {
     try {
-      let query = this.collections[collectionName];
-      
-      // Aplicar filtros
-      Object.keys(criteria).forEach(key => {
-        query = query.where(key, '==', criteria[key]);
-      });
-      
-      const snapshot = await query.get();
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const stored = await this.cache.find(collectionName, criteria, () => this.adapter.find(collectionName, criteria));
+      const documents = withoutDeleted(collectionName, stored, includeDeleted);
+      return await this.toResults(collectionName, documents);
     } catch (error) {
       logger.error(`Error finding in ${collectionName}`, error);
       throw error;
@@ -98,23 +278,23 @@ class DatabaseService {
   }
 
   /**
-   * Busca un documento por ID
+   * Busca un documento por ID, a través de la caché como `find`. `fieldUpdatedAt`, la fecha
+   * de cambio de cada campo en las colecciones con `sync`, es un dato interno de la sincronización.
    * @param {string} collectionName - Nombre de la colección
    * @param {string} id - ID del documento
+   * @param {Object} options - `includeDeleted` para devolverlo aunque esté en la papelera e
+   *   `includeFieldTimes` para conservar `fieldUpdatedAt`
    * @returns {Promise<Object|null>} Documento encontrado o null
    */
-  async findById(collectionName, id) {
+  async findById(collectionName, id, { includeDeleted = false, includeFieldTimes = false } = {}) {
     try {
-      const doc = await this.collections[collectionName].doc(id).get();
-      
-      if (!doc.exists) {
+      const document = await this.cache.findById(collectionName, id, () => this.adapter.findById(collectionName, id));
+
+      if (!document || withoutDeleted(collectionName, [document], includeDeleted).length === 0) {
         return null;
       }
-      
-      return {
-        id: doc.id,
-        ...doc.data()
-      };
+
+      return await this.toResult(collectionName, document, includeFieldTimes);
     } catch (error) {
       logger.error(`Error finding by ID in ${collectionName}`, error);
       throw error;
@@ -122,7 +302,8 @@ class DatabaseService {
   }
 
   /**
-   * Inserta un nuevo documento
+   * Inserta un nuevo documento con `version` 1 y los campos de `encryptedFields` cifrados
+   * (ver services/encryption)
    * @param {string} collectionName - Nombre de la colección
    * @param {Object} data - Datos a insertar
    * @returns {Promise<Object>} Documento insertado
@@ -143,14 +324,16 @@ class DatabaseService {
         data.updatedAt = new Date().toISOString();
       }
 
-      const docRef = await this.collections[collectionName].doc(data.id).set(data);
+      if (!data.version) {
+        data.version = 1;
+      }
+
+      const document = await this.adapter.insert(collectionName, await this.encryption.encryptFields(collectionName, data));
+      await this.cache.invalidate(collectionName, data.id, getOwnerIds(collectionName, data));
       
       logger.info(`Document inserted in ${collectionName}`, { id: data.id });
       
-      return {
-        id: data.id,
-        ...data
-      };
+      return await this.toResult(collectionName, document);
     } catch (error) {
       logger.error(`Error inserting in ${collectionName}`, error);
       throw error;
@@ -158,23 +341,128 @@ class DatabaseService {
   }
 
   /**
-   * Actualiza un documento existente
+   * Inserta varios documentos con escrituras por lotes. Cada lote de hasta
+   * MAX_BATCH_WRITES documentos se guarda completo o no se guarda.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Array<Object>} items - Datos de los documentos
+   * @returns {Promise<Array<Object>>} Documentos insertados, en el mismo orden
+   * @throws {Error} Si falla alguno de los lotes (los anteriores quedan guardados)
+   */
+  async insertMany(collectionName, items) {
+    try {
+      const now = new Date().toISOString();
+      const inserted = [];
+
+      const documents = await Promise.all(items.map(item => this.encryption.encryptFields(collectionName, {
+        ...item,
+        id: item.id || this.generateId(),
+        createdAt: item.createdAt || now,
+        updatedAt: item.updatedAt || now,
+        version: item.version || 1
+      })));
+
+      for (let start = 0; start < documents.length; start += MAX_BATCH_WRITES) {
+        const chunk = documents.slice(start, start + MAX_BATCH_WRITES);
+        inserted.push(...await this.adapter.insertMany(collectionName, chunk));
+        await Promise.all(chunk.map(document => {
+          return this.cache.invalidate(collectionName, document.id, getOwnerIds(collectionName, document));
+        }));
+      }
+
+      logger.info(`Documents inserted in ${collectionName}`, { count: inserted.length });
+
+      return await this.toResults(collectionName, inserted);
+    } catch (error) {
+      logger.error(`Error inserting batch in ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza un documento existente e incrementa su versión. Si se indica la versión
+   * esperada y no coincide con la guardada, no escribe nada. Si la petición en curso envió
+   * `If-Match` para este documento (ver controllerHandler), se espera esa versión; las
+   * escrituras de otros documentos en la misma petición no la comprueban.
+   * En las colecciones con `revisionLimit` guarda en la misma transacción una revisión con el
+   * estado anterior, y en las colecciones con `sync` registra en `fieldUpdatedAt` cuándo cambió
+   * cada campo. Al terminar invalida en la caché lo que la escritura deja desactualizado.
    * @param {string} collectionName - Nombre de la colección
    * @param {string} id - ID del documento
    * @param {Object} data - Datos a actualizar
+   * @param {Object} options - Opciones
+   * @param {number} options.expectedVersion - Versión que debe tener el documento
+   * @param {Object} options.fieldTimes - En colecciones con `sync`, fecha de cambio por campo
+   *   cuando no es la de la escritura (por ejemplo la edición sin conexión de un cliente)
+   * @param {string} options.revisionAction - Acción que se registra en la revisión ('update' por defecto)
+   * @param {boolean} options.cascade - Escritura de un hijo al mover su padre a la papelera o
+   *   restaurarlo; el `If-Match` de la petición no se le aplica
    * @returns {Promise<Object>} Documento actualizado
+   * @throws {Error} PreconditionFailedError si la versión no coincide
    */
-  async update(collectionName, id, data) {
+  async update(collectionName, id, data, options = {}) {
+    const versionKey = toVersionKey(collectionName, id);
+    const expectedVersions = options.cascade ? null : RequestContext.get('expectedVersions');
+    const ifMatch = options.expectedVersion === undefined && Boolean(expectedVersions) && expectedVersions.has(versionKey);
+    const expectedVersion = ifMatch ? expectedVersions.get(versionKey) : options.expectedVersion;
+    const revisionLimit = getRevisionLimit(collectionName);
+    let ownerIds = [];
+
     try {
       // Agregar timestamp de actualización
       data.updatedAt = new Date().toISOString();
-      
-      await this.collections[collectionName].doc(id).update(data);
+
+      await this.adapter.runTransaction(async (transaction) => {
+        const current = await transaction.get(collectionName, id);
+        ownerIds = getOwnerIds(collectionName, current, data);
+        // Los documentos anteriores al versionado cuentan como versión 0
+        const version = (current && current.version) || 0;
+
+        if (current && expectedVersion !== undefined && expectedVersion !== version) {
+          throw ErrorHandler.preconditionFailedError();
+        }
+
+        const changes = await this.encryption.encryptFields(collectionName, data, current && current.encryption);
+        const synced = isSynced(collectionName);
+        const before = current && (revisionLimit > 0 || synced)
+          ? withoutFieldTimes(await this.encryption.decryptDocument(collectionName, current))
+          : null;
+        let revision = null;
+
+        if (current && revisionLimit > 0) {
+          const revisionId = this.generateId();
+          revision = await this.encryption.encryptFields('revisions', buildRevision(
+            collectionName, before, data, options.revisionAction || 'update', revisionId
+          ));
+        }
+
+        const fieldTimes = current && synced
+          ? { fieldUpdatedAt: stampFieldTimes(current, before, data, options.fieldTimes) }
+          : {};
+
+        transaction.update(collectionName, id, { ...changes, ...fieldTimes, version: version + 1 });
+
+        // La revisión se escribe en la misma transacción que el cambio
+        if (revision) {
+          transaction.set('revisions', revision.id, revision);
+        }
+      });
+
+      await this.cache.invalidate(collectionName, id, ownerIds);
+
+      if (revisionLimit > 0) {
+        await this.pruneRevisions(collectionName, id, revisionLimit);
+      }
+
+      // El If-Match ya se cumplió: otra escritura del mismo documento en la petición no lo repite
+      if (ifMatch) {
+        expectedVersions.delete(versionKey);
+      }
+
+      const document = await this.adapter.findById(collectionName, id);
       
       logger.info(`Document updated in ${collectionName}`, { id });
       
-      // Retornar documento actualizado
-      return await this.findById(collectionName, id);
+      return await this.toResult(collectionName, document);
     } catch (error) {
       logger.error(`Error updating in ${collectionName}`, error);
       throw error;
@@ -182,14 +470,100 @@ class DatabaseService {
   }
 
   /**
-   * Elimina un documento
+   * Elimina un documento. En las colecciones con papelera lo marca con `deletedAt`
+   * junto con sus hijos; el borrado definitivo se hace con `purge`.
    * @param {string} collectionName - Nombre de la colección
    * @param {string} id - ID del documento
    * @returns {Promise<boolean>} True si se eliminó correctamente
    */
   async delete(collectionName, id) {
+    const softDelete = getSoftDelete(collectionName);
+
+    if (!softDelete) {
+      return this.purge(collectionName, id);
+    }
+
     try {
-      await this.collections[collectionName].doc(id).delete();
+      const deletedAt = new Date().toISOString();
+
+      await this.update(collectionName, id, { deletedAt }, { revisionAction: 'delete' });
+
+      // Los hijos guardan quién los envió a la papelera para restaurarlos solo con él
+      const deletedWith = `${collectionName}/${id}`;
+      for (const { collection, foreignKey } of softDelete.children) {
+        const children = await this.find(collection, { [foreignKey]: id });
+        await Promise.all(children.map(child => {
+          return this.update(collection, child.id, { deletedAt, deletedWith }, { revisionAction: 'delete', cascade: true });
+        }));
+      }
+
+      logger.info(`Document moved to trash in ${collectionName}`, { id });
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting in ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaura un documento de la papelera junto con los hijos que se eliminaron con él
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} id - ID del documento
+   * @returns {Promise<Object|null>} Documento restaurado o null si no estaba en la papelera
+   */
+  async restore(collectionName, id) {
+    const softDelete = getSoftDelete(collectionName);
+    const document = softDelete ? await this.findById(collectionName, id, { includeDeleted: true }) : null;
+
+    if (!document || !document.deletedAt) {
+      return null;
+    }
+
+    try {
+      const deletedWith = `${collectionName}/${id}`;
+      for (const { collection, foreignKey } of softDelete.children) {
+        const children = await this.find(collection, { [foreignKey]: id, deletedWith }, { includeDeleted: true });
+        await Promise.all(children.map(child => {
+          return this.update(collection, child.id, { deletedAt: null, deletedWith: null }, { revisionAction: 'restore', cascade: true });
+        }));
+      }
+
+      const restored = await this.update(collectionName, id, { deletedAt: null }, { revisionAction: 'restore' });
+
+      logger.info(`Document restored in ${collectionName}`, { id });
+      return restored;
+    } catch (error) {
+      logger.error(`Error restoring in ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un documento definitivamente, con sus hijos si la colección los declara
+   * y con sus revisiones, que guardan copias de sus datos
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} id - ID del documento
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  async purge(collectionName, id) {
+    const softDelete = getSoftDelete(collectionName);
+
+    try {
+      if (softDelete) {
+        for (const { collection, foreignKey } of softDelete.children) {
+          const children = await this.find(collection, { [foreignKey]: id }, { includeDeleted: true });
+          await Promise.all(children.map(child => this.purge(collection, child.id)));
+        }
+      }
+
+      if (getRevisionLimit(collectionName) > 0) {
+        await this.pruneRevisions(collectionName, id, 0);
+      }
+
+      const stored = this.cache.isEnabled(collectionName) ? await this.adapter.findById(collectionName, id) : null;
+
+      await this.adapter.delete(collectionName, id);
+      await this.cache.invalidate(collectionName, id, getOwnerIds(collectionName, stored));
       
       logger.info(`Document deleted in ${collectionName}`, { id });
       return true;
@@ -200,65 +574,205 @@ class DatabaseService {
   }
 
   /**
-   * Busca documentos con paginación
+   * Borra las revisiones más antiguas de un documento por encima del límite
+   * @param {string} collectionName - Nombre de la colección
+   * @param {string} id - ID del documento
+   * @param {number} limit - Revisiones que se conservan (0 borra todas)
+   * @returns {Promise<number>} Revisiones borradas
+   */
+  async pruneRevisions(collectionName, id, limit) {
+    const revisions = await this.adapter.find('revisions', {
+      collection: resolveCollection(collectionName),
+      documentId: id
+    });
+
+    if (revisions.length <= limit) {
+      return 0;
+    }
+
+    const expired = revisions
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id))
+      .slice(limit);
+
+    await Promise.all(expired.map(revision => this.adapter.delete('revisions', revision.id)));
+
+    return expired.length;
+  }
+
+  /**
+   * Recifra los documentos de una colección que lo necesitan: los que tienen campos sensibles
+   * en claro o una clave de datos cifrada con una clave maestra anterior. Cada documento recibe
+   * una clave de datos nueva. No cambia la versión porque el contenido es el mismo.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {number} limit - Máximo de documentos a recifrar
+   * @returns {Promise<Object>} `reencrypted` y `remaining` (pendientes tras este lote)
+   */
+  async reencryptBatch(collectionName, limit) {
+    const fields = getEncryptedFields(collectionName);
+
+    try {
+      const activeKeyId = await this.encryption.keyProvider.getActiveKeyId();
+      const pending = (await this.adapter.getAll(collectionName))
+        .filter(document => this.encryption.needsReencryption(collectionName, document, activeKeyId));
+      const batch = pending.slice(0, limit);
+
+      for (const document of batch) {
+        const { id } = document;
+
+        await this.adapter.runTransaction(async (transaction) => {
+          const current = await transaction.get(collectionName, id);
+
+          if (!current || !this.encryption.needsReencryption(collectionName, current, activeKeyId)) {
+            return;
+          }
+
+          const decrypted = await this.encryption.decryptDocument(collectionName, current);
+          const values = {};
+          fields.filter(field => decrypted[field] !== undefined).forEach(field => {
+            values[field] = decrypted[field];
+          });
+
+          // Sin campos sensibles que cifrar, el documento ya no necesita clave de datos
+          const changes = await this.encryption.encryptFields(collectionName, values);
+          transaction.update(collectionName, id, changes.encryption ? changes : { encryption: null });
+        });
+
+        // La caché guarda los documentos cifrados: las copias con la clave anterior dejan de servir
+        await this.cache.invalidate(collectionName, id, getOwnerIds(collectionName, document));
+      }
+
+      logger.info(`Documents re-encrypted in ${collectionName}`, { count: batch.length, activeKeyId });
+
+      return { reencrypted: batch.length, remaining: pending.length - batch.length };
+    } catch (error) {
+      logger.error(`Error re-encrypting ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca documentos con paginación por offset
+   * @deprecated Usar findPage: el offset obliga a leer todos los documentos anteriores
    * @param {string} collectionName - Nombre de la colección
    * @param {Object} options - Opciones de paginación
    * @returns {Promise<Object>} Resultados paginados
    */
   async findWithPagination(collectionName, options = {}) {
     try {
-      const { limit = 20, offset = 0, orderBy = 'createdAt', orderDirection = 'desc', filters = {} } = options;
-      
-      let query = this.collections[collectionName];
-      
-      // Aplicar filtros
-      Object.keys(filters).forEach(key => {
-        query = query.where(key, '==', filters[key]);
-      });
-      
-      // Aplicar ordenamiento
-      query = query.orderBy(orderBy, orderDirection);
-      
-      // Aplicar paginación
-      if (offset > 0) {
-        const offsetSnapshot = await query.limit(offset).get();
-        const lastDoc = offsetSnapshot.docs[offsetSnapshot.docs.length - 1];
-        if (lastDoc) {
-          query = query.startAfter(lastDoc);
+      const result = await this.adapter.findWithPagination(collectionName, options);
+      const documents = withoutDeleted(collectionName, result.documents);
+      return { ...result, documents: await this.toResults(collectionName, documents) };
+    } catch (error) {
+      logger.error(`Error finding with pagination in ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una página de documentos a partir de un cursor. Los filtros y el orden se
+   * resuelven en la base de datos y el cursor queda atado a esta misma consulta.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} options - Opciones de paginación
+   * @param {Object} options.filters - Igualdades por campo
+   * @param {Array} options.conditions - Condiciones adicionales ({ field, operator, value })
+   * @param {string} options.orderBy - Campo de orden
+   * @param {string} options.orderDirection - 'asc' o 'desc'
+   * @param {number} options.limit - Tamaño de la página
+   * @param {string} options.after - Cursor devuelto en la página anterior
+   * @param {boolean} options.onlyDeleted - Listar la papelera en lugar de los documentos visibles
+   * @param {boolean} options.includeDeleted - Listar también los documentos de la papelera
+   * @returns {Promise<Object>} Documentos y `pagination` con `limit`, `hasMore` y `nextCursor`
+   * @throws {Error} ValidationError si el cursor es inválido
+   */
+  async findPage(collectionName, options = {}) {
+    const {
+      filters = {},
+      conditions = [],
+      orderBy = 'createdAt',
+      orderDirection = 'desc',
+      limit = 20,
+      after = null,
+      onlyDeleted = false,
+      includeDeleted = false
+    } = options;
+
+    const allConditions = [
+      ...Object.keys(filters).map(field => ({ field, operator: '==', value: filters[field] })),
+      ...conditions,
+      // Firestore solo compara valores del mismo tipo: `deletedAt: null` no es mayor que ''
+      ...(onlyDeleted ? [{ field: 'deletedAt', operator: '>', value: '' }] : [])
+    ];
+    const context = { collection: collectionName, orderBy, orderDirection, conditions: allConditions };
+    const startAfter = after ? decodeCursor(after, context) : null;
+
+    try {
+      const documents = [];
+      let position = startAfter;
+
+      // Se pide un documento de más para saber si hay otra página sin contar la colección.
+      // Los documentos en la papelera se descartan y se sigue leyendo hasta completar la página.
+      while (documents.length <= limit) {
+        const batch = await this.adapter.findPage(collectionName, {
+          conditions: allConditions,
+          orderBy,
+          orderDirection,
+          limit: limit + 1,
+          startAfter: position
+        });
+
+        documents.push(...(onlyDeleted ? batch : withoutDeleted(collectionName, batch, includeDeleted)));
+
+        if (batch.length <= limit) {
+          break;
         }
+
+        const lastRead = batch[batch.length - 1];
+        position = { value: lastRead[orderBy], id: lastRead.id };
       }
-      
-      query = query.limit(limit);
-      
-      const snapshot = await query.get();
-      const documents = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      
+
+      const hasMore = documents.length > limit;
+      const page = documents.slice(0, limit);
+      const last = page[page.length - 1];
+
       return {
-        documents,
+        documents: await this.toResults(collectionName, page),
         pagination: {
           limit,
-          offset,
-          hasMore: documents.length === limit,
-          total: documents.length
+          hasMore,
+          nextCursor: hasMore ? encodeCursor({ value: last[orderBy], id: last.id }, context) : null
         }
       };
     } catch (error) {
-      logger.error(`Error finding with pagination in ${collectionName}`, error);
+      logger.error(`Error finding page in ${collectionName}`, error);
       throw error;
     }
   }
 
   /**
-   * Ejecuta una transacción
+   * Ejecuta una transacción. La función recibe un objeto con `get(colección, id)`,
+   * `set(colección, id, datos)`, `update(colección, id, datos)` y `delete(colección, id)`;
+   * las lecturas deben hacerse antes que las escrituras y la función puede reintentarse.
+   * Trabaja con los documentos tal como están guardados: sin descifrar y sin versión nueva.
+   * Al confirmarse invalida en la caché los documentos escritos, como `update`; para que
+   * también se invaliden las búsquedas de su dueño hay que leerlos antes de escribirlos.
    * @param {Function} updateFunction - Función que contiene las operaciones de la transacción
    * @returns {Promise<any>} Resultado de la transacción
    */
   async runTransaction(updateFunction) {
+    let written = [];
+
     try {
-      return await this.db.runTransaction(updateFunction);
+      const result = await this.adapter.runTransaction(async (transaction) => {
+        // Si la función se reintenta solo cuentan las escrituras del último intento
+        written = [];
+        return updateFunction(trackWrites(transaction, written));
+      });
+
+      for (const { collectionName, id, ownerIds } of written) {
+        await this.cache.invalidate(collectionName, id, ownerIds);
+      }
+
+      return result;
     } catch (error) {
       logger.error('Error running transaction', error);
       throw error;
@@ -289,10 +803,10 @@ class DatabaseService {
    */
   async getStats(collectionName) {
     try {
-      const snapshot = await this.collections[collectionName].get();
+      const documents = await this.getAll(collectionName);
       
       return {
-        totalDocuments: snapshot.size,
+        totalDocuments: documents.length,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
@@ -305,22 +819,13 @@ class DatabaseService {
    * Realiza una consulta compleja con múltiples condiciones
    * @param {string} collectionName - Nombre de la colección
    * @param {Array} conditions - Array de condiciones
+   * @param {Object} options - `includeDeleted` para incluir los que están en la papelera
    * @returns {Promise<Array>} Documentos que coinciden
    */
-  async complexQuery(collectionName, conditions) {
+  async complexQuery(collectionName, conditions, { includeDeleted = false } = {}) {
     try {
-      let query = this.collections[collectionName];
-      
-      conditions.forEach(condition => {
-        const { field, operator, value } = condition;
-        query = query.where(field, operator, value);
-      });
-      
-      const snapshot = await query.get();
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const documents = withoutDeleted(collectionName, await this.adapter.complexQuery(collectionName, conditions), includeDeleted);
+      return await this.toResults(collectionName, documents);
     } catch (error) {
       logger.error(`Error in complex query for ${collectionName}`, error);
       throw error;
@@ -338,15 +843,10 @@ class DatabaseService {
     try {
       // Firestore no tiene búsqueda de texto nativa
       // Esta es una implementación básica usando startsWith
-      const snapshot = await this.collections[collectionName]
-        .where(field, '>=', searchTerm)
-        .where(field, '<=', searchTerm + '\uf8ff')
-        .get();
-      
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return await this.complexQuery(collectionName, [
+        { field, operator: '>=', value: searchTerm },
+        { field, operator: '<=', value: `${searchTerm}\uf8ff` }
+      ]);
     } catch (error) {
       logger.error(`Error in text search for ${collectionName}`, error);
       throw error;
@@ -373,6 +873,14 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Métricas de la caché de lectura de esta instancia
+   * @returns {Object} Backend y contadores por colección
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
   /**
    * Incrementa un campo numérico
    * @param {string} collectionName - Nombre de la colección
@@ -383,16 +891,12 @@ class DatabaseService {
    */
   async increment(collectionName, id, field, amount = 1) {
     try {
-      const docRef = this.collections[collectionName].doc(id);
-      
-      await docRef.update({
-        [field]: Firestore.FieldValue.increment(amount),
-        updatedAt: new Date().toISOString()
-      });
+      const document = await this.adapter.increment(collectionName, id, field, amount);
+      await this.cache.invalidate(collectionName, id, getOwnerIds(collectionName, document));
       
       logger.info(`Field ${field} incremented in ${collectionName}`, { id, amount });
       
-      return await this.findById(collectionName, id);
+      return await this.toResult(collectionName, document);
     } catch (error) {
       logger.error(`Error incrementing field in ${collectionName}`, error);
       throw error;
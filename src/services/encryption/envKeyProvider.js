@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Proveedor de claves con las claves maestras en variables de entorno.
+ * ENCRYPTION_KEYS lista las claves como `id:base64` separadas por comas (32 bytes cada una)
+ * y ENCRYPTION_ACTIVE_KEY_ID indica con cuál se cifra (por defecto la última). Las claves
+ * anteriores se mantienen en la lista para descifrar hasta que termine la rotación.
+ * Fuera de producción, sin ENCRYPTION_KEYS se usa una clave derivada de JWT_SECRET.
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const LOCAL_KEY_ID = 'local';
+
+/**
+ * Lee las claves maestras de la configuración
+ * @param {string} keys - Lista `id:base64,id:base64`
+ * @returns {Map<string, Buffer>} Clave por ID
+ * @throws {Error} Si una clave está mal formada
+ */
+const parseKeys = (keys) => {
+  const parsed = new Map();
+
+  keys.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== KEY_BYTES) {
+      throw new Error(`ENCRYPTION_KEYS: cada clave debe ser id:base64 de ${KEY_BYTES} bytes`);
+    }
+
+    parsed.set(id, key);
+  });
+
+  return parsed;
+};
+
+class EnvKeyProvider {
+  constructor({ keys = process.env.ENCRYPTION_KEYS, activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID } = {}) {
+    this.keys = keys ? parseKeys(keys) : new Map();
+
+    if (this.keys.size === 0 && process.env.NODE_ENV !== 'production' && process.env.JWT_SECRET) {
+      this.keys.set(LOCAL_KEY_ID, crypto.createHash('sha256').update(`field-encryption:${process.env.JWT_SECRET}`).digest());
+    }
+
+    this.activeKeyId = activeKeyId || Array.from(this.keys.keys()).pop() || null;
+
+    if (this.activeKeyId && !this.keys.has(this.activeKeyId)) {
+      throw new Error(`ENCRYPTION_ACTIVE_KEY_ID no está en ENCRYPTION_KEYS: ${this.activeKeyId}`);
+    }
+  }
+
+  /**
+   * Obtiene una clave maestra
+   * @param {string} keyId - ID de la clave
+   * @returns {Buffer} Clave
+   * @throws {Error} Si la clave no está configurada
+   */
+  getKey(keyId) {
+    if (!this.keys.has(keyId)) {
+      throw new Error(`Clave de cifrado no configurada: ${keyId}`);
+    }
+
+    return this.keys.get(keyId);
+  }
+
+  /**
+   * ID de la clave con la que se cifran las claves de datos nuevas
+   * @returns {Promise<string>} ID de la clave
+   */
+  async getActiveKeyId() {
+    if (!this.activeKeyId) {
+      throw new Error('ENCRYPTION_KEYS es requerido para cifrar datos');
+    }
+
+    return this.activeKeyId;
+  }
+
+  /**
+   * Cifra una clave de datos con la clave maestra activa
+   * @param {Buffer} dataKey - Clave de datos
+   * @returns {Promise<Object>} `keyId` y `wrappedKey` (base64)
+   */
+  async wrapKey(dataKey) {
+    const keyId = await this.getActiveKeyId();
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(keyId), iv);
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  /**
+   * Descifra una clave de datos
+   * @param {string} wrappedKey - Clave de datos cifrada (base64)
+   * @param {string} keyId - ID de la clave maestra con la que se cifró
+   * @returns {Promise<Buffer>} Clave de datos
+   */
+  async unwrapKey(wrappedKey, keyId) {
+    const content = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(keyId), content.subarray(0, IV_BYTES));
+
+    decipher.setAuthTag(content.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+    return Buffer.concat([decipher.update(content.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  }
+}
+
+module.exports = { EnvKeyProvider };
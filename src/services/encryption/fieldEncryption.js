@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Cifrado por sobre (envelope encryption) de los campos sensibles de un documento.
+ * Cada documento tiene su propia clave de datos, cifrada con la clave maestra del proveedor y
+ * guardada junto al documento en `encryption: { keyId, wrappedKey }`. Los campos declarados en
+ * `encryptedFields` se guardan como `enc:v1:<base64url>` (AES-256-GCM sobre el valor en JSON,
+ * así que conservan su tipo al descifrarse). Los documentos sin `encryption` se leen tal cual.
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { getEncryptedFields } = require('../../config/collections');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const DATA_KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Claves de datos descifradas que se guardan en memoria para no pedirlas al proveedor en cada lectura
+const DATA_KEY_CACHE_SIZE = 1000;
+
+class FieldEncryption {
+  /**
+   * @param {Object} keyProvider - Proveedor con getActiveKeyId, wrapKey y unwrapKey
+   */
+  constructor(keyProvider) {
+    this.keyProvider = keyProvider;
+    this.dataKeys = new Map();
+  }
+
+  /**
+   * Guarda una clave de datos descifrada, descartando la usada hace más tiempo
+   * @param {string} wrappedKey - Clave cifrada
+   * @param {Buffer} dataKey - Clave descifrada
+   */
+  cacheDataKey(wrappedKey, dataKey) {
+    this.dataKeys.delete(wrappedKey);
+    this.dataKeys.set(wrappedKey, dataKey);
+
+    if (this.dataKeys.size > DATA_KEY_CACHE_SIZE) {
+      this.dataKeys.delete(this.dataKeys.keys().next().value);
+    }
+  }
+
+  /**
+   * Crea una clave de datos nueva cifrada con la clave maestra activa
+   * @returns {Promise<Object>} `envelope` para guardar en el documento y `dataKey`
+   */
+  async createDataKey() {
+    const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+    const { keyId, wrappedKey } = await this.keyProvider.wrapKey(dataKey);
+
+    this.cacheDataKey(wrappedKey, dataKey);
+
+    return { envelope: { keyId, wrappedKey }, dataKey };
+  }
+
+  /**
+   * Obtiene la clave de datos de un documento
+   * @param {Object} envelope - `encryption` del documento
+   * @returns {Promise<Buffer>} Clave de datos
+   */
+  async getDataKey(envelope) {
+    let dataKey = this.dataKeys.get(envelope.wrappedKey);
+
+    if (!dataKey) {
+      dataKey = await this.keyProvider.unwrapKey(envelope.wrappedKey, envelope.keyId);
+    }
+
+    this.cacheDataKey(envelope.wrappedKey, dataKey);
+
+    return dataKey;
+  }
+
+  /**
+   * Cifra un valor
+   * @param {*} value - Valor
+   * @param {Buffer} dataKey - Clave de datos
+   * @returns {string} Valor cifrado
+   */
+  encryptValue(value, dataKey) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+  }
+
+  /**
+   * Descifra un valor. Los valores sin cifrar se devuelven tal cual.
+   * @param {*} value - Valor guardado
+   * @param {Buffer} dataKey - Clave de datos
+   * @returns {*} Valor original
+   */
+  decryptValue(value, dataKey) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const content = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, content.subarray(0, IV_BYTES));
+
+    decipher.setAuthTag(content.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+    return JSON.parse(Buffer.concat([decipher.update(content.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8'));
+  }
+
+  /**
+   * Indica si un valor está cifrado
+   * @param {*} value - Valor guardado
+   * @returns {boolean} True si está cifrado
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Cifra los campos sensibles de unos datos antes de escribirlos. Si el documento todavía
+   * no tiene clave de datos se crea una y se agrega en `encryption`.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} data - Datos a escribir
+   * @param {Object} envelope - `encryption` del documento guardado, si existe
+   * @returns {Promise<Object>} Datos con los campos cifrados
+   */
+  async encryptFields(collectionName, data, envelope = null) {
+    const fields = getEncryptedFields(collectionName)
+      .filter(field => data[field] !== undefined && data[field] !== null);
+
+    if (fields.length === 0) {
+      return data;
+    }
+
+    const encrypted = { ...data };
+    let dataKey;
+
+    if (envelope) {
+      dataKey = await this.getDataKey(envelope);
+    } else {
+      const created = await this.createDataKey();
+      dataKey = created.dataKey;
+      encrypted.encryption = created.envelope;
+    }
+
+    fields.forEach(field => {
+      encrypted[field] = this.encryptValue(data[field], dataKey);
+    });
+
+    return encrypted;
+  }
+
+  /**
+   * Descifra los campos sensibles de un documento leído. El documento devuelto no
+   * incluye `encryption`.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object|null} document - Documento guardado
+   * @returns {Promise<Object|null>} Documento descifrado
+   */
+  async decryptDocument(collectionName, document) {
+    if (!document || document.encryption === undefined) {
+      return document;
+    }
+
+    const { encryption, ...decrypted } = document;
+
+    if (!encryption) {
+      return decrypted;
+    }
+
+    const dataKey = await this.getDataKey(encryption);
+
+    getEncryptedFields(collectionName).forEach(field => {
+      if (decrypted[field] !== undefined) {
+        decrypted[field] = this.decryptValue(decrypted[field], dataKey);
+      }
+    });
+
+    return decrypted;
+  }
+
+  /**
+   * Descifra una lista de documentos
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Array<Object>} documents - Documentos guardados
+   * @returns {Promise<Array<Object>>} Documentos descifrados
+   */
+  async decryptDocuments(collectionName, documents) {
+    if (getEncryptedFields(collectionName).length === 0) {
+      return documents;
+    }
+
+    return Promise.all(documents.map(document => this.decryptDocument(collectionName, document)));
+  }
+
+  /**
+   * Indica si un documento guardado debe recifrarse: porque su clave de datos está cifrada
+   * con una clave maestra que ya no es la activa o porque tiene campos sensibles en claro
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} document - Documento guardado
+   * @param {string} activeKeyId - ID de la clave maestra activa
+   * @returns {boolean} True si hay que recifrarlo
+   */
+  needsReencryption(collectionName, document, activeKeyId) {
+    const fields = getEncryptedFields(collectionName);
+
+    if (document.encryption) {
+      return document.encryption.keyId !== activeKeyId ||
+        fields.some(field => document[field] !== undefined && document[field] !== null && !this.isEncrypted(document[field]));
+    }
+
+    return fields.some(field => document[field] !== undefined && document[field] !== null);
+  }
+}
+
+module.exports = { FieldEncryption };
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Selección del proveedor de claves del cifrado de campos.
+ * Todos los proveedores implementan la misma interfaz: getActiveKeyId, wrapKey y unwrapKey.
+ * @author Marcela
+ */
+
+const { FieldEncryption } = require('./fieldEncryption');
+
+const KEY_PROVIDERS = {
+  env: () => new (require('./envKeyProvider').EnvKeyProvider)(),
+  kms: () => new (require('./kmsKeyProvider').KmsKeyProvider)()
+};
+
+/**
+ * Crea el proveedor configurado en ENCRYPTION_KEY_PROVIDER. Por defecto usa las claves
+ * de las variables de entorno; en producción se recomienda KMS.
+ * @param {string} name - Nombre del proveedor ('env' o 'kms')
+ * @returns {Object} Proveedor de claves
+ * @throws {Error} Si el proveedor no existe
+ */
+const createKeyProvider = (name = process.env.ENCRYPTION_KEY_PROVIDER || 'env') => {
+  if (!Object.prototype.hasOwnProperty.call(KEY_PROVIDERS, name)) {
+    throw new Error(`Proveedor de claves desconocido: ${name}. Usa ${Object.keys(KEY_PROVIDERS).join(', ')}`);
+  }
+
+  return KEY_PROVIDERS[name]();
+};
+
+module.exports = {
+  KEY_PROVIDERS,
+  createKeyProvider,
+  FieldEncryption
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Proveedor de claves sobre Google Cloud KMS. La clave maestra no sale de KMS:
+ * las claves de datos se cifran y descifran con llamadas a la API. KMS_KEY_NAME es el nombre
+ * completo de la clave (`projects/.../locations/.../keyRings/.../cryptoKeys/...`); al rotarla
+ * en KMS cambia su versión primaria y los documentos cifrados con la anterior quedan pendientes
+ * de recifrar.
+ * @author Marcela
+ */
+
+const { google } = require('googleapis');
+const { configureGoogleCloud } = require('../../config/vercel');
+
+const KMS_SCOPES = ['https://www.googleapis.com/auth/cloudkms'];
+
+// La versión primaria se consulta como mucho una vez por este intervalo
+const ACTIVE_KEY_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Crea la autenticación de Google con las mismas credenciales que el resto de la app
+ * @returns {Object} Cliente de autenticación
+ */
+const createAuth = () => {
+  if (process.env.NODE_ENV === 'production') {
+    return new google.auth.GoogleAuth({ credentials: configureGoogleCloud(), scopes: KMS_SCOPES });
+  }
+
+  return new google.auth.GoogleAuth({
+    keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS || './credentials/service-account-key.json',
+    scopes: KMS_SCOPES
+  });
+};
+
+class KmsKeyProvider {
+  constructor({ keyName = process.env.KMS_KEY_NAME, client } = {}) {
+    if (!keyName) {
+      throw new Error('KMS_KEY_NAME es requerido para el proveedor de claves de KMS');
+    }
+
+    this.keyName = keyName;
+    this.cryptoKeys = (client || google.cloudkms({ version: 'v1', auth: createAuth() })).projects.locations.keyRings.cryptoKeys;
+    this.activeKey = null;
+  }
+
+  /**
+   * ID de la versión primaria de la clave, con la que KMS cifra las claves de datos nuevas
+   * @returns {Promise<string>} Nombre de la versión
+   */
+  async getActiveKeyId() {
+    if (!this.activeKey || Date.now() - this.activeKey.checkedAt > ACTIVE_KEY_CACHE_MS) {
+      const response = await this.cryptoKeys.get({ name: this.keyName });
+      this.activeKey = { id: response.data.primary.name, checkedAt: Date.now() };
+    }
+
+    return this.activeKey.id;
+  }
+
+  /**
+   * Cifra una clave de datos con la versión primaria
+   * @param {Buffer} dataKey - Clave de datos
+   * @returns {Promise<Object>} `keyId` (versión usada) y `wrappedKey` (base64)
+   */
+  async wrapKey(dataKey) {
+    const response = await this.cryptoKeys.encrypt({
+      name: this.keyName,
+      requestBody: { plaintext: dataKey.toString('base64') }
+    });
+
+    return { keyId: response.data.name, wrappedKey: response.data.ciphertext };
+  }
+
+  /**
+   * Descifra una clave de datos. KMS identifica la versión por el propio texto cifrado.
+   * @param {string} wrappedKey - Clave de datos cifrada (base64)
+   * @returns {Promise<Buffer>} Clave de datos
+   */
+  async unwrapKey(wrappedKey) {
+    const response = await this.cryptoKeys.decrypt({
+      name: this.keyName,
+      requestBody: { ciphertext: wrappedKey }
+    });
+
+    return Buffer.from(response.data.plaintext, 'base64');
+  }
+}
+
+module.exports = { KmsKeyProvider };
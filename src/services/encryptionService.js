@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Servicio de rotación del cifrado de campos. Después de rotar la clave maestra
+ * (o de declarar campos nuevos en `encryptedFields`) programa un trabajo por colección que
+ * recifra sus documentos por lotes hasta que todos usan la clave activa.
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { JobService } = require('./jobService');
+const { COLLECTION_REGISTRY, getEncryptedFields } = require('../config/collections');
+
+const ENCRYPTION_ROTATION_JOB = 'encryption_rotation';
+
+class EncryptionService {
+  constructor() {
+    this.batchSize = parseInt(process.env.ENCRYPTION_ROTATION_BATCH_SIZE) || 100;
+  }
+
+  /**
+   * Lista las colecciones con campos cifrados
+   * @returns {Array<string>} Nombres canónicos
+   */
+  getEncryptedCollections() {
+    return Object.keys(COLLECTION_REGISTRY).filter(name => getEncryptedFields(name).length > 0);
+  }
+
+  /**
+   * Programa la rotación de todas las colecciones con campos cifrados
+   * @returns {Promise<Array<Object>>} Trabajos programados
+   */
+  async startRotation() {
+    const jobs = await Promise.all(this.getEncryptedCollections().map(collectionName => {
+      return JobService.enqueue(ENCRYPTION_ROTATION_JOB, { collectionName });
+    }));
+
+    LoggerService.info('Encryption rotation scheduled', { collections: this.getEncryptedCollections() });
+
+    return jobs;
+  }
+
+  /**
+   * Recifra un lote de una colección y programa el siguiente si quedan documentos
+   * (manejador del trabajo `encryption_rotation`)
+   * @param {Object} payload - Datos del trabajo
+   * @param {string} payload.collectionName - Colección
+   * @returns {Promise<Object>} Documentos recifrados y pendientes
+   */
+  async rotateCollection({ collectionName }) {
+    const result = await DatabaseService.reencryptBatch(collectionName, this.batchSize);
+
+    if (result.remaining > 0) {
+      await JobService.enqueue(ENCRYPTION_ROTATION_JOB, { collectionName });
+    }
+
+    return result;
+  }
+}
+
+const encryptionService = new EncryptionService();
+
+JobService.register(ENCRYPTION_ROTATION_JOB, payload => encryptionService.rotateCollection(payload));
+
+// Exportar instancia singleton
+module.exports = { EncryptionService: encryptionService };
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Servicio de almacenamiento de archivos generados (exportaciones, etc.)
+ * en disco local o en Google Cloud Storage
+ * @author Marcela
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Almacenamiento en un directorio local (desarrollo y tests)
+ */
+class LocalFileStorage {
+  /**
+   * @param {string} directory - Directorio base
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Guarda un archivo
+   * @param {string} key - Ruta relativa del archivo
+   * @param {Buffer} content - Contenido
+   * @returns {Promise<void>}
+   */
+  async save(key, content) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+  }
+
+  /**
+   * Lee un archivo
+   * @param {string} key - Ruta relativa del archivo
+   * @returns {Promise<Buffer|null>} Contenido o null si no existe
+   */
+  async read(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un archivo si existe
+   * @param {string} key - Ruta relativa del archivo
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Resuelve la ruta absoluta de una clave sin permitir salir del directorio base
+   * @param {string} key - Ruta relativa
+   * @returns {string} Ruta absoluta
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+
+    if (!filePath.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`Ruta de archivo inválida: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+/**
+ * Almacenamiento en un bucket de Google Cloud Storage
+ */
+class GcsFileStorage {
+  /**
+   * @param {string} bucketName - Nombre del bucket
+   */
+  constructor(bucketName) {
+    const { Storage } = require('@google-cloud/storage');
+    this.bucket = new Storage({
+      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
+    }).bucket(bucketName);
+  }
+
+  /**
+   * Guarda un archivo
+   * @param {string} key - Nombre del objeto
+   * @param {Buffer} content - Contenido
+   * @param {string} contentType - Tipo MIME
+   * @returns {Promise<void>}
+   */
+  async save(key, content, contentType = 'application/octet-stream') {
+    await this.bucket.file(key).save(content, { contentType, resumable: false });
+  }
+
+  /**
+   * Lee un archivo
+   * @param {string} key - Nombre del objeto
+   * @returns {Promise<Buffer|null>} Contenido o null si no existe
+   */
+  async read(key) {
+    const file = this.bucket.file(key);
+    const [exists] = await file.exists();
+
+    if (!exists) {
+      return null;
+    }
+
+    const [content] = await file.download();
+    return content;
+  }
+
+  /**
+   * Elimina un archivo si existe
+   * @param {string} key - Nombre del objeto
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+}
+
+class FileStorageService {
+  constructor() {
+    this.backend = this.createDefaultBackend();
+  }
+
+  /**
+   * Crea el backend configurado: GCS si hay bucket (FILE_STORAGE_BUCKET), si no disco local
+   * @returns {Object} Backend con save/read/delete
+   */
+  createDefaultBackend() {
+    const backendName = process.env.FILE_STORAGE || (process.env.FILE_STORAGE_BUCKET ? 'gcs' : 'local');
+
+    if (backendName === 'local') {
+      return new LocalFileStorage(process.env.FILE_STORAGE_DIR || path.join(process.cwd(), 'tmp', 'files'));
+    }
+
+    if (backendName === 'gcs') {
+      if (!process.env.FILE_STORAGE_BUCKET) {
+        throw new Error('FILE_STORAGE_BUCKET es requerido para el almacenamiento en GCS');
+      }
+      return new GcsFileStorage(process.env.FILE_STORAGE_BUCKET);
+    }
+
+    throw new Error(`Almacenamiento de archivos no soportado: ${backendName}`);
+  }
+
+  /**
+   * Reemplaza el backend de almacenamiento
+   * @param {Object} backend - Objeto con métodos save/read/delete
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Guarda un archivo
+   * @param {string} key - Ruta del archivo
+   * @param {Buffer} content - Contenido
+   * @param {string} contentType - Tipo MIME
+   * @returns {Promise<void>}
+   */
+  async save(key, content, contentType) {
+    return this.backend.save(key, content, contentType);
+  }
+
+  /**
+   * Lee un archivo
+   * @param {string} key - Ruta del archivo
+   * @returns {Promise<Buffer|null>} Contenido o null si no existe
+   */
+  async read(key) {
+    return this.backend.read(key);
+  }
+
+  /**
+   * Elimina un archivo
+   * @param {string} key - Ruta del archivo
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    return this.backend.delete(key);
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { FileStorageService: new FileStorageService(), LocalFileStorage, GcsFileStorage };
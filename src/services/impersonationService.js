@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Servicio de suplantación de usuarios por el equipo de soporte.
+ * Cada suplantación queda registrada y el usuario puede ver cuándo se accedió a su cuenta.
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { RoleService } = require('./roleService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['impersonations'], 'ImpersonationService');
+
+class ImpersonationService {
+  constructor() {
+    this.defaultMinutes = parseInt(process.env.IMPERSONATION_TOKEN_MINUTES) || 15;
+    this.maxMinutes = 60;
+  }
+
+  /**
+   * Registra el inicio de una suplantación
+   * @param {Object} impersonator - Usuario de soporte (req.user)
+   * @param {Object} target - Usuario suplantado
+   * @param {Object} options - Motivo, duración e IP
+   * @returns {Promise<Object>} Registro de la suplantación
+   */
+  async startImpersonation(impersonator, target, { reason, durationMinutes, ip }) {
+    if (!reason || typeof reason !== 'string' || reason.trim().length < 5 || reason.trim().length > 500) {
+      throw ErrorHandler.validationError('El motivo de la suplantación es requerido (entre 5 y 500 caracteres)');
+    }
+
+    const minutes = durationMinutes === undefined || durationMinutes === null
+      ? this.defaultMinutes
+      : durationMinutes;
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > this.maxMinutes) {
+      throw ErrorHandler.validationError(`durationMinutes debe ser un entero entre 1 y ${this.maxMinutes}`);
+    }
+
+    if (impersonator.id === target.id) {
+      throw ErrorHandler.validationError('No puedes suplantarte a ti mismo');
+    }
+
+    // Suplantar a otro administrador permitiría escalar privilegios
+    if ((await RoleService.getUserRoles(target.id)).includes('admin')) {
+      throw ErrorHandler.authorizationError('No se puede suplantar a un administrador');
+    }
+
+    const startedAt = new Date();
+
+    return DatabaseService.insert('impersonations', {
+      userId: target.id,
+      impersonatorId: impersonator.id,
+      reason: reason.trim(),
+      ip: ip || null,
+      startedAt: startedAt.toISOString(),
+      expiresAt: new Date(startedAt.getTime() + minutes * 60 * 1000).toISOString(),
+      endedAt: null,
+      endedBy: null
+    });
+  }
+
+  /**
+   * Obtiene una suplantación vigente
+   * @param {string} impersonationId - ID de la suplantación
+   * @returns {Promise<Object|null>} Suplantación o null si terminó o expiró
+   */
+  async getActiveImpersonation(impersonationId) {
+    const impersonation = await DatabaseService.findById('impersonations', impersonationId);
+    return impersonation && this.isActive(impersonation) ? impersonation : null;
+  }
+
+  /**
+   * Termina una suplantación antes de su expiración
+   * @param {string} impersonationId - ID de la suplantación
+   * @param {string} endedBy - ID de quien la termina
+   * @returns {Promise<Object>} Suplantación terminada
+   */
+  async endImpersonation(impersonationId, endedBy) {
+    const impersonation = await this.getActiveImpersonation(impersonationId);
+
+    if (!impersonation) {
+      throw ErrorHandler.notFoundError('Suplantación no encontrada o ya terminada');
+    }
+
+    return DatabaseService.update('impersonations', impersonationId, {
+      endedAt: new Date().toISOString(),
+      endedBy
+    });
+  }
+
+  /**
+   * Lista los accesos de soporte a la cuenta de un usuario, más recientes primero
+   * @param {string} userId - ID del usuario
+   * @param {Object} options - `limit` y cursor `after`
+   * @returns {Promise<Object>} Suplantaciones (`documents`) y `pagination`
+   */
+  async listForUser(userId, { limit = 20, after = null } = {}) {
+    return DatabaseService.findPage('impersonations', {
+      filters: { userId },
+      orderBy: 'startedAt',
+      orderDirection: 'desc',
+      limit,
+      after
+    });
+  }
+
+  /**
+   * Indica si una suplantación sigue vigente
+   * @param {Object} impersonation - Suplantación
+   * @returns {boolean} True si no terminó ni expiró
+   */
+  isActive(impersonation) {
+    return !impersonation.endedAt && new Date(impersonation.expiresAt) > new Date();
+  }
+
+  /**
+   * Construye la entrada del registro de accesos que ve el usuario.
+   * No expone la identidad de la persona de soporte, solo el motivo y las fechas.
+   * @param {Object} impersonation - Suplantación
+   * @returns {Object} Entrada del registro
+   */
+  serializeForUser(impersonation) {
+    return {
+      id: impersonation.id,
+      accessedBy: 'support',
+      reason: impersonation.reason,
+      startedAt: impersonation.startedAt,
+      endedAt: impersonation.endedAt || (this.isActive(impersonation) ? null : impersonation.expiresAt),
+      active: this.isActive(impersonation)
+    };
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { ImpersonationService: new ImpersonationService() };
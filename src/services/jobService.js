@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Servicio de trabajos en segundo plano persistidos en la base de datos.
+ * Los trabajos se ejecutan con `npm run jobs:run` (por ejemplo desde Cloud Scheduler) o con el
+ * ejecutor periódico del servidor cuando JOB_RUNNER_INTERVAL_SECONDS está definido.
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['jobs'], 'JobService');
+
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    // Un trabajo en ejecución más tiempo que esto se considera abandonado y se reintenta
+    this.staleAfterMs = 15 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Registra el manejador de un tipo de trabajo
+   * @param {string} type - Tipo de trabajo
+   * @param {Function} handler - Función async que recibe el payload y el trabajo
+   */
+  register(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`El manejador del trabajo ${type} debe ser una función`);
+    }
+
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Encola un trabajo
+   * @param {string} type - Tipo de trabajo registrado
+   * @param {Object} payload - Datos del trabajo
+   * @param {Object} options - Opciones
+   * @param {Date} options.runAt - Fecha a partir de la cual se puede ejecutar (por defecto ahora)
+   * @returns {Promise<Object>} Trabajo creado
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const runAt = options.runAt || new Date();
+
+    const job = await DatabaseService.insert('jobs', {
+      type,
+      payload,
+      status: 'pending',
+      runAt: runAt.toISOString(),
+      attempts: 0,
+      lastError: null,
+      startedAt: null,
+      completedAt: null,
+      createdAt: new Date().toISOString()
+    });
+
+    LoggerService.info('Job enqueued', { jobId: job.id, type, runAt: job.runAt });
+
+    return job;
+  }
+
+  /**
+   * Cancela un trabajo pendiente
+   * @param {string} jobId - ID del trabajo
+   * @returns {Promise<boolean>} True si se canceló
+   */
+  async cancel(jobId) {
+    const job = await DatabaseService.findById('jobs', jobId);
+
+    if (!job || job.status !== 'pending') {
+      return false;
+    }
+
+    await DatabaseService.update('jobs', jobId, {
+      status: 'cancelled',
+      completedAt: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Obtiene un trabajo
+   * @param {string} jobId - ID del trabajo
+   * @returns {Promise<Object|null>} Trabajo o null
+   */
+  async getJob(jobId) {
+    return DatabaseService.findById('jobs', jobId);
+  }
+
+  /**
+   * Ejecuta los trabajos cuyo momento de ejecución ya llegó
+   * @param {number} limit - Máximo de trabajos a ejecutar
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async runDue(limit = 50) {
+    const now = new Date();
+    const [pending, running] = await Promise.all([
+      DatabaseService.find('jobs', { status: 'pending' }),
+      DatabaseService.find('jobs', { status: 'running' })
+    ]);
+
+    const stale = running.filter(job => now - new Date(job.startedAt) > this.staleAfterMs);
+    const due = [...pending, ...stale]
+      .filter(job => new Date(job.runAt) <= now)
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))
+      .slice(0, limit);
+
+    const summary = { completed: 0, failed: 0, skipped: 0 };
+
+    for (const job of due) {
+      const result = await this.runJob(job);
+      summary[result] += 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reclama y ejecuta un trabajo
+   * @param {Object} job - Trabajo
+   * @returns {Promise<string>} 'completed', 'failed' o 'skipped'
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    if (!handler) {
+      LoggerService.warn('No handler registered for job type', { jobId: job.id, type: job.type });
+      return 'skipped';
+    }
+
+    const claimed = await this.claim(job);
+    if (!claimed) {
+      return 'skipped';
+    }
+
+    try {
+      const result = await handler(job.payload || {}, claimed);
+
+      await DatabaseService.update('jobs', job.id, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        completedAt: new Date().toISOString()
+      });
+
+      LoggerService.info('Job completed', { jobId: job.id, type: job.type });
+      return 'completed';
+    } catch (error) {
+      const attempts = claimed.attempts;
+      const exhausted = attempts >= this.maxAttempts;
+      // Reintentos con espera exponencial: 1, 2, 4, 8... minutos
+      const retryAt = new Date(Date.now() + Math.pow(2, attempts - 1) * 60 * 1000);
+
+      await DatabaseService.update('jobs', job.id, {
+        status: exhausted ? 'failed' : 'pending',
+        runAt: exhausted ? claimed.runAt : retryAt.toISOString(),
+        lastError: error.message
+      });
+
+      LoggerService.error('Job failed', { jobId: job.id, type: job.type, attempts, error: error.message });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Descarta los trabajos de un tipo cuyo payload cumple una condición: cancela los pendientes
+   * y vacía el payload de todos (por ejemplo los que guardan datos de una cuenta eliminada)
+   * @param {string} type - Tipo de trabajo
+   * @param {Function} predicate - Recibe el payload y devuelve true si se descarta
+   * @returns {Promise<number>} Trabajos descartados
+   */
+  async discard(type, predicate) {
+    const jobs = (await DatabaseService.find('jobs', { type }))
+      .filter(job => predicate(job.payload || {}));
+
+    for (const job of jobs) {
+      await DatabaseService.update('jobs', job.id, job.status === 'pending'
+        ? { payload: {}, status: 'cancelled', completedAt: new Date().toISOString() }
+        : { payload: {} });
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Marca un trabajo como en ejecución de forma atómica para que dos ejecutores no lo tomen a la vez
+   * @param {Object} job - Trabajo
+   * @returns {Promise<Object|null>} Trabajo reclamado o null si otro ejecutor lo tomó
+   */
+  async claim(job) {
+    return DatabaseService.runTransaction(async (transaction) => {
+      const current = await transaction.get('jobs', job.id);
+
+      if (!current) {
+        return null;
+      }
+      const isStale = current.status === 'running' &&
+        Date.now() - new Date(current.startedAt) > this.staleAfterMs;
+
+      if (current.status !== 'pending' && !isStale) {
+        return null;
+      }
+
+      const claimed = {
+        ...current,
+        id: job.id,
+        status: 'running',
+        attempts: (current.attempts || 0) + 1,
+        startedAt: new Date().toISOString()
+      };
+
+      transaction.update('jobs', job.id, {
+        status: claimed.status,
+        attempts: claimed.attempts,
+        startedAt: claimed.startedAt,
+        updatedAt: claimed.startedAt
+      });
+
+      return claimed;
+    });
+  }
+
+  /**
+   * Inicia el ejecutor periódico dentro del proceso
+   * @param {number} intervalSeconds - Segundos entre ejecuciones
+   */
+  startPolling(intervalSeconds) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runDue().catch(error => LoggerService.error('Error running due jobs', error));
+    }, intervalSeconds * 1000);
+
+    // El ejecutor no debe impedir que el proceso termine
+    this.timer.unref();
+  }
+
+  /**
+   * Detiene el ejecutor periódico
+   */
+  stopPolling() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { JobService: new JobService() };
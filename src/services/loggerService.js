@@ -5,6 +5,7 @@
 
 const winston = require('winston');
 const { format } = winston;
+const { RequestContext } = require('./requestContext');
 
 // Configurar formato de logs
 const logFormat = format.combine(
@@ -199,6 +200,7 @@ class LoggerService {
   static security(event, details = {}, userId = null) {
     this.warn(`Security event: ${event}`, {
       ...details,
+      ...LoggerService.getImpersonationDetails(),
       event,
       type: 'security'
     }, userId);
@@ -213,11 +215,30 @@ class LoggerService {
   static audit(action, details = {}, userId) {
     this.info(`Audit: ${action}`, {
       ...details,
+      ...LoggerService.getImpersonationDetails(),
       action,
       type: 'audit'
     }, userId);
   }
 
+  /**
+   * Datos de la suplantación activa en la petición en curso, para identificar
+   * a la persona de soporte en los logs de auditoría y seguridad
+   * @returns {Object} impersonatorId e impersonationId, o un objeto vacío
+   */
+  static getImpersonationDetails() {
+    const impersonatorId = RequestContext.get('impersonatorId');
+
+    if (!impersonatorId) {
+      return {};
+    }
+
+    return {
+      impersonatorId,
+      impersonationId: RequestContext.get('impersonationId')
+    };
+  }
+
   /**
    * Log de métricas
    * @param {string} metric - Nombre de la métrica
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Protección contra fuerza bruta en el login: contadores de fallos por cuenta
+ * y por IP con backoff exponencial y bloqueo temporal
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['loginAttempts'], 'LoginThrottleService');
+
+/**
+ * Almacén de intentos en memoria del proceso (tests y desarrollo)
+ */
+class MemoryAttemptStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Obtiene el registro de una clave
+   * @param {string} key - Clave del contador
+   * @returns {Promise<Object|null>} Registro o null
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Guarda el registro de una clave
+   * @param {string} key - Clave del contador
+   * @param {Object} record - Registro a guardar
+   * @returns {Promise<void>}
+   */
+  async set(key, record) {
+    this.records.set(key, { ...record });
+  }
+
+  /**
+   * Elimina el registro de una clave
+   * @param {string} key - Clave del contador
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Almacén de intentos compartido entre instancias, persistido en la base de datos
+ */
+class DatabaseAttemptStore {
+  /**
+   * Calcula el ID del documento de una clave (las claves contienen emails e IPs)
+   * @param {string} key - Clave del contador
+   * @returns {string} ID del documento
+   */
+  documentId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Obtiene el registro de una clave
+   * @param {string} key - Clave del contador
+   * @returns {Promise<Object|null>} Registro o null
+   */
+  async get(key) {
+    return DatabaseService.findById('loginAttempts', this.documentId(key));
+  }
+
+  /**
+   * Guarda el registro de una clave
+   * @param {string} key - Clave del contador
+   * @param {Object} record - Registro a guardar
+   * @returns {Promise<void>}
+   */
+  async set(key, record) {
+    const id = this.documentId(key);
+    const existing = await DatabaseService.findById('loginAttempts', id);
+
+    if (existing) {
+      await DatabaseService.update('loginAttempts', id, record);
+    } else {
+      await DatabaseService.insert('loginAttempts', { id, ...record });
+    }
+  }
+
+  /**
+   * Elimina el registro de una clave
+   * @param {string} key - Clave del contador
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const id = this.documentId(key);
+    const existing = await DatabaseService.findById('loginAttempts', id);
+
+    if (existing) {
+      await DatabaseService.delete('loginAttempts', id);
+    }
+  }
+}
+
+class LoginThrottleService {
+  constructor() {
+    this.limits = {
+      account: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5,
+      ip: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20
+    };
+    this.baseLockMs = (parseInt(process.env.LOGIN_LOCK_BASE_SECONDS) || 60) * 1000;
+    this.maxLockMs = (parseInt(process.env.LOGIN_LOCK_MAX_SECONDS) || 60 * 60) * 1000;
+    // Los fallos más antiguos que esta ventana dejan de contar
+    this.failureWindowMs = 24 * 60 * 60 * 1000;
+    this.store = this.createDefaultStore();
+  }
+
+  /**
+   * Crea el almacén configurado por la variable LOGIN_THROTTLE_STORE
+   * @returns {Object} Almacén con get/set/delete
+   */
+  createDefaultStore() {
+    const storeName = process.env.LOGIN_THROTTLE_STORE ||
+      (process.env.NODE_ENV === 'production' ? 'database' : 'memory');
+
+    if (storeName === 'memory') {
+      return new MemoryAttemptStore();
+    }
+
+    if (storeName === 'database') {
+      return new DatabaseAttemptStore();
+    }
+
+    throw new Error(`Almacén de intentos de login no soportado: ${storeName}`);
+  }
+
+  /**
+   * Reemplaza el almacén de intentos
+   * @param {Object} store - Objeto con métodos get/set/delete
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Lanza un error 429 si la cuenta o la IP están bloqueadas
+   * @param {string} email - Email usado en el intento
+   * @param {string} ip - IP del cliente
+   * @throws {Error} Error de demasiadas peticiones con `retryAfter` en segundos
+   */
+  async assertNotLocked(email, ip) {
+    const now = Date.now();
+    const records = await Promise.all(this.getKeys(email, ip).map(({ key }) => this.store.get(key)));
+
+    const lockedUntil = records
+      .filter(record => record && record.lockedUntil && new Date(record.lockedUntil).getTime() > now)
+      .map(record => new Date(record.lockedUntil).getTime());
+
+    if (lockedUntil.length > 0) {
+      const retryAfter = Math.ceil((Math.max(...lockedUntil) - now) / 1000);
+      throw ErrorHandler.tooManyRequestsError(
+        'Demasiados intentos fallidos. Intenta de nuevo más tarde.',
+        retryAfter
+      );
+    }
+  }
+
+  /**
+   * Registra un intento fallido y bloquea la cuenta o la IP al superar el límite
+   * @param {string} email - Email usado en el intento
+   * @param {string} ip - IP del cliente
+   * @param {string} userId - ID del usuario si la cuenta existe (solo para los logs)
+   * @returns {Promise<void>}
+   */
+  async recordFailure(email, ip, userId = null) {
+    const now = Date.now();
+
+    for (const { key, scope } of this.getKeys(email, ip)) {
+      const previous = await this.store.get(key);
+      const isRecent = previous && now - new Date(previous.lastFailureAt).getTime() < this.failureWindowMs;
+      const failures = isRecent ? previous.failures + 1 : 1;
+      const record = {
+        failures,
+        lastFailureAt: new Date(now).toISOString(),
+        lockedUntil: isRecent ? previous.lockedUntil : null
+      };
+
+      const limit = this.limits[scope];
+      if (failures >= limit) {
+        // Cada fallo adicional duplica el bloqueo hasta el máximo configurado
+        const lockMs = Math.min(this.baseLockMs * Math.pow(2, failures - limit), this.maxLockMs);
+        record.lockedUntil = new Date(now + lockMs).toISOString();
+
+        LoggerService.security(`${scope}_locked`, {
+          scope,
+          ip,
+          failures,
+          lockedUntil: record.lockedUntil
+        }, userId);
+      }
+
+      await this.store.set(key, record);
+    }
+  }
+
+  /**
+   * Reinicia el contador de la cuenta tras un login correcto.
+   * El contador de la IP no se reinicia para que una cuenta válida no sirva para limpiarlo.
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email) {
+    await this.store.delete(this.accountKey(email));
+  }
+
+  /**
+   * Desbloquea una cuenta manualmente
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<void>}
+   */
+  async unlockAccount(email) {
+    await this.store.delete(this.accountKey(email));
+  }
+
+  /**
+   * Obtiene las claves de contador de un intento
+   * @param {string} email - Email usado en el intento
+   * @param {string} ip - IP del cliente
+   * @returns {Array<Object>} Claves con su alcance
+   */
+  getKeys(email, ip) {
+    const keys = [{ key: this.accountKey(email), scope: 'account' }];
+
+    if (ip) {
+      keys.push({ key: `ip:${ip}`, scope: 'ip' });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Construye la clave de contador de una cuenta
+   * @param {string} email - Email de la cuenta
+   * @returns {string} Clave
+   */
+  accountKey(email) {
+    return `account:${String(email).toLowerCase().trim()}`;
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { LoginThrottleService: new LoginThrottleService(), MemoryAttemptStore, DatabaseAttemptStore };
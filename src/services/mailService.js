@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Servicio de envío de correos con transportes intercambiables
+ * @author Marcela
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./loggerService');
+
+/**
+ * Transporte que guarda los mensajes en memoria (tests)
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  /**
+   * Guarda un mensaje
+   * @param {Object} message - Mensaje a enviar
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async send(message) {
+    this.messages.push(message);
+    return { id: message.id };
+  }
+
+  /**
+   * Elimina los mensajes guardados
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Transporte que escribe cada mensaje como un archivo en un directorio local (desarrollo)
+ */
+class OutboxTransport {
+  /**
+   * @param {string} directory - Directorio donde se escriben los mensajes
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Escribe un mensaje en el directorio de salida
+   * @param {Object} message - Mensaje a enviar
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const fileName = `${message.createdAt.replace(/[:.]/g, '-')}-${message.id}.eml`;
+    const filePath = path.join(this.directory, fileName);
+    const content = [
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${message.createdAt}`,
+      '',
+      message.text
+    ].join('\n');
+
+    await fs.promises.writeFile(filePath, content, 'utf8');
+    return { id: message.id, path: filePath };
+  }
+}
+
+/**
+ * Transporte que envía cada mensaje como JSON a un servicio de correo por HTTP (producción)
+ */
+class HttpTransport {
+  /**
+   * @param {string} url - Endpoint que recibe los mensajes
+   * @param {string} token - Token Bearer del endpoint (opcional)
+   */
+  constructor(url, token) {
+    this.url = url;
+    this.token = token;
+  }
+
+  /**
+   * Envía un mensaje al endpoint
+   * @param {Object} message - Mensaje a enviar
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async send(message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(this.url, { method: 'POST', headers, body: JSON.stringify(message) });
+
+    if (!response.ok) {
+      throw new Error(`Error enviando correo: HTTP ${response.status}`);
+    }
+
+    return { id: message.id };
+  }
+}
+
+// Transporte por defecto de cada ambiente; en el resto MAIL_TRANSPORT es obligatorio para
+// que un despliegue sin configurar no deje los correos en el disco de la instancia
+const DEFAULT_TRANSPORTS = {
+  test: 'memory',
+  development: 'outbox'
+};
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Somos Fitness <no-reply@somos.app>';
+    this.appBaseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+    this.transport = this.createDefaultTransport();
+  }
+
+  /**
+   * Crea el transporte configurado por la variable MAIL_TRANSPORT
+   * @returns {Object} Transporte con un método `send(message)`
+   * @throws {Error} Si falta MAIL_TRANSPORT fuera de desarrollo y tests
+   */
+  createDefaultTransport() {
+    const environment = process.env.NODE_ENV || 'development';
+    const transportName = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORTS[environment];
+
+    if (!transportName) {
+      throw new Error(`MAIL_TRANSPORT es requerido en ${environment}`);
+    }
+
+    if (transportName === 'memory') {
+      return new MemoryTransport();
+    }
+
+    if (transportName === 'outbox') {
+      return new OutboxTransport(process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'outbox'));
+    }
+
+    if (transportName === 'http') {
+      if (!process.env.MAIL_HTTP_URL) {
+        throw new Error('MAIL_HTTP_URL es requerido para el transporte de correo http');
+      }
+      return new HttpTransport(process.env.MAIL_HTTP_URL, process.env.MAIL_HTTP_TOKEN);
+    }
+
+    throw new Error(`Transporte de correo no soportado: ${transportName}`);
+  }
+
+  /**
+   * Reemplaza el transporte de correo (por ejemplo, un proveedor SMTP o HTTP en producción)
+   * @param {Object} transport - Objeto con un método `send(message)` que retorna una promesa
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('El transporte de correo debe implementar send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Envía un correo
+   * @param {Object} options - Opciones del correo
+   * @param {string} options.to - Destinatario
+   * @param {string} options.subject - Asunto
+   * @param {string} options.text - Cuerpo en texto plano
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async send({ to, subject, text }) {
+    const message = {
+      id: crypto.randomUUID(),
+      from: this.from,
+      to,
+      subject,
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const result = await this.transport.send(message);
+      logger.info('Mail sent', { messageId: message.id, subject });
+      return result;
+    } catch (error) {
+      logger.error('Error sending mail', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Envía el correo de verificación de email
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de verificación en claro
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendEmailVerification(user, token) {
+    const link = `${this.appBaseUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Confirma tu email en Somos',
+      text: [
+        `Hola ${user.name},`,
+        '',
+        'Confirma tu dirección de email abriendo el siguiente enlace:',
+        link,
+        '',
+        'Si no creaste una cuenta en Somos, ignora este mensaje.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Envía el correo de restablecimiento de contraseña
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de restablecimiento en claro
+   * @param {number} expiresInMinutes - Minutos de validez del enlace
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const link = `${this.appBaseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Restablece tu contraseña de Somos',
+      text: [
+        `Hola ${user.name},`,
+        '',
+        `Para elegir una nueva contraseña abre el siguiente enlace (válido durante ${expiresInMinutes} minutos):`,
+        link,
+        '',
+        'Si no solicitaste el cambio, ignora este mensaje: tu contraseña no se modificará.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Envía el aviso de eliminación de cuenta programada
+   * @param {Object} user - Usuario destinatario
+   * @param {string} scheduledFor - Fecha en la que se eliminará la cuenta
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendAccountDeletionScheduled(user, scheduledFor) {
+    return this.send({
+      to: user.email,
+      subject: 'Tu cuenta de Somos será eliminada',
+      text: [
+        `Hola ${user.name},`,
+        '',
+        `Recibimos tu solicitud para eliminar tu cuenta. Se eliminará el ${scheduledFor.substring(0, 10)}.`,
+        `Hasta esa fecha puedes cancelarla desde la app (${this.appBaseUrl}).`,
+        '',
+        'Si no fuiste tú, inicia sesión, cancela la eliminación y cambia tu contraseña.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Envía el aviso de una invitación de un entrenador
+   * @param {Object} client - Usuario invitado
+   * @param {Object} coach - Entrenador que invita
+   * @param {Array<string>} scopes - Permisos solicitados
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendCoachInvitation(client, coach, scopes) {
+    return this.send({
+      to: client.email,
+      subject: `${coach.name} quiere ser tu entrenador en Somos`,
+      text: [
+        `Hola ${client.name},`,
+        '',
+        `${coach.name} (${coach.email}) te invitó a ser su cliente y solicita estos permisos: ${scopes.join(', ')}.`,
+        `Puedes aceptar, conceder solo algunos permisos o rechazar la invitación desde la app (${this.appBaseUrl}).`,
+        '',
+        'Si no conoces a esta persona, rechaza la invitación.'
+      ].join('\n')
+    });
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { MailService: new MailService(), MemoryTransport, OutboxTransport, HttpTransport };
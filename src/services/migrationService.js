@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Servicio de migraciones de esquema. Aplica en orden las migraciones de
+ * src/migrations, registra cada una en la colección `migrations` y permite revertirlas.
+ * Las migraciones reciben un contexto cuyas escrituras se omiten en modo simulación (dry run).
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['migrations'], 'MigrationService');
+
+const LOCK_ID = '_lock';
+
+class MigrationService {
+  constructor() {
+    this.defaultBatchSize = parseInt(process.env.MIGRATION_BATCH_SIZE) || 100;
+    // Un bloqueo más antiguo que esto se considera abandonado por un proceso que terminó mal
+    this.lockTimeoutMs = 30 * 60 * 1000;
+  }
+
+  /**
+   * Obtiene las migraciones definidas, comprobando que tengan ID único y estén en orden
+   * @returns {Array<Object>} Migraciones
+   */
+  getMigrations() {
+    const migrations = require('../migrations');
+
+    migrations.forEach((migration, index) => {
+      if (!migration.id || typeof migration.up !== 'function') {
+        throw new Error(`La migración en la posición ${index} debe tener id y up()`);
+      }
+
+      if (index > 0 && migrations[index - 1].id >= migration.id) {
+        throw new Error(`Las migraciones deben estar ordenadas y sin repetir: ${migration.id}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  /**
+   * Obtiene los registros de migraciones aplicadas, en orden de aplicación
+   * @returns {Promise<Array<Object>>} Registros
+   */
+  async getApplied() {
+    const records = await DatabaseService.getAll('migrations');
+
+    return records
+      .filter(record => record.id !== LOCK_ID)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Estado de cada migración
+   * @returns {Promise<Array<Object>>} ID, descripción, fecha de aplicación y si es reversible
+   */
+  async getStatus() {
+    const applied = new Map((await this.getApplied()).map(record => [record.id, record]));
+
+    return this.getMigrations().map(migration => ({
+      id: migration.id,
+      description: migration.description,
+      appliedAt: applied.has(migration.id) ? applied.get(migration.id).appliedAt : null,
+      reversible: typeof migration.down === 'function'
+    }));
+  }
+
+  /**
+   * Aplica las migraciones pendientes
+   * @param {Object} options - Opciones
+   * @param {boolean} options.dryRun - Simular sin escribir ni registrar
+   * @param {string} options.to - Última migración a aplicar (por defecto todas)
+   * @returns {Promise<Array<Object>>} Resultado de cada migración aplicada
+   */
+  async migrate({ dryRun = false, to = null } = {}) {
+    const migrations = this.getMigrations();
+
+    if (to && !migrations.some(migration => migration.id === to)) {
+      throw ErrorHandler.notFoundError(`Migración no encontrada: ${to}`);
+    }
+
+    const appliedIds = new Set((await this.getApplied()).map(record => record.id));
+    const pending = migrations
+      .filter(migration => !appliedIds.has(migration.id))
+      .filter(migration => !to || migration.id <= to);
+
+    return this.withLock(dryRun, async () => {
+      const results = [];
+
+      for (const migration of pending) {
+        const result = await this.run(migration, 'up', dryRun);
+
+        if (!dryRun) {
+          await DatabaseService.insert('migrations', {
+            id: migration.id,
+            description: migration.description,
+            appliedAt: new Date().toISOString(),
+            durationMs: result.durationMs,
+            changes: result.changes
+          });
+        }
+
+        results.push(result);
+      }
+
+      return results;
+    });
+  }
+
+  /**
+   * Revierte las últimas migraciones aplicadas
+   * @param {Object} options - Opciones
+   * @param {boolean} options.dryRun - Simular sin escribir ni borrar el registro
+   * @param {number} options.steps - Cantidad de migraciones a revertir
+   * @returns {Promise<Array<Object>>} Resultado de cada migración revertida
+   */
+  async rollback({ dryRun = false, steps = 1 } = {}) {
+    const migrations = new Map(this.getMigrations().map(migration => [migration.id, migration]));
+    const toRevert = (await this.getApplied()).reverse().slice(0, steps);
+
+    // Comprobar todas antes de empezar para no revertir a medias
+    toRevert.forEach(record => {
+      const migration = migrations.get(record.id);
+
+      if (!migration) {
+        throw ErrorHandler.notFoundError(`La migración aplicada ${record.id} ya no existe en el código`);
+      }
+
+      if (typeof migration.down !== 'function') {
+        throw ErrorHandler.validationError(`La migración ${record.id} no es reversible`);
+      }
+    });
+
+    return this.withLock(dryRun, async () => {
+      const results = [];
+
+      for (const record of toRevert) {
+        const result = await this.run(migrations.get(record.id), 'down', dryRun);
+
+        if (!dryRun) {
+          await DatabaseService.delete('migrations', record.id);
+        }
+
+        results.push(result);
+      }
+
+      return results;
+    });
+  }
+
+  /**
+   * Ejecuta una dirección de una migración
+   * @param {Object} migration - Migración
+   * @param {string} direction - 'up' o 'down'
+   * @param {boolean} dryRun - Simular sin escribir
+   * @returns {Promise<Object>} ID, dirección, duración y cambios
+   */
+  async run(migration, direction, dryRun) {
+    const context = this.createContext(dryRun);
+    const startedAt = Date.now();
+
+    LoggerService.info(`Running migration ${migration.id} (${direction})`, { dryRun });
+
+    await migration[direction](context);
+
+    const result = {
+      id: migration.id,
+      direction,
+      dryRun,
+      durationMs: Date.now() - startedAt,
+      changes: context.changes
+    };
+
+    LoggerService.info(`Migration ${migration.id} (${direction}) finished`, result);
+
+    return result;
+  }
+
+  /**
+   * Crea el contexto que reciben las migraciones. Las migraciones trabajan sobre los datos
+   * tal como están guardados: leen también la papelera y sus borrados son definitivos.
+   * @param {boolean} dryRun - Si es true, las escrituras solo se cuentan
+   * @returns {Object} Contexto con lectura por lotes y escrituras
+   */
+  createContext(dryRun) {
+    const changes = { scanned: 0, inserted: 0, updated: 0, deleted: 0 };
+
+    const context = {
+      dryRun,
+      changes,
+      logger: LoggerService,
+
+      /**
+       * Recorre una colección por lotes, esperando a que termine cada lote antes del siguiente
+       * @param {string} collectionName - Colección
+       * @param {Function} handler - Función async que recibe cada documento
+       * @param {Object} options - `batchSize`
+       */
+      forEachDocument: async (collectionName, handler, { batchSize = this.defaultBatchSize } = {}) => {
+        const documents = await DatabaseService.getAll(collectionName, { includeDeleted: true });
+
+        for (let start = 0; start < documents.length; start += batchSize) {
+          const batch = documents.slice(start, start + batchSize);
+          await Promise.all(batch.map(document => handler(document)));
+          changes.scanned += batch.length;
+        }
+      },
+
+      /**
+       * Reescribe documentos por lotes. `transform` devuelve los campos a actualizar o null para dejarlo igual.
+       * @param {string} collectionName - Colección
+       * @param {Function} transform - Función (async o no) que recibe el documento
+       * @param {Object} options - `batchSize`
+       */
+      rewrite: async (collectionName, transform, options) => {
+        await context.forEachDocument(collectionName, async (document) => {
+          const updates = await transform(document);
+
+          if (updates && Object.keys(updates).length > 0) {
+            await context.update(collectionName, document.id, updates);
+          }
+        }, options);
+      },
+
+      find: (collectionName, criteria) => DatabaseService.find(collectionName, criteria, { includeDeleted: true }),
+
+      findById: (collectionName, id) => DatabaseService.findById(collectionName, id, { includeDeleted: true }),
+
+      insert: async (collectionName, data) => {
+        changes.inserted++;
+        return dryRun ? data : DatabaseService.insert(collectionName, data);
+      },
+
+      update: async (collectionName, id, data) => {
+        changes.updated++;
+        return dryRun ? { id, ...data } : DatabaseService.update(collectionName, id, data, { revisionAction: 'migration' });
+      },
+
+      delete: async (collectionName, id) => {
+        changes.deleted++;
+        return dryRun ? true : DatabaseService.purge(collectionName, id);
+      }
+    };
+
+    return context;
+  }
+
+  /**
+   * Ejecuta una operación con el bloqueo de migraciones para que dos despliegues no
+   * migren a la vez. Las simulaciones no escriben y no necesitan bloqueo.
+   * @param {boolean} dryRun - Si es una simulación
+   * @param {Function} operation - Operación
+   * @returns {Promise<any>} Resultado de la operación
+   */
+  async withLock(dryRun, operation) {
+    if (dryRun) {
+      return operation();
+    }
+
+    await DatabaseService.runTransaction(async (transaction) => {
+      const lock = await transaction.get('migrations', LOCK_ID);
+
+      if (lock && Date.now() - new Date(lock.lockedAt) < this.lockTimeoutMs) {
+        throw ErrorHandler.conflictError(`Hay otra migración en curso desde ${lock.lockedAt}`);
+      }
+
+      transaction.set('migrations', LOCK_ID, { id: LOCK_ID, lockedAt: new Date().toISOString() });
+    });
+
+    try {
+      return await operation();
+    } finally {
+      await DatabaseService.delete('migrations', LOCK_ID);
+    }
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { MigrationService: new MigrationService() };
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Servicio de verificación de ID tokens OpenID Connect (Google u otro proveedor
+ * configurable) contra las claves públicas (JWKS) del emisor
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { LoggerService } = require('./loggerService');
+const { ErrorHandler } = require('../core/errorHandler');
+
+const GOOGLE_ISSUER = 'https://accounts.google.com';
+
+class OidcService {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER || GOOGLE_ISSUER).replace(/\/$/, '');
+    this.clientIds = (process.env.OIDC_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+    this.jwksUri = process.env.OIDC_JWKS_URI || null;
+    this.jwksCacheMs = (parseInt(process.env.OIDC_JWKS_CACHE_SECONDS) || 60 * 60) * 1000;
+    // Intervalo mínimo entre descargas forzadas del JWKS cuando aparece un `kid` desconocido
+    this.jwksRefreshCooldownMs = 30 * 1000;
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Indica si el inicio de sesión con OIDC está configurado
+   * @returns {boolean} True si hay al menos un client ID configurado
+   */
+  isEnabled() {
+    return this.clientIds.length > 0;
+  }
+
+  /**
+   * Obtiene el identificador del proveedor que se guarda en las identidades vinculadas
+   * @returns {string} Emisor configurado
+   */
+  getProvider() {
+    return this.issuer;
+  }
+
+  /**
+   * Verifica un ID token: firma, emisor, audiencia, expiración y nonce
+   * @param {string} idToken - ID token emitido por el proveedor
+   * @param {string} nonce - Nonce enviado en la solicitud de autorización (opcional)
+   * @returns {Promise<Object>} Claims del token
+   */
+  async verifyIdToken(idToken, nonce = null) {
+    if (!idToken || typeof idToken !== 'string') {
+      throw ErrorHandler.validationError('ID token requerido');
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      throw ErrorHandler.authenticationError('ID token inválido');
+    }
+
+    const publicKey = await this.getSigningKey(decoded.header.kid);
+    if (!publicKey) {
+      throw ErrorHandler.authenticationError('ID token inválido');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, publicKey, {
+        algorithms: ['RS256', 'ES256'],
+        issuer: this.getAcceptedIssuers(),
+        audience: this.clientIds
+      });
+    } catch (error) {
+      LoggerService.warn('OIDC ID token rejected', { reason: error.message });
+      throw ErrorHandler.authenticationError('ID token inválido');
+    }
+
+    if (nonce && claims.nonce !== nonce) {
+      throw ErrorHandler.authenticationError('ID token inválido');
+    }
+
+    if (!claims.sub) {
+      throw ErrorHandler.authenticationError('ID token inválido');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Obtiene la clave pública de firma para un `kid`, descargando el JWKS si hace falta
+   * @param {string} kid - ID de la clave
+   * @returns {Promise<crypto.KeyObject|null>} Clave pública o null si el emisor no la publica
+   */
+  async getSigningKey(kid) {
+    const cacheExpired = Date.now() - this.keysFetchedAt > this.jwksCacheMs;
+    const canRefresh = Date.now() - this.keysFetchedAt > this.jwksRefreshCooldownMs;
+
+    if (cacheExpired || (!this.keys.has(kid) && canRefresh)) {
+      await this.refreshKeys();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Descarga el JWKS del emisor y reemplaza las claves en caché
+   * @returns {Promise<void>}
+   */
+  async refreshKeys() {
+    const jwksUri = this.jwksUri || await this.discoverJwksUri();
+    const jwks = await this.fetchJson(jwksUri);
+
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+        continue;
+      }
+
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        LoggerService.warn('Ignoring unsupported OIDC signing key', { kid: jwk.kid, kty: jwk.kty });
+      }
+    }
+
+    this.keys = keys;
+    this.keysFetchedAt = Date.now();
+  }
+
+  /**
+   * Obtiene la URI del JWKS desde el documento de descubrimiento del emisor
+   * @returns {Promise<string>} URI del JWKS
+   */
+  async discoverJwksUri() {
+    const configuration = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+
+    if (!configuration.jwks_uri) {
+      throw new Error('El documento de descubrimiento OIDC no incluye jwks_uri');
+    }
+
+    this.jwksUri = configuration.jwks_uri;
+    return this.jwksUri;
+  }
+
+  /**
+   * Descarga y parsea un documento JSON
+   * @param {string} url - URL del documento
+   * @returns {Promise<Object>} Documento
+   */
+  async fetchJson(url) {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+
+    if (!response.ok) {
+      throw new Error(`Error obteniendo ${url}: HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Emisores aceptados en el claim `iss`. Google emite tanto con esquema como sin él.
+   * @returns {Array<string>} Emisores aceptados
+   */
+  getAcceptedIssuers() {
+    if (this.issuer === GOOGLE_ISSUER) {
+      return [GOOGLE_ISSUER, 'accounts.google.com'];
+    }
+
+    return [this.issuer];
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { OidcService: new OidcService() };
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Contexto de la petición en curso (AsyncLocalStorage). Permite que servicios
+ * sin acceso a `req`, como LoggerService, conozcan datos de la petición (por ejemplo la suplantación activa).
+ * @author Marcela
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class RequestContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Middleware que abre un contexto vacío para cada petición
+   * @returns {Function} Middleware function
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.storage.run({}, next);
+    };
+  }
+
+  /**
+   * Obtiene un valor del contexto actual
+   * @param {string} key - Clave
+   * @returns {*} Valor o undefined fuera de una petición
+   */
+  get(key) {
+    const store = this.storage.getStore();
+    return store ? store[key] : undefined;
+  }
+
+  /**
+   * Guarda un valor en el contexto actual. Fuera de una petición no hace nada.
+   * @param {string} key - Clave
+   * @param {*} value - Valor
+   */
+  set(key, value) {
+    const store = this.storage.getStore();
+
+    if (store) {
+      store[key] = value;
+    }
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { RequestContext: new RequestContext() };
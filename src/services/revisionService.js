@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Servicio de historial de cambios de los registros de salud. DatabaseService
+ * guarda una revisión con el estado anterior en cada cambio; este servicio las lista y
+ * permite volver un registro al estado de una revisión.
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { getCollection, getRevisionLimit, resolveCollection, assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['revisions'], 'RevisionService');
+
+// Recursos con historial en la API: colección y prefijo de los permisos que la protegen
+const REVISIONED_RESOURCES = {
+  workouts: { collection: 'workouts', scope: 'workouts' },
+  nutrition: { collection: 'nutrition', scope: 'nutrition' },
+  weight: { collection: 'logs', scope: 'progress' },
+  measurements: { collection: 'progress', scope: 'progress' }
+};
+
+Object.values(REVISIONED_RESOURCES).forEach(({ collection }) => {
+  if (getRevisionLimit(collection) === 0) {
+    throw new Error(`La colección ${collection} no guarda revisiones`);
+  }
+});
+
+// Campos que un revert no restaura: identidad, dueño, control de versiones y papelera
+const REVERT_IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'version', 'deletedAt', 'deletedWith', 'fieldUpdatedAt'];
+
+class RevisionService {
+  /**
+   * Obtiene la colección y los permisos de un recurso con historial
+   * @param {string} resource - Nombre del recurso en la URL
+   * @returns {Object} `collection` y `scope`
+   * @throws {Error} NotFoundError si el recurso no tiene historial
+   */
+  getResource(resource) {
+    if (!Object.prototype.hasOwnProperty.call(REVISIONED_RESOURCES, resource)) {
+      throw ErrorHandler.notFoundError('Recurso sin historial de cambios');
+    }
+
+    return REVISIONED_RESOURCES[resource];
+  }
+
+  /**
+   * Lista las revisiones de un documento, más recientes primero
+   * @param {string} collectionName - Colección
+   * @param {string} id - ID del documento
+   * @param {Object} options - `limit` y cursor `after`
+   * @returns {Promise<Object>} Revisiones y `pagination`
+   */
+  async listRevisions(collectionName, id, { limit = 20, after = null } = {}) {
+    return DatabaseService.findPage('revisions', {
+      filters: { collection: resolveCollection(collectionName), documentId: id },
+      orderBy: 'createdAt',
+      orderDirection: 'desc',
+      limit,
+      after
+    });
+  }
+
+  /**
+   * Obtiene una revisión de un documento
+   * @param {string} collectionName - Colección
+   * @param {string} id - ID del documento
+   * @param {string} revisionId - ID de la revisión
+   * @returns {Promise<Object>} Revisión
+   * @throws {Error} NotFoundError si no existe o es de otro documento
+   */
+  async getRevision(collectionName, id, revisionId) {
+    const revision = await DatabaseService.findById('revisions', revisionId);
+
+    if (!revision || revision.collection !== resolveCollection(collectionName) || revision.documentId !== id) {
+      throw ErrorHandler.notFoundError('Revisión no encontrada');
+    }
+
+    return revision;
+  }
+
+  /**
+   * Vuelve un documento al estado que tenía antes del cambio de una revisión.
+   * El revert es un cambio más: genera su propia revisión y se puede deshacer.
+   * @param {string} collectionName - Colección
+   * @param {Object} document - Documento actual
+   * @param {string} revisionId - ID de la revisión
+   * @returns {Promise<Object>} Documento revertido
+   */
+  async revert(collectionName, document, revisionId) {
+    const revision = await this.getRevision(collectionName, document.id, revisionId);
+    const ignored = [...REVERT_IGNORED_FIELDS, getCollection(collectionName).ownerField];
+    const updates = {};
+
+    Object.entries(revision.snapshot)
+      .filter(([field]) => !ignored.includes(field))
+      .forEach(([field, value]) => {
+        updates[field] = value;
+      });
+
+    // Los campos que se agregaron después de la revisión se vacían
+    Object.keys(document)
+      .filter(field => !ignored.includes(field) && !(field in revision.snapshot))
+      .forEach(field => {
+        updates[field] = null;
+      });
+
+    const reverted = await DatabaseService.update(collectionName, document.id, updates, { revisionAction: 'revert' });
+
+    LoggerService.info('Document reverted to revision', { collectionName, id: document.id, revisionId });
+
+    return reverted;
+  }
+
+  /**
+   * Prepara una revisión para la API. Las revisiones hechas durante una suplantación
+   * indican que las hizo soporte sin exponer quién.
+   * @param {Object} revision - Revisión
+   * @returns {Object} Revisión serializada
+   */
+  serializeRevision(revision) {
+    return {
+      id: revision.id,
+      action: revision.action,
+      version: revision.version,
+      diff: revision.diff,
+      snapshot: revision.snapshot,
+      actorId: revision.impersonatorId ? null : revision.actorId,
+      bySupport: Boolean(revision.impersonatorId),
+      createdAt: revision.createdAt
+    };
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { RevisionService: new RevisionService() };
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Servicio de roles y permisos
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { logger } = require('./loggerService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['roleAssignments', 'roles'], 'RoleService');
+
+// Permisos que necesita cualquier usuario para gestionar sus propios datos
+const USER_PERMISSIONS = [
+  'profile:read',
+  'profile:write',
+  'workouts:read',
+  'workouts:write',
+  'nutrition:read',
+  'nutrition:write',
+  'progress:read',
+  'progress:write',
+  'ai:use'
+];
+
+// Roles por defecto. Los permisos pueden ajustarse en la colección `roles`
+const DEFAULT_ROLES = {
+  user: {
+    description: 'Usuario de la aplicación',
+    permissions: USER_PERMISSIONS
+  },
+  coach: {
+    description: 'Entrenador con clientes asignados',
+    permissions: [...USER_PERMISSIONS, 'clients:read', 'clients:manage']
+  },
+  support: {
+    description: 'Equipo de soporte',
+    permissions: [...USER_PERMISSIONS, 'users:read', 'support:access']
+  },
+  admin: {
+    description: 'Administrador de la plataforma',
+    permissions: [...USER_PERMISSIONS, 'users:read', 'users:manage', 'roles:manage', 'support:access']
+  }
+};
+
+// Orden de precedencia para elegir el rol principal de un usuario
+const ROLE_PRECEDENCE = ['admin', 'support', 'coach', 'user'];
+
+class RoleService {
+  constructor() {
+    this.cacheTtlMs = 60 * 1000;
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Lista los nombres de roles soportados
+   * @returns {Array<string>} Nombres de roles
+   */
+  getRoleNames() {
+    return Object.keys(DEFAULT_ROLES);
+  }
+
+  /**
+   * Verifica si un rol existe
+   * @param {string} roleName - Nombre del rol
+   * @returns {boolean} True si el rol es conocido
+   */
+  isKnownRole(roleName) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, roleName);
+  }
+
+  /**
+   * Obtiene todos los roles con sus permisos, combinando la base de datos con los valores por defecto
+   * @returns {Promise<Object>} Mapa de nombre de rol a definición
+   */
+  async getRoles() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const roles = {};
+    for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+      roles[name] = { name, ...definition };
+    }
+
+    try {
+      const storedRoles = await DatabaseService.getAll('roles');
+      storedRoles
+        .filter(role => this.isKnownRole(role.id))
+        .forEach(role => {
+          roles[role.id] = {
+            name: role.id,
+            description: role.description || roles[role.id].description,
+            permissions: Array.isArray(role.permissions) ? role.permissions : roles[role.id].permissions
+          };
+        });
+    } catch (error) {
+      // Sin acceso a la colección se usan los permisos por defecto
+      logger.error('Error loading roles, using defaults', error);
+    }
+
+    this.cache = roles;
+    this.cacheExpiresAt = Date.now() + this.cacheTtlMs;
+    return roles;
+  }
+
+  /**
+   * Actualiza los permisos de un rol
+   * @param {string} roleName - Nombre del rol
+   * @param {Array<string>} permissions - Nuevos permisos
+   * @returns {Promise<Object>} Rol actualizado
+   */
+  async setRolePermissions(roleName, permissions) {
+    const existing = await DatabaseService.findById('roles', roleName);
+    const data = {
+      description: (existing && existing.description) || DEFAULT_ROLES[roleName].description,
+      permissions: [...new Set(permissions)]
+    };
+
+    if (existing) {
+      await DatabaseService.update('roles', roleName, data);
+    } else {
+      await DatabaseService.insert('roles', { id: roleName, ...data });
+    }
+
+    this.invalidateCache();
+    return { name: roleName, ...data };
+  }
+
+  /**
+   * Crea en la base de datos los roles por defecto que todavía no existen
+   * @returns {Promise<Array<string>>} Roles creados
+   */
+  async ensureDefaultRoles() {
+    const created = [];
+
+    for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+      const existing = await DatabaseService.findById('roles', name);
+      if (!existing) {
+        await DatabaseService.insert('roles', { id: name, ...definition });
+        created.push(name);
+      }
+    }
+
+    this.invalidateCache();
+    return created;
+  }
+
+  /**
+   * Obtiene los roles de un usuario (los usuarios sin roles asignados son `user`).
+   * Los roles se guardan en `roleAssignments` y no en el documento del usuario, que se
+   * escribe desde los endpoints de autoservicio (perfil, onboarding).
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array<string>>} Roles del usuario
+   */
+  async getUserRoles(userId) {
+    const assignment = await DatabaseService.findById('roleAssignments', userId);
+    const roles = assignment && Array.isArray(assignment.roles)
+      ? assignment.roles.filter(role => this.isKnownRole(role))
+      : [];
+
+    return roles.length > 0 ? roles : ['user'];
+  }
+
+  /**
+   * Reemplaza los roles de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {Array<string>} roles - Roles del usuario
+   * @returns {Promise<Array<string>>} Roles guardados
+   */
+  async setUserRoles(userId, roles) {
+    const unique = [...new Set(roles)];
+    const existing = await DatabaseService.findById('roleAssignments', userId);
+
+    if (existing) {
+      await DatabaseService.update('roleAssignments', userId, { roles: unique });
+    } else {
+      await DatabaseService.insert('roleAssignments', { id: userId, userId, roles: unique });
+    }
+
+    return unique;
+  }
+
+  /**
+   * Elige el rol principal de una lista de roles
+   * @param {Array<string>} roles - Roles del usuario
+   * @returns {string} Rol principal
+   */
+  getPrimaryRole(roles) {
+    return ROLE_PRECEDENCE.find(role => roles.includes(role)) || 'user';
+  }
+
+  /**
+   * Calcula la unión de permisos de una lista de roles
+   * @param {Array<string>} roleNames - Roles del usuario
+   * @returns {Promise<Array<string>>} Permisos efectivos
+   */
+  async resolvePermissions(roleNames) {
+    const roles = await this.getRoles();
+    const permissions = new Set();
+
+    roleNames.forEach(roleName => {
+      if (roles[roleName]) {
+        roles[roleName].permissions.forEach(permission => permissions.add(permission));
+      }
+    });
+
+    return [...permissions];
+  }
+
+  /**
+   * Invalida la caché de roles
+   */
+  invalidateCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { RoleService: new RoleService(), DEFAULT_ROLES };
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Servicio de sesiones: una sesión por familia de refresh tokens, con los datos
+ * del dispositivo y la última actividad
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['sessions'], 'SessionService');
+
+class SessionService {
+  constructor() {
+    // Intervalo mínimo entre actualizaciones de lastSeenAt para no escribir en cada petición
+    this.touchIntervalMs = (parseInt(process.env.SESSION_TOUCH_INTERVAL_SECONDS) || 60) * 1000;
+  }
+
+  /**
+   * Registra una sesión nueva
+   * @param {string} sessionId - ID de la sesión (ID de la familia de refresh tokens)
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Contexto del cliente (dispositivo, IP, user agent)
+   * @param {string} expiresAt - Fecha de expiración del refresh token vigente
+   * @returns {Promise<Object>} Sesión creada
+   */
+  async createSession(sessionId, userId, context = {}, expiresAt = null) {
+    const now = new Date().toISOString();
+
+    return DatabaseService.insert('sessions', {
+      id: sessionId,
+      userId,
+      deviceId: context.deviceId || null,
+      deviceName: context.deviceName || null,
+      userAgent: context.userAgent || null,
+      ip: context.ip || null,
+      expiresAt,
+      lastSeenAt: now,
+      revokedAt: null,
+      revokedReason: null,
+      createdAt: now
+    });
+  }
+
+  /**
+   * Registra la rotación del refresh token de una sesión.
+   * Las familias creadas antes de existir las sesiones obtienen su documento aquí.
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Contexto del cliente
+   * @param {string} expiresAt - Nueva fecha de expiración
+   * @returns {Promise<void>}
+   */
+  async recordRefresh(sessionId, userId, context = {}, expiresAt = null) {
+    const session = await DatabaseService.findById('sessions', sessionId);
+
+    if (!session) {
+      await this.createSession(sessionId, userId, context, expiresAt);
+      return;
+    }
+
+    await DatabaseService.update('sessions', sessionId, {
+      userAgent: context.userAgent || session.userAgent,
+      ip: context.ip || session.ip,
+      expiresAt,
+      lastSeenAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Obtiene una sesión si sigue activa
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Promise<Object|null>} Sesión o null si no existe, está revocada o expiró
+   */
+  async getActiveSession(sessionId) {
+    const session = await DatabaseService.findById('sessions', sessionId);
+    return session && this.isActive(session) ? session : null;
+  }
+
+  /**
+   * Lista las sesiones activas de un usuario, de la más reciente a la más antigua
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} Sesiones activas
+   */
+  async listActiveSessions(userId) {
+    const sessions = await DatabaseService.find('sessions', { userId });
+
+    return sessions
+      .filter(session => this.isActive(session))
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  /**
+   * Actualiza la última actividad de una sesión si pasó el intervalo mínimo
+   * @param {Object} session - Documento de la sesión
+   * @param {string} ip - IP de la petición actual
+   * @returns {Promise<void>}
+   */
+  async touch(session, ip) {
+    if (Date.now() - new Date(session.lastSeenAt).getTime() < this.touchIntervalMs) {
+      return;
+    }
+
+    await DatabaseService.update('sessions', session.id, {
+      lastSeenAt: new Date().toISOString(),
+      ip: ip || session.ip
+    });
+  }
+
+  /**
+   * Marca sesiones como revocadas
+   * @param {Array<string>} sessionIds - IDs de las sesiones
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de sesiones revocadas
+   */
+  async revokeSessions(sessionIds, reason) {
+    const sessions = await DatabaseService.findByIds('sessions', [...new Set(sessionIds)]);
+    const activeSessions = sessions.filter(session => !session.revokedAt);
+    const now = new Date().toISOString();
+
+    await Promise.all(activeSessions.map(session => DatabaseService.update('sessions', session.id, {
+      revokedAt: now,
+      revokedReason: reason
+    })));
+
+    return activeSessions.length;
+  }
+
+  /**
+   * Indica si una sesión sigue activa
+   * @param {Object} session - Documento de la sesión
+   * @returns {boolean} True si no está revocada ni expirada
+   */
+  isActive(session) {
+    return !session.revokedAt && (!session.expiresAt || new Date(session.expiresAt) > new Date());
+  }
+
+  /**
+   * Construye la representación pública de una sesión
+   * @param {Object} session - Documento de la sesión
+   * @param {string} currentSessionId - ID de la sesión de la petición actual
+   * @returns {Object} Datos públicos de la sesión
+   */
+  serializeSession(session, currentSessionId = null) {
+    return {
+      id: session.id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastSeenAt: session.lastSeenAt,
+      createdAt: session.createdAt,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { SessionService: new SessionService() };
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Adaptador de almacenamiento sobre Google Cloud Firestore
+ * @author Marcela
+ */
+
+const { Firestore } = require('@google-cloud/firestore');
+const { initializeFirestore, validateEnvironment } = require('../../config/vercel');
+const { getStoredName } = require('../../config/collections');
+
+class FirestoreAdapter {
+  constructor() {
+    // En producción (Vercel), usar credenciales de variables de entorno
+    if (process.env.NODE_ENV === 'production') {
+      validateEnvironment();
+      this.db = initializeFirestore();
+    } else {
+      // En desarrollo, usar archivo de credenciales
+      this.db = new Firestore({
+        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
+      });
+    }
+  }
+
+  /**
+   * Obtiene la referencia de una colección
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @returns {Object} Referencia de Firestore
+   */
+  collection(collectionName) {
+    return this.db.collection(getStoredName(collectionName));
+  }
+
+  /**
+   * Convierte un snapshot de consulta en documentos
+   * @param {Object} snapshot - Snapshot de Firestore
+   * @returns {Array<Object>} Documentos
+   */
+  toDocuments(snapshot) {
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  generateId() {
+    return this.db.collection('_').doc().id;
+  }
+
+  async getAll(collectionName) {
+    return this.toDocuments(await this.collection(collectionName).get());
+  }
+
+  async find(collectionName, criteria) {
+    let query = this.collection(collectionName);
+
+    Object.keys(criteria).forEach(key => {
+      query = query.where(key, '==', criteria[key]);
+    });
+
+    return this.toDocuments(await query.get());
+  }
+
+  async findById(collectionName, id) {
+    const doc = await this.collection(collectionName).doc(id).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  }
+
+  async insert(collectionName, data) {
+    await this.collection(collectionName).doc(data.id).set(data);
+    return { ...data };
+  }
+
+  // Escritura por lotes: se guardan todos o ninguno (como máximo 500 por lote)
+  async insertMany(collectionName, documents) {
+    const batch = this.db.batch();
+    documents.forEach(data => batch.set(this.collection(collectionName).doc(data.id), data));
+    await batch.commit();
+    return documents.map(data => ({ ...data }));
+  }
+
+  async update(collectionName, id, data) {
+    await this.collection(collectionName).doc(id).update(data);
+    return this.findById(collectionName, id);
+  }
+
+  async delete(collectionName, id) {
+    await this.collection(collectionName).doc(id).delete();
+    return true;
+  }
+
+  async findWithPagination(collectionName, options = {}) {
+    const { limit = 20, offset = 0, orderBy = 'createdAt', orderDirection = 'desc', filters = {} } = options;
+
+    let query = this.collection(collectionName);
+
+    Object.keys(filters).forEach(key => {
+      query = query.where(key, '==', filters[key]);
+    });
+
+    query = query.orderBy(orderBy, orderDirection);
+
+    if (offset > 0) {
+      const offsetSnapshot = await query.limit(offset).get();
+      const lastDoc = offsetSnapshot.docs[offsetSnapshot.docs.length - 1];
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+    }
+
+    const documents = this.toDocuments(await query.limit(limit).get());
+
+    return {
+      documents,
+      pagination: {
+        limit,
+        offset,
+        hasMore: documents.length === limit,
+        total: documents.length
+      }
+    };
+  }
+
+  /**
+   * Obtiene una página ordenada por un campo y, en caso de empate, por ID, empezando
+   * después de la posición del cursor. Requiere un índice compuesto con las condiciones y el orden.
+   * @param {string} collectionName - Nombre de la colección
+   * @param {Object} options - `conditions`, `orderBy`, `orderDirection`, `limit` y `startAfter` ({ value, id })
+   * @returns {Promise<Array<Object>>} Documentos de la página
+   */
+  async findPage(collectionName, options) {
+    const { conditions = [], orderBy, orderDirection = 'desc', limit, startAfter = null } = options;
+
+    let query = this.collection(collectionName);
+
+    conditions.forEach(({ field, operator, value }) => {
+      query = query.where(field, operator, value);
+    });
+
+    query = query
+      .orderBy(orderBy, orderDirection)
+      .orderBy(Firestore.FieldPath.documentId(), orderDirection);
+
+    if (startAfter) {
+      query = query.startAfter(startAfter.value, startAfter.id);
+    }
+
+    return this.toDocuments(await query.limit(limit).get());
+  }
+
+  async complexQuery(collectionName, conditions) {
+    let query = this.collection(collectionName);
+
+    conditions.forEach(({ field, operator, value }) => {
+      query = query.where(field, operator, value);
+    });
+
+    return this.toDocuments(await query.get());
+  }
+
+  /**
+   * Ejecuta una transacción de Firestore exponiendo la interfaz común por nombre de colección
+   * @param {Function} updateFunction - Recibe la transacción con get/set/update/delete
+   * @returns {Promise<any>} Resultado de la función
+   */
+  async runTransaction(updateFunction) {
+    return this.db.runTransaction(async (firestoreTransaction) => {
+      const ref = (collectionName, id) => this.collection(collectionName).doc(id);
+
+      return updateFunction({
+        get: async (collectionName, id) => {
+          const snapshot = await firestoreTransaction.get(ref(collectionName, id));
+          return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+        },
+        set: (collectionName, id, data) => {
+          firestoreTransaction.set(ref(collectionName, id), data);
+        },
+        update: (collectionName, id, data) => {
+          firestoreTransaction.update(ref(collectionName, id), data);
+        },
+        delete: (collectionName, id) => {
+          firestoreTransaction.delete(ref(collectionName, id));
+        }
+      });
+    });
+  }
+
+  async increment(collectionName, id, field, amount) {
+    await this.collection(collectionName).doc(id).update({
+      [field]: Firestore.FieldValue.increment(amount),
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.findById(collectionName, id);
+  }
+}
+
+module.exports = { FirestoreAdapter };
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Selección del adaptador de almacenamiento de DatabaseService.
+ * Todos los adaptadores implementan la misma interfaz: getAll, find, findById, insert,
+ * insertMany, update, delete, findWithPagination, complexQuery, runTransaction, increment y generateId.
+ * @author Marcela
+ */
+
+const STORAGE_ADAPTERS = {
+  firestore: () => new (require('./firestoreAdapter').FirestoreAdapter)(),
+  memory: () => new (require('./memoryAdapter').MemoryAdapter)(),
+  json: () => new (require('./jsonFileAdapter').JsonFileAdapter)(),
+  sheets: () => new (require('./sheetsAdapter').SheetsAdapter)()
+};
+
+/**
+ * Crea el adaptador configurado en STORAGE_ADAPTER. Por defecto Firestore, salvo en
+ * el entorno de pruebas, donde se usa el adaptador en memoria.
+ * @param {string} name - Nombre del adaptador ('firestore', 'memory', 'json' o 'sheets')
+ * @returns {Object} Adaptador de almacenamiento
+ * @throws {Error} Si el adaptador no existe
+ */
+const createStorageAdapter = (name = process.env.STORAGE_ADAPTER || (process.env.NODE_ENV === 'test' ? 'memory' : 'firestore')) => {
+  if (!Object.prototype.hasOwnProperty.call(STORAGE_ADAPTERS, name)) {
+    throw new Error(`Adaptador de almacenamiento desconocido: ${name}. Usa ${Object.keys(STORAGE_ADAPTERS).join(', ')}`);
+  }
+
+  return STORAGE_ADAPTERS[name]();
+};
+
+module.exports = {
+  STORAGE_ADAPTERS,
+  createStorageAdapter
+};
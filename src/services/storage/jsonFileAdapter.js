@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Adaptador de almacenamiento en un archivo JSON local. Mantiene los datos
+ * en memoria y los guarda en disco tras cada escritura, para desarrollar sin conexión
+ * conservando los datos entre reinicios.
+ * @author Marcela
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryAdapter } = require('./memoryAdapter');
+
+class JsonFileAdapter extends MemoryAdapter {
+  constructor(filePath = process.env.STORAGE_JSON_PATH || path.join(process.cwd(), 'tmp', 'data', 'database.json')) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Carga el archivo en memoria. Si no existe se empieza con la base vacía.
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    Object.keys(content).forEach(storedName => {
+      this.collections.set(storedName, new Map(Object.entries(content[storedName])));
+    });
+  }
+
+  /**
+   * Serializa todas las colecciones
+   * @returns {string} Contenido del archivo
+   */
+  serialize() {
+    const content = {};
+
+    this.collections.forEach((documents, storedName) => {
+      content[storedName] = Object.fromEntries(documents);
+    });
+
+    return JSON.stringify(content, null, 2);
+  }
+
+  /**
+   * Guarda el estado actual en disco. Se escribe en un archivo temporal y se renombra
+   * para no dejar un archivo a medias si el proceso se interrumpe.
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const temporaryPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(temporaryPath, this.serialize());
+    await fs.promises.rename(temporaryPath, this.filePath);
+  }
+
+  /**
+   * Encola el guardado para que las escrituras concurrentes no se pisen en disco
+   * @returns {Promise<void>}
+   */
+  afterWrite() {
+    const write = this.writeQueue.then(() => this.persist());
+    // Un guardado fallido no debe bloquear los siguientes; el error llega a quien escribió
+    this.writeQueue = write.catch(() => undefined);
+    return write;
+  }
+}
+
+module.exports = { JsonFileAdapter };
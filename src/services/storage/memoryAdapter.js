@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Adaptador de almacenamiento en memoria. Pensado para pruebas y desarrollo
+ * sin credenciales de Google Cloud; los datos se pierden al reiniciar el proceso.
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { getStoredName } = require('../../config/collections');
+const { filterDocuments, criteriaToConditions, paginateDocuments, pageDocuments } = require('./queryEngine');
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+/**
+ * Genera un ID aleatorio de 20 caracteres alfanuméricos, como los de Firestore
+ * @returns {string} ID
+ */
+const generateDocumentId = () => {
+  const bytes = crypto.randomBytes(20);
+  return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+};
+
+/**
+ * Copia profunda de un documento para que nadie modifique el almacenamiento por referencia
+ * @param {Object} document - Documento
+ * @returns {Object} Copia
+ */
+const clone = (document) => JSON.parse(JSON.stringify(document));
+
+/**
+ * Crea el error que devuelve Firestore al actualizar un documento inexistente
+ * @param {string} collectionName - Nombre de la colección
+ * @param {string} id - ID del documento
+ * @returns {Error} Error con código 'not-found'
+ */
+const notFound = (collectionName, id) => {
+  const error = new Error(`No existe el documento ${collectionName}/${id}`);
+  error.code = 'not-found';
+  return error;
+};
+
+/**
+ * Aplica una actualización parcial. Las claves con puntos actualizan campos anidados,
+ * como hace Firestore.
+ * @param {Object} document - Documento actual
+ * @param {Object} data - Campos a actualizar
+ * @returns {Object} Documento actualizado
+ */
+const applyUpdate = (document, data) => {
+  const updated = clone(document);
+
+  Object.keys(data).forEach(key => {
+    const path = key.split('.');
+    const last = path.pop();
+    const target = path.reduce((current, segment) => {
+      if (typeof current[segment] !== 'object' || current[segment] === null) {
+        current[segment] = {};
+      }
+      return current[segment];
+    }, updated);
+
+    target[last] = data[key] === undefined ? undefined : clone({ value: data[key] }).value;
+  });
+
+  return updated;
+};
+
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Obtiene el almacén de una colección, creándolo si no existe
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @returns {Map} Documentos por ID
+   */
+  collection(collectionName) {
+    const storedName = getStoredName(collectionName);
+
+    if (!this.collections.has(storedName)) {
+      this.collections.set(storedName, new Map());
+    }
+
+    return this.collections.get(storedName);
+  }
+
+  /**
+   * Se ejecuta después de cada escritura. Los adaptadores persistentes lo sobrescriben.
+   * @returns {Promise<void>}
+   */
+  async afterWrite() {
+    // En memoria no hay nada que guardar
+  }
+
+  generateId() {
+    return generateDocumentId();
+  }
+
+  async getAll(collectionName) {
+    return Array.from(this.collection(collectionName).values(), clone);
+  }
+
+  async find(collectionName, criteria) {
+    return this.complexQuery(collectionName, criteriaToConditions(criteria));
+  }
+
+  async findById(collectionName, id) {
+    const document = this.collection(collectionName).get(id);
+    return document ? clone(document) : null;
+  }
+
+  async insert(collectionName, data) {
+    this.collection(collectionName).set(data.id, clone(data));
+    await this.afterWrite();
+    return clone(data);
+  }
+
+  async insertMany(collectionName, documents) {
+    const collection = this.collection(collectionName);
+    documents.forEach(data => collection.set(data.id, clone(data)));
+    await this.afterWrite();
+    return documents.map(data => clone(data));
+  }
+
+  async update(collectionName, id, data) {
+    const documents = this.collection(collectionName);
+
+    if (!documents.has(id)) {
+      throw notFound(collectionName, id);
+    }
+
+    documents.set(id, applyUpdate(documents.get(id), data));
+    await this.afterWrite();
+
+    return this.findById(collectionName, id);
+  }
+
+  async delete(collectionName, id) {
+    this.collection(collectionName).delete(id);
+    await this.afterWrite();
+    return true;
+  }
+
+  async findWithPagination(collectionName, options = {}) {
+    return paginateDocuments(await this.getAll(collectionName), options);
+  }
+
+  async findPage(collectionName, options) {
+    return pageDocuments(await this.getAll(collectionName), options);
+  }
+
+  async complexQuery(collectionName, conditions) {
+    return filterDocuments(await this.getAll(collectionName), conditions);
+  }
+
+  /**
+   * Ejecuta una transacción optimista: las lecturas se validan al confirmar y, si algún
+   * documento leído cambió mientras tanto, la función se vuelve a ejecutar (como en Firestore).
+   * @param {Function} updateFunction - Recibe la transacción con get/set/update/delete
+   * @returns {Promise<any>} Resultado de la función
+   */
+  async runTransaction(updateFunction) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const reads = new Map();
+      const writes = [];
+      const key = (collectionName, id) => `${getStoredName(collectionName)}/${id}`;
+
+      const result = await updateFunction({
+        get: async (collectionName, id) => {
+          const document = this.collection(collectionName).get(id);
+          reads.set(key(collectionName, id), { collectionName, id, snapshot: JSON.stringify(document || null) });
+          return document ? clone(document) : null;
+        },
+        set: (collectionName, id, data) => {
+          writes.push({ type: 'set', collectionName, id, data: clone(data) });
+        },
+        update: (collectionName, id, data) => {
+          writes.push({ type: 'update', collectionName, id, data });
+        },
+        delete: (collectionName, id) => {
+          writes.push({ type: 'delete', collectionName, id });
+        }
+      });
+
+      const conflict = Array.from(reads.values()).some(({ collectionName, id, snapshot }) => {
+        return JSON.stringify(this.collection(collectionName).get(id) || null) !== snapshot;
+      });
+
+      if (!conflict) {
+        // Validar antes de aplicar para que la transacción sea todo o nada
+        writes.forEach(({ type, collectionName, id }) => {
+          if (type === 'update' && !this.collection(collectionName).has(id)) {
+            throw notFound(collectionName, id);
+          }
+        });
+
+        writes.forEach(({ type, collectionName, id, data }) => {
+          const documents = this.collection(collectionName);
+
+          if (type === 'set') {
+            documents.set(id, data);
+          } else if (type === 'update') {
+            documents.set(id, applyUpdate(documents.get(id), data));
+          } else {
+            documents.delete(id);
+          }
+        });
+
+        if (writes.length > 0) {
+          await this.afterWrite();
+        }
+
+        return result;
+      }
+    }
+
+    throw new Error('La transacción no pudo confirmarse por escrituras concurrentes');
+  }
+
+  async increment(collectionName, id, field, amount) {
+    const documents = this.collection(collectionName);
+
+    if (!documents.has(id)) {
+      throw notFound(collectionName, id);
+    }
+
+    // Leer y escribir sin esperas intermedias para que el incremento sea atómico
+    const current = documents.get(id);
+    const value = field.split('.').reduce((object, segment) => (object ? object[segment] : undefined), current);
+
+    documents.set(id, applyUpdate(current, {
+      [field]: (typeof value === 'number' ? value : 0) + amount,
+      updatedAt: new Date().toISOString()
+    }));
+    await this.afterWrite();
+
+    return this.findById(collectionName, id);
+  }
+}
+
+module.exports = {
+  MemoryAdapter,
+  MAX_TRANSACTION_ATTEMPTS,
+  generateDocumentId,
+  clone,
+  applyUpdate,
+  notFound
+};
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Motor de consultas en memoria para los adaptadores que no tienen consultas
+ * nativas. Reproduce la semántica de Firestore: operadores de `where`, `orderBy` (que excluye
+ * los documentos sin el campo) y paginación por offset o por cursor.
+ * @author Marcela
+ */
+
+const SUPPORTED_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'array-contains-any'];
+
+/**
+ * Obtiene el valor de un campo, admitiendo rutas con puntos (ej. 'preferences.units')
+ * @param {Object} document - Documento
+ * @param {string} field - Campo o ruta
+ * @returns {*} Valor o undefined
+ */
+const getFieldValue = (document, field) => {
+  return field.split('.').reduce(
+    (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+    document
+  );
+};
+
+/**
+ * Compara dos valores por igualdad, incluidos arrays y objetos
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} True si son iguales
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+
+  if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  return false;
+};
+
+/**
+ * Compara dos valores para ordenar. Números con números y el resto como texto.
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {number} Negativo, cero o positivo
+ */
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  const left = String(a);
+  const right = String(b);
+
+  if (left === right) {
+    return 0;
+  }
+
+  return left < right ? -1 : 1;
+};
+
+/**
+ * Indica si un documento cumple una condición
+ * @param {Object} document - Documento
+ * @param {Object} condition - Condición con `field`, `operator` y `value`
+ * @returns {boolean} True si la cumple
+ */
+const matchesCondition = (document, { field, operator, value }) => {
+  const fieldValue = getFieldValue(document, field);
+  const exists = fieldValue !== undefined;
+
+  if (operator === '==') {
+    return isEqual(fieldValue, value);
+  }
+
+  if (operator === '!=') {
+    return exists && !isEqual(fieldValue, value);
+  }
+
+  if (['<', '<=', '>', '>='].includes(operator)) {
+    // Firestore solo compara valores del mismo tipo
+    if (!exists || fieldValue === null || typeof fieldValue !== typeof value) {
+      return false;
+    }
+
+    const comparison = compareValues(fieldValue, value);
+
+    if (operator === '<') return comparison < 0;
+    if (operator === '<=') return comparison <= 0;
+    if (operator === '>') return comparison > 0;
+    return comparison >= 0;
+  }
+
+  if (operator === 'in') {
+    return Array.isArray(value) && value.some(candidate => isEqual(fieldValue, candidate));
+  }
+
+  if (operator === 'not-in') {
+    return exists && Array.isArray(value) && !value.some(candidate => isEqual(fieldValue, candidate));
+  }
+
+  if (operator === 'array-contains') {
+    return Array.isArray(fieldValue) && fieldValue.some(item => isEqual(item, value));
+  }
+
+  if (operator === 'array-contains-any') {
+    return Array.isArray(fieldValue) && Array.isArray(value) &&
+      value.some(candidate => fieldValue.some(item => isEqual(item, candidate)));
+  }
+
+  throw new Error(`Operador de consulta no soportado: ${operator}`);
+};
+
+/**
+ * Convierte criterios de igualdad (`{ campo: valor }`) en condiciones
+ * @param {Object} criteria - Criterios
+ * @returns {Array<Object>} Condiciones
+ */
+const criteriaToConditions = (criteria = {}) => {
+  return Object.keys(criteria).map(field => ({ field, operator: '==', value: criteria[field] }));
+};
+
+/**
+ * Filtra documentos por una lista de condiciones
+ * @param {Array<Object>} documents - Documentos
+ * @param {Array<Object>} conditions - Condiciones
+ * @returns {Array<Object>} Documentos que cumplen todas las condiciones
+ */
+const filterDocuments = (documents, conditions = []) => {
+  conditions.forEach(condition => {
+    if (!SUPPORTED_OPERATORS.includes(condition.operator)) {
+      throw new Error(`Operador de consulta no soportado: ${condition.operator}`);
+    }
+  });
+
+  return documents.filter(document => conditions.every(condition => matchesCondition(document, condition)));
+};
+
+/**
+ * Ordena documentos por un campo. Como en Firestore, los documentos sin el campo se excluyen.
+ * @param {Array<Object>} documents - Documentos
+ * @param {string} field - Campo de ordenamiento
+ * @param {string} direction - 'asc' o 'desc'
+ * @returns {Array<Object>} Documentos ordenados
+ */
+const sortDocuments = (documents, field, direction = 'asc') => {
+  const factor = direction === 'desc' ? -1 : 1;
+
+  return documents
+    .filter(document => getFieldValue(document, field) !== undefined)
+    .sort((a, b) => factor * compareValues(getFieldValue(a, field), getFieldValue(b, field)));
+};
+
+/**
+ * Filtra, ordena y pagina documentos con las mismas opciones que DatabaseService.findWithPagination
+ * @param {Array<Object>} documents - Documentos
+ * @param {Object} options - Opciones de paginación
+ * @returns {Object} Documentos de la página y datos de paginación
+ */
+const paginateDocuments = (documents, options = {}) => {
+  const { limit = 20, offset = 0, orderBy = 'createdAt', orderDirection = 'desc', filters = {} } = options;
+
+  const matched = sortDocuments(filterDocuments(documents, criteriaToConditions(filters)), orderBy, orderDirection);
+  const page = matched.slice(offset, offset + limit);
+
+  return {
+    documents: page,
+    pagination: {
+      limit,
+      offset,
+      hasMore: offset + limit < matched.length,
+      total: page.length
+    }
+  };
+};
+
+/**
+ * Filtra, ordena y devuelve los documentos posteriores a un cursor. Los empates en el campo
+ * de orden se resuelven por ID, como el `orderBy(documentId())` del adaptador de Firestore.
+ * @param {Array<Object>} documents - Documentos
+ * @param {Object} options - `conditions`, `orderBy`, `orderDirection`, `limit` y `startAfter` ({ value, id })
+ * @returns {Array<Object>} Documentos de la página
+ */
+const pageDocuments = (documents, options) => {
+  const { conditions = [], orderBy, orderDirection = 'desc', limit, startAfter = null } = options;
+  const factor = orderDirection === 'desc' ? -1 : 1;
+
+  // Compara posiciones { value, id } para que el cursor y los documentos se midan igual
+  const compare = (a, b) => {
+    const byField = compareValues(a.value, b.value);
+    return factor * (byField !== 0 ? byField : compareValues(a.id, b.id));
+  };
+  const positionOf = document => ({ value: getFieldValue(document, orderBy), id: document.id });
+
+  let matched = filterDocuments(documents, conditions)
+    .filter(document => getFieldValue(document, orderBy) !== undefined)
+    .sort((a, b) => compare(positionOf(a), positionOf(b)));
+
+  if (startAfter) {
+    matched = matched.filter(document => compare(positionOf(document), startAfter) > 0);
+  }
+
+  return matched.slice(0, limit);
+};
+
+module.exports = {
+  SUPPORTED_OPERATORS,
+  getFieldValue,
+  isEqual,
+  compareValues,
+  matchesCondition,
+  criteriaToConditions,
+  filterDocuments,
+  sortDocuments,
+  paginateDocuments,
+  pageDocuments
+};
@@ -0,0 +1,496 @@
+/**
+ * @fileoverview Adaptador de almacenamiento sobre Google Sheets. Cada colección es una hoja
+ * (ver config/sheetsSchema), cada documento una fila y cada campo de primer nivel una columna.
+ * Los arrays y objetos se guardan como JSON. Pensado para gimnasios pequeños que trabajan
+ * sobre una hoja de cálculo: todas las consultas leen la hoja completa.
+ * @author Marcela
+ */
+
+const { google } = require('googleapis');
+const { getStoredName } = require('../../config/collections');
+const { getSheetForCollection, toColumnLetter } = require('../../config/sheetsSchema');
+const { configureGoogleCloud } = require('../../config/vercel');
+const { filterDocuments, criteriaToConditions, paginateDocuments, pageDocuments, getFieldValue } = require('./queryEngine');
+const { MAX_TRANSACTION_ATTEMPTS, generateDocumentId, clone, applyUpdate, notFound } = require('./memoryAdapter');
+
+const SHEETS_SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+/**
+ * Crea la autenticación de Google con las mismas credenciales que el resto de la app
+ * @returns {Object} Cliente de autenticación
+ */
+const createAuth = () => {
+  if (process.env.NODE_ENV === 'production') {
+    return new google.auth.GoogleAuth({ credentials: configureGoogleCloud(), scopes: SHEETS_SCOPES });
+  }
+
+  return new google.auth.GoogleAuth({
+    keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS || './credentials/service-account-key.json',
+    scopes: SHEETS_SCOPES
+  });
+};
+
+/**
+ * Escribe el nombre de una hoja como rango A1, escapando comillas
+ * @param {string} sheetName - Nombre de la hoja
+ * @returns {string} Rango
+ */
+const quoteSheetName = (sheetName) => `'${sheetName.replace(/'/g, '\'\'')}'`;
+
+/**
+ * Convierte un valor en el contenido de una celda
+ * @param {*} value - Valor del campo
+ * @param {string} type - Tipo declarado de la columna ('json', 'number', 'boolean') o undefined
+ * @returns {*} Valor de la celda
+ */
+const encodeCell = (value, type) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (type === 'json' || typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return value;
+};
+
+/**
+ * Convierte el contenido de una celda en el valor del campo. Las celdas vacías se leen
+ * como campos ausentes. En columnas sin tipo declarado, el texto que empieza por `[` o `{`
+ * y es JSON válido se interpreta como JSON.
+ * @param {*} cell - Valor de la celda
+ * @param {string} type - Tipo declarado de la columna o undefined
+ * @returns {*} Valor del campo o undefined
+ */
+const decodeCell = (cell, type) => {
+  if (cell === undefined || cell === null || cell === '') {
+    return undefined;
+  }
+
+  if (type === 'number') {
+    return typeof cell === 'number' || Number.isNaN(Number(cell)) ? cell : Number(cell);
+  }
+
+  if (type === 'boolean') {
+    return typeof cell === 'boolean' ? cell : String(cell).toLowerCase() === 'true';
+  }
+
+  if (typeof cell === 'string' && (type === 'json' || /^[[{]/.test(cell))) {
+    try {
+      return JSON.parse(cell);
+    } catch (error) {
+      return cell;
+    }
+  }
+
+  return cell;
+};
+
+class SheetsAdapter {
+  constructor({ spreadsheetId = process.env.GOOGLE_SHEETS_ID, client } = {}) {
+    if (!spreadsheetId) {
+      throw new Error('GOOGLE_SHEETS_ID es requerido para el adaptador de Google Sheets');
+    }
+
+    this.spreadsheetId = spreadsheetId;
+    this.sheets = client || google.sheets({ version: 'v4', auth: createAuth() });
+    this.sheetIds = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Obtiene el nombre de la hoja de una colección. Las colecciones sin hoja en el esquema
+   * usan su nombre almacenado y la hoja se crea con la primera escritura.
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @returns {string} Nombre de la hoja
+   */
+  getSheetName(collectionName) {
+    const sheet = getSheetForCollection(collectionName);
+    return sheet ? sheet.name : getStoredName(collectionName);
+  }
+
+  /**
+   * Obtiene los tipos declarados de las columnas de una colección. `version` es numérica
+   * en todas porque la usa el control de concurrencia.
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @returns {Object} Tipo por columna
+   */
+  getColumnTypes(collectionName) {
+    const sheet = getSheetForCollection(collectionName);
+    return { version: 'number', ...(sheet ? sheet.types : {}) };
+  }
+
+  /**
+   * Ejecuta las operaciones de escritura de una en una. Sheets no tiene transacciones y
+   * dos escrituras simultáneas podrían añadir la misma columna o borrar la fila equivocada.
+   * @param {Function} operation - Operación
+   * @returns {Promise<any>} Resultado de la operación
+   */
+  serialize(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Obtiene el ID numérico de una hoja
+   * @param {string} sheetName - Nombre de la hoja
+   * @param {boolean} refresh - Volver a leer los metadatos del spreadsheet
+   * @returns {Promise<number|null>} ID o null si la hoja no existe
+   */
+  async getSheetId(sheetName, refresh = false) {
+    if (!this.sheetIds || refresh) {
+      const response = await this.sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId,
+        fields: 'sheets.properties(sheetId,title)'
+      });
+
+      this.sheetIds = new Map(
+        (response.data.sheets || []).map(sheet => [sheet.properties.title, sheet.properties.sheetId])
+      );
+    }
+
+    if (this.sheetIds.has(sheetName)) {
+      return this.sheetIds.get(sheetName);
+    }
+
+    // La hoja puede haberse creado desde otra instancia o a mano
+    return refresh ? null : this.getSheetId(sheetName, true);
+  }
+
+  /**
+   * Crea una hoja con sus encabezados
+   * @param {string} sheetName - Nombre de la hoja
+   * @param {Array<string>} headers - Encabezados
+   * @returns {Promise<void>}
+   */
+  async createSheet(sheetName, headers) {
+    const response = await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }]
+      }
+    });
+
+    this.sheetIds.set(sheetName, response.data.replies[0].addSheet.properties.sheetId);
+    await this.writeHeaders(sheetName, headers);
+  }
+
+  /**
+   * Escribe la fila de encabezados
+   * @param {string} sheetName - Nombre de la hoja
+   * @param {Array<string>} headers - Encabezados
+   * @returns {Promise<void>}
+   */
+  async writeHeaders(sheetName, headers) {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!A1:${toColumnLetter(headers.length)}1`,
+      valueInputOption: 'RAW',
+      resource: { values: [headers] }
+    });
+  }
+
+  /**
+   * Lee una hoja completa
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @returns {Promise<Object>} Nombre, existencia, encabezados y filas con su número y documento
+   */
+  async readSheet(collectionName) {
+    const sheetName = this.getSheetName(collectionName);
+
+    if (await this.getSheetId(sheetName) === null) {
+      return { sheetName, exists: false, headers: [], rows: [] };
+    }
+
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: quoteSheetName(sheetName),
+      valueRenderOption: 'UNFORMATTED_VALUE'
+    });
+
+    const [headers = [], ...values] = response.data.values || [];
+    const types = this.getColumnTypes(collectionName);
+
+    const rows = values
+      .map((cells, index) => ({ rowNumber: index + 2, document: this.decodeRow(headers, cells, types) }))
+      .filter(row => row.document.id !== undefined);
+
+    return { sheetName, exists: true, headers: headers.map(String), rows };
+  }
+
+  /**
+   * Convierte una fila en documento
+   * @param {Array<string>} headers - Encabezados
+   * @param {Array} cells - Celdas de la fila
+   * @param {Object} types - Tipos declarados
+   * @returns {Object} Documento
+   */
+  decodeRow(headers, cells, types) {
+    const document = {};
+
+    headers.forEach((header, index) => {
+      const value = decodeCell(cells[index], types[header]);
+
+      if (header && value !== undefined) {
+        document[header] = value;
+      }
+    });
+
+    if (document.id !== undefined) {
+      document.id = String(document.id);
+    }
+
+    return document;
+  }
+
+  /**
+   * Convierte un documento en fila siguiendo el orden de los encabezados
+   * @param {Array<string>} headers - Encabezados
+   * @param {Object} document - Documento
+   * @param {Object} types - Tipos declarados
+   * @returns {Array} Celdas
+   */
+  encodeRow(headers, document, types) {
+    return headers.map(header => encodeCell(document[header], types[header]));
+  }
+
+  /**
+   * Asegura que la hoja tenga una columna por cada campo del documento, creando la hoja
+   * o añadiendo columnas al final si hace falta
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @param {Object} table - Hoja leída con readSheet
+   * @param {Object} document - Documento a escribir
+   * @returns {Promise<Array<string>>} Encabezados resultantes
+   */
+  async ensureColumns(collectionName, table, document) {
+    const sheet = getSheetForCollection(collectionName);
+    const baseHeaders = table.exists ? table.headers : (sheet ? sheet.headers : ['id']);
+    const missing = Object.keys(document).filter(key => document[key] !== undefined && !baseHeaders.includes(key));
+    const headers = [...baseHeaders, ...missing];
+
+    if (!table.exists) {
+      await this.createSheet(table.sheetName, headers);
+    } else if (missing.length > 0) {
+      await this.writeHeaders(table.sheetName, headers);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Escribe un documento en su fila o, si no tiene fila, al final de la hoja
+   * @param {string} collectionName - Nombre lógico de la colección
+   * @param {Object} table - Hoja leída con readSheet
+   * @param {Object} document - Documento completo
+   * @param {number|null} rowNumber - Fila existente o null para añadir
+   * @returns {Promise<void>}
+   */
+  async writeDocument(collectionName, table, document, rowNumber) {
+    const headers = await this.ensureColumns(collectionName, table, document);
+    const values = [this.encodeRow(headers, document, this.getColumnTypes(collectionName))];
+    const sheetRange = quoteSheetName(table.sheetName);
+
+    if (rowNumber) {
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetRange}!A${rowNumber}:${toColumnLetter(headers.length)}${rowNumber}`,
+        valueInputOption: 'RAW',
+        resource: { values }
+      });
+      return;
+    }
+
+    await this.sheets.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: `${sheetRange}!A1`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values }
+    });
+  }
+
+  /**
+   * Elimina una fila de la hoja
+   * @param {string} sheetName - Nombre de la hoja
+   * @param {number} rowNumber - Número de fila (1 = encabezados)
+   * @returns {Promise<void>}
+   */
+  async deleteRow(sheetName, rowNumber) {
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        requests: [{
+          deleteDimension: {
+            range: {
+              sheetId: await this.getSheetId(sheetName),
+              dimension: 'ROWS',
+              startIndex: rowNumber - 1,
+              endIndex: rowNumber
+            }
+          }
+        }]
+      }
+    });
+  }
+
+  /**
+   * Aplica una escritura ('set', 'update' o 'delete') leyendo antes la posición actual de la fila
+   * @param {Object} write - Escritura
+   * @returns {Promise<Object|null>} Documento resultante o null si se eliminó
+   */
+  async applyWrite({ type, collectionName, id, data }) {
+    const table = await this.readSheet(collectionName);
+    const row = table.rows.find(candidate => candidate.document.id === id);
+
+    if (type === 'delete') {
+      if (row) {
+        await this.deleteRow(table.sheetName, row.rowNumber);
+      }
+      return null;
+    }
+
+    if (type === 'update' && !row) {
+      throw notFound(collectionName, id);
+    }
+
+    const document = type === 'update' ? applyUpdate(row.document, data) : { ...clone(data), id };
+    await this.writeDocument(collectionName, table, document, row ? row.rowNumber : null);
+
+    return clone(document);
+  }
+
+  generateId() {
+    return generateDocumentId();
+  }
+
+  async getAll(collectionName) {
+    const table = await this.readSheet(collectionName);
+    return table.rows.map(row => row.document);
+  }
+
+  async find(collectionName, criteria) {
+    return this.complexQuery(collectionName, criteriaToConditions(criteria));
+  }
+
+  async findById(collectionName, id) {
+    const documents = await this.getAll(collectionName);
+    return documents.find(document => document.id === id) || null;
+  }
+
+  async insert(collectionName, data) {
+    return this.serialize(() => this.applyWrite({ type: 'set', collectionName, id: data.id, data }));
+  }
+
+  // Sheets no tiene escrituras por lotes: las filas se agregan de una en una sin otras escrituras en medio
+  async insertMany(collectionName, documents) {
+    return this.serialize(async () => {
+      const inserted = [];
+      for (const data of documents) {
+        inserted.push(await this.applyWrite({ type: 'set', collectionName, id: data.id, data }));
+      }
+      return inserted;
+    });
+  }
+
+  async update(collectionName, id, data) {
+    return this.serialize(() => this.applyWrite({ type: 'update', collectionName, id, data }));
+  }
+
+  async delete(collectionName, id) {
+    await this.serialize(() => this.applyWrite({ type: 'delete', collectionName, id }));
+    return true;
+  }
+
+  async findWithPagination(collectionName, options = {}) {
+    return paginateDocuments(await this.getAll(collectionName), options);
+  }
+
+  async findPage(collectionName, options) {
+    return pageDocuments(await this.getAll(collectionName), options);
+  }
+
+  async complexQuery(collectionName, conditions) {
+    return filterDocuments(await this.getAll(collectionName), conditions);
+  }
+
+  /**
+   * Ejecuta una transacción. Dentro de este proceso las transacciones y escrituras se
+   * ejecutan de una en una; frente a otras instancias, las lecturas se vuelven a comprobar
+   * antes de escribir y la función se reintenta si algo cambió. Las escrituras se aplican
+   * fila por fila, por lo que un fallo de la API a mitad puede dejar una transacción parcial.
+   * @param {Function} updateFunction - Recibe la transacción con get/set/update/delete
+   * @returns {Promise<any>} Resultado de la función
+   */
+  async runTransaction(updateFunction) {
+    return this.serialize(async () => {
+      for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const reads = [];
+        const writes = [];
+
+        const result = await updateFunction({
+          get: async (collectionName, id) => {
+            const document = await this.findById(collectionName, id);
+            reads.push({ collectionName, id, snapshot: JSON.stringify(document) });
+            return document;
+          },
+          set: (collectionName, id, data) => {
+            writes.push({ type: 'set', collectionName, id, data: clone(data) });
+          },
+          update: (collectionName, id, data) => {
+            writes.push({ type: 'update', collectionName, id, data });
+          },
+          delete: (collectionName, id) => {
+            writes.push({ type: 'delete', collectionName, id });
+          }
+        });
+
+        const current = await Promise.all(reads.map(({ collectionName, id }) => this.findById(collectionName, id)));
+        const conflict = reads.some((read, index) => JSON.stringify(current[index]) !== read.snapshot);
+
+        if (!conflict) {
+          // Validar antes de escribir para no dejar la transacción a medias por un documento inexistente
+          for (const write of writes) {
+            if (write.type === 'update' && !(await this.findById(write.collectionName, write.id))) {
+              throw notFound(write.collectionName, write.id);
+            }
+          }
+
+          for (const write of writes) {
+            await this.applyWrite(write);
+          }
+
+          return result;
+        }
+      }
+
+      throw new Error('La transacción no pudo confirmarse por escrituras concurrentes');
+    });
+  }
+
+  async increment(collectionName, id, field, amount) {
+    await this.runTransaction(async (transaction) => {
+      const document = await transaction.get(collectionName, id);
+
+      if (!document) {
+        throw notFound(collectionName, id);
+      }
+
+      const value = getFieldValue(document, field);
+
+      transaction.update(collectionName, id, {
+        [field]: (typeof value === 'number' ? value : 0) + amount,
+        updatedAt: new Date().toISOString()
+      });
+    });
+
+    return this.findById(collectionName, id);
+  }
+}
+
+module.exports = { SheetsAdapter };
@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Servicio de sincronización de los clientes sin conexión. El cliente envía los
+ * cambios que hizo sin conexión y el token de su última sincronización; recibe el resultado de
+ * cada cambio y lo que cambió o se eliminó en el servidor desde entonces. Los cambios se detectan
+ * por `updatedAt` y las eliminaciones por la papelera. En un conflicto gana, campo por campo, la
+ * edición más reciente (`fieldUpdatedAt` en el servidor y `modifiedAt` en el cliente); los campos
+ * calculados siempre los decide el servidor.
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { TrashService } = require('./trashService');
+const { BatchWriteService } = require('./batchWriteService');
+const { ValidationMiddleware } = require('../middleware/validation');
+const { ErrorHandler } = require('../core/errorHandler');
+const { encodeSigned, decodeSigned } = require('../utils/cursor');
+const { isEqual } = require('./storage/queryEngine');
+const { isSynced } = require('../config/collections');
+
+/**
+ * Calcula el avance de un objetivo entre su valor inicial y su meta (sirve también para metas
+ * menores que el valor inicial, como bajar de peso)
+ * @param {Object} goal - Objetivo validado
+ * @returns {Object} `progress` (0 a 100) y `status`
+ */
+const computeGoal = (goal) => {
+  const start = goal.start || 0;
+  const current = goal.current === null || goal.current === undefined ? start : goal.current;
+  const span = goal.target - start;
+  const progress = span === 0 ? 100 : Math.max(0, Math.min(100, Math.round(((current - start) / span) * 100)));
+
+  return { progress, status: progress >= 100 ? 'completed' : 'active' };
+};
+
+// Recursos que se sincronizan: colección, prefijo de los permisos, validación de los datos del
+// cliente y campos que calcula el servidor. Los de historial llevan `timestamp` (fecha del registro).
+const SYNC_RESOURCES = {
+  workouts: {
+    collection: 'workouts',
+    scope: 'workouts',
+    timestamped: true,
+    validate: data => ValidationMiddleware.validateWorkoutLog(data),
+    build: (data, user) => ({ ...data, createdBy: user.id })
+  },
+  nutrition: {
+    collection: 'nutrition',
+    scope: 'nutrition',
+    timestamped: true,
+    validate: data => ValidationMiddleware.validateNutritionLog(data)
+  },
+  weight: {
+    collection: 'logs',
+    scope: 'progress',
+    timestamped: true,
+    validate: data => ValidationMiddleware.validateWeightLog(data)
+  },
+  measurements: {
+    collection: 'progress',
+    scope: 'progress',
+    timestamped: true,
+    validate: data => {
+      ValidationMiddleware.validateOnboardingData(data);
+      return { measurements: data.measurements || null, notes: data.notes || '' };
+    }
+  },
+  goals: {
+    collection: 'goals',
+    scope: 'progress',
+    validate: data => ValidationMiddleware.validateGoal(data),
+    computedFields: ['progress', 'status'],
+    compute: computeGoal
+  },
+  settings: {
+    collection: 'settings',
+    scope: 'profile',
+    validate: data => ValidationMiddleware.validateSetting(data)
+  }
+};
+
+Object.values(SYNC_RESOURCES).forEach(({ collection }) => {
+  if (!isSynced(collection)) {
+    throw new Error(`La colección ${collection} no se sincroniza`);
+  }
+});
+
+// Los `updatedAt` se asignan antes de escribir: una escritura que termina mientras se leen los
+// cambios puede tener una fecha anterior al token. Cada sincronización repite este margen.
+const SYNC_OVERLAP_MS = 30 * 1000;
+
+// IDs que generan los clientes para los registros creados sin conexión (por ejemplo UUID)
+const CLIENT_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// Campos de control, dueño y papelera: no se comparan en los conflictos
+const CONTROL_FIELDS = ['id', 'userId', 'createdAt', 'updatedAt', 'version', 'fieldUpdatedAt', 'deletedAt', 'deletedWith'];
+
+// Reintentos de un cambio cuando otra escritura modifica el registro entre la lectura y la escritura
+const MAX_MUTATION_ATTEMPTS = 3;
+
+// Errores que invalidan un cambio sin fallar la sincronización
+const MUTATION_ERROR_CODES = {
+  ValidationError: 400,
+  AuthorizationError: 403,
+  NotFoundError: 404,
+  ConflictError: 409
+};
+
+/**
+ * Obtiene cuándo cambió por última vez un campo de un documento sincronizado. Un campo que
+ * no figura en `fieldUpdatedAt` nunca se escribió; los documentos que todavía no tienen
+ * `fieldUpdatedAt` usan su `updatedAt` para todos los campos.
+ * @param {Object} document - Documento guardado
+ * @param {string} field - Campo
+ * @returns {number} Fecha en milisegundos (0 si nunca se escribió)
+ */
+const getFieldTime = (document, field) => {
+  const time = document.fieldUpdatedAt
+    ? document.fieldUpdatedAt[field]
+    : document.updatedAt || document.createdAt;
+
+  return time ? new Date(time).getTime() || 0 : 0;
+};
+
+/**
+ * Prepara un registro guardado para el cliente: `fieldUpdatedAt` solo sirve para resolver conflictos
+ * @param {Object} document - Documento guardado
+ * @returns {Object} Registro sin `fieldUpdatedAt`
+ */
+const toClientRecord = (document) => {
+  const record = { ...document };
+  delete record.fieldUpdatedAt;
+  return record;
+};
+
+class SyncService {
+  constructor() {
+    this.pageSize = parseInt(process.env.SYNC_PAGE_SIZE) || 200;
+    this.maxMutations = parseInt(process.env.SYNC_MAX_MUTATIONS) || 100;
+  }
+
+  /**
+   * Lista los recursos que el usuario puede sincronizar
+   * @param {Object} user - Usuario autenticado
+   * @param {string} access - 'read' o 'write'
+   * @returns {Array<string>} Nombres de los recursos
+   */
+  getResources(user, access) {
+    const permissions = user.permissions || [];
+    return Object.keys(SYNC_RESOURCES).filter(resource => permissions.includes(`${SYNC_RESOURCES[resource].scope}:${access}`));
+  }
+
+  /**
+   * Decodifica el token de la última sincronización
+   * @param {string} token - Token devuelto por la sincronización anterior
+   * @param {string} userId - ID del usuario
+   * @returns {Object|null} Posición por recurso o null si es la primera sincronización
+   * @throws {Error} ValidationError si el token está alterado o es de otro usuario
+   */
+  decodeToken(token, userId) {
+    if (!token) {
+      return null;
+    }
+
+    const payload = decodeSigned(token);
+
+    if (!payload || payload.u !== userId || !payload.c) {
+      throw ErrorHandler.validationError('Token de sincronización inválido');
+    }
+
+    return payload.c;
+  }
+
+  /**
+   * Sincroniza los datos de un usuario: aplica sus cambios y devuelve lo que cambió desde el token
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} request - Cuerpo de la petición
+   * @param {string} request.token - Token de la última sincronización (vacío la primera vez)
+   * @param {Array<Object>} request.mutations - Cambios del cliente en el orden en que se hicieron
+   * @returns {Promise<Object>} `results` por cambio, `changes`, `deleted`, `token`, `hasMore` y `reset`
+   * @throws {Error} ValidationError si el token o la lista de cambios no son válidos
+   */
+  async sync(user, { token = null, mutations = [] } = {}) {
+    if (!Array.isArray(mutations)) {
+      throw ErrorHandler.validationError('mutations debe ser una lista');
+    }
+
+    if (mutations.length > this.maxMutations) {
+      throw ErrorHandler.validationError(`Se aceptan como máximo ${this.maxMutations} cambios por sincronización`);
+    }
+
+    const positions = this.decodeToken(token, user.id);
+    const results = [];
+
+    // En orden: un cambio puede depender de uno anterior sobre el mismo registro
+    for (const [index, mutation] of mutations.entries()) {
+      results.push({ index, ...await this.applyMutation(user, mutation) });
+    }
+
+    const pulled = await this.pullChanges(user, positions);
+
+    LoggerService.info('Sync completed', {
+      userId: user.id,
+      mutations: mutations.length,
+      conflicts: results.filter(result => result.status === 'conflict').length,
+      hasMore: pulled.hasMore,
+      reset: pulled.reset
+    });
+
+    return { results, ...pulled };
+  }
+
+  /**
+   * Lee lo que cambió en cada recurso desde la posición del token, una página por recurso
+   * @param {Object} user - Usuario autenticado
+   * @param {Object|null} positions - Posición por recurso (`s`: desde, `a`: cursor de la página)
+   * @returns {Promise<Object>} Cambios, eliminaciones y el token siguiente
+   */
+  async pullChanges(user, positions) {
+    const startedAt = Date.now();
+    const oldestTombstone = startedAt - TrashService.retentionDays * 24 * 60 * 60 * 1000;
+
+    // Las eliminaciones se pierden al vaciar la papelera: con un token más antiguo el cliente
+    // vuelve a descargar todo y reemplaza sus datos
+    const reset = Boolean(positions) && Object.values(positions).some(({ s }) => s && new Date(s).getTime() < oldestTombstone);
+    const current = positions && !reset ? positions : {};
+
+    const changes = {};
+    const deleted = {};
+    const next = {};
+    let hasMore = false;
+
+    for (const resource of this.getResources(user, 'read')) {
+      const { s: since = null, a: after = null } = current[resource] || {};
+
+      const { documents, pagination } = await DatabaseService.findPage(SYNC_RESOURCES[resource].collection, {
+        filters: { userId: user.id },
+        conditions: since ? [{ field: 'updatedAt', operator: '>=', value: since }] : [],
+        orderBy: 'updatedAt',
+        orderDirection: 'asc',
+        limit: this.pageSize,
+        after,
+        // En la primera descarga no hace falta informar lo que ya estaba eliminado
+        includeDeleted: Boolean(since)
+      });
+
+      changes[resource] = documents.filter(document => !document.deletedAt);
+      deleted[resource] = documents
+        .filter(document => document.deletedAt)
+        .map(document => ({ id: document.id, deletedAt: document.deletedAt }));
+
+      hasMore = hasMore || pagination.hasMore;
+      next[resource] = pagination.hasMore
+        ? { s: since, a: pagination.nextCursor }
+        : { s: new Date(startedAt - SYNC_OVERLAP_MS).toISOString() };
+    }
+
+    return {
+      changes,
+      deleted,
+      token: encodeSigned({ u: user.id, c: next }),
+      hasMore,
+      reset
+    };
+  }
+
+  /**
+   * Aplica un cambio del cliente. Los errores de validación, permisos o IDs en uso se informan
+   * en el resultado del cambio; los demás fallan la sincronización y el cliente la reintenta.
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} mutation - Cambio
+   * @param {string} mutation.resource - Recurso (workouts, nutrition, weight, measurements, goals o settings)
+   * @param {string} mutation.id - ID del registro, generado por el cliente al crearlo
+   * @param {string} mutation.op - 'upsert' (crear o modificar) o 'delete'
+   * @param {Object} mutation.fields - Campos modificados (solo en 'upsert')
+   * @param {string} mutation.modifiedAt - Cuándo hizo el cambio el cliente (ISO)
+   * @returns {Promise<Object>} Resultado del cambio
+   */
+  async applyMutation(user, mutation) {
+    const { resource, id, op = 'upsert', fields = {}, modifiedAt } = mutation || {};
+
+    try {
+      const definition = this.getMutationResource(user, resource);
+
+      if (typeof id !== 'string' || !CLIENT_ID_PATTERN.test(id)) {
+        throw ErrorHandler.validationError('El ID del registro debe tener entre 8 y 64 letras, números, guiones o guiones bajos');
+      }
+
+      if (!['upsert', 'delete'].includes(op)) {
+        throw ErrorHandler.validationError('op debe ser upsert o delete');
+      }
+
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw ErrorHandler.validationError('fields debe ser un objeto');
+      }
+
+      const editedAt = this.resolveModifiedAt(modifiedAt);
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const result = op === 'delete'
+            ? await this.applyDelete(user, definition, id, editedAt)
+            : await this.applyUpsert(user, definition, id, fields, editedAt);
+
+          return { resource, id, op, ...result };
+        } catch (error) {
+          if (error.name !== 'PreconditionFailedError' || attempt === MAX_MUTATION_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      if (!MUTATION_ERROR_CODES[error.name]) {
+        throw error;
+      }
+
+      return {
+        resource,
+        id,
+        op,
+        status: 'failed',
+        conflicts: [],
+        error: { message: error.message, code: MUTATION_ERROR_CODES[error.name] }
+      };
+    }
+  }
+
+  /**
+   * Obtiene la definición de un recurso que el usuario puede modificar
+   * @param {Object} user - Usuario autenticado
+   * @param {string} resource - Nombre del recurso
+   * @returns {Object} Definición del recurso
+   * @throws {Error} ValidationError si no se sincroniza o AuthorizationError sin permiso de escritura
+   */
+  getMutationResource(user, resource) {
+    if (!Object.prototype.hasOwnProperty.call(SYNC_RESOURCES, resource)) {
+      throw ErrorHandler.validationError(`Recurso no sincronizable: ${resource}`);
+    }
+
+    if (!this.getResources(user, 'write').includes(resource)) {
+      throw ErrorHandler.authorizationError(`No tienes permisos para modificar ${resource}`);
+    }
+
+    return SYNC_RESOURCES[resource];
+  }
+
+  /**
+   * Resuelve cuándo hizo el cliente un cambio. Un reloj adelantado no puede ganar los
+   * conflictos futuros: las fechas posteriores a la actual se toman como la actual.
+   * @param {string} modifiedAt - Fecha enviada por el cliente
+   * @returns {string} Fecha en formato ISO
+   * @throws {Error} ValidationError si la fecha no es válida
+   */
+  resolveModifiedAt(modifiedAt) {
+    const now = new Date();
+
+    if (modifiedAt === undefined || modifiedAt === null) {
+      return now.toISOString();
+    }
+
+    const date = new Date(modifiedAt);
+
+    if (typeof modifiedAt !== 'string' || isNaN(date.getTime())) {
+      throw ErrorHandler.validationError('modifiedAt no es una fecha válida');
+    }
+
+    return (date > now ? now : date).toISOString();
+  }
+
+  /**
+   * Busca el registro de un cambio, comprobando que el ID no sea de otro usuario
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} definition - Definición del recurso
+   * @param {string} id - ID del registro
+   * @returns {Promise<Object|null>} Registro (también si está en la papelera, con `fieldUpdatedAt`) o null
+   * @throws {Error} NotFoundError si el ID pertenece a otro usuario: el mismo error que recibe
+   *   quien pide por la API un registro que no existe, para no revelar que el ID está en uso
+   */
+  async findRecord(user, definition, id) {
+    const document = await DatabaseService.findById(definition.collection, id, { includeDeleted: true, includeFieldTimes: true });
+
+    if (document && document.userId !== user.id) {
+      throw ErrorHandler.notFoundError('Registro no encontrado');
+    }
+
+    return document;
+  }
+
+  /**
+   * Crea o modifica un registro. En un registro existente cada campo se aplica solo si el
+   * cliente lo editó después de su último cambio en el servidor.
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} definition - Definición del recurso
+   * @param {string} id - ID del registro
+   * @param {Object} fields - Campos enviados
+   * @param {string} editedAt - Fecha del cambio en el cliente
+   * @returns {Promise<Object>} `status`, `document` y `conflicts` (campos en los que ganó el servidor)
+   */
+  async applyUpsert(user, definition, id, fields, editedAt) {
+    const current = await this.findRecord(user, definition, id);
+    const computedFields = definition.computedFields || [];
+
+    // Los campos calculados que envía el cliente se ignoran; si no coinciden con los del servidor se informan
+    const computedConflicts = (document) => computedFields
+      .filter(field => fields[field] !== undefined && !isEqual(fields[field], document[field]))
+      .map(field => ({ field, reason: 'computed' }));
+
+    if (!current) {
+      const document = await this.createRecord(user, definition, id, fields, editedAt);
+      return { status: 'applied', document, conflicts: computedConflicts(document) };
+    }
+
+    // Una edición sin conexión no recupera un registro que se eliminó
+    if (current.deletedAt) {
+      return { status: 'conflict', document: null, deletedAt: current.deletedAt, conflicts: [{ field: null, reason: 'deleted' }] };
+    }
+
+    const accepted = {};
+    const conflicts = [];
+    Object.keys(fields)
+      .filter(field => !computedFields.includes(field) && !isEqual(fields[field], current[field]))
+      .forEach(field => {
+        if (getFieldTime(current, field) > new Date(editedAt).getTime()) {
+          conflicts.push({ field, reason: 'server_newer' });
+        } else {
+          accepted[field] = fields[field];
+        }
+      });
+
+    // Se valida el registro completo; los campos que no devuelve la validación no se pueden escribir
+    const validatedData = definition.validate({ ...current, ...accepted });
+    const changes = {};
+
+    Object.keys(accepted).forEach(field => {
+      if (Object.prototype.hasOwnProperty.call(validatedData, field)) {
+        changes[field] = validatedData[field];
+      }
+    });
+
+    if (definition.timestamped && accepted.timestamp !== undefined) {
+      changes.timestamp = BatchWriteService.resolveTimestamp(accepted.timestamp, new Date());
+    }
+
+    // Los campos que no se pueden escribir no cuentan como conflicto
+    const lost = conflicts.filter(({ field }) => {
+      return (definition.timestamped && field === 'timestamp') || Object.prototype.hasOwnProperty.call(validatedData, field);
+    });
+
+    if (Object.keys(changes).length === 0) {
+      const reported = [...lost, ...computedConflicts(current)];
+      return { status: reported.length > 0 ? 'conflict' : 'applied', document: toClientRecord(current), conflicts: reported };
+    }
+
+    const computed = definition.compute ? definition.compute({ ...validatedData, ...changes }) : {};
+    const fieldTimes = {};
+    Object.keys(changes).forEach(field => { fieldTimes[field] = editedAt; });
+
+    const document = await DatabaseService.update(definition.collection, id, { ...changes, ...computed }, {
+      expectedVersion: current.version || 0,
+      fieldTimes
+    });
+
+    return { status: 'applied', document, conflicts: [...lost, ...computedConflicts(document)] };
+  }
+
+  /**
+   * Crea un registro con el ID que generó el cliente
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} definition - Definición del recurso
+   * @param {string} id - ID del registro
+   * @param {Object} fields - Campos enviados
+   * @param {string} editedAt - Fecha del cambio en el cliente
+   * @returns {Promise<Object>} Registro creado
+   */
+  async createRecord(user, definition, id, fields, editedAt) {
+    const validatedData = definition.validate(fields);
+    const data = definition.build ? definition.build(validatedData, user) : { ...validatedData };
+
+    if (definition.timestamped) {
+      data.timestamp = BatchWriteService.resolveTimestamp(fields.timestamp, new Date());
+    }
+
+    Object.assign(data, definition.compute ? definition.compute(data) : {});
+
+    // Los campos cuentan como editados cuando el cliente creó el registro, no cuando llegó
+    const fieldUpdatedAt = {};
+    Object.keys(data).forEach(field => { fieldUpdatedAt[field] = editedAt; });
+
+    return DatabaseService.insert(definition.collection, { ...data, id, userId: user.id, fieldUpdatedAt });
+  }
+
+  /**
+   * Envía un registro a la papelera, salvo que el servidor lo haya cambiado después de que
+   * el cliente lo eliminara
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} definition - Definición del recurso
+   * @param {string} id - ID del registro
+   * @param {string} editedAt - Fecha de la eliminación en el cliente
+   * @returns {Promise<Object>} `status`, `deletedAt` o `document`, y `conflicts`
+   */
+  async applyDelete(user, definition, id, editedAt) {
+    // Eliminar lo que ya no existe, o un registro de otro usuario, no es un conflicto: el
+    // cliente puede reintentar y la respuesta es la misma en los dos casos
+    const current = await this.findRecord(user, definition, id).catch(error => {
+      if (error.name === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    });
+
+    if (!current || current.deletedAt) {
+      return { status: 'applied', deletedAt: current ? current.deletedAt : null, conflicts: [] };
+    }
+
+    const changedFields = Object.keys(current)
+      .filter(field => !CONTROL_FIELDS.includes(field) && getFieldTime(current, field) > new Date(editedAt).getTime());
+
+    if (changedFields.length > 0) {
+      return {
+        status: 'conflict',
+        document: toClientRecord(current),
+        conflicts: changedFields.map(field => ({ field, reason: 'server_newer' }))
+      };
+    }
+
+    const { deletedAt } = await TrashService.moveToTrash(definition.collection, id);
+
+    return { status: 'applied', deletedAt, conflicts: [] };
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { SyncService: new SyncService() };
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Servicio de tokens: acceso, refresh tokens rotativos y tokens de un solo uso
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { SessionService } = require('./sessionService');
+const { AuthMiddleware } = require('../middleware/auth');
+const { ErrorHandler } = require('../core/errorHandler');
+const { assertCollectionNames } = require('../config/collections');
+
+assertCollectionNames(['actionTokens', 'refreshTokens', 'sessions'], 'TokenService');
+
+class TokenService {
+  constructor() {
+    this.refreshTokenExpiresDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  }
+
+  /**
+   * Extrae del request los datos del dispositivo que inicia la sesión
+   * @param {Object} req - Request object
+   * @returns {Object} Contexto del cliente
+   */
+  buildClientContext(req) {
+    const body = req.body || {};
+
+    return {
+      deviceId: typeof body.deviceId === 'string' ? body.deviceId.substring(0, 128) : null,
+      deviceName: typeof body.deviceName === 'string' ? body.deviceName.substring(0, 128) : null,
+      userAgent: (req.get && req.get('user-agent')) || null,
+      ip: req.ip || null
+    };
+  }
+
+  /**
+   * Emite un token de acceso y un refresh token para una nueva sesión
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Contexto del cliente (dispositivo, IP, user agent)
+   * @returns {Promise<Object>} Tokens emitidos
+   */
+  async issueTokens(userId, context = {}) {
+    // Un dispositivo solo mantiene una sesión activa
+    if (context.deviceId) {
+      const previousTokens = await DatabaseService.find('refreshTokens', {
+        userId,
+        deviceId: context.deviceId
+      });
+      const familyIds = new Set(previousTokens.filter(t => !t.revokedAt).map(t => t.familyId));
+
+      for (const familyId of familyIds) {
+        await this.revokeFamily(familyId, 'device_relogin');
+      }
+    }
+
+    const familyId = DatabaseService.generateId();
+    const refreshToken = await this.createRefreshToken(userId, familyId, context);
+    await SessionService.createSession(familyId, userId, context, this.getRefreshTokenExpiry().toISOString());
+
+    return this.buildTokenResponse(userId, familyId, refreshToken);
+  }
+
+  /**
+   * Rota un refresh token: lo invalida y emite un nuevo par de tokens de la misma familia
+   * @param {string} refreshToken - Refresh token presentado por el cliente
+   * @param {Object} context - Contexto del cliente
+   * @returns {Promise<Object>} Nuevos tokens
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw ErrorHandler.validationError('Refresh token requerido');
+    }
+
+    const tokenId = this.hashToken(refreshToken);
+    const stored = await DatabaseService.findById('refreshTokens', tokenId);
+
+    if (!stored) {
+      throw ErrorHandler.authenticationError('Refresh token inválido');
+    }
+
+    if (stored.revokedAt) {
+      // Un token ya rotado se está reutilizando: la familia completa se considera comprometida
+      if (stored.replacedBy) {
+        await this.revokeFamily(stored.familyId, 'reuse_detected');
+        LoggerService.security('refresh_token_reuse', {
+          familyId: stored.familyId,
+          ip: context.ip
+        }, stored.userId);
+      }
+      throw ErrorHandler.authenticationError('Refresh token inválido');
+    }
+
+    if (new Date(stored.expiresAt) <= new Date()) {
+      throw ErrorHandler.authenticationError('Refresh token expirado');
+    }
+
+    const newRefreshToken = this.generateOpaqueToken();
+    const newTokenId = this.hashToken(newRefreshToken);
+    const now = new Date().toISOString();
+
+    // La invalidación del token actual y la creación del nuevo deben ser atómicas para
+    // que dos peticiones concurrentes con el mismo token no obtengan ambas un par nuevo
+    await DatabaseService.runTransaction(async (transaction) => {
+      const current = await transaction.get('refreshTokens', tokenId);
+
+      if (!current || current.revokedAt) {
+        throw ErrorHandler.authenticationError('Refresh token inválido');
+      }
+
+      transaction.update('refreshTokens', tokenId, {
+        revokedAt: now,
+        revokedReason: 'rotated',
+        replacedBy: newTokenId,
+        updatedAt: now
+      });
+
+      transaction.set('refreshTokens', newTokenId, this.buildTokenDocument(
+        newTokenId,
+        stored.userId,
+        stored.familyId,
+        {
+          deviceId: stored.deviceId,
+          deviceName: stored.deviceName,
+          userAgent: context.userAgent || stored.userAgent,
+          ip: context.ip || stored.ip
+        }
+      ));
+    });
+
+    await SessionService.recordRefresh(
+      stored.familyId,
+      stored.userId,
+      context,
+      this.getRefreshTokenExpiry().toISOString()
+    );
+
+    return this.buildTokenResponse(stored.userId, stored.familyId, newRefreshToken);
+  }
+
+  /**
+   * Revoca la sesión asociada a un refresh token del usuario
+   * @param {string} refreshToken - Refresh token a revocar
+   * @param {string} userId - ID del usuario propietario
+   * @returns {Promise<string|null>} ID de la familia revocada
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    const stored = await DatabaseService.findById('refreshTokens', this.hashToken(refreshToken));
+
+    if (!stored || stored.userId !== userId) {
+      return null;
+    }
+
+    await this.revokeFamily(stored.familyId, 'logout');
+    return stored.familyId;
+  }
+
+  /**
+   * Revoca todos los refresh tokens de una familia
+   * @param {string} familyId - ID de la familia (sesión)
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  async revokeFamily(familyId, reason) {
+    const tokens = await DatabaseService.find('refreshTokens', { familyId });
+    await SessionService.revokeSessions([familyId], reason);
+    return this.revokeTokens(tokens, reason);
+  }
+
+  /**
+   * Revoca todos los refresh tokens de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  async revokeAllForUser(userId, reason) {
+    return this.revokeOtherSessions(userId, null, reason);
+  }
+
+  /**
+   * Revoca todas las sesiones de un usuario excepto una
+   * @param {string} userId - ID del usuario
+   * @param {string} keepFamilyId - ID de la familia (sesión) que se mantiene
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  async revokeOtherSessions(userId, keepFamilyId, reason) {
+    const tokens = await DatabaseService.find('refreshTokens', { userId });
+    const sessions = await DatabaseService.find('sessions', { userId });
+    const otherTokens = tokens.filter(token => token.familyId !== keepFamilyId);
+
+    await SessionService.revokeSessions(
+      [...otherTokens.map(token => token.familyId), ...sessions.map(session => session.id)]
+        .filter(sessionId => sessionId !== keepFamilyId),
+      reason
+    );
+
+    return this.revokeTokens(otherTokens, reason);
+  }
+
+  /**
+   * Marca como revocados los tokens activos de una lista
+   * @param {Array} tokens - Documentos de refresh tokens
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} Cantidad de tokens revocados
+   */
+  async revokeTokens(tokens, reason) {
+    const activeTokens = tokens.filter(token => !token.revokedAt);
+    const now = new Date().toISOString();
+
+    await Promise.all(activeTokens.map(token => DatabaseService.update('refreshTokens', token.id, {
+      revokedAt: now,
+      revokedReason: reason
+    })));
+
+    return activeTokens.length;
+  }
+
+  /**
+   * Emite un token de un solo uso para una acción de cuenta (verificar email, restablecer contraseña)
+   * Los tokens anteriores del mismo propósito que sigan sin usarse quedan invalidados.
+   * @param {string} userId - ID del usuario
+   * @param {string} purpose - Propósito del token
+   * @param {number} expiresInMinutes - Minutos de validez
+   * @returns {Promise<string>} Token en claro
+   */
+  async issueActionToken(userId, purpose, expiresInMinutes) {
+    const previousTokens = await DatabaseService.find('actionTokens', { userId, purpose });
+    const now = new Date();
+
+    await Promise.all(previousTokens
+      .filter(token => !token.usedAt && !token.invalidatedAt)
+      .map(token => DatabaseService.update('actionTokens', token.id, {
+        invalidatedAt: now.toISOString()
+      })));
+
+    const token = this.generateOpaqueToken();
+
+    await DatabaseService.insert('actionTokens', {
+      id: this.hashToken(token),
+      userId,
+      purpose,
+      expiresAt: new Date(now.getTime() + expiresInMinutes * 60 * 1000).toISOString(),
+      usedAt: null,
+      invalidatedAt: null,
+      createdAt: now.toISOString()
+    });
+
+    return token;
+  }
+
+  /**
+   * Consume un token de acción, marcándolo como usado
+   * @param {string} token - Token en claro
+   * @param {string} purpose - Propósito esperado
+   * @returns {Promise<string>} ID del usuario al que pertenece el token
+   */
+  async consumeActionToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      throw ErrorHandler.validationError('Token requerido');
+    }
+
+    const tokenId = this.hashToken(token);
+    const invalidTokenError = ErrorHandler.validationError('El enlace es inválido o ha expirado');
+
+    return DatabaseService.runTransaction(async (transaction) => {
+      const stored = await transaction.get('actionTokens', tokenId);
+
+      if (!stored) {
+        throw invalidTokenError;
+      }
+
+      if (stored.purpose !== purpose || stored.usedAt || stored.invalidatedAt ||
+        new Date(stored.expiresAt) <= new Date()) {
+        throw invalidTokenError;
+      }
+
+      const now = new Date().toISOString();
+      transaction.update('actionTokens', tokenId, { usedAt: now, updatedAt: now });
+
+      return stored.userId;
+    });
+  }
+
+  /**
+   * Crea y persiste un refresh token
+   * @param {string} userId - ID del usuario
+   * @param {string} familyId - ID de la familia
+   * @param {Object} context - Contexto del cliente
+   * @returns {Promise<string>} Refresh token en claro
+   */
+  async createRefreshToken(userId, familyId, context) {
+    const refreshToken = this.generateOpaqueToken();
+    const tokenId = this.hashToken(refreshToken);
+
+    await DatabaseService.insert('refreshTokens', this.buildTokenDocument(tokenId, userId, familyId, context));
+
+    return refreshToken;
+  }
+
+  /**
+   * Construye el documento persistido de un refresh token
+   * @param {string} tokenId - Hash del token, usado como ID del documento
+   * @param {string} userId - ID del usuario
+   * @param {string} familyId - ID de la familia
+   * @param {Object} context - Contexto del cliente
+   * @returns {Object} Documento del refresh token
+   */
+  buildTokenDocument(tokenId, userId, familyId, context = {}) {
+    const now = new Date();
+    const expiresAt = this.getRefreshTokenExpiry(now);
+
+    return {
+      id: tokenId,
+      userId,
+      familyId,
+      deviceId: context.deviceId || null,
+      deviceName: context.deviceName || null,
+      userAgent: context.userAgent || null,
+      ip: context.ip || null,
+      expiresAt: expiresAt.toISOString(),
+      revokedAt: null,
+      revokedReason: null,
+      replacedBy: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Calcula la fecha de expiración de un refresh token emitido en un instante
+   * @param {Date} from - Instante de emisión
+   * @returns {Date} Fecha de expiración
+   */
+  getRefreshTokenExpiry(from = new Date()) {
+    return new Date(from.getTime() + this.refreshTokenExpiresDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Construye la respuesta con el par de tokens
+   * @param {string} userId - ID del usuario
+   * @param {string} familyId - ID de la familia, usado como ID de sesión
+   * @param {string} refreshToken - Refresh token en claro
+   * @returns {Object} Tokens
+   */
+  buildTokenResponse(userId, familyId, refreshToken) {
+    return {
+      token: AuthMiddleware.generateToken(userId, { sid: familyId }),
+      refreshToken,
+      sessionId: familyId,
+      tokenExpiresIn: AuthMiddleware.getAccessTokenExpiresIn(),
+      refreshTokenExpiresIn: `${this.refreshTokenExpiresDays}d`
+    };
+  }
+
+  /**
+   * Genera un token opaco aleatorio
+   * @returns {string} Token
+   */
+  generateOpaqueToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  /**
+   * Calcula el hash con el que se almacena un token
+   * @param {string} token - Token en claro
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { TokenService: new TokenService() };
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Servicio de contraseñas de un solo uso basadas en tiempo (TOTP, RFC 6238)
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Somos Fitness';
+    this.digits = 6;
+    this.periodSeconds = 30;
+    // Pasos de tiempo aceptados antes y después del actual para tolerar desfases de reloj
+    this.window = 1;
+  }
+
+  /**
+   * Genera un secreto aleatorio codificado en base32
+   * @returns {string} Secreto en base32
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Construye la URI otpauth:// que leen las apps de autenticación
+   * @param {string} secret - Secreto en base32
+   * @param {string} accountName - Nombre de la cuenta (email)
+   * @returns {string} URI otpauth
+   */
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.periodSeconds)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Genera el código TOTP para un instante dado
+   * @param {string} secret - Secreto en base32
+   * @param {number} timestamp - Instante en milisegundos
+   * @returns {string} Código numérico
+   */
+  generateCode(secret, timestamp = Date.now()) {
+    const counter = Math.floor(timestamp / 1000 / this.periodSeconds);
+    return this.generateHotp(this.base32Decode(secret), counter);
+  }
+
+  /**
+   * Verifica un código TOTP dentro de la ventana de tolerancia
+   * @param {string} code - Código ingresado por el usuario
+   * @param {string} secret - Secreto en base32
+   * @param {number} timestamp - Instante en milisegundos
+   * @returns {number|null} Contador del paso de tiempo que coincide, o null si no es válido
+   */
+  verifyCode(code, secret, timestamp = Date.now()) {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${this.digits}}$`).test(code)) {
+      return null;
+    }
+
+    const key = this.base32Decode(secret);
+    const currentCounter = Math.floor(timestamp / 1000 / this.periodSeconds);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const counter = currentCounter + offset;
+      const expected = this.generateHotp(key, counter);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return counter;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Genera códigos de recuperación de un solo uso
+   * @param {number} count - Cantidad de códigos
+   * @returns {Array<string>} Códigos con el formato XXXXX-XXXXX
+   */
+  generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const raw = this.base32Encode(crypto.randomBytes(7)).substring(0, 10);
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+  }
+
+  /**
+   * Calcula el hash con el que se almacena un código de recuperación
+   * @param {string} code - Código en claro
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z2-7]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Calcula un código HOTP (RFC 4226)
+   * @param {Buffer} key - Clave secreta
+   * @param {number} counter - Contador
+   * @returns {string} Código numérico
+   */
+  generateHotp(key, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Codifica bytes en base32 (RFC 4648, sin relleno)
+   * @param {Buffer} buffer - Bytes a codificar
+   * @returns {string} Texto en base32
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = ((value << 8) | byte) & 0x1fff;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decodifica un texto en base32
+   * @param {string} input - Texto en base32
+   * @returns {Buffer} Bytes decodificados
+   */
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Secreto base32 inválido');
+      }
+
+      value = ((value << 5) | index) & 0x1fff;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+// Exportar instancia singleton
+module.exports = { TotpService: new TotpService() };
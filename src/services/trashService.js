@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Servicio de papelera: envía registros del usuario a la papelera, los lista,
+ * los restaura y programa su borrado definitivo al terminar el periodo de retención
+ * @author Marcela
+ */
+
+const { DatabaseService } = require('./databaseService');
+const { LoggerService } = require('./loggerService');
+const { JobService } = require('./jobService');
+const { ErrorHandler } = require('../core/errorHandler');
+const { getSoftDelete } = require('../config/collections');
+
+const TRASH_PURGE_JOB = 'trash_purge';
+
+class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  /**
+   * Calcula cuándo se borra definitivamente un documento de la papelera
+   * @param {string} deletedAt - Fecha de eliminación (ISO)
+   * @returns {Date} Fecha de borrado definitivo
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Envía un documento a la papelera y programa su borrado definitivo
+   * @param {string} collectionName - Colección con papelera
+   * @param {string} id - ID del documento
+   * @returns {Promise<Object>} `deletedAt` y `purgeAt`
+   */
+  async moveToTrash(collectionName, id) {
+    if (!getSoftDelete(collectionName)) {
+      throw new Error(`La colección ${collectionName} no tiene papelera`);
+    }
+
+    await DatabaseService.delete(collectionName, id);
+
+    const { deletedAt } = await DatabaseService.findById(collectionName, id, { includeDeleted: true });
+    const purgeAt = this.getPurgeDate(deletedAt);
+
+    await JobService.enqueue(TRASH_PURGE_JOB, { collectionName, id }, { runAt: purgeAt });
+
+    return { deletedAt, purgeAt: purgeAt.toISOString() };
+  }
+
+  /**
+   * Lista la papelera de un usuario en una colección, eliminados más recientes primero
+   * @param {string} collectionName - Colección con papelera
+   * @param {string} userId - ID del dueño
+   * @param {Object} options - `limit` y cursor `after`
+   * @returns {Promise<Object>} Documentos con `purgeAt` y `pagination`
+   */
+  async listTrash(collectionName, userId, { limit = 20, after = null } = {}) {
+    const { documents, pagination } = await DatabaseService.findPage(collectionName, {
+      filters: { userId },
+      orderBy: 'deletedAt',
+      orderDirection: 'desc',
+      limit,
+      after,
+      onlyDeleted: true
+    });
+
+    return {
+      documents: documents.map(document => ({
+        ...document,
+        purgeAt: this.getPurgeDate(document.deletedAt).toISOString()
+      })),
+      pagination
+    };
+  }
+
+  /**
+   * Obtiene un documento que está en la papelera
+   * @param {string} collectionName - Colección con papelera
+   * @param {string} id - ID del documento
+   * @param {string} message - Mensaje si no está en la papelera
+   * @returns {Promise<Object>} Documento
+   * @throws {Error} NotFoundError si no existe o no está en la papelera
+   */
+  async getTrashed(collectionName, id, message) {
+    const document = await DatabaseService.findById(collectionName, id, { includeDeleted: true });
+
+    if (!document || !document.deletedAt) {
+      throw ErrorHandler.notFoundError(message);
+    }
+
+    return document;
+  }
+
+  /**
+   * Restaura un documento de la papelera. El trabajo de borrado programado lo ignora al ejecutarse.
+   * @param {string} collectionName - Colección con papelera
+   * @param {string} id - ID del documento
+   * @returns {Promise<Object>} Documento restaurado
+   */
+  async restore(collectionName, id) {
+    return DatabaseService.restore(collectionName, id);
+  }
+
+  /**
+   * Borra definitivamente un documento cuya retención terminó (manejador del trabajo `trash_purge`).
+   * Si se restauró no hace nada; si se volvió a eliminar después, espera a su nueva fecha.
+   * @param {Object} payload - Datos del trabajo
+   * @param {string} payload.collectionName - Colección
+   * @param {string} payload.id - ID del documento
+   * @returns {Promise<Object>} Si se borró
+   */
+  async purgeExpired({ collectionName, id }) {
+    const document = await DatabaseService.findById(collectionName, id, { includeDeleted: true });
+
+    if (!document || !document.deletedAt) {
+      return { purged: false };
+    }
+
+    const purgeAt = this.getPurgeDate(document.deletedAt);
+
+    if (purgeAt > new Date()) {
+      await JobService.enqueue(TRASH_PURGE_JOB, { collectionName, id }, { runAt: purgeAt });
+      return { purged: false, rescheduledFor: purgeAt.toISOString() };
+    }
+
+    await DatabaseService.purge(collectionName, id);
+
+    LoggerService.info('Trashed document purged', { collectionName, id });
+
+    return { purged: true };
+  }
+}
+
+const trashService = new TrashService();
+
+JobService.register(TRASH_PURGE_JOB, payload => trashService.purgeExpired(payload));
+
+// Exportar instancia singleton
+module.exports = { TrashService: trashService };
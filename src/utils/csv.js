@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Conversión de documentos a CSV
+ * @author Marcela
+ */
+
+/**
+ * Escapa un valor para una celda CSV.
+ * Los objetos se serializan como JSON y los valores que una hoja de cálculo interpretaría
+ * como fórmula se prefijan con una comilla simple.
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Convierte una lista de documentos en CSV. Las columnas son la unión de las claves.
+ * @param {Array<Object>} rows - Documentos
+ * @param {Array<string>} columns - Columnas a usar (opcional)
+ * @returns {string} Contenido CSV
+ */
+const toCsv = (rows, columns = null) => {
+  const headers = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [headers.map(escapeCell).join(',')];
+
+  for (const row of rows) {
+    lines.push(headers.map(header => escapeCell(row[header])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv,
+  escapeCell
+};
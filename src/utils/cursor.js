@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Cursores de paginación opacos y firmados. El cliente recibe la posición del
+ * último documento de la página y la devuelve en `?after=`; la firma impide que la modifique
+ * y el contexto (colección, orden y filtros) impide usarla en otra consulta.
+ * Los tokens de sincronización (ver SyncService) usan la misma firma.
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { ErrorHandler } = require('../core/errorHandler');
+
+/**
+ * Obtiene la clave de firma de los cursores
+ * @returns {string} Clave
+ */
+const getSecret = () => {
+  const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('CURSOR_SECRET o JWT_SECRET es requerido para firmar cursores');
+  }
+
+  return secret;
+};
+
+/**
+ * Firma un contenido
+ * @param {string} content - Contenido codificado
+ * @returns {string} Firma en base64url
+ */
+const sign = (content) => crypto.createHmac('sha256', getSecret()).update(content).digest('base64url');
+
+/**
+ * Codifica y firma un contenido
+ * @param {Object} payload - Contenido serializable en JSON
+ * @returns {string} Token opaco
+ */
+const encodeSigned = (payload) => {
+  const content = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${content}.${sign(content)}`;
+};
+
+/**
+ * Verifica la firma de un token y devuelve su contenido
+ * @param {string} token - Token recibido
+ * @returns {Object|null} Contenido o null si el token está alterado
+ */
+const decodeSigned = (token) => {
+  if (typeof token !== 'string' || !/^[\w-]+\.[\w-]+$/.test(token)) {
+    return null;
+  }
+
+  const [content, signature] = token.split('.');
+  const expected = Buffer.from(sign(content));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return JSON.parse(Buffer.from(content, 'base64url').toString('utf8'));
+};
+
+/**
+ * Resume el contexto de una consulta para atar el cursor a ella
+ * @param {Object} context - Colección, orden y condiciones
+ * @returns {string} Huella del contexto
+ */
+const fingerprint = (context) => {
+  return crypto.createHash('sha256').update(JSON.stringify(context)).digest('base64url').slice(0, 16);
+};
+
+/**
+ * Crea un cursor que apunta después de un documento
+ * @param {Object} position - Valor del campo de orden (`value`) e ID (`id`) del último documento
+ * @param {Object} context - Colección, orden y condiciones de la consulta
+ * @returns {string} Cursor opaco
+ */
+const encodeCursor = (position, context) => {
+  return encodeSigned({
+    v: position.value,
+    id: position.id,
+    q: fingerprint(context)
+  });
+};
+
+/**
+ * Verifica y decodifica un cursor
+ * @param {string} cursor - Cursor recibido
+ * @param {Object} context - Contexto de la consulta actual
+ * @returns {Object} Posición con `value` e `id`
+ * @throws {Error} ValidationError si el cursor está alterado o es de otra consulta
+ */
+const decodeCursor = (cursor, context) => {
+  const payload = decodeSigned(cursor);
+
+  if (!payload || payload.q !== fingerprint(context)) {
+    throw ErrorHandler.validationError('Cursor de paginación inválido');
+  }
+
+  return { value: payload.v, id: payload.id };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeSigned,
+  decodeSigned
+};
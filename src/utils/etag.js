@@ -0,0 +1,58 @@
+/**
+ * @fileoverview ETags de documentos versionados. El ETag identifica el documento y su
+ * `version` (`"<id>:<version>"`), así que cambia con cada escritura y un `If-Match`
+ * con el ETag de otro documento no sirve para actualizar el recurso de la petición.
+ * @author Marcela
+ */
+
+const { resolveCollection } = require('../config/collections');
+
+/**
+ * Construye el ETag de un documento
+ * @param {Object} document - Documento con `id` y `version`
+ * @returns {string|null} ETag o null si el dato no es un documento versionado
+ */
+const toETag = (document) => {
+  if (!document || typeof document !== 'object' || !document.id || !Number.isInteger(document.version)) {
+    return null;
+  }
+
+  return `"${document.id}:${document.version}"`;
+};
+
+/**
+ * Interpreta una cabecera `If-Match` con uno o varios ETags
+ * @param {string} header - Valor de la cabecera
+ * @returns {Map<string, number>} Versión esperada por ID (vacío si no hay cabecera o es `*`)
+ */
+const parseIfMatch = (header) => {
+  const expected = new Map();
+
+  if (!header) {
+    return expected;
+  }
+
+  header.split(',').forEach(tag => {
+    const match = tag.trim().match(/^(?:W\/)?"([^":]+):(\d+)"$/);
+
+    if (match) {
+      expected.set(match[1], parseInt(match[2]));
+    }
+  });
+
+  return expected;
+};
+
+/**
+ * Clave de la versión esperada de un documento: los IDs solo son únicos dentro de su colección
+ * @param {string} collectionName - Nombre o alias de la colección
+ * @param {string} id - ID del documento
+ * @returns {string} Clave `<colección>/<id>`
+ */
+const toVersionKey = (collectionName, id) => `${resolveCollection(collectionName)}/${id}`;
+
+module.exports = {
+  toETag,
+  parseIfMatch,
+  toVersionKey
+};
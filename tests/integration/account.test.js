@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests de integración de la verificación de email y la recuperación de
+ * contraseña con los correos del transporte en memoria
+ * @author Marcela
+ */
+
+const { app, request, PASSWORD, registerUser } = require('./helpers');
+const { MailService, MemoryTransport } = require('../../src/services/mailService');
+
+const NEW_PASSWORD = 'Nueva1234';
+
+/**
+ * Obtiene el token del enlace del último correo enviado a un email
+ * @param {string} email - Destinatario
+ * @returns {string} Token en claro
+ */
+function lastTokenSentTo(email) {
+  const message = MailService.transport.messages.filter(sent => sent.to === email).pop();
+  expect(message).toBeDefined();
+
+  return decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+}
+
+describe('Verificación de email', () => {
+  test('el enlace del correo de registro verifica el email una sola vez', async () => {
+    const user = await registerUser();
+    const token = lastTokenSentTo(user.email);
+
+    const verified = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.emailVerified).toBe(true);
+
+    const profile = await request(app).get('/api/users/profile').set(user.headers);
+    expect(profile.body.data.emailVerified).toBe(true);
+
+    const again = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(again.status).toBe(400);
+  });
+});
+
+describe('Recuperación de contraseña', () => {
+  afterEach(() => {
+    MailService.setTransport(new MemoryTransport());
+  });
+
+  test('el enlace del correo restablece la contraseña y cierra las sesiones', async () => {
+    const user = await registerUser();
+
+    const forgot = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(forgot.status).toBe(200);
+
+    const reset = await request(app).post('/api/auth/reset-password')
+      .send({ token: lastTokenSentTo(user.email), password: NEW_PASSWORD });
+    expect(reset.status).toBe(200);
+
+    const oldSession = await request(app).get('/api/users/profile').set(user.headers);
+    expect(oldSession.status).toBe(401);
+
+    const oldPassword = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    expect(oldPassword.status).toBe(401);
+
+    const newPassword = await request(app).post('/api/auth/login').send({ email: user.email, password: NEW_PASSWORD });
+    expect(newPassword.status).toBe(200);
+  });
+
+  test('la respuesta no revela si el email está registrado, aunque falle el correo', async () => {
+    const user = await registerUser();
+
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nadie@example.com' });
+
+    MailService.setTransport({ send: async () => { throw new Error('Proveedor caído'); } });
+    const failing = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(failing.status).toBe(unknown.status);
+    expect(failing.body.data).toEqual(unknown.body.data);
+  });
+});
+
+describe('Transporte de correo', () => {
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  test('fuera de desarrollo y tests exige MAIL_TRANSPORT', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+
+    expect(() => MailService.createDefaultTransport()).toThrow('MAIL_TRANSPORT');
+
+    process.env.MAIL_TRANSPORT = 'http';
+    process.env.MAIL_HTTP_URL = 'https://correo.example.com/messages';
+    expect(() => MailService.createDefaultTransport()).not.toThrow();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Tests de integración de la eliminación de cuentas: programación con periodo
+ * de gracia, cancelación y borrado o anonimización de los datos al ejecutar el trabajo
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { app, request, PASSWORD, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { FileStorageService } = require('../../src/services/fileStorageService');
+const { JobService } = require('../../src/jobs');
+const { COLLECTION_REGISTRY } = require('../../src/config/collections');
+
+const hashUserId = userId => crypto.createHash('sha256').update(userId).digest('hex');
+
+/**
+ * Adelanta los trabajos pendientes de un usuario para que venzan ya, como si hubiera pasado
+ * el periodo de gracia
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<void>}
+ */
+async function expireGracePeriod(userId) {
+  const jobs = (await DatabaseService.find('jobs', { status: 'pending' }))
+    .filter(job => job.payload.userId === userId);
+
+  await Promise.all(jobs.map(job => DatabaseService.update('jobs', job.id, {
+    runAt: new Date(Date.now() - 1000).toISOString()
+  })));
+}
+
+describe('Eliminación de cuentas', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await registerUser();
+  });
+
+  test('exige la contraseña actual', async () => {
+    const response = await request(app).delete('/api/users/profile').set(user.headers).send({ password: 'Incorrecta1' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('programa la eliminación al final del periodo de gracia', async () => {
+    const response = await request(app).delete('/api/users/profile').set(user.headers).send({ password: PASSWORD });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.deletionPending).toBe(true);
+
+    const days = (new Date(response.body.data.deletionScheduledFor) - new Date(response.body.data.deletionRequestedAt)) / 86400000;
+    expect(days).toBe(30);
+
+    const again = await request(app).delete('/api/users/profile').set(user.headers).send({ password: PASSWORD });
+    expect(again.status).toBe(409);
+
+    // Antes de que venza el plazo el trabajo no se ejecuta
+    expect((await JobService.runDue()).completed).toBe(0);
+  });
+
+  test('cancelar la eliminación mantiene la cuenta aunque venza el plazo', async () => {
+    await request(app).delete('/api/users/profile').set(user.headers).send({ password: PASSWORD });
+
+    const cancel = await request(app).post('/api/users/profile/deletion/cancel').set(user.headers);
+    expect(cancel.status).toBe(200);
+    expect(cancel.body.data.deletionPending).toBe(false);
+
+    await expireGracePeriod(user.id);
+    await JobService.runDue();
+
+    const profile = await request(app).get('/api/users/profile').set(user.headers);
+    expect(profile.status).toBe(200);
+  });
+
+  test('al vencer el plazo borra la cuenta, anonimiza los datos de salud y borra el resto', async () => {
+    const workout = await DatabaseService.insert('workouts', { userId: user.id, exerciseName: 'Squat', notes: 'me duele la rodilla' });
+    const otherWorkout = await DatabaseService.insert('workouts', { userId: 'otro-usuario', exerciseName: 'Row' });
+    await DatabaseService.insert('aiSuggestions', { userId: user.id, text: 'Descansa' });
+
+    await request(app).delete('/api/users/profile').set(user.headers).send({ password: PASSWORD });
+    await expireGracePeriod(user.id);
+
+    expect((await JobService.runDue()).completed).toBe(1);
+
+    expect(await DatabaseService.findById('users', user.id)).toBeNull();
+
+    const anonymized = await DatabaseService.findById('workouts', workout.id);
+    expect(anonymized.userId).not.toBe(user.id);
+    expect(anonymized.notes).toBeNull();
+    expect(anonymized.anonymizedAt).toBeDefined();
+    expect(anonymized.exerciseName).toBe('Squat');
+
+    expect(await DatabaseService.find('aiSuggestions', { userId: user.id })).toHaveLength(0);
+    expect(await DatabaseService.find('refreshTokens', { userId: user.id })).toHaveLength(0);
+    expect(await DatabaseService.find('sessions', { userId: user.id })).toHaveLength(0);
+
+    const untouched = await DatabaseService.findById('workouts', otherWorkout.id);
+    expect(untouched.userId).toBe('otro-usuario');
+
+    const [record] = await DatabaseService.find('deletionRecords', { userIdHash: hashUserId(user.id) });
+    expect(record.collections.workouts).toEqual({ action: 'anonymize', count: 1 });
+
+    const profile = await request(app).get('/api/users/profile').set(user.headers);
+    expect(profile.status).toBe(401);
+  });
+
+  test('el ID eliminado no queda en ningún documento, tampoco como autor en los datos de otros', async () => {
+    // Almacenamiento en memoria para no escribir las exportaciones en disco
+    const files = new Map();
+    FileStorageService.setBackend({
+      save: async (key, content) => { files.set(key, content); },
+      read: async key => files.get(key) || null,
+      delete: async (key) => { files.delete(key); }
+    });
+
+    const coach = await registerUser({ name: 'Coach', roles: ['coach'] });
+    const client = await registerUser({ name: 'Cliente' });
+
+    const invitation = await request(app).post('/api/coaching/invitations').set(coach.headers)
+      .send({ email: client.email, scopes: ['workouts:write'] });
+    await request(app).post(`/api/coaching/invitations/${invitation.body.data.id}/accept`).set(client.headers).send({});
+
+    // El entrenador crea un registro del cliente, que el cliente edita después, y edita uno del cliente
+    const created = await request(app).post(`/api/workouts?clientId=${client.id}`).set(coach.headers).send({ exerciseName: 'Deadlift' });
+    expect(created.body.data.createdBy).toBe(coach.id);
+    await request(app).put(`/api/workouts/${created.body.data.id}`).set(client.headers).send({ exerciseName: 'Sumo deadlift' });
+    const own = await request(app).post('/api/workouts').set(client.headers).send({ exerciseName: 'Row' });
+    await request(app).put(`/api/workouts/${own.body.data.id}`).set(coach.headers).send({ exerciseName: 'Pendlay row' });
+
+    await DatabaseService.insert('impersonations', {
+      userId: client.id,
+      impersonatorId: coach.id,
+      reason: 'Ticket 123',
+      endedBy: coach.id
+    });
+
+    const dataExport = await request(app).post('/api/users/profile/exports').set(coach.headers);
+    expect(dataExport.status).toBe(202);
+    expect(files.size).toBe(1);
+
+    await request(app).delete('/api/users/profile').set(coach.headers).send({ password: PASSWORD });
+    await expireGracePeriod(coach.id);
+    await JobService.runDue();
+
+    for (const collectionName of Object.keys(COLLECTION_REGISTRY)) {
+      const documents = await DatabaseService.getAll(collectionName, { includeDeleted: true });
+      expect({ collectionName, content: JSON.stringify(documents) })
+        .toEqual({ collectionName, content: expect.not.stringContaining(coach.id) });
+    }
+
+    expect(files.size).toBe(0);
+
+    const workout = await DatabaseService.findById('workouts', created.body.data.id);
+    expect(workout.userId).toBe(client.id);
+    expect(workout.createdBy).toMatch(/^deleted_/);
+
+    const records = await DatabaseService.find('deletionRecords', { userIdHash: hashUserId(coach.id) });
+    expect(records).toHaveLength(1);
+  });
+});
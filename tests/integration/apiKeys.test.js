@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Tests de integración de las API keys personales: clave mostrada una sola vez,
+ * scopes, revocación y registro del último uso
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+
+const WORKOUT = { exerciseName: 'Squat', sets: 3, reps: 10 };
+
+describe('API keys', () => {
+  let user;
+
+  /**
+   * Crea una API key del usuario
+   * @param {Array<string>} scopes - Scopes de la clave
+   * @returns {Promise<Object>} Clave creada (con la clave en claro en `apiKey`)
+   */
+  const createKey = async (scopes) => {
+    const response = await request(app).post('/api/users/profile/api-keys').set(user.headers)
+      .send({ name: 'Reloj', scopes });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    user = await registerUser();
+  });
+
+  test('la clave en claro solo se devuelve al crearla y se guarda su hash', async () => {
+    const created = await createKey(['workouts:read']);
+    expect(created.apiKey).toMatch(/^sfk_/);
+
+    const list = await request(app).get('/api/users/profile/api-keys').set(user.headers);
+    expect(list.body.data.apiKeys).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(created.apiKey);
+
+    const stored = await DatabaseService.findById('apiKeys', created.id);
+    expect(JSON.stringify(stored)).not.toContain(created.apiKey);
+  });
+
+  test('la clave autentica con X-API-Key y solo permite sus scopes', async () => {
+    const { apiKey } = await createKey(['workouts:read']);
+
+    const read = await request(app).get('/api/workouts').set('X-API-Key', apiKey);
+    expect(read.status).toBe(200);
+
+    const write = await request(app).post('/api/workouts').set('X-API-Key', apiKey).send(WORKOUT);
+    expect(write.status).toBe(403);
+
+    const nutrition = await request(app).get('/api/nutrition/history').set('X-API-Key', apiKey);
+    expect(nutrition.status).toBe(403);
+  });
+
+  test('una API key no sirve para gestionar la cuenta', async () => {
+    const { apiKey } = await createKey(['workouts:read']);
+
+    const response = await request(app).post('/api/users/profile/api-keys').set('X-API-Key', apiKey)
+      .send({ name: 'Otra', scopes: ['workouts:read'] });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('registra el último uso de la clave', async () => {
+    const created = await createKey(['workouts:read']);
+    expect(created.lastUsedAt).toBeNull();
+
+    await request(app).get('/api/workouts').set('X-API-Key', created.apiKey);
+
+    // El uso se guarda sin bloquear la petición
+    await new Promise(resolve => setImmediate(resolve));
+    const stored = await DatabaseService.findById('apiKeys', created.id);
+    expect(stored.lastUsedAt).not.toBeNull();
+  });
+
+  test('una clave revocada deja de funcionar', async () => {
+    const created = await createKey(['workouts:read']);
+
+    const revoked = await request(app).delete(`/api/users/profile/api-keys/${created.id}`).set(user.headers);
+    expect(revoked.status).toBe(200);
+
+    const response = await request(app).get('/api/workouts').set('X-API-Key', created.apiKey);
+    expect(response.status).toBe(401);
+  });
+
+  test('rechaza scopes desconocidos', async () => {
+    const response = await request(app).post('/api/users/profile/api-keys').set(user.headers)
+      .send({ name: 'Reloj', scopes: ['admin:all'] });
+
+    expect(response.status).toBe(400);
+  });
+});
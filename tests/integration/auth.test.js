@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tests de integración del registro y el login con contraseña
+ * @author Marcela
+ */
+
+const { app, request, PASSWORD, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+
+const NEW_USER = { name: 'Lucía', goal: 'strength', experienceLevel: 'beginner' };
+
+describe('Registro', () => {
+  test('guarda la contraseña hasheada y no la devuelve', async () => {
+    const response = await request(app).post('/api/auth/register')
+      .send({ ...NEW_USER, email: 'lucia@example.com', password: PASSWORD });
+
+    expect(response.status).toBe(201);
+    expect(JSON.stringify(response.body)).not.toContain(PASSWORD);
+    expect(response.body.data.user).not.toHaveProperty('passwordHash');
+
+    const [stored] = await DatabaseService.find('users', { email: 'lucia@example.com' });
+    expect(stored.passwordHash).toMatch(/^\$2[aby]\$/);
+  });
+
+  test.each([
+    ['sin contraseña', undefined],
+    ['con una contraseña demasiado corta', 'Ab1'],
+    ['con una contraseña sin números', 'Abcdefgh'],
+    ['con una contraseña sin mayúsculas', 'abcdefg1']
+  ])('rechaza el registro %s', async (_, password) => {
+    const response = await request(app).post('/api/auth/register')
+      .send({ ...NEW_USER, email: 'debil@example.com', password });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Login', () => {
+  test('con la contraseña correcta entrega los tokens', async () => {
+    const user = await registerUser();
+
+    const response = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+  });
+
+  test('responde igual a una contraseña incorrecta que a un email desconocido', async () => {
+    const user = await registerUser();
+
+    const wrongPassword = await request(app).post('/api/auth/login').send({ email: user.email, password: 'Incorrecta1' });
+    const unknownEmail = await request(app).post('/api/auth/login').send({ email: 'nadie@example.com', password: PASSWORD });
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownEmail.status).toBe(401);
+    expect(wrongPassword.body.message).toBe(unknownEmail.body.message);
+  });
+
+  test('exige email y contraseña', async () => {
+    const response = await request(app).post('/api/auth/login').send({ email: 'nadie@example.com' });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Tests de integración de la importación por lotes de entrenamientos, nutrición y
+ * peso: resultado por registro, fechas de registros tomados sin conexión y fallos parciales
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { BatchWriteService } = require('../../src/services/batchWriteService');
+
+describe('Importación por lotes', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await registerUser();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('guarda los entrenamientos válidos e informa de cada registro inválido en su posición', async () => {
+    const response = await request(app).post('/api/workouts/batch').set(user.headers).send({
+      items: [
+        { exerciseName: 'Sentadilla', sets: 3, reps: 10, timestamp: '2024-05-01T10:00:00.000Z' },
+        { exerciseName: 'No', sets: 3 },
+        'no es un objeto',
+        { exerciseName: 'Peso muerto', sets: 50 },
+        { exerciseName: 'Remo', reps: 12 }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ total: 5, created: 2, failed: 3 });
+
+    const { results } = response.body.data;
+    expect(results.map(result => result.status)).toEqual(['created', 'failed', 'failed', 'failed', 'created']);
+    expect(results.map(result => result.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(results[1].error).toMatchObject({ code: 400, message: expect.stringContaining('nombre') });
+    expect(results[2].error.message).toBe('El registro debe ser un objeto');
+
+    // La fecha original del registro tomado sin conexión se conserva
+    expect(results[0].data).toMatchObject({ userId: user.id, timestamp: '2024-05-01T10:00:00.000Z' });
+
+    const list = await request(app).get('/api/workouts').set(user.headers);
+    expect(list.body.data.workouts.map(workout => workout.id).sort()).toEqual([results[0].id, results[4].id].sort());
+  });
+
+  test('acepta registros de nutrición y de peso con las validaciones de cada uno', async () => {
+    const nutrition = await request(app).post('/api/nutrition/log/batch').set(user.headers).send({
+      items: [{ calories: 600, protein: 40 }, { calories: 20000 }]
+    });
+    expect(nutrition.body.data.summary).toEqual({ total: 2, created: 1, failed: 1 });
+
+    const weight = await request(app).post('/api/progress/weight/batch').set(user.headers).send({
+      items: [{ weight: 72.5 }, { weight: 10 }, { weight: 73, timestamp: '2999-01-01T00:00:00.000Z' }]
+    });
+    expect(weight.body.data.results.map(result => result.status)).toEqual(['created', 'failed', 'failed']);
+    expect(weight.body.data.results[2].error.message).toBe('La fecha del registro no puede ser futura');
+  });
+
+  test('rechaza la petición completa si no hay registros o superan el máximo', async () => {
+    const items = Array.from({ length: BatchWriteService.maxItems + 1 }, () => ({ exerciseName: 'Sentadilla' }));
+
+    const [empty, tooMany] = await Promise.all([
+      request(app).post('/api/workouts/batch').set(user.headers).send({ items: [] }),
+      request(app).post('/api/workouts/batch').set(user.headers).send({ items })
+    ]);
+
+    expect(empty.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+    expect(await DatabaseService.find('workouts', { userId: user.id })).toEqual([]);
+  });
+
+  test('si falla la escritura del lote ningún registro válido queda a medias', async () => {
+    jest.spyOn(DatabaseService.adapter, 'insertMany').mockRejectedValueOnce(new Error('Firestore no disponible'));
+
+    const response = await request(app).post('/api/workouts/batch').set(user.headers).send({
+      items: [{ exerciseName: 'Sentadilla' }, { exerciseName: 'No' }, { exerciseName: 'Remo' }]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ total: 3, created: 0, failed: 3 });
+    expect(response.body.data.results[0].error).toEqual({ message: 'No se pudo guardar el registro', code: 500 });
+    expect(response.body.data.results[1].error.code).toBe(400);
+    expect(await DatabaseService.find('workouts', { userId: user.id })).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests de la caché de lectura: invalidación por escrituras, lecturas que se
+ * cruzan con una escritura y fallos del backend
+ * @author Marcela
+ */
+
+const { MemoryCacheBackend } = require('../../src/services/cache/memoryCacheBackend');
+const { ReadThroughCache } = require('../../src/services/cache');
+
+describe('Caché de lectura', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ReadThroughCache(new MemoryCacheBackend());
+  });
+
+  test('guarda lo leído y una escritura lo invalida', async () => {
+    const loader = jest.fn().mockResolvedValue({ id: 'w1', userId: 'u1', name: 'Fuerza' });
+
+    await cache.findById('workouts', 'w1', loader);
+    await cache.findById('workouts', 'w1', loader);
+    expect(loader).toHaveBeenCalledTimes(1);
+
+    await cache.invalidate('workouts', 'w1', ['u1']);
+    await cache.findById('workouts', 'w1', loader);
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('no guarda un documento leído mientras otra petición lo escribía', async () => {
+    const stale = { id: 'w1', userId: 'u1', name: 'Antes' };
+    const fresh = { id: 'w1', userId: 'u1', name: 'Después' };
+
+    // La escritura termina y se invalida mientras la lectura todavía esperaba a la base de datos
+    const staleRead = await cache.findById('workouts', 'w1', async () => {
+      await cache.invalidate('workouts', 'w1', ['u1']);
+      return stale;
+    });
+    expect(staleRead).toEqual(stale);
+
+    const next = await cache.findById('workouts', 'w1', async () => fresh);
+    expect(next).toEqual(fresh);
+  });
+
+  test('no guarda una búsqueda leída mientras otra petición escribía del mismo dueño', async () => {
+    const criteria = { userId: 'u1' };
+
+    await cache.find('workouts', criteria, async () => {
+      await cache.invalidate('workouts', 'w2', ['u1']);
+      return [];
+    });
+
+    const next = await cache.find('workouts', criteria, async () => [{ id: 'w2', userId: 'u1' }]);
+    expect(next).toHaveLength(1);
+  });
+
+  test('un fallo del backend al guardar no falla la lectura', async () => {
+    const backend = new MemoryCacheBackend();
+    backend.set = jest.fn().mockRejectedValue(new Error('Sin conexión'));
+    cache = new ReadThroughCache(backend);
+
+    const document = await cache.findById('workouts', 'w1', async () => ({ id: 'w1' }));
+
+    expect(document).toEqual({ id: 'w1' });
+    expect(cache.getStats().collections.workouts.errors).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests de integración del acceso de entrenadores a los datos de sus clientes
+ * según los scopes concedidos
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+
+/**
+ * Crea una relación activa entre un entrenador y un cliente
+ * @param {Object} coach - Entrenador (registerUser)
+ * @param {Object} client - Cliente (registerUser)
+ * @param {Array<string>} scopes - Scopes concedidos
+ * @returns {Promise<string>} ID de la relación
+ */
+async function connect(coach, client, scopes) {
+  const invitation = await request(app).post('/api/coaching/invitations').set(coach.headers).send({ email: client.email, scopes });
+  expect(invitation.status).toBe(201);
+
+  const accepted = await request(app).post(`/api/coaching/invitations/${invitation.body.data.id}/accept`).set(client.headers).send({});
+  expect(accepted.status).toBe(200);
+
+  return invitation.body.data.id;
+}
+
+describe('Acceso de entrenadores', () => {
+  let coach;
+  let client;
+  let workoutId;
+
+  beforeEach(async () => {
+    coach = await registerUser({ name: 'Coach', roles: ['coach'] });
+    client = await registerUser({ name: 'Cliente' });
+
+    const workout = await request(app).post('/api/workouts').set(client.headers).send({ exerciseName: 'Squat', sets: 3, reps: 10 });
+    workoutId = workout.body.data.id;
+  });
+
+  test('sin una relación activa el entrenador no accede a los datos del cliente', async () => {
+    const response = await request(app).get(`/api/workouts/${workoutId}`).set(coach.headers);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('una invitación pendiente no concede acceso', async () => {
+    await request(app).post('/api/coaching/invitations').set(coach.headers).send({ email: client.email, scopes: ['workouts:read'] });
+
+    const response = await request(app).get(`/api/workouts/${workoutId}`).set(coach.headers);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('un usuario sin rol de entrenador no puede invitar', async () => {
+    const other = await registerUser({ name: 'Otro' });
+
+    const response = await request(app).post('/api/coaching/invitations').set(other.headers)
+      .send({ email: client.email, scopes: ['workouts:read'] });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('workouts:write permite leer y modificar los entrenamientos, pero no otros datos', async () => {
+    await connect(coach, client, ['workouts:write']);
+
+    const read = await request(app).get(`/api/workouts/${workoutId}`).set(coach.headers);
+    expect(read.status).toBe(200);
+
+    const list = await request(app).get(`/api/workouts?clientId=${client.id}`).set(coach.headers);
+    expect(list.status).toBe(200);
+    expect(list.body.data.workouts).toHaveLength(1);
+
+    const update = await request(app).put(`/api/workouts/${workoutId}`).set(coach.headers).send({ exerciseName: 'Front squat' });
+    expect(update.status).toBe(200);
+    expect(update.body.data.exerciseName).toBe('Front squat');
+
+    const nutrition = await request(app).get(`/api/nutrition/history?clientId=${client.id}`).set(coach.headers);
+    expect(nutrition.status).toBe(403);
+  });
+
+  test('los registros creados por el entrenador pertenecen al cliente', async () => {
+    await connect(coach, client, ['workouts:write']);
+
+    const response = await request(app).post(`/api/workouts?clientId=${client.id}`).set(coach.headers).send({ exerciseName: 'Deadlift' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.userId).toBe(client.id);
+    expect(response.body.data.createdBy).toBe(coach.id);
+  });
+
+  test('al reducir los scopes a lectura el entrenador deja de poder modificar', async () => {
+    const relationshipId = await connect(coach, client, ['workouts:write']);
+
+    const scopes = await request(app).put(`/api/coaching/relationships/${relationshipId}/scopes`).set(client.headers)
+      .send({ scopes: ['workouts:read'] });
+    expect(scopes.status).toBe(200);
+
+    const update = await request(app).put(`/api/workouts/${workoutId}`).set(coach.headers).send({ exerciseName: 'Back squat' });
+    expect(update.status).toBe(403);
+
+    const read = await request(app).get(`/api/workouts/${workoutId}`).set(coach.headers);
+    expect(read.status).toBe(200);
+  });
+
+  test('al revocar la relación el entrenador pierde el acceso', async () => {
+    const relationshipId = await connect(coach, client, ['workouts:read']);
+
+    const revoke = await request(app).delete(`/api/coaching/relationships/${relationshipId}`).set(client.headers);
+    expect(revoke.status).toBe(200);
+
+    const response = await request(app).get(`/api/workouts/${workoutId}`).set(coach.headers);
+    expect(response.status).toBe(403);
+  });
+
+  test('el entrenador no accede a usuarios que no son sus clientes', async () => {
+    const other = await registerUser({ name: 'Otro' });
+    await connect(coach, client, ['workouts:read']);
+
+    const response = await request(app).get(`/api/workouts?clientId=${other.id}`).set(coach.headers);
+
+    expect(response.status).toBe(403);
+  });
+
+  describe('perfil del cliente', () => {
+    test('con progress:read el entrenador ve el perfil del cliente', async () => {
+      await request(app).post('/api/users/onboarding').set(client.headers).send({ weight: 70, goal: 'strength' });
+      await connect(coach, client, ['progress:read']);
+
+      const response = await request(app).get(`/api/coaching/clients/${client.id}`).set(coach.headers);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: client.id, weight: 70, goal: 'strength' });
+      expect(response.body.data).not.toHaveProperty('email');
+    });
+
+    test('sin el scope o sin relación el entrenador no accede', async () => {
+      await connect(coach, client, ['workouts:read']);
+      const other = await registerUser({ name: 'Otro' });
+
+      const withoutScope = await request(app).get(`/api/coaching/clients/${client.id}`).set(coach.headers);
+      expect(withoutScope.status).toBe(403);
+
+      const notClient = await request(app).get(`/api/coaching/clients/${other.id}`).set(coach.headers);
+      expect(notClient.status).toBe(403);
+    });
+
+    test('el propio usuario ve su perfil', async () => {
+      const response = await request(app).get(`/api/coaching/clients/${client.id}`).set(client.headers);
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('progreso', () => {
+    beforeEach(async () => {
+      const timestamp = new Date().toISOString();
+      await DatabaseService.insert('nutrition', { userId: client.id, calories: 500, timestamp });
+      await DatabaseService.insert('logs', { userId: client.id, weight: 70, timestamp });
+    });
+
+    test('con solo progress:read se omiten los entrenamientos y la nutrición', async () => {
+      await connect(coach, client, ['progress:read']);
+
+      const progress = await request(app).get(`/api/progress?clientId=${client.id}`).set(coach.headers);
+      expect(progress.status).toBe(200);
+      expect(progress.body.data.weightHistory).toHaveLength(1);
+      expect(progress.body.data).not.toHaveProperty('workoutHistory');
+      expect(progress.body.data).not.toHaveProperty('nutritionHistory');
+      expect(progress.body.data.stats).not.toHaveProperty('workouts');
+
+      const analytics = await request(app).get(`/api/progress/analytics?clientId=${client.id}`).set(coach.headers);
+      expect(analytics.status).toBe(200);
+      expect(analytics.body.data.dataPoints).toEqual({ weight: 1, measurements: 0 });
+      expect(analytics.body.data.analytics.trends).not.toHaveProperty('workouts');
+    });
+
+    test('con workouts:read el progreso incluye los entrenamientos', async () => {
+      await connect(coach, client, ['progress:read', 'workouts:read']);
+
+      const response = await request(app).get(`/api/progress?clientId=${client.id}`).set(coach.headers);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.workoutHistory).toHaveLength(1);
+      expect(response.body.data).not.toHaveProperty('nutritionHistory');
+    });
+
+    test('el dueño obtiene todas las secciones', async () => {
+      const response = await request(app).get('/api/progress/analytics').set(client.headers);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dataPoints).toEqual({ weight: 1, measurements: 0, workouts: 1, nutrition: 1 });
+    });
+  });
+});
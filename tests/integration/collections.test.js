@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests de la validación de los nombres de colección: los módulos declaran al
+ * cargarse las colecciones que consultan y la app no arranca con un nombre sin registrar
+ * @author Marcela
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('./helpers');
+const { assertCollectionNames, resolveCollection } = require('../../src/config/collections');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+// Llamadas cuyo primer argumento es una colección
+const CALL_PATTERN = /\b(?:DatabaseService|transaction|BatchWriteService|TrashService)\.\w+\(\s*'(\w+)'/g;
+// Colecciones declaradas en tablas de configuración (sincronización, historial, hojas)
+const TABLE_PATTERN = /\bcollection: '(\w+)'/g;
+const DECLARATION_PATTERN = /assertCollectionNames\(\[([^\]]*)\]/;
+
+/**
+ * Lista los archivos .js de un directorio de forma recursiva
+ * @param {string} directory - Directorio
+ * @returns {Array<string>} Rutas absolutas
+ */
+const listSourceFiles = directory => fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+  const fullPath = path.join(directory, entry.name);
+
+  if (entry.isDirectory()) {
+    return listSourceFiles(fullPath);
+  }
+
+  return entry.name.endsWith('.js') ? [fullPath] : [];
+});
+
+const matchAll = (source, pattern) => [...source.matchAll(pattern)].map(match => match[1]);
+
+describe('Nombres de colección', () => {
+  // El registro no consulta colecciones: sus `collection` son campos de índices
+  const files = listSourceFiles(SRC_DIR)
+    .filter(filePath => !filePath.endsWith(path.join('config', 'collections.js')))
+    .map(filePath => ({
+      name: path.relative(SRC_DIR, filePath),
+      source: fs.readFileSync(filePath, 'utf8')
+    }));
+
+  test('la app arranca con todos sus módulos cargados', () => {
+    expect(typeof app).toBe('function');
+  });
+
+  test('cada módulo declara al cargarse las colecciones que consulta', () => {
+    const undeclared = [];
+
+    files.forEach(({ name, source }) => {
+      const used = [...new Set(matchAll(source, CALL_PATTERN))];
+      const declaration = source.match(DECLARATION_PATTERN);
+      const declared = declaration ? matchAll(declaration[1], /'(\w+)'/g) : [];
+
+      used.filter(collection => !declared.includes(collection))
+        .forEach(collection => undeclared.push(`${name}: ${collection}`));
+    });
+
+    expect(undeclared).toEqual([]);
+  });
+
+  test('todos los nombres usados en el código están registrados', () => {
+    const names = files.flatMap(({ source }) => [...matchAll(source, CALL_PATTERN), ...matchAll(source, TABLE_PATTERN)]);
+
+    names.forEach(collectionName => expect(() => resolveCollection(collectionName)).not.toThrow());
+  });
+
+  test('un nombre sin registrar falla al cargar el módulo', () => {
+    expect(() => assertCollectionNames(['Workouts', 'workout'], 'WorkoutController'))
+      .toThrow('WorkoutController usa colecciones no registradas: workout');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Tests de integración del control de concurrencia optimista (ETag / If-Match)
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { RequestContext } = require('../../src/services/requestContext');
+const { toVersionKey } = require('../../src/utils/etag');
+
+const WORKOUT = { exerciseName: 'Squat', sets: 3, reps: 10 };
+
+describe('If-Match', () => {
+  let user;
+  let workoutId;
+  let etag;
+
+  beforeEach(async () => {
+    user = await registerUser();
+
+    const created = await request(app).post('/api/workouts').set(user.headers).send(WORKOUT);
+    expect(created.status).toBe(201);
+    workoutId = created.body.data.id;
+    etag = created.headers.etag;
+  });
+
+  test('las respuestas incluyen un ETag con el ID y la versión', () => {
+    expect(etag).toBe(`"${workoutId}:1"`);
+  });
+
+  test('If-None-Match con el ETag actual responde 304', async () => {
+    const response = await request(app).get(`/api/workouts/${workoutId}`).set(user.headers).set('If-None-Match', etag);
+
+    expect(response.status).toBe(304);
+  });
+
+  test('una actualización con el ETag actual se aplica y devuelve la nueva versión', async () => {
+    const response = await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).set('If-Match', etag)
+      .send({ ...WORKOUT, sets: 4 });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe(`"${workoutId}:2"`);
+  });
+
+  test('una actualización con un ETag obsoleto responde 412 y no modifica el recurso', async () => {
+    await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ ...WORKOUT, sets: 4 });
+
+    const stale = await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).set('If-Match', etag)
+      .send({ ...WORKOUT, sets: 5 });
+    expect(stale.status).toBe(412);
+
+    const current = await request(app).get(`/api/workouts/${workoutId}`).set(user.headers);
+    expect(current.body.data.sets).toBe(4);
+    expect(current.body.data.version).toBe(2);
+  });
+
+  test('un If-Match que nombra otro recurso responde 412', async () => {
+    const other = await request(app).post('/api/workouts').set(user.headers).send(WORKOUT);
+
+    const response = await request(app).put(`/api/workouts/${workoutId}`).set(user.headers)
+      .set('If-Match', other.headers.etag).send({ ...WORKOUT, sets: 5 });
+
+    expect(response.status).toBe(412);
+  });
+
+  test('un If-Match con formato inválido responde 412', async () => {
+    const response = await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).set('If-Match', 'garbage')
+      .send({ ...WORKOUT, sets: 5 });
+
+    expect(response.status).toBe(412);
+  });
+
+  test('un borrado con un ETag obsoleto responde 412', async () => {
+    await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ ...WORKOUT, sets: 4 });
+
+    const response = await request(app).delete(`/api/workouts/${workoutId}`).set(user.headers).set('If-Match', etag);
+    expect(response.status).toBe(412);
+
+    const current = await request(app).get(`/api/workouts/${workoutId}`).set(user.headers);
+    expect(current.status).toBe(200);
+  });
+
+  test('un If-Match en una ruta que no declara su documento responde 412', async () => {
+    const response = await request(app).post(`/api/workouts/${workoutId}/feedback`).set(user.headers).set('If-Match', etag)
+      .send({ difficulty: 3 });
+
+    expect(response.status).toBe(412);
+  });
+
+  test('escribir antes otro documento en la petición no salta la comprobación', async () => {
+    await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ ...WORKOUT, sets: 4 });
+    const meal = await DatabaseService.insert('nutrition', { userId: user.id, mealType: 'lunch', calories: 500 });
+
+    // Como en una petición con `If-Match` del ETag ya obsoleto del entrenamiento
+    const expectedVersions = new Map([[toVersionKey('workouts', workoutId), 1]]);
+
+    await RequestContext.storage.run({ expectedVersions }, async () => {
+      await DatabaseService.update('nutrition', meal.id, { calories: 550 });
+      await expect(DatabaseService.update('workouts', workoutId, { sets: 5 })).rejects.toMatchObject({ name: 'PreconditionFailedError' });
+    });
+
+    const current = await DatabaseService.findById('workouts', workoutId);
+    expect(current.sets).toBe(4);
+  });
+
+  test('sin If-Match la actualización se aplica sin comprobar la versión', async () => {
+    await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ ...WORKOUT, sets: 4 });
+
+    const response = await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ ...WORKOUT, sets: 6 });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe(`"${workoutId}:3"`);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests de integración de la exportación de datos personales: cobertura de las
+ * colecciones con dueño y omisión de los secretos
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { DataExportService, EXPORT_COLLECTIONS } = require('../../src/services/dataExportService');
+const { getOwnedCollections } = require('../../src/config/collections');
+
+/**
+ * Lee un archivo JSON de la exportación
+ * @param {Array<Object>} files - Archivos de la exportación
+ * @param {string} name - Nombre del archivo
+ * @returns {*} Contenido
+ */
+const readJson = (files, name) => JSON.parse(files.find(file => file.name === name).content);
+
+describe('Exportación de datos', () => {
+  test('incluye todas las colecciones con dueño', () => {
+    const owned = getOwnedCollections().filter(name => name !== 'users');
+
+    expect(Object.keys(EXPORT_COLLECTIONS).sort()).toEqual(owned.sort());
+  });
+
+  test('exporta sesiones, API keys, accesos de soporte y relaciones sin sus secretos', async () => {
+    const coach = await registerUser({ name: 'Coach', roles: ['coach'] });
+    const user = await registerUser();
+
+    const apiKey = await request(app).post('/api/users/profile/api-keys').set(user.headers)
+      .send({ name: 'Reloj', scopes: ['workouts:read'] });
+    expect(apiKey.status).toBe(201);
+
+    await request(app).post('/api/coaching/invitations').set(coach.headers).send({ email: user.email, scopes: ['workouts:read'] });
+    await DatabaseService.insert('impersonations', { userId: user.id, impersonatorId: 'persona-de-soporte', reason: 'Ticket 7' });
+
+    const files = await DataExportService.buildFiles(user.id);
+    const content = files.map(file => file.content).join('\n');
+
+    expect(readJson(files, 'sessions.json')).toHaveLength(1);
+    expect(readJson(files, 'api_keys.json')).toMatchObject([{ name: 'Reloj', scopes: ['workouts:read'] }]);
+    expect(readJson(files, 'refresh_tokens.json')).toHaveLength(1);
+    expect(readJson(files, 'coach_relationships.json')).toMatchObject([{ coachId: coach.id, clientId: user.id }]);
+    expect(readJson(files, 'support_access.json')).toMatchObject([{ reason: 'Ticket 7' }]);
+    expect(readJson(files, 'manifest.json').files.action_tokens.records).toBe(1);
+
+    const [storedKey] = await DatabaseService.find('apiKeys', { userId: user.id });
+    const tokens = [
+      ...await DatabaseService.find('refreshTokens', { userId: user.id }),
+      ...await DatabaseService.find('actionTokens', { userId: user.id })
+    ];
+
+    expect(content).not.toContain(storedKey.keyHash);
+    tokens.forEach(token => expect(content).not.toContain(token.id));
+    expect(content).not.toContain('persona-de-soporte');
+
+    // El entrenador también recibe la relación en su exportación
+    const coachFiles = await DataExportService.buildFiles(coach.id);
+    expect(readJson(coachFiles, 'coach_relationships.json')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Tests de integración del cifrado de campos sensibles: cifrado en reposo,
+ * descifrado transparente, rotación de la clave maestra y proveedor de KMS con un cliente falso
+ * @author Marcela
+ */
+
+const crypto = require('crypto');
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { EncryptionService } = require('../../src/services/encryptionService');
+const { JobService } = require('../../src/services/jobService');
+const { EnvKeyProvider } = require('../../src/services/encryption/envKeyProvider');
+const { KmsKeyProvider } = require('../../src/services/encryption/kmsKeyProvider');
+const { MemoryAdapter } = require('../../src/services/storage/memoryAdapter');
+
+const FIRST_KEY = `k1:${crypto.randomBytes(32).toString('base64')}`;
+const SECOND_KEY = `k2:${crypto.randomBytes(32).toString('base64')}`;
+
+/**
+ * Lee un documento tal como está guardado, sin descifrar
+ * @param {string} collectionName - Colección
+ * @param {string} id - ID del documento
+ * @returns {Promise<Object>} Documento guardado
+ */
+const readStored = (collectionName, id) => DatabaseService.adapter.findById(collectionName, id);
+
+/**
+ * Crea un cliente falso de Cloud KMS que cifra con una clave local por versión
+ * @returns {Object} Cliente con la forma de `google.cloudkms`
+ */
+function createFakeKmsClient() {
+  const state = { primary: 'llave/cryptoKeyVersions/1', keys: new Map() };
+  const keyFor = version => {
+    if (!state.keys.has(version)) {
+      state.keys.set(version, crypto.randomBytes(32));
+    }
+    return state.keys.get(version);
+  };
+
+  const cryptoKeys = {
+    get: async () => ({ data: { primary: { name: state.primary } } }),
+    encrypt: async ({ requestBody }) => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(state.primary), iv);
+      const encrypted = Buffer.concat([cipher.update(Buffer.from(requestBody.plaintext, 'base64')), cipher.final()]);
+      const version = Buffer.from(state.primary);
+
+      return {
+        data: {
+          name: state.primary,
+          ciphertext: Buffer.concat([Buffer.from([version.length]), version, iv, cipher.getAuthTag(), encrypted]).toString('base64')
+        }
+      };
+    },
+    decrypt: async ({ requestBody }) => {
+      const content = Buffer.from(requestBody.ciphertext, 'base64');
+      const versionEnd = 1 + content[0];
+      const version = content.subarray(1, versionEnd).toString();
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keyFor(version), content.subarray(versionEnd, versionEnd + 12));
+
+      decipher.setAuthTag(content.subarray(versionEnd + 12, versionEnd + 28));
+
+      return { data: { plaintext: Buffer.concat([decipher.update(content.subarray(versionEnd + 28)), decipher.final()]).toString('base64') } };
+    }
+  };
+
+  return { state, projects: { locations: { keyRings: { cryptoKeys } } } };
+}
+
+describe('Cifrado de campos', () => {
+  const originalAdapter = DatabaseService.adapter;
+  let user;
+
+  beforeEach(async () => {
+    // La rotación recorre la colección completa: cada test empieza con la base vacía
+    DatabaseService.setAdapter(new MemoryAdapter());
+    DatabaseService.setKeyProvider(new EnvKeyProvider({ keys: FIRST_KEY }));
+    user = await registerUser();
+  });
+
+  afterAll(() => {
+    DatabaseService.setAdapter(originalAdapter);
+  });
+
+  test('guarda cifrados los campos sensibles y los devuelve descifrados con su tipo', async () => {
+    const response = await request(app).post('/api/progress/measurements').set(user.headers)
+      .send({ measurements: { waist: 80, hips: 95 }, notes: 'Después de vacaciones' });
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ measurements: { waist: 80, hips: 95 }, notes: 'Después de vacaciones' });
+    expect(response.body.data).not.toHaveProperty('encryption');
+
+    const stored = await readStored('progress', response.body.data.id);
+    expect(stored.measurements).toMatch(/^enc:v1:/);
+    expect(stored.notes).toMatch(/^enc:v1:/);
+    expect(JSON.stringify(stored)).not.toContain('vacaciones');
+    expect(stored.encryption).toMatchObject({ keyId: 'k1', wrappedKey: expect.any(String) });
+    expect(stored.userId).toBe(user.id);
+
+    const progress = await request(app).get('/api/progress').set(user.headers);
+    expect(progress.body.data.measurementsHistory).toEqual([
+      expect.objectContaining({ measurements: { waist: 80, hips: 95 }, notes: 'Después de vacaciones' })
+    ]);
+  });
+
+  test('un valor cifrado alterado no se descifra', async () => {
+    const entry = await DatabaseService.insert('progress', { userId: user.id, bodyFat: 18.5 });
+    const stored = await readStored('progress', entry.id);
+    const tampered = stored.bodyFat.slice(0, -2) + (stored.bodyFat.endsWith('AA') ? 'BB' : 'AA');
+
+    await DatabaseService.adapter.update('progress', entry.id, { bodyFat: tampered });
+    await DatabaseService.cache.invalidate('progress', entry.id, [user.id]);
+
+    await expect(DatabaseService.findById('progress', entry.id)).rejects.toThrow();
+  });
+
+  test('la rotación recifra con la clave activa los documentos antiguos y los que estaban en claro', async () => {
+    const old = await DatabaseService.insert('progress', { userId: user.id, bodyFat: 18.5, notes: 'Clave anterior' });
+    await DatabaseService.adapter.insert('progress', { id: 'en-claro', userId: user.id, notes: 'Antes del cifrado' });
+
+    // Nueva clave activa; la anterior se mantiene para descifrar hasta que termine la rotación
+    DatabaseService.setKeyProvider(new EnvKeyProvider({ keys: `${FIRST_KEY},${SECOND_KEY}` }));
+    expect(await DatabaseService.findById('progress', old.id)).toMatchObject({ bodyFat: 18.5, notes: 'Clave anterior' });
+    expect(await DatabaseService.findById('progress', 'en-claro')).toMatchObject({ notes: 'Antes del cifrado' });
+
+    const jobs = await EncryptionService.startRotation();
+    expect(jobs.map(job => job.payload.collectionName)).toEqual(expect.arrayContaining(['progress', 'users']));
+    await JobService.runDue();
+
+    const [rotated, encrypted] = await Promise.all([readStored('progress', old.id), readStored('progress', 'en-claro')]);
+    expect(rotated.encryption.keyId).toBe('k2');
+    expect(rotated.version).toBe(old.version);
+    expect(encrypted.encryption.keyId).toBe('k2');
+    expect(encrypted.notes).toMatch(/^enc:v1:/);
+
+    // Sin la clave anterior se siguen leyendo
+    DatabaseService.setKeyProvider(new EnvKeyProvider({ keys: SECOND_KEY }));
+    expect(await DatabaseService.findById('progress', old.id)).toMatchObject({ bodyFat: 18.5, notes: 'Clave anterior' });
+    expect(await DatabaseService.findById('progress', 'en-claro')).toMatchObject({ notes: 'Antes del cifrado' });
+    expect(await DatabaseService.reencryptBatch('progress', 100)).toEqual({ reencrypted: 0, remaining: 0 });
+  });
+
+  test('el proveedor de KMS cifra con la versión primaria y descifra las anteriores', async () => {
+    const client = createFakeKmsClient();
+    DatabaseService.setKeyProvider(new KmsKeyProvider({ keyName: 'llave', client }));
+
+    const entry = await DatabaseService.insert('progress', { userId: user.id, notes: 'Con KMS' });
+    expect((await readStored('progress', entry.id)).encryption.keyId).toBe('llave/cryptoKeyVersions/1');
+
+    client.state.primary = 'llave/cryptoKeyVersions/2';
+    DatabaseService.setKeyProvider(new KmsKeyProvider({ keyName: 'llave', client }));
+    await DatabaseService.reencryptBatch('progress', 100);
+
+    expect((await readStored('progress', entry.id)).encryption.keyId).toBe('llave/cryptoKeyVersions/2');
+    expect(await DatabaseService.findById('progress', entry.id)).toMatchObject({ notes: 'Con KMS' });
+  });
+
+  test('rechaza claves mal configuradas', () => {
+    expect(() => new EnvKeyProvider({ keys: 'k1:corta' })).toThrow('ENCRYPTION_KEYS');
+    expect(() => new EnvKeyProvider({ keys: FIRST_KEY, activeKeyId: 'k9' })).toThrow('ENCRYPTION_ACTIVE_KEY_ID');
+    expect(() => new KmsKeyProvider({ client: createFakeKmsClient() })).toThrow('KMS_KEY_NAME');
+  });
+});
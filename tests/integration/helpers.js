@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Utilidades compartidas por los tests de integración. Cada archivo de tests
+ * carga su propia instancia de la app, con el adaptador en memoria y el correo en memoria
+ * (los valores por defecto con NODE_ENV=test).
+ * @author Marcela
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+// Todas las peticiones de un archivo de tests llegan desde la misma IP
+process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '10000';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { RoleService } = require('../../src/services/roleService');
+
+const PASSWORD = 'Abcdefg1';
+
+let userCount = 0;
+
+/**
+ * Cabeceras de autenticación para un access token
+ * @param {string} token - Access token
+ * @returns {Object} Cabeceras
+ */
+const authHeaders = token => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * Inicia sesión con la contraseña de prueba
+ * @param {string} email - Email del usuario
+ * @returns {Promise<Object>} Datos de la sesión (token, refreshToken, sessionId...)
+ */
+async function login(email) {
+  const response = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+
+  if (response.status !== 200) {
+    throw new Error(`Login fallido (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.data;
+}
+
+/**
+ * Registra un usuario de prueba con un email único
+ * @param {Object} options - Opciones
+ * @param {string} options.name - Nombre del usuario
+ * @param {Array<string>} options.roles - Roles a asignar (ej. ['coach']); se vuelve a iniciar
+ * sesión para que el token incluya sus permisos
+ * @returns {Promise<Object>} ID, email, tokens y cabeceras de autenticación
+ */
+async function registerUser({ name = 'Ana', roles } = {}) {
+  userCount += 1;
+  const email = `user${userCount}@example.com`;
+
+  const response = await request(app).post('/api/auth/register').send({
+    name,
+    email,
+    password: PASSWORD,
+    goal: 'strength',
+    experienceLevel: 'beginner'
+  });
+
+  if (response.status !== 201) {
+    throw new Error(`Registro fallido (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+
+  const id = response.body.data.user.id;
+  let session = response.body.data;
+
+  if (roles) {
+    await RoleService.setUserRoles(id, roles);
+    session = await login(email);
+  }
+
+  return {
+    id,
+    email,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    headers: authHeaders(session.token)
+  };
+}
+
+module.exports = {
+  app,
+  request,
+  PASSWORD,
+  authHeaders,
+  login,
+  registerUser
+};
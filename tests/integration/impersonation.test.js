@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests de integración de la suplantación de usuarios por soporte: token marcado,
+ * auditoría con la persona de soporte, operaciones bloqueadas y registro de accesos del usuario
+ * @author Marcela
+ */
+
+const { app, request, PASSWORD, authHeaders, registerUser } = require('./helpers');
+const { LoggerService } = require('../../src/services/loggerService');
+
+/**
+ * Suplanta a un usuario
+ * @param {Object} support - Administrador que da soporte
+ * @param {string} userId - ID del usuario suplantado
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Promise<Object>} Respuesta
+ */
+const impersonate = (support, userId, body = { reason: 'Ticket 42: no carga el historial' }) => request(app)
+  .post(`/api/admin/users/${userId}/impersonate`)
+  .set(support.headers)
+  .send(body);
+
+describe('Suplantación de usuarios', () => {
+  let support;
+  let user;
+
+  beforeEach(async () => {
+    support = await registerUser({ name: 'Soporte', roles: ['admin'] });
+    user = await registerUser();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('emite un token marcado y de corta duración que actúa como el usuario', async () => {
+    const response = await impersonate(support, user.id, { reason: 'Ticket 42', durationMinutes: 5 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ impersonation: true, expiresIn: 300, user: { id: user.id } });
+
+    const profile = await request(app).get('/api/users/profile').set(authHeaders(response.body.data.token));
+    expect(profile.status).toBe(200);
+    expect(profile.body.data.id).toBe(user.id);
+  });
+
+  test('los logs de auditoría de la suplantación identifican a la persona de soporte', async () => {
+    const { token, impersonationId } = (await impersonate(support, user.id)).body.data;
+    const info = jest.spyOn(LoggerService, 'info');
+
+    await request(app).get('/api/users/profile').set(authHeaders(token));
+
+    const audits = info.mock.calls.filter(([message]) => message.startsWith('Audit:'));
+    expect(audits.length).toBeGreaterThan(0);
+    audits.forEach(([, details]) => expect(details).toMatchObject({ impersonatorId: support.id, impersonationId }));
+
+    // Las peticiones con la sesión propia de soporte no llevan esos datos
+    info.mockClear();
+    await request(app).delete(`/api/admin/impersonations/${impersonationId}`).set(support.headers);
+    expect(info).toHaveBeenCalledWith('Audit: impersonation_ended', expect.not.objectContaining({ impersonatorId: expect.anything() }), support.id);
+  });
+
+  test('bloquea las operaciones destructivas y de credenciales', async () => {
+    const headers = authHeaders((await impersonate(support, user.id)).body.data.token);
+
+    const blocked = await Promise.all([
+      request(app).delete('/api/users/profile').set(headers),
+      request(app).post('/api/auth/change-password').set(headers).send({ currentPassword: PASSWORD, newPassword: 'Nueva1234' }),
+      request(app).post('/api/users/profile/api-keys').set(headers).send({ name: 'Soporte', scopes: ['workouts:read'] })
+    ]);
+
+    blocked.forEach(response => expect(response.status).toBe(403));
+
+    const profile = await request(app).get('/api/users/profile').set(user.headers);
+    expect(profile.status).toBe(200);
+  });
+
+  test('el usuario ve los accesos de soporte sin la identidad de quien accedió', async () => {
+    const { token, impersonationId } = (await impersonate(support, user.id)).body.data;
+
+    const active = await request(app).get('/api/users/profile/access-log').set(user.headers);
+    expect(active.status).toBe(200);
+    expect(active.body.data.accessLog).toEqual([expect.objectContaining({
+      id: impersonationId,
+      accessedBy: 'support',
+      reason: 'Ticket 42: no carga el historial',
+      active: true
+    })]);
+    expect(JSON.stringify(active.body.data)).not.toContain(support.id);
+
+    const ended = await request(app).delete(`/api/admin/impersonations/${impersonationId}`).set(support.headers);
+    expect(ended.status).toBe(200);
+
+    const afterEnd = await request(app).get('/api/users/profile').set(authHeaders(token));
+    expect(afterEnd.status).toBe(401);
+
+    const log = await request(app).get('/api/users/profile/access-log').set(user.headers);
+    expect(log.body.data.accessLog[0]).toMatchObject({ active: false, endedAt: expect.any(String) });
+  });
+
+  test('solo un administrador puede suplantar, y nunca a otro administrador', async () => {
+    const admin = await registerUser({ name: 'Admin', roles: ['admin'] });
+
+    expect((await impersonate(user, support.id)).status).toBe(403);
+    expect((await impersonate(support, admin.id)).status).toBe(403);
+    expect((await impersonate(support, user.id, { reason: 'no' })).status).toBe(400);
+  });
+});
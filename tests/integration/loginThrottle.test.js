@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests de integración del bloqueo temporal tras intentos fallidos de login,
+ * por cuenta y por IP del cliente detrás de un proxy
+ * @author Marcela
+ */
+
+// supertest conecta desde loopback: hace de proxy que añade la IP del cliente a X-Forwarded-For
+process.env.TRUST_PROXY = 'loopback';
+process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+
+const { app, request, PASSWORD, registerUser } = require('./helpers');
+
+/**
+ * Intenta iniciar sesión desde una IP
+ * @param {string} forwardedFor - Valor de X-Forwarded-For
+ * @param {string} email - Email
+ * @param {string} password - Contraseña
+ * @returns {Promise<Object>} Respuesta
+ */
+const loginFrom = (forwardedFor, email, password) => request(app)
+  .post('/api/auth/login')
+  .set('X-Forwarded-For', forwardedFor)
+  .send({ email, password });
+
+let attemptCount = 0;
+
+/**
+ * Falla el login con emails distintos para que solo cuente el límite de la IP
+ * @param {string} forwardedFor - Valor de X-Forwarded-For (o función que lo genera por intento)
+ * @param {number} times - Intentos
+ * @returns {Promise<void>}
+ */
+async function failFrom(forwardedFor, times) {
+  for (let i = 0; i < times; i++) {
+    attemptCount += 1;
+    const header = typeof forwardedFor === 'function' ? forwardedFor(i) : forwardedFor;
+    const response = await loginFrom(header, `nadie${attemptCount}@example.com`, 'Incorrecta1');
+    expect(response.status).toBe(401);
+  }
+}
+
+describe('Bloqueo de login', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await registerUser();
+  });
+
+  test('bloquea la cuenta tras demasiados fallos aunque la contraseña sea correcta', async () => {
+    for (let i = 0; i < 5; i++) {
+      const response = await loginFrom(`198.51.100.${i + 1}`, user.email, 'Incorrecta1');
+      expect(response.status).toBe(401);
+    }
+
+    const response = await loginFrom('198.51.100.50', user.email, PASSWORD);
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('bloquea la IP del cliente sin afectar a otros clientes detrás del mismo proxy', async () => {
+    await failFrom('203.0.113.10', 3);
+
+    const blocked = await loginFrom('203.0.113.10', user.email, PASSWORD);
+    expect(blocked.status).toBe(429);
+
+    const other = await loginFrom('203.0.113.11', user.email, PASSWORD);
+    expect(other.status).toBe(200);
+  });
+
+  test('una IP inventada al principio de X-Forwarded-For no evita el bloqueo', async () => {
+    await failFrom(i => `10.0.0.${i + 1}, 203.0.113.20`, 3);
+
+    const response = await loginFrom('192.0.2.1, 203.0.113.20', user.email, PASSWORD);
+
+    expect(response.status).toBe(429);
+  });
+});
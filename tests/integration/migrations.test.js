@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Tests de integración del sistema de migraciones: simulación, registro de las
+ * aplicadas, reversión, bloqueo entre procesos y recorrido por lotes
+ * @author Marcela
+ */
+
+require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { MigrationService } = require('../../src/services/migrationService');
+
+const MOVE_MEASUREMENTS = '002_move_measurements_to_progress';
+
+/**
+ * Guarda documentos tal como los dejó el código anterior, sin los campos que añade DatabaseService
+ * @param {string} collectionName - Colección
+ * @param {Array<Object>} documents - Documentos
+ * @returns {Promise<void>}
+ */
+const insertLegacy = (collectionName, documents) => DatabaseService.adapter.insertMany(collectionName, documents);
+
+describe('Migraciones', () => {
+  beforeAll(async () => {
+    await insertLegacy('workouts', [
+      { id: 'w1', userId: 'u1', createdAt: 1714557600 },
+      { id: 'w2', userId: 'u1', timestamp: '2024-05-02T10:00:00.000Z', createdAt: '2024-05-02T10:00:00.000Z' }
+    ]);
+    await insertLegacy('logs', [
+      { id: 'l1', userId: 'u1', measurements: { waist: 80 }, notes: 'Medidas de mayo', createdAt: '2024-05-01T08:00:00.000Z' },
+      { id: 'l2', userId: 'u1', weight: 70, measurements: { hips: 95 }, createdAt: '2024-05-01T09:00:00.000Z' }
+    ]);
+  });
+
+  test('la simulación cuenta los cambios sin escribir ni registrar nada', async () => {
+    const results = await MigrationService.migrate({ dryRun: true, to: MOVE_MEASUREMENTS });
+
+    expect(results.map(result => result.id)).toEqual(['001_normalize_timestamps', MOVE_MEASUREMENTS]);
+    expect(results[0].changes.updated).toBeGreaterThan(0);
+    expect(results[1].changes).toMatchObject({ inserted: 2, updated: 1, deleted: 1 });
+
+    expect((await DatabaseService.adapter.findById('workouts', 'w1')).createdAt).toBe(1714557600);
+    expect(await DatabaseService.adapter.findById('logs', 'l1')).not.toBeNull();
+    expect(await MigrationService.getApplied()).toEqual([]);
+  });
+
+  test('aplica las migraciones pendientes hasta la indicada y las registra', async () => {
+    await MigrationService.migrate({ to: MOVE_MEASUREMENTS });
+
+    expect(await DatabaseService.adapter.findById('workouts', 'w1')).toMatchObject({
+      createdAt: '2024-05-01T10:00:00.000Z',
+      timestamp: '2024-05-01T10:00:00.000Z'
+    });
+
+    expect(await DatabaseService.adapter.findById('logs', 'l1')).toBeNull();
+    expect(await DatabaseService.adapter.findById('logs', 'l2')).toMatchObject({ weight: 70, measurements: null });
+    // progress guarda las medidas cifradas: se lee a través de DatabaseService
+    expect(await DatabaseService.findById('progress', 'l1')).toMatchObject({
+      measurements: { waist: 80 },
+      notes: 'Medidas de mayo',
+      migratedFrom: 'logs'
+    });
+
+    const status = await MigrationService.getStatus();
+    expect(status.filter(migration => migration.appliedAt).map(migration => migration.id))
+      .toEqual(['001_normalize_timestamps', MOVE_MEASUREMENTS]);
+
+    // Volver a migrar no repite las ya aplicadas
+    expect(await MigrationService.migrate({ to: MOVE_MEASUREMENTS })).toEqual([]);
+  });
+
+  test('revierte la última migración y se niega a revertir una no reversible', async () => {
+    const [reverted] = await MigrationService.rollback();
+    expect(reverted).toMatchObject({ id: MOVE_MEASUREMENTS, direction: 'down' });
+
+    expect(await DatabaseService.adapter.findById('logs', 'l1')).toMatchObject({ measurements: { waist: 80 } });
+    expect(await DatabaseService.adapter.findById('logs', 'l2')).toMatchObject({ measurements: { hips: 95 } });
+    expect(await DatabaseService.adapter.findById('progress', 'l1')).toBeNull();
+
+    await expect(MigrationService.rollback()).rejects.toMatchObject({ name: 'ValidationError' });
+    expect((await MigrationService.getApplied()).map(record => record.id)).toEqual(['001_normalize_timestamps']);
+  });
+
+  test('no migra mientras otro proceso tiene el bloqueo, salvo que esté abandonado', async () => {
+    await DatabaseService.adapter.insert('migrations', { id: '_lock', lockedAt: new Date().toISOString() });
+    await expect(MigrationService.migrate({ to: MOVE_MEASUREMENTS })).rejects.toMatchObject({ name: 'ConflictError' });
+
+    // La simulación no escribe y no necesita el bloqueo
+    await expect(MigrationService.migrate({ dryRun: true, to: MOVE_MEASUREMENTS })).resolves.toHaveLength(1);
+
+    const abandonedAt = new Date(Date.now() - MigrationService.lockTimeoutMs - 1000).toISOString();
+    await DatabaseService.adapter.update('migrations', '_lock', { lockedAt: abandonedAt });
+
+    await expect(MigrationService.migrate({ to: MOVE_MEASUREMENTS })).resolves.toHaveLength(1);
+    expect(await DatabaseService.adapter.findById('migrations', '_lock')).toBeNull();
+  });
+
+  test('recorre las colecciones por lotes sin superar el tamaño indicado', async () => {
+    await insertLegacy('achievements', Array.from({ length: 7 }, (item, index) => ({ id: `a${index}`, userId: 'u1' })));
+
+    const context = MigrationService.createContext(false);
+    let running = 0;
+    let maxRunning = 0;
+
+    await context.rewrite('achievements', async (document) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+
+      return document.id === 'a3' ? { title: 'Primera semana' } : null;
+    }, { batchSize: 3 });
+
+    expect(maxRunning).toBe(3);
+    expect(context.changes).toMatchObject({ scanned: 7, updated: 1 });
+    expect(await DatabaseService.adapter.findById('achievements', 'a3')).toMatchObject({ title: 'Primera semana' });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests de integración del inicio de sesión con OIDC contra un proveedor de
+ * prueba que publica su JWKS en un servidor HTTP local
+ * @author Marcela
+ */
+
+process.env.OIDC_ISSUER = 'https://idp.example.com';
+process.env.OIDC_CLIENT_ID = 'app-cliente';
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { app, request, authHeaders, registerUser } = require('./helpers');
+const { OidcService } = require('../../src/services/oidcService');
+
+const KID = 'clave-1';
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const foreignKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let subjectCount = 0;
+
+/**
+ * Firma un ID token como lo haría el proveedor
+ * @param {Object} claims - Claims que sustituyen a los de por defecto
+ * @param {Object} options - Opciones
+ * @param {crypto.KeyObject} options.privateKey - Clave de firma
+ * @returns {string} ID token
+ */
+function signIdToken(claims = {}, { privateKey = signingKey.privateKey } = {}) {
+  return jwt.sign({
+    iss: process.env.OIDC_ISSUER,
+    aud: process.env.OIDC_CLIENT_ID,
+    email_verified: true,
+    ...claims
+  }, privateKey, { algorithm: 'RS256', keyid: KID, expiresIn: '5m' });
+}
+
+/**
+ * Genera un `sub` y un email nuevos
+ * @returns {Object} Claims de identidad
+ */
+function newIdentity() {
+  subjectCount += 1;
+  return { sub: `sujeto-${subjectCount}`, email: `oidc${subjectCount}@example.com` };
+}
+
+const oidcLogin = body => request(app).post('/api/auth/oidc').send(body);
+
+describe('Inicio de sesión con OIDC', () => {
+  let server;
+
+  beforeAll(async () => {
+    const jwks = { keys: [{ ...signingKey.publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] };
+
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(jwks));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    OidcService.jwksUri = `http://127.0.0.1:${server.address().port}/jwks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('crea la cuenta en el primer inicio y la reutiliza por el `sub`', async () => {
+    const identity = newIdentity();
+
+    const first = await oidcLogin({ idToken: signIdToken(identity) });
+    expect(first.status).toBe(200);
+    expect(first.body.data.isNewUser).toBe(true);
+    expect(first.body.data.user).toMatchObject({ email: identity.email, emailVerified: true });
+
+    const profile = await request(app).get('/api/users/profile').set(authHeaders(first.body.data.token));
+    expect(profile.status).toBe(200);
+
+    // El email del proveedor puede cambiar: la identidad se reconoce por el `sub`
+    const second = await oidcLogin({ idToken: signIdToken({ ...identity, email: 'otro@example.com' }) });
+    expect(second.status).toBe(200);
+    expect(second.body.data.isNewUser).toBe(false);
+    expect(second.body.data.user.id).toBe(first.body.data.user.id);
+  });
+
+  test('vincula una cuenta existente solo si el proveedor verificó el email', async () => {
+    const user = await registerUser();
+    const { sub } = newIdentity();
+
+    const unverified = await oidcLogin({ idToken: signIdToken({ sub, email: user.email, email_verified: false }) });
+    expect(unverified.status).toBe(400);
+
+    const verified = await oidcLogin({ idToken: signIdToken({ sub, email: user.email.toUpperCase() }) });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.isNewUser).toBe(false);
+    expect(verified.body.data.user.id).toBe(user.id);
+  });
+
+  test.each([
+    ['otra audiencia', () => signIdToken({ ...newIdentity(), aud: 'otra-app' })],
+    ['otro emisor', () => signIdToken({ ...newIdentity(), iss: 'https://falso.example.com' })],
+    ['una clave que el proveedor no publica', () => signIdToken(newIdentity(), { privateKey: foreignKey.privateKey })],
+    ['la fecha de expiración vencida', () => signIdToken({ ...newIdentity(), iat: Math.floor(Date.now() / 1000) - 600 })]
+  ])('rechaza un ID token con %s', async (label, buildToken) => {
+    const response = await oidcLogin({ idToken: buildToken() });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('rechaza un nonce distinto al enviado', async () => {
+    const idToken = signIdToken({ ...newIdentity(), nonce: 'nonce-del-token' });
+
+    const response = await oidcLogin({ idToken, nonce: 'otro-nonce' });
+    expect(response.status).toBe(401);
+
+    const accepted = await oidcLogin({ idToken, nonce: 'nonce-del-token' });
+    expect(accepted.status).toBe(200);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Tests de integración de la paginación por cursor: recorrido completo sin
+ * repetidos, cursores firmados y atados a su consulta, filtros de fechas y papelera
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+
+const TIMESTAMPS = [
+  '2024-05-01T10:00:00.000Z',
+  '2024-05-02T10:00:00.000Z',
+  '2024-05-03T10:00:00.000Z',
+  '2024-05-03T10:00:00.000Z',
+  '2024-05-04T10:00:00.000Z'
+];
+
+/**
+ * Recorre todas las páginas de un listado siguiendo `nextCursor`
+ * @param {string} path - Ruta del listado, con su query string
+ * @param {Object} headers - Cabeceras de autenticación
+ * @param {string} listKey - Propiedad de `data` con los documentos
+ * @returns {Promise<Array<Array<Object>>>} Documentos de cada página
+ */
+async function readAllPages(path, headers, listKey) {
+  const pages = [];
+  let after = null;
+
+  do {
+    const response = await request(app).get(path).query(after ? { after } : {}).set(headers);
+    expect(response.status).toBe(200);
+
+    pages.push(response.body.data[listKey]);
+    after = response.body.data.pagination.nextCursor;
+    expect(response.body.data.pagination.hasMore).toBe(after !== null);
+  } while (after);
+
+  return pages;
+}
+
+describe('Paginación por cursor', () => {
+  let user;
+  let workouts;
+
+  beforeEach(async () => {
+    user = await registerUser();
+    workouts = await DatabaseService.insertMany('workouts', TIMESTAMPS.map((timestamp, index) => ({
+      userId: user.id,
+      exerciseName: `Ejercicio ${index}`,
+      timestamp
+    })));
+  });
+
+  test('recorre todos los entrenamientos una sola vez, también con fechas repetidas', async () => {
+    const pages = await readAllPages('/api/workouts?limit=2', user.headers, 'workouts');
+    const listed = pages.flat();
+
+    expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+    expect(listed.map(workout => workout.id).sort()).toEqual(workouts.map(workout => workout.id).sort());
+    expect(listed.map(workout => workout.timestamp)).toEqual([...TIMESTAMPS].reverse());
+  });
+
+  test('filtra por rango de fechas en la consulta', async () => {
+    const response = await request(app).get('/api/workouts')
+      .query({ startDate: '2024-05-02', endDate: '2024-05-03T23:59:59Z' })
+      .set(user.headers);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.workouts.map(workout => workout.timestamp))
+      .toEqual([TIMESTAMPS[3], TIMESTAMPS[2], TIMESTAMPS[1]]);
+  });
+
+  test('rechaza cursores alterados o de otra consulta', async () => {
+    const first = await request(app).get('/api/workouts?limit=2').set(user.headers);
+    const cursor = first.body.data.pagination.nextCursor;
+    const [content, signature] = cursor.split('.');
+    const payload = JSON.parse(Buffer.from(content, 'base64url').toString('utf8'));
+    const tampered = `${Buffer.from(JSON.stringify({ ...payload, v: '2099-01-01' })).toString('base64url')}.${signature}`;
+
+    const other = await registerUser();
+    const attempts = await Promise.all([
+      request(app).get('/api/workouts?limit=2').query({ after: tampered }).set(user.headers),
+      request(app).get('/api/workouts?limit=2').query({ after: cursor, startDate: '2024-05-01' }).set(user.headers),
+      request(app).get('/api/workouts?limit=2').query({ after: cursor }).set(other.headers),
+      request(app).get('/api/nutrition/history?limit=2').query({ after: cursor }).set(user.headers)
+    ]);
+
+    attempts.forEach(response => {
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Cursor de paginación inválido');
+    });
+  });
+
+  test('completa la página saltando los documentos de la papelera', async () => {
+    // Los tres más recientes van a la papelera
+    for (const workout of workouts.slice(2)) {
+      await DatabaseService.delete('workouts', workout.id);
+    }
+
+    const response = await request(app).get('/api/workouts?limit=2').set(user.headers);
+
+    expect(response.body.data.workouts.map(workout => workout.id)).toEqual([workouts[1].id, workouts[0].id]);
+    expect(response.body.data.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+  });
+
+  test('el historial de nutrición pagina con la misma forma de `pagination`', async () => {
+    await DatabaseService.insertMany('nutrition', TIMESTAMPS.map(timestamp => ({
+      userId: user.id,
+      calories: 500,
+      timestamp
+    })));
+
+    const pages = await readAllPages('/api/nutrition/history?limit=3', user.headers, 'logs');
+
+    expect(pages.map(page => page.length)).toEqual([3, 2]);
+  });
+});
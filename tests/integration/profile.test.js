@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Tests de integración del perfil y el onboarding del usuario actual
+ * @author Marcela
+ */
+
+const { app, request, login, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+
+// Campos del documento del usuario que no se pueden escribir desde el propio perfil
+const PRIVILEGED_FIELDS = {
+  roles: ['admin'],
+  emailVerified: true,
+  passwordHash: 'hash-del-atacante',
+  twoFactorEnabled: true,
+  twoFactorSecret: 'JBSWY3DPEHPK3PXP',
+  status: 'active'
+};
+
+describe('Onboarding', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await registerUser();
+  });
+
+  test('guarda los datos del onboarding y lo marca como completado', async () => {
+    const response = await request(app).post('/api/users/onboarding').set(user.headers).send({
+      age: 30,
+      weight: 70,
+      height: 175,
+      measurements: { waist: 80 },
+      goal: 'strength',
+      experienceLevel: 'intermediate',
+      equipment: ['dumbbells']
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      onboardingCompleted: true,
+      age: 30,
+      measurements: { waist: 80 },
+      experienceLevel: 'intermediate',
+      equipment: ['dumbbells']
+    });
+  });
+
+  test('un usuario no puede darse campos privilegiados desde el onboarding', async () => {
+    const response = await request(app).post('/api/users/onboarding').set(user.headers)
+      .send({ age: 30, ...PRIVILEGED_FIELDS });
+    expect(response.status).toBe(200);
+
+    const stored = await DatabaseService.findById('users', user.id);
+    expect(stored.age).toBe(30);
+    expect(stored.emailVerified).toBe(false);
+    expect(stored.twoFactorEnabled).not.toBe(true);
+    expect(stored.twoFactorSecret).toBeUndefined();
+    expect(stored.passwordHash).not.toBe(PRIVILEGED_FIELDS.passwordHash);
+
+    // La contraseña sigue siendo la original y la nueva sesión no tiene permisos de administración
+    const session = await login(user.email);
+    const admin = await request(app).get('/api/admin/roles').set({ Authorization: `Bearer ${session.token}` });
+    expect(admin.status).toBe(403);
+  });
+
+  test('rechaza un objetivo desconocido', async () => {
+    const response = await request(app).post('/api/users/onboarding').set(user.headers).send({ goal: 'fly' });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Perfil', () => {
+  test('un usuario no puede darse campos privilegiados al actualizar su perfil', async () => {
+    const user = await registerUser();
+
+    const response = await request(app).put('/api/users/profile').set(user.headers)
+      .send({ name: 'Ana María', ...PRIVILEGED_FIELDS });
+    expect(response.status).toBe(200);
+
+    const stored = await DatabaseService.findById('users', user.id);
+    expect(stored.name).toBe('Ana María');
+    expect(stored.emailVerified).toBe(false);
+    expect(stored.twoFactorEnabled).not.toBe(true);
+
+    const session = await login(user.email);
+    expect(session.user.id).toBe(user.id);
+    const admin = await request(app).get('/api/admin/roles').set({ Authorization: `Bearer ${session.token}` });
+    expect(admin.status).toBe(403);
+  });
+});
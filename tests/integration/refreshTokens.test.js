@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Tests de integración de la rotación de refresh tokens y la detección de reutilización
+ * @author Marcela
+ */
+
+const { app, request, authHeaders, login, registerUser } = require('./helpers');
+
+const refresh = refreshToken => request(app).post('/api/auth/refresh-token').send({ refreshToken });
+
+describe('Refresh tokens', () => {
+  test('cada refresh devuelve un par nuevo y el anterior deja de ser válido', async () => {
+    const user = await registerUser();
+
+    const first = await refresh(user.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(user.refreshToken);
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+
+    const profile = await request(app).get('/api/users/profile').set(authHeaders(second.body.data.token));
+    expect(profile.status).toBe(200);
+  });
+
+  test('reutilizar un refresh token rotado revoca toda la familia y la sesión', async () => {
+    const user = await registerUser();
+
+    const rotated = await refresh(user.refreshToken);
+    expect(rotated.status).toBe(200);
+    const { token, refreshToken } = rotated.body.data;
+
+    const reuse = await refresh(user.refreshToken);
+    expect(reuse.status).toBe(401);
+
+    // El token legítimo más reciente también queda revocado
+    const afterReuse = await refresh(refreshToken);
+    expect(afterReuse.status).toBe(401);
+
+    const profile = await request(app).get('/api/users/profile').set(authHeaders(token));
+    expect(profile.status).toBe(401);
+  });
+
+  test('la reutilización no afecta a otras sesiones del mismo usuario', async () => {
+    const user = await registerUser();
+    const otherSession = await login(user.email);
+
+    await refresh(user.refreshToken);
+    expect((await refresh(user.refreshToken)).status).toBe(401);
+
+    const other = await refresh(otherSession.refreshToken);
+    expect(other.status).toBe(200);
+  });
+
+  test('rechaza un refresh token desconocido', async () => {
+    const response = await refresh('no-es-un-token');
+
+    expect(response.status).toBe(401);
+  });
+});
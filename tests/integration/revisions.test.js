@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests de integración del historial de revisiones y la reversión de documentos
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+
+describe('Revisiones', () => {
+  let user;
+  let workoutId;
+
+  beforeEach(async () => {
+    user = await registerUser();
+
+    const created = await request(app).post('/api/workouts').set(user.headers).send({ exerciseName: 'Squat', sets: 3, reps: 10 });
+    workoutId = created.body.data.id;
+
+    await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ exerciseName: 'Squat', sets: 4, reps: 10 });
+    await request(app).put(`/api/workouts/${workoutId}`).set(user.headers).send({ exerciseName: 'Squat', sets: 5, reps: 12 });
+  });
+
+  test('lista las revisiones de la más reciente a la más antigua con el diff de cada cambio', async () => {
+    const response = await request(app).get(`/api/revisions/workouts/${workoutId}`).set(user.headers);
+
+    expect(response.status).toBe(200);
+    const [latest] = response.body.data.revisions;
+    expect(latest.action).toBe('update');
+    expect(latest.version).toBe(2);
+    expect(latest.actorId).toBe(user.id);
+    expect(latest.diff).toEqual({ sets: { from: 4, to: 5 }, reps: { from: 10, to: 12 } });
+  });
+
+  test('revertir a una revisión restaura el estado anterior a ese cambio como una versión nueva', async () => {
+    const list = await request(app).get(`/api/revisions/workouts/${workoutId}`).set(user.headers);
+    const firstUpdate = list.body.data.revisions.find(revision => revision.version === 1);
+
+    const response = await request(app).post(`/api/revisions/workouts/${workoutId}/${firstUpdate.id}/revert`).set(user.headers);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sets).toBe(3);
+    expect(response.body.data.reps).toBe(10);
+    expect(response.body.data.version).toBe(4);
+    expect(response.headers.etag).toBe(`"${workoutId}:4"`);
+
+    const history = await request(app).get(`/api/revisions/workouts/${workoutId}`).set(user.headers);
+    expect(history.body.data.revisions.map(revision => revision.action)).toEqual(['revert', 'update', 'update']);
+  });
+
+  test('una revisión inexistente responde 404', async () => {
+    const response = await request(app).post(`/api/revisions/workouts/${workoutId}/no-existe/revert`).set(user.headers);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('otro usuario no puede ver ni revertir las revisiones', async () => {
+    const other = await registerUser({ name: 'Otro' });
+    const list = await request(app).get(`/api/revisions/workouts/${workoutId}`).set(user.headers);
+    const [revision] = list.body.data.revisions;
+
+    const read = await request(app).get(`/api/revisions/workouts/${workoutId}`).set(other.headers);
+    expect(read.status).toBe(403);
+
+    const revert = await request(app).post(`/api/revisions/workouts/${workoutId}/${revision.id}/revert`).set(other.headers);
+    expect(revert.status).toBe(403);
+  });
+});
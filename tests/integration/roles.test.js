@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests de integración de los roles y su administración
+ * @author Marcela
+ */
+
+const { app, request, login, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { RoleService } = require('../../src/services/roleService');
+const { MigrationService } = require('../../src/services/migrationService');
+
+describe('Roles', () => {
+  test('un usuario nuevo solo tiene el rol user y no accede a la administración', async () => {
+    const user = await registerUser();
+
+    expect(await RoleService.getUserRoles(user.id)).toEqual(['user']);
+
+    const response = await request(app).get('/api/admin/roles').set(user.headers);
+    expect(response.status).toBe(403);
+  });
+
+  test('un usuario sin roles:manage no puede cambiar sus propios roles', async () => {
+    const user = await registerUser();
+
+    const grant = await request(app).post(`/api/admin/users/${user.id}/roles`).set(user.headers).send({ role: 'admin' });
+    expect(grant.status).toBe(403);
+
+    // Tampoco desde los endpoints de autoservicio, que escriben el documento del usuario
+    await request(app).put('/api/users/profile').set(user.headers).send({ roles: ['admin'] });
+    await request(app).post('/api/users/onboarding').set(user.headers).send({ roles: ['admin'] });
+    await DatabaseService.update('users', user.id, { roles: ['admin'] });
+
+    expect(await RoleService.getUserRoles(user.id)).toEqual(['user']);
+
+    const session = await login(user.email);
+    const admin = await request(app).get('/api/admin/roles').set({ Authorization: `Bearer ${session.token}` });
+    expect(admin.status).toBe(403);
+  });
+
+  test('un administrador otorga y revoca roles, y los permisos cambian en la siguiente petición', async () => {
+    const admin = await registerUser({ name: 'Admin', roles: ['user', 'admin'] });
+    const user = await registerUser();
+
+    const grant = await request(app).post(`/api/admin/users/${user.id}/roles`).set(admin.headers).send({ role: 'coach' });
+    expect(grant.status).toBe(200);
+    expect(grant.body.data.roles).toEqual(['user', 'coach']);
+
+    const invite = await request(app).post('/api/coaching/invitations').set(user.headers)
+      .send({ email: admin.email, scopes: ['workouts:read'] });
+    expect(invite.status).toBe(201);
+
+    const revoke = await request(app).delete(`/api/admin/users/${user.id}/roles/coach`).set(admin.headers);
+    expect(revoke.status).toBe(200);
+    expect(revoke.body.data.roles).toEqual(['user']);
+
+    const effective = await request(app).get(`/api/admin/users/${user.id}/roles`).set(admin.headers);
+    expect(effective.body.data.permissions).not.toContain('clients:manage');
+  });
+
+  test('un administrador no puede revocarse su propio rol de administrador', async () => {
+    const admin = await registerUser({ name: 'Admin', roles: ['user', 'admin'] });
+
+    const response = await request(app).delete(`/api/admin/users/${admin.id}/roles/admin`).set(admin.headers);
+
+    expect(response.status).toBe(400);
+  });
+
+  test('la migración mueve los roles guardados en el documento del usuario', async () => {
+    const legacy = await DatabaseService.insert('users', { name: 'Legado', email: 'legacy@example.com', roles: ['user', 'coach'] });
+    const plain = await DatabaseService.insert('users', { name: 'Normal', email: 'plain@example.com', roles: ['user'] });
+
+    await MigrationService.migrate();
+
+    expect(await RoleService.getUserRoles(legacy.id)).toEqual(['user', 'coach']);
+    expect(await RoleService.getUserRoles(plain.id)).toEqual(['user']);
+    expect((await DatabaseService.findById('users', legacy.id)).roles).toBeNull();
+    expect(await DatabaseService.findById('roleAssignments', plain.id)).toBeNull();
+  });
+});
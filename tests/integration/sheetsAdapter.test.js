@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Tests del adaptador de Google Sheets contra un cliente falso que guarda las
+ * hojas en memoria y responde a las mismas llamadas que la API de Sheets v4
+ * @author Marcela
+ */
+
+const { SheetsAdapter } = require('../../src/services/storage/sheetsAdapter');
+const { getSheetForCollection } = require('../../src/config/sheetsSchema');
+
+/**
+ * Separa un rango A1 (`'HOJA'!A5:J5` o `'HOJA'`) en hoja y fila inicial
+ * @param {string} range - Rango
+ * @returns {Object} Nombre de la hoja y fila (1 si el rango no la indica)
+ */
+const parseRange = (range) => {
+  const [, quotedName, row] = range.match(/^'((?:[^']|'')+)'(?:!A(\d+))?/);
+  return { sheetName: quotedName.replace(/''/g, '\''), row: row ? Number(row) : 1 };
+};
+
+/**
+ * Crea un cliente falso de la API de Sheets
+ * @param {Object} initialSheets - Filas iniciales por nombre de hoja (encabezados incluidos)
+ * @returns {Object} Cliente con `spreadsheets` y las hojas en `data`
+ */
+function createFakeSheetsClient(initialSheets = {}) {
+  const data = new Map(Object.entries(initialSheets).map(([name, rows]) => [name, rows.map(row => [...row])]));
+  const sheetIds = new Map(Array.from(data.keys(), (name, index) => [name, index + 1]));
+
+  const sheetOf = (range) => {
+    const { sheetName, row } = parseRange(range);
+    if (!data.has(sheetName)) {
+      throw new Error(`Unable to parse range: ${range}`);
+    }
+    return { rows: data.get(sheetName), row };
+  };
+
+  return {
+    data,
+    spreadsheets: {
+      get: async () => ({
+        data: { sheets: Array.from(sheetIds, ([title, sheetId]) => ({ properties: { title, sheetId } })) }
+      }),
+      batchUpdate: async ({ resource }) => {
+        const replies = resource.requests.map(request => {
+          if (request.addSheet) {
+            const { title } = request.addSheet.properties;
+            sheetIds.set(title, sheetIds.size + 1);
+            data.set(title, []);
+            return { addSheet: { properties: { title, sheetId: sheetIds.get(title) } } };
+          }
+
+          const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+          const title = Array.from(sheetIds).find(([, id]) => id === sheetId)[0];
+          data.get(title).splice(startIndex, endIndex - startIndex);
+          return {};
+        });
+
+        return { data: { replies } };
+      },
+      values: {
+        get: async ({ range }) => ({ data: { values: sheetOf(range).rows.map(row => [...row]) } }),
+        update: async ({ range, resource }) => {
+          const { rows, row } = sheetOf(range);
+          resource.values.forEach((values, index) => {
+            rows[row - 1 + index] = [...values];
+          });
+        },
+        append: async ({ range, resource }) => {
+          const { rows } = sheetOf(range);
+          resource.values.forEach(values => rows.push([...values]));
+        }
+      }
+    }
+  };
+}
+
+describe('Adaptador de Google Sheets', () => {
+  const usersSheet = getSheetForCollection('users');
+  const workoutsSheet = getSheetForCollection('workouts');
+  let client;
+  let adapter;
+
+  beforeEach(() => {
+    // Hojas como las deja scripts/setup-sheets.js, con una fila escrita a mano
+    client = createFakeSheetsClient({
+      [usersSheet.name]: [usersSheet.headers],
+      [workoutsSheet.name]: [
+        workoutsSheet.headers,
+        ['w1', 'u1', '2024-05-01', '', '45', '[{"name":"Sentadilla","sets":3}]', '', 'TRUE', '2024-05-01T10:00:00.000Z']
+      ]
+    });
+    adapter = new SheetsAdapter({ spreadsheetId: 'hoja-de-prueba', client });
+  });
+
+  test('guarda cada colección en su hoja y serializa arrays y objetos como JSON', async () => {
+    await adapter.insert('users', {
+      id: 'u1',
+      name: 'Ana',
+      email: 'ana@example.com',
+      equipment: ['mancuernas', 'banda'],
+      onboardingCompleted: false,
+      preferences: { units: 'kg' }
+    });
+
+    const [headers, row] = client.data.get('USUARIOS');
+    expect(headers).toEqual([...usersSheet.headers, 'preferences']);
+    expect(row[headers.indexOf('equipment')]).toBe('["mancuernas","banda"]');
+    expect(row[headers.indexOf('preferences')]).toBe('{"units":"kg"}');
+    expect(row[headers.indexOf('goal')]).toBe('');
+
+    const user = await adapter.findById('users', 'u1');
+    expect(user).toEqual({
+      id: 'u1',
+      name: 'Ana',
+      email: 'ana@example.com',
+      equipment: ['mancuernas', 'banda'],
+      onboardingCompleted: false,
+      preferences: { units: 'kg' }
+    });
+  });
+
+  test('lee las filas escritas a mano con los tipos declarados de cada columna', async () => {
+    const workout = await adapter.findById('Workouts', 'w1');
+
+    expect(workout).toEqual({
+      id: 'w1',
+      userId: 'u1',
+      date: '2024-05-01',
+      duration: 45,
+      exercises: [{ name: 'Sentadilla', sets: 3 }],
+      completed: true,
+      createdAt: '2024-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('crea la hoja de una colección sin hoja en el esquema con la primera escritura', async () => {
+    await adapter.insert('apiKeys', { id: 'k1', userId: 'u1', scopes: ['workouts:read'] });
+
+    expect(client.data.get('api_keys')).toEqual([
+      ['id', 'userId', 'scopes'],
+      ['k1', 'u1', '["workouts:read"]']
+    ]);
+    expect(await adapter.find('apiKeys', { userId: 'u1' })).toEqual([{ id: 'k1', userId: 'u1', scopes: ['workouts:read'] }]);
+  });
+
+  test('filtra y pagina como los demás adaptadores', async () => {
+    await adapter.insertMany('workouts', [
+      { id: 'w2', userId: 'u1', duration: 30, createdAt: '2024-05-02T10:00:00.000Z' },
+      { id: 'w3', userId: 'u2', duration: 60, createdAt: '2024-05-03T10:00:00.000Z' },
+      { id: 'w4', userId: 'u1', duration: 90, createdAt: '2024-05-04T10:00:00.000Z' }
+    ]);
+
+    const long = await adapter.complexQuery('workouts', [{ field: 'duration', operator: '>=', value: 45 }]);
+    expect(long.map(workout => workout.id).sort()).toEqual(['w1', 'w3', 'w4']);
+
+    const page = await adapter.findWithPagination('workouts', { limit: 2, filters: { userId: 'u1' } });
+    expect(page.documents.map(workout => workout.id)).toEqual(['w4', 'w2']);
+    expect(page.pagination.hasMore).toBe(true);
+
+    const next = await adapter.findPage('workouts', {
+      conditions: [{ field: 'userId', operator: '==', value: 'u1' }],
+      orderBy: 'createdAt',
+      limit: 2,
+      startAfter: { value: '2024-05-02T10:00:00.000Z', id: 'w2' }
+    });
+    expect(next.map(workout => workout.id)).toEqual(['w1']);
+  });
+
+  test('actualiza y elimina la fila correcta aunque cambie su posición', async () => {
+    await adapter.insertMany('workouts', [
+      { id: 'w2', userId: 'u1', duration: 30 },
+      { id: 'w3', userId: 'u1', duration: 60 }
+    ]);
+
+    await adapter.delete('workouts', 'w2');
+    const updated = await adapter.update('workouts', 'w3', { duration: 75, completed: false });
+
+    expect(updated).toMatchObject({ id: 'w3', duration: 75, completed: false });
+    expect(client.data.get('ENTRENAMIENTOS').map(row => row[0])).toEqual(['id', 'w1', 'w3']);
+    await expect(adapter.update('workouts', 'w2', { duration: 1 })).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('las escrituras simultáneas se aplican de una en una', async () => {
+    await Promise.all([
+      ...Array.from({ length: 5 }, () => adapter.increment('workouts', 'w1', 'duration', 1)),
+      adapter.insert('workouts', { id: 'w2', userId: 'u1', duration: 10 })
+    ]);
+
+    expect((await adapter.findById('workouts', 'w1')).duration).toBe(50);
+    expect(client.data.get('ENTRENAMIENTOS')).toHaveLength(3);
+  });
+
+  test('exige el ID del spreadsheet', () => {
+    expect(() => new SheetsAdapter({ spreadsheetId: '', client })).toThrow('GOOGLE_SHEETS_ID');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests de los adaptadores de almacenamiento sin conexión (memoria y archivo
+ * JSON): la misma interfaz que el adaptador de Firestore y la persistencia entre reinicios
+ * @author Marcela
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageAdapter } = require('../../src/services/storage');
+const { MemoryAdapter } = require('../../src/services/storage/memoryAdapter');
+const { JsonFileAdapter } = require('../../src/services/storage/jsonFileAdapter');
+
+const temporaryDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'somos-storage-'));
+let fileCount = 0;
+
+/**
+ * Ruta de un archivo JSON nuevo en el directorio temporal
+ * @returns {string} Ruta
+ */
+const newFilePath = () => {
+  fileCount += 1;
+  return path.join(temporaryDirectory, `database-${fileCount}.json`);
+};
+
+afterAll(() => {
+  fs.rmSync(temporaryDirectory, { recursive: true, force: true });
+});
+
+describe.each([
+  ['memoria', () => new MemoryAdapter()],
+  ['archivo JSON', () => new JsonFileAdapter(newFilePath())]
+])('Adaptador en %s', (label, createAdapter) => {
+  let adapter;
+
+  /**
+   * Inserta un entrenamiento con un ID generado por el adaptador
+   * @param {Object} data - Campos del entrenamiento
+   * @returns {Promise<Object>} Documento insertado
+   */
+  const insertWorkout = data => adapter.insert('workouts', { id: adapter.generateId(), ...data });
+
+  beforeEach(() => {
+    adapter = createAdapter();
+  });
+
+  test('inserta, lee, actualiza campos anidados y elimina documentos', async () => {
+    const workout = await insertWorkout({ userId: 'u1', name: 'Piernas', stats: { sets: 3, reps: 10 } });
+    expect(workout.id).toMatch(/^[A-Za-z0-9]{20}$/);
+
+    const updated = await adapter.update('workouts', workout.id, { 'stats.sets': 4, name: 'Pierna' });
+    expect(updated).toMatchObject({ name: 'Pierna', stats: { sets: 4, reps: 10 } });
+
+    // Los documentos devueltos son copias: modificarlos no altera el almacenamiento
+    updated.stats.sets = 99;
+    expect((await adapter.findById('workouts', workout.id)).stats.sets).toBe(4);
+
+    await adapter.delete('workouts', workout.id);
+    expect(await adapter.findById('workouts', workout.id)).toBeNull();
+  });
+
+  test('actualizar un documento inexistente falla con el código de Firestore', async () => {
+    await expect(adapter.update('workouts', 'no-existe', { name: 'x' })).rejects.toMatchObject({ code: 'not-found' });
+    await expect(adapter.increment('workouts', 'no-existe', 'count', 1)).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('filtra con los operadores de Firestore y resuelve nombres con alias', async () => {
+    await adapter.insertMany('workouts', [
+      { id: 'a', userId: 'u1', duration: 30, tags: ['fuerza'] },
+      { id: 'b', userId: 'u1', duration: 60, tags: ['cardio', 'fuerza'] },
+      { id: 'c', userId: 'u2', duration: 45, tags: [] }
+    ]);
+
+    const ids = documents => documents.map(document => document.id).sort();
+
+    expect(ids(await adapter.find('workouts', { userId: 'u1' }))).toEqual(['a', 'b']);
+    expect(ids(await adapter.complexQuery('workouts', [
+      { field: 'duration', operator: '>=', value: 45 },
+      { field: 'tags', operator: 'array-contains', value: 'fuerza' }
+    ]))).toEqual(['b']);
+    expect(ids(await adapter.complexQuery('workouts', [{ field: 'userId', operator: 'not-in', value: ['u1'] }]))).toEqual(['c']);
+    expect(ids(await adapter.getAll('Workouts'))).toEqual(['a', 'b', 'c']);
+
+    await expect(adapter.complexQuery('workouts', [{ field: 'name', operator: 'like', value: 'x' }])).rejects.toThrow('no soportado');
+  });
+
+  test('pagina por desplazamiento y por cursor, desempatando por ID', async () => {
+    await adapter.insertMany('workouts', [
+      { id: 'a', userId: 'u1', createdAt: '2024-01-01' },
+      { id: 'b', userId: 'u1', createdAt: '2024-01-02' },
+      { id: 'c', userId: 'u1', createdAt: '2024-01-02' },
+      { id: 'd', userId: 'u2', createdAt: '2024-01-03' }
+    ]);
+
+    const page = await adapter.findWithPagination('workouts', { limit: 2, filters: { userId: 'u1' } });
+    expect(page.documents.map(document => document.id).sort()).toEqual(['b', 'c']);
+    expect(page.pagination).toMatchObject({ hasMore: true, offset: 0 });
+
+    const afterCursor = await adapter.findPage('workouts', {
+      conditions: [{ field: 'userId', operator: '==', value: 'u1' }],
+      orderBy: 'createdAt',
+      orderDirection: 'desc',
+      limit: 5,
+      startAfter: { value: '2024-01-02', id: 'c' }
+    });
+    expect(afterCursor.map(document => document.id)).toEqual(['b', 'a']);
+  });
+
+  test('una transacción con lecturas modificadas por otra escritura se repite', async () => {
+    const workout = await insertWorkout({ userId: 'u1', count: 0 });
+    let attempts = 0;
+
+    await adapter.runTransaction(async transaction => {
+      attempts += 1;
+      const current = await transaction.get('workouts', workout.id);
+
+      if (attempts === 1) {
+        await adapter.increment('workouts', workout.id, 'count', 10);
+      }
+
+      transaction.update('workouts', workout.id, { count: current.count + 1 });
+    });
+
+    expect(attempts).toBe(2);
+    expect((await adapter.findById('workouts', workout.id)).count).toBe(11);
+  });
+
+  test('una transacción que falla al confirmar no aplica ninguna escritura', async () => {
+    const workout = await insertWorkout({ userId: 'u1', count: 0 });
+
+    await expect(adapter.runTransaction(async transaction => {
+      transaction.update('workouts', workout.id, { count: 1 });
+      transaction.update('workouts', 'no-existe', { count: 1 });
+    })).rejects.toMatchObject({ code: 'not-found' });
+
+    expect((await adapter.findById('workouts', workout.id)).count).toBe(0);
+  });
+
+  test('los incrementos concurrentes no se pierden', async () => {
+    const workout = await insertWorkout({ userId: 'u1', stats: {} });
+
+    await Promise.all(Array.from({ length: 20 }, () => adapter.increment('workouts', workout.id, 'stats.views', 1)));
+
+    expect((await adapter.findById('workouts', workout.id)).stats.views).toBe(20);
+  });
+});
+
+describe('Adaptador en archivo JSON', () => {
+  test('conserva los datos al reiniciar', async () => {
+    const filePath = newFilePath();
+    const adapter = new JsonFileAdapter(filePath);
+
+    await adapter.insert('workouts', { id: 'a', userId: 'u1', name: 'Piernas' });
+    await Promise.all([
+      adapter.update('workouts', 'a', { name: 'Pierna' }),
+      adapter.insert('users', { id: 'u1', email: 'ana@example.com' })
+    ]);
+
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+
+    const restarted = new JsonFileAdapter(filePath);
+    expect(await restarted.findById('workouts', 'a')).toMatchObject({ name: 'Pierna' });
+    expect(await restarted.find('users', { email: 'ana@example.com' })).toHaveLength(1);
+  });
+});
+
+describe('Selección del adaptador', () => {
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  test('usa el adaptador en memoria en los tests y el indicado en STORAGE_ADAPTER', () => {
+    delete process.env.STORAGE_ADAPTER;
+    expect(createStorageAdapter()).toBeInstanceOf(MemoryAdapter);
+
+    process.env.STORAGE_ADAPTER = 'json';
+    process.env.STORAGE_JSON_PATH = newFilePath();
+    expect(createStorageAdapter()).toBeInstanceOf(JsonFileAdapter);
+  });
+
+  test('falla con un adaptador desconocido', () => {
+    expect(() => createStorageAdapter('mongo')).toThrow('Adaptador de almacenamiento desconocido: mongo');
+  });
+});
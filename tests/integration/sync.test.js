@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests de integración de la sincronización incremental: aplicación de mutaciones
+ * sin conexión y resolución de conflictos por campo (gana la edición más reciente)
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let recordCount = 0;
+
+describe('Sincronización', () => {
+  let user;
+  let id;
+
+  const sync = body => request(app).post('/api/sync').set(user.headers).send(body);
+
+  /**
+   * Aplica una sola mutación y devuelve su resultado
+   * @param {Object} mutation - Mutación
+   * @returns {Promise<Object>} Resultado de la mutación
+   */
+  const mutate = async (mutation) => {
+    const response = await sync({ mutations: [mutation] });
+    expect(response.status).toBe(200);
+    return response.body.data.results[0];
+  };
+
+  beforeEach(async () => {
+    user = await registerUser();
+    // Los IDs los genera el cliente: cada test usa uno nuevo
+    recordCount += 1;
+    id = `cli-${String(recordCount).padStart(8, '0')}`;
+  });
+
+  test('crea registros con el ID del cliente y los devuelve sin metadatos internos', async () => {
+    const result = await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press', sets: 3, reps: 10 } });
+
+    expect(result.status).toBe('applied');
+    expect(result.document.id).toBe(id);
+    expect(result.document.userId).toBe(user.id);
+    expect(result.document).not.toHaveProperty('fieldUpdatedAt');
+
+    const pull = await sync({});
+    expect(pull.body.data.changes.workouts.map(workout => workout.id)).toContain(id);
+  });
+
+  test('un campo editado en el servidor después que en el cliente se conserva y se informa', async () => {
+    await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press', sets: 3, reps: 10 } });
+    await sleep(20);
+    const offlineEditAt = new Date().toISOString();
+    await sleep(20);
+
+    const server = await request(app).put(`/api/workouts/${id}`).set(user.headers).send({ exerciseName: 'Press', sets: 5, reps: 10 });
+    expect(server.status).toBe(200);
+
+    const result = await mutate({ resource: 'workouts', id, fields: { sets: 4, reps: 12 }, modifiedAt: offlineEditAt });
+
+    expect(result.conflicts).toEqual([{ field: 'sets', reason: 'server_newer' }]);
+    expect(result.document.sets).toBe(5);
+    expect(result.document.reps).toBe(12);
+    expect(result.document).not.toHaveProperty('fieldUpdatedAt');
+  });
+
+  test('una edición del cliente más reciente que la del servidor se aplica', async () => {
+    await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press', sets: 3, reps: 10 } });
+    await request(app).put(`/api/workouts/${id}`).set(user.headers).send({ exerciseName: 'Press', sets: 5, reps: 10 });
+
+    const result = await mutate({ resource: 'workouts', id, fields: { sets: 6 } });
+
+    expect(result.status).toBe('applied');
+    expect(result.conflicts).toEqual([]);
+    expect(result.document.sets).toBe(6);
+  });
+
+  test('una edición sin conexión no recupera un registro eliminado', async () => {
+    await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press' } });
+    await request(app).delete(`/api/workouts/${id}`).set(user.headers);
+
+    const result = await mutate({ resource: 'workouts', id, fields: { sets: 2 } });
+
+    expect(result.status).toBe('conflict');
+    expect(result.conflicts).toEqual([{ field: null, reason: 'deleted' }]);
+  });
+
+  test('un borrado anterior a una edición del servidor no se aplica', async () => {
+    await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press', sets: 3 } });
+    await sleep(20);
+    const offlineDeleteAt = new Date().toISOString();
+    await sleep(20);
+    await request(app).put(`/api/workouts/${id}`).set(user.headers).send({ exerciseName: 'Press', sets: 5 });
+
+    const result = await mutate({ resource: 'workouts', id, op: 'delete', modifiedAt: offlineDeleteAt });
+
+    expect(result.status).toBe('conflict');
+    expect(result.conflicts).toContainEqual({ field: 'sets', reason: 'server_newer' });
+    expect(result.document).not.toHaveProperty('fieldUpdatedAt');
+
+    const current = await request(app).get(`/api/workouts/${id}`).set(user.headers);
+    expect(current.status).toBe(200);
+  });
+
+  test('los campos calculados los decide el servidor', async () => {
+    const result = await mutate({
+      resource: 'goals',
+      id: 'goal-0000001',
+      fields: { type: 'weight', start: 90, target: 80, current: 85, progress: 99 }
+    });
+
+    expect(result.status).toBe('applied');
+    expect(result.document.progress).toBe(50);
+    expect(result.conflicts).toEqual([{ field: 'progress', reason: 'computed' }]);
+  });
+
+  test('no permite escribir en un registro de otro usuario', async () => {
+    await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press' } });
+    const owner = user;
+    user = await registerUser({ name: 'Otro' });
+
+    const result = await mutate({ resource: 'workouts', id, fields: { sets: 1 } });
+
+    expect(result.status).toBe('failed');
+    expect(result.error).toEqual({ message: 'Registro no encontrado', code: 404 });
+
+    const current = await request(app).get(`/api/workouts/${id}`).set(owner.headers);
+    expect(current.body.data.sets).not.toBe(1);
+  });
+
+  test('eliminar un registro de otro usuario responde como si no existiera', async () => {
+    await mutate({ resource: 'workouts', id, fields: { exerciseName: 'Press' } });
+    const owner = user;
+    user = await registerUser({ name: 'Otro' });
+
+    const foreign = await mutate({ resource: 'workouts', id, op: 'delete' });
+    const missing = await mutate({ resource: 'workouts', id: 'no-existe', op: 'delete' });
+
+    expect(foreign).toMatchObject({ status: 'applied', deletedAt: null });
+    expect({ ...foreign, id: missing.id }).toEqual(missing);
+
+    const current = await request(app).get(`/api/workouts/${id}`).set(owner.headers);
+    expect(current.status).toBe(200);
+  });
+
+  test('rechaza un token de sincronización alterado', async () => {
+    const first = await sync({});
+
+    const response = await sync({ token: `${first.body.data.token.slice(0, -2)}xx` });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tests de integración de la papelera: envío, restauración y borrado definitivo
+ * de los registros junto con sus hijos (los alimentos de una comida)
+ * @author Marcela
+ */
+
+const { app, request, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+
+const MEAL = {
+  calories: 650,
+  items: [
+    { name: 'Arroz', quantity: '150 g', calories: 200, carbs: 45 },
+    { name: 'Pollo', quantity: '120 g', calories: 250, protein: 30 }
+  ]
+};
+
+/**
+ * Alimentos guardados de una comida, también los que están en la papelera
+ * @param {string} mealId - ID del registro nutricional
+ * @returns {Promise<Array<Object>>} Alimentos
+ */
+const storedItems = mealId => DatabaseService.find('mealItems', { mealId }, { includeDeleted: true });
+
+describe('Papelera', () => {
+  let user;
+  let meal;
+
+  beforeEach(async () => {
+    user = await registerUser();
+
+    const created = await request(app).post('/api/nutrition/log').set(user.headers).send(MEAL);
+    expect(created.status).toBe(201);
+    meal = created.body.data;
+  });
+
+  test('un registro nutricional se crea con sus alimentos', async () => {
+    expect(meal.items.map(item => item.name)).toEqual(['Arroz', 'Pollo']);
+    meal.items.forEach(item => expect(item).toMatchObject({ mealId: meal.id, userId: user.id }));
+
+    const history = await request(app).get('/api/nutrition/history').set(user.headers);
+    expect(history.body.data.logs[0].items).toHaveLength(2);
+  });
+
+  test('enviar una comida a la papelera envía sus alimentos y restaurarla los restaura', async () => {
+    const deleted = await request(app).delete(`/api/nutrition/log/${meal.id}`).set(user.headers);
+    expect(deleted.status).toBe(200);
+
+    const trashedItems = await storedItems(meal.id);
+    expect(trashedItems).toHaveLength(2);
+    trashedItems.forEach(item => expect(item.deletedAt).toBeTruthy());
+    expect(await DatabaseService.find('mealItems', { mealId: meal.id })).toEqual([]);
+
+    const history = await request(app).get('/api/nutrition/history').set(user.headers);
+    expect(history.body.data.logs).toEqual([]);
+
+    const restored = await request(app).post(`/api/nutrition/log/${meal.id}/restore`).set(user.headers);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data.items).toHaveLength(2);
+
+    const restoredItems = await storedItems(meal.id);
+    restoredItems.forEach(item => expect(item.deletedAt).toBeNull());
+  });
+
+  test('restaurar una comida no recupera un alimento que se eliminó antes por separado', async () => {
+    const [removed] = meal.items;
+    await DatabaseService.delete('mealItems', removed.id);
+
+    await request(app).delete(`/api/nutrition/log/${meal.id}`).set(user.headers);
+    await request(app).post(`/api/nutrition/log/${meal.id}/restore`).set(user.headers);
+
+    const visible = await DatabaseService.find('mealItems', { mealId: meal.id });
+    expect(visible.map(item => item.name)).toEqual(['Pollo']);
+  });
+
+  test('el borrado definitivo de una comida borra también sus alimentos', async () => {
+    await request(app).delete(`/api/nutrition/log/${meal.id}`).set(user.headers);
+
+    await DatabaseService.purge('nutrition', meal.id);
+
+    expect(await DatabaseService.findById('nutrition', meal.id, { includeDeleted: true })).toBeNull();
+    expect(await storedItems(meal.id)).toEqual([]);
+  });
+
+  test('rechaza alimentos sin nombre', async () => {
+    const response = await request(app).post('/api/nutrition/log').set(user.headers)
+      .send({ calories: 100, items: [{ calories: 100 }] });
+
+    expect(response.status).toBe(400);
+  });
+});
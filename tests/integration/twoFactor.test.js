@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tests de integración de la autenticación en dos pasos: secreto cifrado,
+ * códigos de un solo uso aunque lleguen a la vez y desactivación sin contraseña
+ * @author Marcela
+ */
+
+const { app, request, PASSWORD, registerUser } = require('./helpers');
+const { DatabaseService } = require('../../src/services/databaseService');
+const { TotpService } = require('../../src/services/totpService');
+const { LoginThrottleService } = require('../../src/services/loginThrottleService');
+
+/**
+ * Código de la app de autenticación desplazado unos pasos respecto al actual, para no
+ * repetir el paso que ya usó otra petición del test
+ * @param {string} secret - Secreto en base32
+ * @param {number} steps - Pasos de desplazamiento
+ * @returns {string} Código
+ */
+const codeAt = (secret, steps) => TotpService.generateCode(secret, Date.now() + steps * TotpService.periodSeconds * 1000);
+
+/**
+ * Activa 2FA con el código del paso anterior al actual
+ * @param {Object} user - Usuario registrado
+ * @returns {Promise<Object>} Secreto y códigos de recuperación
+ */
+async function enableTwoFactor(user) {
+  const setup = await request(app).post('/api/auth/2fa/setup').set(user.headers);
+  expect(setup.status).toBe(200);
+
+  const { secret } = setup.body.data;
+  const enabled = await request(app).post('/api/auth/2fa/enable').set(user.headers).send({ code: codeAt(secret, -1) });
+  expect(enabled.status).toBe(200);
+
+  return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+}
+
+/**
+ * Inicia sesión y devuelve el token del reto de 2FA
+ * @param {string} email - Email
+ * @returns {Promise<string>} Token del reto
+ */
+async function startChallenge(email) {
+  const response = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+  expect(response.body.data.twoFactorRequired).toBe(true);
+
+  return response.body.data.challengeToken;
+}
+
+/**
+ * Resuelve dos retos a la vez, haciendo que ambas peticiones lean al usuario antes de que
+ * cualquiera de ellas verifique el código
+ * @param {Object} user - Usuario registrado
+ * @param {Object} factors - Código TOTP o código de recuperación
+ * @returns {Promise<Array<number>>} Códigos HTTP ordenados
+ */
+async function verifyTwiceAtOnce(user, factors) {
+  const challengeTokens = [await startChallenge(user.email), await startChallenge(user.email)];
+  let release;
+  const bothRead = new Promise(resolve => { release = resolve; });
+  let waiting = 0;
+
+  const assertNotLocked = LoginThrottleService.assertNotLocked.bind(LoginThrottleService);
+  const spy = jest.spyOn(LoginThrottleService, 'assertNotLocked').mockImplementation(async (...args) => {
+    waiting += 1;
+    if (waiting === 2) {
+      release();
+    }
+    await bothRead;
+    return assertNotLocked(...args);
+  });
+
+  try {
+    const responses = await Promise.all(challengeTokens.map(challengeToken => {
+      return request(app).post('/api/auth/2fa/verify').send({ challengeToken, ...factors });
+    }));
+    return responses.map(response => response.status).sort();
+  } finally {
+    spy.mockRestore();
+  }
+}
+
+describe('Autenticación en dos pasos', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await registerUser();
+  });
+
+  test('el secreto se guarda cifrado y se descifra al leerlo', async () => {
+    const { secret } = await enableTwoFactor(user);
+
+    const stored = await DatabaseService.adapter.findById('users', user.id);
+    expect(stored.twoFactorSecret).not.toContain(secret);
+    expect(stored.twoFactorPendingSecret).toBeNull();
+
+    const userData = await DatabaseService.findById('users', user.id);
+    expect(userData.twoFactorSecret).toBe(secret);
+  });
+
+  test('dos peticiones simultáneas con el mismo código: solo una inicia sesión', async () => {
+    const { secret } = await enableTwoFactor(user);
+
+    expect(await verifyTwiceAtOnce(user, { code: codeAt(secret, 0) })).toEqual([200, 401]);
+  });
+
+  test('un código de recuperación solo se acepta una vez aunque lleguen a la vez', async () => {
+    const { recoveryCodes: [recoveryCode] } = await enableTwoFactor(user);
+
+    expect(await verifyTwiceAtOnce(user, { recoveryCode })).toEqual([200, 401]);
+  });
+
+  test('una cuenta sin contraseña lo desactiva con un código de la app', async () => {
+    const { secret, recoveryCodes } = await enableTwoFactor(user);
+    // Como una cuenta creada con OIDC
+    await DatabaseService.update('users', user.id, { passwordHash: null });
+
+    const withRecoveryCode = await request(app).post('/api/auth/2fa/disable').set(user.headers)
+      .send({ recoveryCode: recoveryCodes[0] });
+    expect(withRecoveryCode.status).toBe(400);
+
+    const withCode = await request(app).post('/api/auth/2fa/disable').set(user.headers).send({ code: codeAt(secret, 0) });
+    expect(withCode.status).toBe(200);
+    expect(withCode.body.data.twoFactorEnabled).toBe(false);
+  });
+
+  test('con contraseña incorrecta no se desactiva aunque el código sea válido', async () => {
+    const { secret } = await enableTwoFactor(user);
+
+    const response = await request(app).post('/api/auth/2fa/disable').set(user.headers)
+      .send({ password: 'Incorrecta1', code: codeAt(secret, 0) });
+
+    expect(response.status).toBe(400);
+  });
+});